@@ -0,0 +1,219 @@
+/**
+ * Activation Tracer
+ * Finds the transaction that created (activated) an account and follows the funder's
+ * own activation, hop by hop, until the chain reaches an exchange or another known
+ * entity. The chains of the wallets in a scan form its genesis tree; wallets that
+ * hang off the same funder are likely run by one operator.
+ *
+ * Exchanges activate accounts for their customers, so a chain also stops at a funder
+ * that behaves like one even if the registry does not name it: an account that requires
+ * destination tags, or one that activated many accounts. Customers of the same exchange
+ * are unrelated people and are never grouped by it.
+ */
+
+import { ACTIVATION_SETTINGS } from './config.js';
+import { ENTITY_TYPES, knownEntity, recognizeAccount } from './entity-registry.js';
+import { txTime, succeeded, createdAccountRoot } from './ledger-utils.js';
+
+export class ActivationTracer {
+    /**
+     * @param {object} settings - Overrides for ACTIVATION_SETTINGS
+     */
+    constructor(settings = {}) {
+        this.settings = { ...ACTIVATION_SETTINGS, ...settings };
+    }
+
+    /**
+     * Follow an account's activation chain up to a known entity
+     * @param {XRPLService} service - Service (or a priority/signal view of it) to read the ledger with
+     * @param {string} address - Account to trace
+     * @param {Map<string, object>} activations - Activation by address already read (null if none was found); filled in
+     * @param {Map<string, object>} entities - Entity by funder address already recognized (null for a wallet); filled in
+     * @returns {Promise<object>} - { account, funder, chain, terminus }
+     */
+    async traceAccount(service, address, activations = new Map(), entities = new Map()) {
+        const chain = [];
+        const seen = new Set([address]);
+        let current = address;
+        let terminus = null;
+
+        while (!terminus) {
+            if (chain.length > 0 && !entities.has(current)) {
+                entities.set(current, await this.recognizeFunder(service, current));
+            }
+            const entity = chain.length > 0 ? entities.get(current) : knownEntity(current);
+            if (entity) {
+                terminus = { type: 'entity', account: current, entity };
+                break;
+            }
+            if (chain.length >= this.settings.maxHops) {
+                terminus = { type: 'maxHops', account: current, entity: null };
+                break;
+            }
+
+            if (!activations.has(current)) {
+                activations.set(current, await this.readActivation(service, current));
+            }
+            const activation = activations.get(current);
+            if (!activation || seen.has(activation.funder)) {
+                // Pruned history, or an account without a funder
+                terminus = { type: 'unknown', account: current, entity: null };
+                break;
+            }
+
+            chain.push(activation);
+            seen.add(activation.funder);
+            current = activation.funder;
+        }
+
+        return {
+            account: address,
+            funder: chain.length > 0 ? chain[0].funder : null,
+            chain,
+            terminus
+        };
+    }
+
+    /**
+     * Entity behind a funder: the registry, its AccountRoot, or the number of accounts it activated
+     * @param {XRPLService} service - Service view
+     * @param {string} account - Funder address
+     * @returns {Promise<object|null>} - { name, type, inferred } or null for an ordinary wallet
+     */
+    async recognizeFunder(service, account) {
+        const entity = knownEntity(account);
+        if (entity) {
+            return entity;
+        }
+
+        let accountInfo = null;
+        try {
+            accountInfo = await service.getAccountInfo(account);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            // A deleted funder has no AccountRoot; its history is still readable
+        }
+        const recognized = recognizeAccount(account, accountInfo);
+        if (recognized) {
+            return recognized;
+        }
+
+        const transactions = [];
+        for await (const tx of service.iterateAccountTransactions(account, {
+            forward: false,
+            maxTransactions: this.settings.fanOutTransactions
+        })) {
+            transactions.push(tx);
+        }
+        return countActivated(account, transactions) >= this.settings.maxFanOut
+            ? { name: ENTITY_TYPES.custodial, type: 'custodial', inferred: true }
+            : null;
+    }
+
+    /**
+     * The transaction that activated an account
+     * @param {XRPLService} service - Service view
+     * @param {string} account - Address
+     * @returns {Promise<object|null>} - Activation, or null if the account's first transactions do not show it
+     */
+    async readActivation(service, account) {
+        const transactions = [];
+        for await (const tx of service.iterateAccountTransactions(account, {
+            forward: true,
+            maxTransactions: this.settings.firstTransactions
+        })) {
+            transactions.push(tx);
+        }
+        return findActivation(account, transactions);
+    }
+}
+
+/**
+ * Find the transaction that created an account among its oldest transactions
+ * @param {string} account - Address
+ * @param {Array<object>} transactions - The account's transactions, oldest first, with `meta`
+ * @returns {object|null} - { account, funder, type, hash, time, ledgerIndex, xrp, confirmed }
+ */
+export function findActivation(account, transactions) {
+    let firstPayment = null;
+    for (const tx of transactions) {
+        if (!succeeded(tx) || tx.Account === account) continue;
+
+        // The AccountRoot created in the metadata is proof; the first incoming XRP payment is the fallback
+        const created = createdAccountRoot(tx, account);
+        if (created) {
+            return activation(account, tx, Number(created.Balance || 0) / 1000000, true);
+        }
+        if (!firstPayment && tx.TransactionType === 'Payment' && tx.Destination === account && typeof tx.Amount === 'string') {
+            firstPayment = tx;
+        }
+    }
+    return firstPayment ? activation(account, firstPayment, Number(firstPayment.Amount) / 1000000, false) : null;
+}
+
+/**
+ * Group traced wallets by the funders in their chains; the closest shared funder of a set of wallets wins
+ * Funders that end a chain as an entity are skipped: their accounts belong to unrelated customers
+ * @param {Array<object>} traces - Results of traceAccount
+ * @param {number} minWallets - Wallets a funder must have in its subtree
+ * @returns {Array<object>} - [{ funder, wallets: [{ account, hops, transactions }] }], closest funders first
+ */
+export function groupBySharedFunder(traces, minWallets = ACTIVATION_SETTINGS.minSharedWallets) {
+    const entities = new Set(traces
+        .filter(trace => trace.terminus.type === 'entity')
+        .map(trace => trace.terminus.account));
+
+    const byFunder = new Map();
+    for (const trace of traces) {
+        trace.chain.forEach((hop, index) => {
+            if (entities.has(hop.funder) || knownEntity(hop.funder)) return;
+
+            const wallets = byFunder.get(hop.funder) || [];
+            if (!wallets.some(wallet => wallet.account === trace.account)) {
+                wallets.push({
+                    account: trace.account,
+                    hops: index + 1,
+                    transactions: trace.chain.slice(0, index + 1).map(step => step.hash)
+                });
+            }
+            byFunder.set(hop.funder, wallets);
+        });
+    }
+
+    const groups = [...byFunder.entries()]
+        .filter(([, wallets]) => wallets.length >= minWallets)
+        .map(([funder, wallets]) => ({ funder, wallets }))
+        .sort((a, b) => averageHops(a) - averageHops(b));
+
+    // A funder further up adds nothing if a closer one already groups the same wallets
+    const seen = new Set();
+    return groups.filter(group => {
+        const key = group.wallets.map(wallet => wallet.account).sort().join(',');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function activation(account, tx, xrp, confirmed) {
+    return {
+        account,
+        funder: tx.Account,
+        type: tx.TransactionType,
+        hash: tx.hash,
+        time: txTime(tx),
+        ledgerIndex: tx.ledger_index || null,
+        xrp,
+        confirmed
+    };
+}
+
+// Accounts created by payments the account sent
+function countActivated(account, transactions) {
+    return transactions.filter(tx => tx.TransactionType === 'Payment' && tx.Account === account &&
+        succeeded(tx) && createdAccountRoot(tx, tx.Destination)).length;
+}
+
+function averageHops(group) {
+    return group.wallets.reduce((total, wallet) => total + wallet.hops, 0) / group.wallets.length;
+}
@@ -0,0 +1,261 @@
+/**
+ * AMM Analyzer
+ * Inspects a token's XRP AMM pool: who holds its LP tokens, how the XRP side of
+ * the pool moved with each AMMCreate, AMMDeposit, AMMWithdraw and AMMBid, and
+ * whether the issuer, its creator or the token's early wallets drained it.
+ *
+ * The pool's XRP balance is read from the AMM account's AccountRoot in each
+ * transaction's metadata, so amounts are what actually moved, not what was asked for.
+ *
+ * Withdrawing every LP token deletes the pool, and amm_info no longer finds it. The
+ * pool account is then found from the AMM transactions of the issuer and insiders,
+ * and its history is read the same way; a deleted pool counts as liquidity pulled.
+ */
+
+import { AMM_SETTINGS } from './config.js';
+import { AMM_TRANSACTION_TYPES } from './xrpl-service.js';
+import { txTime, poolXrp } from './ledger-utils.js';
+
+// How each insider role reads in findings and the UI
+export const INSIDER_ROLES = {
+    issuer: 'Issuer',
+    creator: 'Creator',
+    early: 'Early',
+    poolCreator: 'Pool creator'
+};
+
+export class AmmAnalyzer {
+    /**
+     * @param {object} settings - Overrides for AMM_SETTINGS
+     */
+    constructor(settings = {}) {
+        this.settings = { ...AMM_SETTINGS, ...settings };
+    }
+
+    /**
+     * Inspect the XRP pool of a token
+     * @param {XRPLService} service - Service (or a priority/signal view of it) to read the ledger with
+     * @param {string} currency - Token currency code
+     * @param {string} issuer - Token issuer address
+     * @param {Map<string, string>} insiders - Role ('issuer', 'creator', 'early') by address
+     * @returns {Promise<object|null>} - Pool summary, or null if the token never had an XRP pool
+     */
+    async analyzeToken(service, currency, issuer, insiders = new Map()) {
+        const amm = await service.getAmmInfo({ currency: 'XRP' }, { currency, issuer });
+        if (!amm) {
+            return this._analyzeDeletedPool(service, currency, issuer, insiders);
+        }
+
+        const lpLines = [];
+        for await (const line of service.iterateAccountLines(amm.account, {
+            maxLines: this.settings.maxLpHolders
+        })) {
+            if (line.currency === amm.lp_token.currency) {
+                lpLines.push(line);
+            }
+        }
+
+        const transactions = await this._readPoolTransactions(service, amm.account);
+        const pool = summarizePool(amm, transactions, lpLines, insiders, this.settings);
+        pool.truncated = transactions.length >= this.settings.maxTransactions;
+        return pool;
+    }
+
+    /**
+     * Find the AMM account of a token's XRP pool in the AMM transactions of its issuer and insiders
+     * @param {XRPLService} service - Service view
+     * @param {string} currency - Token currency code
+     * @param {string} issuer - Token issuer address
+     * @param {Map<string, string>} insiders - Role by address
+     * @returns {Promise<string|null>} - Pool account, or null if none of them touched an XRP pool of the token
+     */
+    async findPoolAccount(service, currency, issuer, insiders = new Map()) {
+        const accounts = [...new Set([issuer, ...insiders.keys()])].slice(0, this.settings.searchAccounts);
+        for (const account of accounts) {
+            for await (const tx of service.iterateAccountTransactions(account, {
+                types: AMM_TRANSACTION_TYPES,
+                maxScanned: this.settings.searchTransactions
+            })) {
+                if (!tradesPair(tx, currency, issuer)) continue;
+
+                const pool = ammEntry(tx);
+                if (pool) return pool.Account;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Summarize a pool that no longer exists from its history
+     * @param {XRPLService} service - Service view
+     * @param {string} currency - Token currency code
+     * @param {string} issuer - Token issuer address
+     * @param {Map<string, string>} insiders - Role by address
+     * @returns {Promise<object|null>} - Pool summary marked deleted, or null if the token never had an XRP pool
+     * @private
+     */
+    async _analyzeDeletedPool(service, currency, issuer, insiders) {
+        const account = await this.findPoolAccount(service, currency, issuer, insiders);
+        if (!account) return null;
+
+        const transactions = await this._readPoolTransactions(service, account);
+        const pool = summarizePool(deletedAmm(account, currency, issuer, transactions), transactions, [], insiders, this.settings);
+        pool.truncated = transactions.length >= this.settings.maxTransactions;
+        return pool;
+    }
+
+    /**
+     * Read a pool's AMM transactions, oldest first
+     * @param {XRPLService} service - Service view
+     * @param {string} account - Pool account
+     * @returns {Promise<Array<object>>}
+     * @private
+     */
+    async _readPoolTransactions(service, account) {
+        const transactions = [];
+        for await (const tx of service.iterateAmmTransactions(account, {
+            forward: true,
+            maxTransactions: this.settings.maxTransactions
+        })) {
+            transactions.push(tx);
+        }
+        return transactions;
+    }
+}
+
+/**
+ * Summarize an AMM pool and find insider liquidity pulls
+ * @param {object} amm - amm object from amm_info (deleted: true for a pool rebuilt from its history)
+ * @param {Array<object>} transactions - The pool's AMM transactions, oldest first, with `meta`
+ * @param {Array<object>} lpLines - The pool account's trust lines for its LP token
+ * @param {Map<string, string>} insiders - Role by address
+ * @param {object} settings - { topHolders, pullShare }
+ * @returns {object} - Pool summary
+ */
+export function summarizePool(amm, transactions, lpLines, insiders = new Map(), settings = AMM_SETTINGS) {
+    const xrpAmount = typeof amm.amount === 'string' ? amm.amount : amm.amount2;
+    const tokenAmount = typeof amm.amount === 'string' ? amm.amount2 : amm.amount;
+    const roles = new Map(insiders);
+
+    const events = [];
+    let peakXrp = 0;
+    for (const tx of transactions) {
+        if (tx.meta && tx.meta.TransactionResult && tx.meta.TransactionResult !== 'tesSUCCESS') continue;
+
+        const balance = poolXrp(tx, amm.account);
+        if (tx.TransactionType === 'AMMCreate' && !roles.has(tx.Account)) {
+            roles.set(tx.Account, 'poolCreator');
+        }
+        if (balance) {
+            peakXrp = Math.max(peakXrp, balance.before, balance.after);
+        }
+
+        events.push({
+            type: tx.TransactionType,
+            account: tx.Account,
+            role: roles.get(tx.Account) || null,
+            time: txTime(tx),
+            hash: tx.hash,
+            xrpBefore: balance ? balance.before : null,
+            xrpAfter: balance ? balance.after : null,
+            xrpChange: balance ? balance.after - balance.before : 0
+        });
+    }
+
+    // The pool may have been funded before the history we read
+    peakXrp = Math.max(peakXrp, Number(xrpAmount) / 1000000);
+
+    const lpSupply = parseFloat(amm.lp_token.value);
+    const lpHolders = lpLines
+        .map(line => ({ account: line.account, balance: -parseFloat(line.balance) }))
+        .filter(holder => holder.balance > 0)
+        .sort((a, b) => b.balance - a.balance)
+        .map(holder => ({
+            ...holder,
+            share: lpSupply > 0 ? (holder.balance / lpSupply) * 100 : 0,
+            role: roles.get(holder.account) || null
+        }));
+
+    return {
+        account: amm.account,
+        xrp: Number(xrpAmount) / 1000000,
+        tokens: parseFloat(tokenAmount.value),
+        tradingFee: (amm.trading_fee || 0) / 1000, // In percent; amm_info reports 1/100000 units
+        lpToken: { currency: amm.lp_token.currency, supply: lpSupply },
+        lpHolders: {
+            count: lpHolders.length,
+            top: lpHolders.slice(0, settings.topHolders),
+            insiderShare: lpHolders.filter(holder => holder.role).reduce((total, holder) => total + holder.share, 0)
+        },
+        peakXrp,
+        events,
+        deleted: !!amm.deleted,
+        pull: findLiquidityPull(events, peakXrp, settings.pullShare, !!amm.deleted)
+    };
+}
+
+/**
+ * Add up the XRP insiders withdrew from the pool
+ * @param {Array<object>} events - Pool events
+ * @param {number} peakXrp - Most XRP the pool held
+ * @param {number} pullShare - % of the peak that counts as a pull
+ * @param {boolean} deleted - The pool was emptied and deleted, which is a pull whoever withdrew
+ * @returns {object} - { share, withdrawnXrp, detected, withdrawals: [{ account, role, xrp, share, transactions }] }
+ */
+function findLiquidityPull(events, peakXrp, pullShare, deleted = false) {
+    const byAccount = new Map();
+    for (const event of events) {
+        if (event.type !== 'AMMWithdraw' || !event.role || event.xrpChange >= 0) continue;
+
+        const withdrawal = byAccount.get(event.account) || {
+            account: event.account,
+            role: event.role,
+            xrp: 0,
+            transactions: []
+        };
+        withdrawal.xrp -= event.xrpChange;
+        withdrawal.transactions.push(event.hash);
+        byAccount.set(event.account, withdrawal);
+    }
+
+    const withdrawals = [...byAccount.values()]
+        .map(withdrawal => ({ ...withdrawal, share: peakXrp > 0 ? (withdrawal.xrp / peakXrp) * 100 : 0 }))
+        .sort((a, b) => b.xrp - a.xrp);
+    const withdrawnXrp = withdrawals.reduce((total, withdrawal) => total + withdrawal.xrp, 0);
+    const share = peakXrp > 0 ? Math.min(100, (withdrawnXrp / peakXrp) * 100) : 0;
+
+    return { share, withdrawnXrp, detected: deleted || share >= pullShare, withdrawals };
+}
+
+// Stand-in for amm_info of a deleted pool: empty, with the LP token and fee its history shows
+function deletedAmm(account, currency, issuer, transactions) {
+    const created = transactions.find(tx => tx.TransactionType === 'AMMCreate');
+    const entry = transactions.map(ammEntry).find(Boolean);
+    return {
+        account,
+        amount: '0',
+        amount2: { currency, issuer, value: '0' },
+        lp_token: { currency: entry && entry.LPTokenBalance ? entry.LPTokenBalance.currency : null, issuer: account, value: '0' },
+        trading_fee: created ? created.TradingFee || 0 : 0,
+        deleted: true
+    };
+}
+
+// Whether an AMM transaction is for the token's XRP pool
+function tradesPair(tx, currency, issuer) {
+    const assets = tx.TransactionType === 'AMMCreate' ? [tx.Amount, tx.Amount2] : [tx.Asset, tx.Asset2];
+    const isXrp = asset => typeof asset === 'string' || (asset && asset.currency === 'XRP' && !asset.issuer);
+    const isToken = asset => asset && typeof asset === 'object' && asset.currency === currency && asset.issuer === issuer;
+    return assets.some(isXrp) && assets.some(isToken);
+}
+
+// Fields of the AMM ledger entry a transaction created, changed or deleted
+function ammEntry(tx) {
+    for (const node of (tx.meta && tx.meta.AffectedNodes) || []) {
+        const entry = Object.values(node)[0];
+        if (entry && entry.LedgerEntryType === 'AMM') {
+            return entry.FinalFields || entry.NewFields || null;
+        }
+    }
+    return null;
+}
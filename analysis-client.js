@@ -0,0 +1,297 @@
+/**
+ * Analysis Worker Client
+ * Page-side stand-in for NetworkAnalyzer and XRPLService that forwards work to
+ * analysis-worker.js. It exposes the parts of both APIs the UI uses, so the UI
+ * code works the same whether the analysis runs in the worker or on the page.
+ */
+
+import { VALIDATORS } from './config.js';
+
+class AnalysisWorkerClient {
+    /**
+     * @param {string|URL} workerUrl - URL of analysis-worker.js
+     */
+    constructor(workerUrl) {
+        this.worker = new Worker(workerUrl);
+        this.worker.addEventListener('message', event => this._handleMessage(event.data));
+        this.worker.addEventListener('error', event => {
+            console.error('Analysis worker error:', event.message);
+        });
+
+        this.nextId = 1;
+        this.pending = new Map();
+        this.currentAnalysisId = null;
+
+        // Mirrors of the worker-side analyzer state, updated from messages
+        this.networkData = { nodes: [], links: [], mainNode: null };
+        this.metrics = {
+            riskScore: 0,
+            connectedWallets: 0,
+            connectedTokens: 0,
+            suspiciousConnections: 0,
+            communities: 0,
+            modularity: 0,
+            bridges: 0,
+            articulationPoints: 0
+        };
+        this.findings = [];
+        this.progress = { status: 'starting', percent: 0, message: '' };
+        this.checkpoint = null;
+
+        this.service = this._createServiceProxy();
+    }
+
+    /**
+     * Analyze network starting from a specific address in the worker
+     * @param {string} address - Starting XRPL address
+     * @param {number} maxDepth - Maximum depth to analyze
+     * @param {object} options - Analysis options
+     * @param {AbortSignal} options.signal - Cancels the analysis
+     * @param {object} options.resume - Checkpoint from getCheckpoint() to continue from
+     * @returns {Promise<object>} - Network data structure for visualization
+     */
+    analyzeNetwork(address, maxDepth = null, options = {}) {
+        const { signal, ...workerOptions } = options;
+        const id = this.nextId++;
+        this.currentAnalysisId = id;
+        this.checkpoint = null;
+        this.networkData = { nodes: [], links: [], mainNode: address };
+        this.findings = [];
+
+        if (signal) {
+            signal.addEventListener('abort', () => this.cancel(), { once: true });
+        }
+
+        return this._send({ type: 'analyze', id, address, maxDepth, options: workerOptions });
+    }
+
+    /**
+     * Cancel the running analysis, if any
+     * @returns {Promise<void>} - Resolves once the run has stopped
+     */
+    async cancel() {
+        const id = this.currentAnalysisId;
+        if (!id || !this.pending.has(id)) return;
+
+        this.worker.postMessage({ type: 'cancel' });
+        await this.pending.get(id).promise.catch(() => {});
+    }
+
+    /**
+     * Whether an analysis is currently running
+     * @returns {boolean}
+     */
+    isRunning() {
+        return !!this.currentAnalysisId && this.pending.has(this.currentAnalysisId);
+    }
+
+    /**
+     * Get the checkpoint left by the last interrupted analysis
+     * @returns {object|null}
+     */
+    getCheckpoint() {
+        return this.checkpoint;
+    }
+
+    getMetrics() {
+        return this.metrics;
+    }
+
+    getFindings() {
+        return this.findings;
+    }
+
+    getProgress() {
+        return this.progress;
+    }
+
+    /**
+     * Analyze a wallet's complete transaction history in the worker
+     * @param {string} address - XRPL address to analyze
+     * @param {object} options - History options (startTime, endTime, types, maxTransactions)
+     * @returns {Promise<object>} - Analysis results
+     */
+    analyzeWalletHistory(address, options = {}) {
+        return this._call('analyzer', 'analyzeWalletHistory', [address, options]);
+    }
+
+    /**
+     * Follow the money out of a wallet in the worker
+     * @param {string} address - Source address
+     * @param {object} options - Trace options (asset, model, maxHops, startTime)
+     * @returns {Promise<object>} - Trace with the share of the tainted value each recipient received
+     */
+    traceFunds(address, options = {}) {
+        return this._call('analyzer', 'traceFunds', [address, options]);
+    }
+
+    /**
+     * Stop the worker
+     */
+    terminate() {
+        this.worker.terminate();
+        for (const { reject } of this.pending.values()) {
+            reject(new Error('Analysis worker terminated'));
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Build an XRPLService stand-in whose methods run in the worker
+     * isValidAddress stays synchronous because the UI calls it inline
+     * @returns {object} - Service proxy
+     * @private
+     */
+    _createServiceProxy() {
+        const client = this;
+        const local = {
+            connectionStatus: 'disconnected',
+            isValidAddress(address) {
+                return VALIDATORS.address.test(address);
+            }
+        };
+
+        return new Proxy(local, {
+            get(target, name) {
+                if (name in target) return target[name];
+                // Not a thenable
+                if (name === 'then' || typeof name !== 'string') return undefined;
+                return (...args) => client._call('service', name, args);
+            }
+        });
+    }
+
+    /**
+     * Call a method on xrplService or networkAnalyzer inside the worker
+     * @param {string} target - 'service' or 'analyzer'
+     * @param {string} method - Method name
+     * @param {Array} args - Structured-cloneable arguments
+     * @returns {Promise<any>}
+     * @private
+     */
+    _call(target, method, args) {
+        return this._send({ type: 'call', id: this.nextId++, target, method, args });
+    }
+
+    /**
+     * Post a message and track the reply by id
+     * @param {object} message - Message with an id
+     * @returns {Promise<any>}
+     * @private
+     */
+    _send(message) {
+        let resolve;
+        let reject;
+        const promise = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        this.pending.set(message.id, { promise, resolve, reject });
+        this.worker.postMessage(message);
+        return promise;
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {object} message - Worker message
+     * @private
+     */
+    _handleMessage(message) {
+        switch (message.type) {
+            case 'progress':
+                this.progress = message.progress;
+                this._dispatch('network-analysis-progress', message.progress);
+                break;
+
+            case 'graph':
+                for (const graphEvent of message.events) {
+                    this._applyGraphEvent(graphEvent);
+                    this._dispatch('network-analysis-graph', graphEvent);
+                }
+                break;
+
+            case 'update':
+                this.metrics = message.metrics;
+                this.findings = message.findings;
+                this._dispatch('network-analysis-update', message);
+                break;
+
+            case 'status':
+                this.service.connectionStatus = message.connectionStatus;
+                break;
+
+            case 'result':
+                this.networkData = message.networkData;
+                this.metrics = message.metrics;
+                this.findings = message.findings;
+                this._settle(message.id, null, message.networkData);
+                break;
+
+            case 'error':
+                if (message.id === null) {
+                    // The worker could not start; nothing it was asked to do will finish
+                    for (const id of [...this.pending.keys()]) {
+                        this._settle(id, message.error);
+                    }
+                    break;
+                }
+                this.checkpoint = message.checkpoint;
+                this._settle(message.id, message.error);
+                break;
+
+            case 'response':
+                this._settle(message.id, message.error, message.result);
+                break;
+
+            case 'ready':
+                break;
+
+            default:
+                console.warn(`Unknown message from analysis worker: ${message.type}`);
+        }
+    }
+
+    /**
+     * Keep the page-side copy of the graph in step with streamed events
+     * @param {object} graphEvent - node-added, link-added or node-updated event
+     * @private
+     */
+    _applyGraphEvent(graphEvent) {
+        if (graphEvent.type === 'node-added') {
+            this.networkData.nodes.push(graphEvent.node);
+        } else if (graphEvent.type === 'link-added') {
+            this.networkData.links.push(graphEvent.link);
+        } else if (graphEvent.type === 'node-updated') {
+            const node = this.networkData.nodes.find(n => n.id === graphEvent.id);
+            if (node) Object.assign(node, graphEvent.changes);
+        }
+    }
+
+    /**
+     * Resolve or reject a pending request
+     * @param {number} id - Request id
+     * @param {object} error - Serialized error, if any
+     * @param {any} result - Result value
+     * @private
+     */
+    _settle(id, error, result) {
+        const pending = this.pending.get(id);
+        if (!pending) return;
+        this.pending.delete(id);
+
+        if (error) {
+            // Recreate the error so callers can still check error.name (e.g. AbortError)
+            const rebuilt = new Error(error.message);
+            rebuilt.name = error.name;
+            pending.reject(rebuilt);
+        } else {
+            pending.resolve(result);
+        }
+    }
+
+    _dispatch(name, detail) {
+        window.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+}
+
+export default AnalysisWorkerClient;
@@ -0,0 +1,172 @@
+/**
+ * Analysis Worker
+ * Runs NetworkAnalyzer and its XRPL client off the main thread so the page and
+ * the D3 simulation stay responsive. Loaded as a classic worker (xrpl.js is a
+ * UMD build that needs importScripts) and pulls in the ES modules with import().
+ *
+ * Messages from the page:
+ *   { type: 'analyze', id, address, maxDepth, options }  Start an analysis (options.resume)
+ *   { type: 'cancel' }                                    Cancel the running analysis
+ *   { type: 'call', id, target, method, args }            Call an xrplService or networkAnalyzer method
+ *
+ * Messages to the page:
+ *   { type: 'ready' }                                     Modules loaded
+ *   { type: 'status', connectionStatus }                  XRPL connection status changed
+ *   { type: 'progress', progress }                        Analysis progress
+ *   { type: 'graph', events }                             Batched node-added/link-added/node-updated events
+ *   { type: 'update', kind, metrics, findings }           Partial findings
+ *   { type: 'result', id, networkData, metrics, findings }    Analysis finished
+ *   { type: 'error', id, error, checkpoint }              Analysis failed or was cancelled
+ *   { type: 'response', id, result, error }               Reply to a 'call'
+ */
+
+// Findings are cloned whole on every post, so send at most a few per second
+const UPDATE_INTERVAL = 250;
+// Graph events are small; batch them per frame-ish interval to limit message overhead
+const GRAPH_EVENT_INTERVAL = 100;
+
+// Mask wallet addresses in worker logs like the page does for its console
+['log', 'warn', 'error'].forEach(level => {
+    const original = console[level];
+    console[level] = (...args) => original.apply(console, args.map(arg =>
+        typeof arg === 'string'
+            ? arg.replace(/r[A-Za-z0-9]{24,34}/g, match => match.substring(0, 6) + '...' + match.substring(match.length - 4))
+            : arg));
+});
+
+const modulesReady = Promise.all([
+    import('./xrpl-service.js'),
+    import('./network-analyzer.js')
+]).then(([serviceModule, analyzerModule]) => ({
+    xrplService: serviceModule.default,
+    networkAnalyzer: analyzerModule.default
+}));
+
+let lastStatus = null;
+let pendingUpdate = null;
+let updateTimer = null;
+let graphEvents = [];
+let graphTimer = null;
+
+self.addEventListener('network-analysis-progress', event => {
+    self.postMessage({ type: 'progress', progress: event.detail });
+});
+
+self.addEventListener('network-analysis-update', event => {
+    pendingUpdate = event.detail;
+    if (!updateTimer) {
+        updateTimer = setTimeout(flushUpdate, UPDATE_INTERVAL);
+    }
+});
+
+self.addEventListener('network-analysis-graph', event => {
+    // Clone now: the analyzer keeps mutating the node and link objects
+    graphEvents.push(structuredClone(event.detail));
+    if (!graphTimer) {
+        graphTimer = setTimeout(flushGraphEvents, GRAPH_EVENT_INTERVAL);
+    }
+});
+
+function flushGraphEvents() {
+    clearTimeout(graphTimer);
+    graphTimer = null;
+    if (graphEvents.length === 0) return;
+
+    const events = graphEvents;
+    graphEvents = [];
+    self.postMessage({ type: 'graph', events });
+}
+
+function flushUpdate() {
+    clearTimeout(updateTimer);
+    updateTimer = null;
+    if (!pendingUpdate) return;
+
+    const { kind, metrics, findings } = pendingUpdate;
+    pendingUpdate = null;
+    self.postMessage({ type: 'update', kind, metrics, findings });
+}
+
+async function postStatus() {
+    const { xrplService } = await modulesReady;
+    if (xrplService.connectionStatus !== lastStatus) {
+        lastStatus = xrplService.connectionStatus;
+        self.postMessage({ type: 'status', connectionStatus: lastStatus });
+    }
+}
+
+function serializeError(error) {
+    return {
+        name: error && error.name || 'Error',
+        message: error && error.message || String(error)
+    };
+}
+
+async function handleAnalyze({ id, address, maxDepth, options }) {
+    const { networkAnalyzer } = await modulesReady;
+
+    try {
+        const networkData = await networkAnalyzer.analyzeNetwork(address, maxDepth, options || {});
+        // Deliver streamed graph events before the result; buffered findings are superseded by it
+        flushGraphEvents();
+        pendingUpdate = null;
+        self.postMessage({
+            type: 'result',
+            id,
+            networkData,
+            metrics: networkAnalyzer.getMetrics(),
+            findings: networkAnalyzer.getFindings()
+        });
+    } catch (error) {
+        flushGraphEvents();
+        flushUpdate();
+        self.postMessage({
+            type: 'error',
+            id,
+            error: serializeError(error),
+            checkpoint: networkAnalyzer.getCheckpoint()
+        });
+    }
+}
+
+async function handleCall({ id, target, method, args }) {
+    const modules = await modulesReady;
+    const instance = target === 'analyzer' ? modules.networkAnalyzer : modules.xrplService;
+
+    try {
+        if (typeof instance[method] !== 'function' || method.startsWith('_')) {
+            throw new Error(`Unknown ${target} method: ${method}`);
+        }
+        const result = await instance[method](...(args || []));
+        self.postMessage({ type: 'response', id, result });
+    } catch (error) {
+        self.postMessage({ type: 'response', id, error: serializeError(error) });
+    } finally {
+        postStatus();
+    }
+}
+
+self.addEventListener('message', event => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'analyze':
+            handleAnalyze(message);
+            break;
+        case 'cancel':
+            modulesReady.then(({ networkAnalyzer }) => networkAnalyzer.cancel());
+            break;
+        case 'call':
+            handleCall(message);
+            break;
+        default:
+            console.warn(`Analysis worker ignored message: ${message.type}`);
+    }
+});
+
+modulesReady.then(() => {
+    self.postMessage({ type: 'ready' });
+}).catch(error => {
+    console.error('Analysis worker failed to load:', error);
+    self.postMessage({ type: 'error', id: null, error: serializeError(error), checkpoint: null });
+});
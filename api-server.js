@@ -0,0 +1,263 @@
+/**
+ * RugCheckerX REST API
+ * Small HTTP server around NetworkAnalyzer for bots and scripts (Node only).
+ *
+ *   GET    /health                          Server and queue status
+ *   POST   /scans                           Queue a scan: { "address": "r...", "depth": 2 }
+ *   GET    /scans/:id                       Scan progress and, when complete, metrics/findings/graph (?graph=false to omit the graph)
+ *   DELETE /scans/:id                       Cancel a queued or running scan
+ *   GET    /wallets/:address/risk           Risk summary for a wallet (?depth=1-3)
+ *   GET    /tokens/:issuer/:currency/risk   Risk summary for a token (?depth=1-3)
+ *
+ * Risk lookups reuse a recent scan of the same address. Otherwise they queue one and
+ * answer 202 with the scan to poll; asking again once it is complete returns the summary.
+ */
+
+import http from 'node:http';
+import { JOB_STATUS } from './scan-jobs.js';
+import { API_SERVER_SETTINGS, ANALYSIS_DEFAULTS, VALIDATORS } from './config.js';
+
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} code - Machine-readable error code
+     * @param {string} message - Error message
+     */
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Create the API server (call listen() on the result)
+ * @param {ScanJobQueue} queue - Queue that runs the scans
+ * @param {object} settings - Overrides for API_SERVER_SETTINGS
+ * @returns {http.Server}
+ */
+export function createApiServer(queue, settings = {}) {
+    const options = { ...API_SERVER_SETTINGS, ...settings };
+
+    const routes = [
+        ['GET', /^\/health$/, () => ({ body: { status: 'ok', queue: queue.getStats() } })],
+        ['POST', /^\/scans$/, async (params, query, request) => {
+            const body = await readJson(request, options.maxBodyBytes);
+            const address = parseAddress(body.address);
+            const depth = parseDepth(body.depth, ANALYSIS_DEFAULTS.maxDepth);
+            const job = submit(queue, address, depth);
+            return scanAccepted(queue, job);
+        }],
+        ['GET', /^\/scans\/([^/]+)$/, ([id], query) => {
+            const job = getJob(queue, id);
+            return { body: queue.describe(job, { includeGraph: query.get('graph') !== 'false' }) };
+        }],
+        ['DELETE', /^\/scans\/([^/]+)$/, ([id]) => {
+            getJob(queue, id);
+            return { body: queue.describe(queue.cancel(id), { includeGraph: false }) };
+        }],
+        ['GET', /^\/wallets\/([^/]+)\/risk$/, ([address], query) => {
+            address = parseAddress(address);
+            const job = submit(queue, address, parseDepth(query.get('depth'), options.riskDepth));
+            if (job.status !== JOB_STATUS.COMPLETE) return scanAccepted(queue, job);
+            return { body: walletRisk(job) };
+        }],
+        ['GET', /^\/tokens\/([^/]+)\/([^/]+)\/risk$/, ([issuer, currency], query) => {
+            issuer = parseAddress(issuer);
+            if (!VALIDATORS.currency.test(currency)) {
+                throw new HttpError(400, 'invalid_currency', 'Invalid currency code');
+            }
+            const job = submit(queue, issuer, parseDepth(query.get('depth'), options.riskDepth));
+            if (job.status !== JOB_STATUS.COMPLETE) return scanAccepted(queue, job);
+            return { body: tokenRisk(job, issuer, currency) };
+        }]
+    ];
+
+    return http.createServer(async (request, response) => {
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            const path = url.pathname.replace(/\/+$/, '') || '/';
+            const matching = routes.filter(([, pattern]) => pattern.test(path));
+            if (matching.length === 0) {
+                throw new HttpError(404, 'not_found', `No route for ${path}`);
+            }
+
+            const route = matching.find(([method]) => method === request.method);
+            if (!route) {
+                response.setHeader('Allow', matching.map(([method]) => method).join(', '));
+                throw new HttpError(405, 'method_not_allowed', `${request.method} is not allowed on ${path}`);
+            }
+
+            const [, pattern, handler] = route;
+            const params = pattern.exec(path).slice(1).map(decodeURIComponent);
+            const { status = 200, headers = {}, body } = await handler(params, url.searchParams, request);
+            sendJson(response, status, body, headers);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                sendJson(response, error.status, { error: { code: error.code, message: error.message } });
+            } else {
+                console.error('API request failed:', error);
+                sendJson(response, 500, { error: { code: 'internal_error', message: 'Internal server error' } });
+            }
+        }
+    });
+}
+
+/**
+ * @param {ScanJobQueue} queue - Scan queue
+ * @param {string} address - Address to scan
+ * @param {number} depth - Crawl depth
+ * @returns {object} - Job
+ */
+function submit(queue, address, depth) {
+    try {
+        return queue.submit(address, depth);
+    } catch (error) {
+        if (error.name === 'QueueFullError') {
+            throw new HttpError(503, 'queue_full', error.message);
+        }
+        throw error;
+    }
+}
+
+function getJob(queue, id) {
+    const job = queue.get(id);
+    if (!job) {
+        throw new HttpError(404, 'scan_not_found', `Unknown scan: ${id}`);
+    }
+    return job;
+}
+
+/**
+ * 202 response pointing at the scan to poll
+ * @param {ScanJobQueue} queue - Scan queue
+ * @param {object} job - Job
+ * @returns {object} - Route response
+ */
+function scanAccepted(queue, job) {
+    const done = job.status === JOB_STATUS.COMPLETE;
+    return {
+        status: done ? 200 : 202,
+        headers: { Location: `/scans/${job.id}` },
+        body: queue.describe(job, { includeGraph: false })
+    };
+}
+
+/**
+ * Risk summary for the scanned wallet
+ * @param {object} job - Complete job
+ * @returns {object}
+ */
+function walletRisk(job) {
+    const { networkData, metrics, findings } = job.result;
+    const wallet = networkData.nodes.find(node => node.id === job.address);
+
+    return {
+        address: job.address,
+        depth: job.depth,
+        scanId: job.id,
+        scannedAt: new Date(job.finishedAt).toISOString(),
+        riskScore: metrics.riskScore,
+        walletRisk: wallet ? wallet.riskLevel : null,
+        breakdown: wallet ? wallet.riskBreakdown || null : null,
+        metrics,
+        findings
+    };
+}
+
+/**
+ * Risk summary for a token found in the issuer's scan
+ * @param {object} job - Complete job for the issuer
+ * @param {string} issuer - Issuer address
+ * @param {string} currency - Currency code (3 characters or 40 hex)
+ * @returns {object}
+ */
+function tokenRisk(job, issuer, currency) {
+    const { networkData, metrics, findings } = job.result;
+    const sameCurrency = name => name === currency ||
+        (currency.length === 40 && typeof name === 'string' && name.toUpperCase() === currency.toUpperCase());
+    const token = networkData.nodes.find(node =>
+        node.type === 'token' && node.issuer === issuer && sameCurrency(node.name));
+    if (!token) {
+        throw new HttpError(404, 'token_not_found', `${issuer} has not issued ${currency}`);
+    }
+    const issuerNode = networkData.nodes.find(node => node.id === issuer);
+
+    return {
+        issuer,
+        currency,
+        depth: job.depth,
+        scanId: job.id,
+        scannedAt: new Date(job.finishedAt).toISOString(),
+        tokenRisk: token.riskLevel,
+        breakdown: token.riskBreakdown || null,
+        issuerRisk: issuerNode ? issuerNode.riskLevel : null,
+        token: {
+            id: token.id,
+            issueDate: token.issueDate,
+            holders: token.holders,
+            distribution: token.holderDistribution || null,
+            ammPool: token.ammPool || null,
+            dex: token.dex || null
+        },
+        riskScore: metrics.riskScore,
+        metrics,
+        findings
+    };
+}
+
+function parseAddress(address) {
+    if (typeof address !== 'string' || !VALIDATORS.address.test(address)) {
+        throw new HttpError(400, 'invalid_address', 'Invalid XRPL address');
+    }
+    return address;
+}
+
+function parseDepth(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+
+    const depth = Number(value);
+    if (!Number.isInteger(depth) || depth < 1 || depth > 3) {
+        throw new HttpError(400, 'invalid_depth', 'depth must be 1, 2 or 3');
+    }
+    return depth;
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} request - Request
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<object>}
+ */
+async function readJson(request, maxBytes) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw new HttpError(413, 'body_too_large', `Request body is larger than ${maxBytes} bytes`);
+        }
+        chunks.push(chunk);
+    }
+
+    try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+            throw new Error('not an object');
+        }
+        return body;
+    } catch (error) {
+        throw new HttpError(400, 'invalid_json', 'Request body must be a JSON object');
+    }
+}
+
+function sendJson(response, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+    });
+    response.end(payload);
+}
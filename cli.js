@@ -0,0 +1,516 @@
+#!/usr/bin/env node
+/**
+ * RugCheckerX command line
+ * Runs the same XRPLService and NetworkAnalyzer as the web app, without a browser,
+ * so scans can be scripted or run from cron.
+ *
+ * Usage:
+ *   rugcheck scan <address> [--depth 2] [--format text|json] [--network mainnet]
+ *                           [--fail-above <score>] [--record <file> | --replay <file>] [--verbose]
+ *   rugcheck trace <address> [--asset XRP] [--model haircut|fifo] [--hops 4] [--since <date>]
+ *                            [--format text|json] [--record <file> | --replay <file>] [--verbose]
+ *   rugcheck serve [--port 8787] [--host 127.0.0.1] [--network mainnet] [--verbose]
+ *
+ * Exit codes: 0 scan or trace finished, 1 scan or trace failed, 2 bad usage,
+ * 3 risk score above --fail-above, 130 interrupted
+ */
+
+import xrplService from './xrpl-service.js';
+import networkAnalyzer from './network-analyzer.js';
+import { ScanJobQueue } from './scan-jobs.js';
+import { createApiServer } from './api-server.js';
+import { TAINT_MODELS } from './taint-tracer.js';
+import { RecordingProvider, ReplayProvider, createFixture, loadFixture, saveFixture } from './ledger-provider.js';
+import { ANALYSIS_DEFAULTS, API_SERVER_SETTINGS, TAINT_SETTINGS, VALIDATORS } from './config.js';
+
+const USAGE = `Usage:
+  rugcheck scan <address> [options]   Scan a wallet and print its risk report
+  rugcheck trace <address> [options]  Follow the money out of a wallet
+  rugcheck serve [options]            Run the REST API server
+
+Scan options:
+  --depth <n>           Connection depth to crawl, 1-3 (default ${ANALYSIS_DEFAULTS.maxDepth})
+  --format <format>     Output format: text or json (default text)
+  --fail-above <score>  Exit with code 3 when the risk score is above this value (0-100)
+  --record <file>       Save every XRPL and HTTP response of the scan to a fixture file
+  --replay <file>       Scan offline from a fixture file; same fixture, same result
+
+Trace options:
+  --asset <asset>       Asset to trace: XRP or CURRENCY-issuer (default ${TAINT_SETTINGS.asset})
+  --model <model>       Taint model: haircut or fifo (default ${TAINT_SETTINGS.model})
+  --hops <n>            Payments to follow away from the wallet, 1-10 (default ${TAINT_SETTINGS.maxHops})
+  --since <date>        Only trace value that left the wallet from this date on
+  --format, --record and --replay work as for scan
+
+Serve options:
+  --port <port>         Port to listen on (default ${API_SERVER_SETTINGS.port})
+  --host <host>         Interface to bind (default ${API_SERVER_SETTINGS.host})
+
+Common options:
+  --network <name>      mainnet, testnet or devnet (default mainnet)
+  --verbose             Show analyzer logs on stderr
+  -h, --help            Show this help`;
+
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_RISK = 3;
+const EXIT_INTERRUPTED = 130;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {object} - Parsed command and options
+ */
+function parseArgs(argv) {
+    const options = {
+        command: null,
+        address: null,
+        depth: ANALYSIS_DEFAULTS.maxDepth,
+        format: 'text',
+        network: 'mainnet',
+        failAbove: null,
+        asset: TAINT_SETTINGS.asset,
+        model: TAINT_SETTINGS.model,
+        hops: TAINT_SETTINGS.maxHops,
+        since: null,
+        record: null,
+        replay: null,
+        port: API_SERVER_SETTINGS.port,
+        host: API_SERVER_SETTINGS.host,
+        verbose: false,
+        help: false
+    };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        // Accept both --depth 2 and --depth=2
+        const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+        const value = () => {
+            if (inlineValue !== undefined) return inlineValue;
+            if (i + 1 >= argv.length) throw new UsageError(`Missing value for ${flag}`);
+            return argv[++i];
+        };
+
+        switch (flag) {
+            case '--depth':
+                options.depth = Number(value());
+                if (!Number.isInteger(options.depth) || options.depth < 1 || options.depth > 3) {
+                    throw new UsageError('--depth must be 1, 2 or 3');
+                }
+                break;
+            case '--format':
+                options.format = value();
+                if (!['text', 'json'].includes(options.format)) {
+                    throw new UsageError('--format must be text or json');
+                }
+                break;
+            case '--network':
+                options.network = value();
+                if (!['mainnet', 'testnet', 'devnet'].includes(options.network)) {
+                    throw new UsageError('--network must be mainnet, testnet or devnet');
+                }
+                break;
+            case '--fail-above':
+                options.failAbove = Number(value());
+                if (!Number.isFinite(options.failAbove)) {
+                    throw new UsageError('--fail-above must be a number');
+                }
+                break;
+            case '--asset':
+                options.asset = value();
+                if (options.asset !== 'XRP' && !/^[A-Za-z0-9]{3,40}-r[A-Za-z0-9]{24,34}$/.test(options.asset)) {
+                    throw new UsageError('--asset must be XRP or CURRENCY-issuer');
+                }
+                break;
+            case '--model':
+                options.model = value();
+                if (!TAINT_MODELS.includes(options.model)) {
+                    throw new UsageError(`--model must be ${TAINT_MODELS.join(' or ')}`);
+                }
+                break;
+            case '--hops':
+                options.hops = Number(value());
+                if (!Number.isInteger(options.hops) || options.hops < 1 || options.hops > 10) {
+                    throw new UsageError('--hops must be between 1 and 10');
+                }
+                break;
+            case '--since':
+                options.since = value();
+                if (Number.isNaN(Date.parse(options.since))) {
+                    throw new UsageError('--since must be a date');
+                }
+                break;
+            case '--record':
+                options.record = value();
+                break;
+            case '--replay':
+                options.replay = value();
+                break;
+            case '--port':
+                options.port = Number(value());
+                if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+                    throw new UsageError('--port must be a port number');
+                }
+                break;
+            case '--host':
+                options.host = value();
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new UsageError(`Unknown option: ${arg}`);
+                positional.push(arg);
+        }
+    }
+
+    options.command = positional[0];
+    if (options.help) return options;
+
+    if (options.command === 'scan' || options.command === 'trace') {
+        options.address = positional[1];
+        if (!options.address || !VALIDATORS.address.test(options.address)) {
+            throw new UsageError(`${options.command} needs a valid XRPL address`);
+        }
+        if (options.command === 'trace' && options.failAbove !== null) {
+            throw new UsageError('--fail-above only applies to scan');
+        }
+        if (positional.length > 2) {
+            throw new UsageError(`Unexpected argument: ${positional[2]}`);
+        }
+        if (options.record && options.replay) {
+            throw new UsageError('--record and --replay cannot be combined');
+        }
+    } else if (options.command === 'serve') {
+        if (positional.length > 1) {
+            throw new UsageError(`Unexpected argument: ${positional[1]}`);
+        }
+    } else {
+        throw new UsageError(options.command ? `Unknown command: ${options.command}` : 'Missing command');
+    }
+    return options;
+}
+
+/**
+ * Keep stdout for the report: analyzer logs go to stderr, and only with --verbose
+ * @param {boolean} verbose - Whether to show logs
+ */
+function redirectLogs(verbose) {
+    ['log', 'info', 'warn', 'error'].forEach(level => {
+        console[level] = verbose ? (...args) => process.stderr.write(args.map(formatLogArg).join(' ') + '\n') : () => {};
+    });
+}
+
+function formatLogArg(arg) {
+    if (arg instanceof Error) return arg.stack || arg.message;
+    if (typeof arg === 'object' && arg !== null) {
+        try {
+            return JSON.stringify(arg);
+        } catch (error) {
+            return String(arg);
+        }
+    }
+    return String(arg);
+}
+
+/**
+ * Build the report printed for a finished scan
+ * @param {object} options - Parsed options
+ * @param {object} networkData - Result of analyzeNetwork
+ * @param {number} elapsedMs - Scan duration
+ * @returns {object} - Report
+ */
+function buildReport(options, networkData, elapsedMs) {
+    const metrics = networkAnalyzer.getMetrics();
+    return {
+        address: options.address,
+        network: options.network,
+        depth: options.depth,
+        source: options.replay ? 'replay' : 'live',
+        scannedAt: new Date(xrplService.now()).toISOString(),
+        elapsedMs,
+        riskScore: metrics.riskScore,
+        metrics,
+        findings: networkAnalyzer.getFindings(),
+        graph: {
+            mainNode: networkData.mainNode,
+            nodes: networkData.nodes,
+            links: networkData.links
+        }
+    };
+}
+
+/**
+ * Render a report for people reading a terminal
+ * @param {object} report - Report from buildReport
+ * @returns {string}
+ */
+function formatText(report) {
+    const lines = [
+        `RugCheckerX scan of ${report.address} (${report.network}, depth ${report.depth})`,
+        '',
+        `Risk score:             ${report.riskScore}/100`,
+        `Connected wallets:      ${report.metrics.connectedWallets}`,
+        `Connected tokens:       ${report.metrics.connectedTokens}`,
+        `Suspicious connections: ${report.metrics.suspiciousConnections}`,
+        `Communities:            ${report.metrics.communities} (modularity ${report.metrics.modularity})`,
+        `Graph:                  ${report.graph.nodes.length} nodes, ${report.graph.links.length} links`,
+        `Elapsed:                ${(report.elapsedMs / 1000).toFixed(1)}s`,
+        '',
+        'Findings:'
+    ];
+
+    if (report.findings.length === 0) {
+        lines.push('  none');
+    }
+    for (const finding of report.findings) {
+        lines.push(`  [${(finding.severity || 'info').toUpperCase()}] ${finding.description}`);
+        if (Array.isArray(finding.details)) {
+            for (const detail of finding.details.slice(0, 5)) {
+                if (detail && detail.address) {
+                    const score = detail.riskScore !== undefined ? ` (risk ${detail.riskScore})` : '';
+                    const reason = detail.reason ? `: ${detail.reason}` : '';
+                    lines.push(`      ${detail.address}${score}${reason}`);
+                }
+            }
+            if (finding.details.length > 5) {
+                lines.push(`      ... and ${finding.details.length - 5} more`);
+            }
+        }
+    }
+
+    const riskyWallets = report.graph.nodes
+        .filter(node => node.type === 'wallet' && node.id !== report.address && node.riskLevel > 0.4)
+        .sort((a, b) => b.riskLevel - a.riskLevel)
+        .slice(0, 10);
+    if (riskyWallets.length > 0) {
+        lines.push('', 'Riskiest connected wallets:');
+        for (const node of riskyWallets) {
+            lines.push(`  ${node.id}  ${node.riskLevel.toFixed(2)}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Build the report printed for a finished trace
+ * @param {object} options - Parsed options
+ * @param {object} trace - Result of traceFunds
+ * @param {number} elapsedMs - Trace duration
+ * @returns {object} - Report
+ */
+function buildTraceReport(options, trace, elapsedMs) {
+    return {
+        ...trace,
+        address: options.address,
+        network: options.network,
+        source: options.replay ? 'replay' : 'live',
+        tracedAt: new Date(xrplService.now()).toISOString(),
+        elapsedMs,
+        maxHops: options.hops
+    };
+}
+
+/**
+ * Render a trace for people reading a terminal
+ * @param {object} report - Report from buildTraceReport
+ * @returns {string}
+ */
+function formatTraceText(report) {
+    const percent = share => `${(share * 100).toFixed(1)}%`;
+    const lines = [
+        `RugCheckerX trace of ${report.address} (${report.network}, ${report.asset}, ${report.model} model, ${report.maxHops} hops)`,
+        '',
+        `Tainted value:  ${report.taintedValue} ${report.asset}`,
+        `Still held:     ${percent(report.held)}`,
+        `Untraced:       ${percent(report.untraced)}`,
+        `Transfers:      ${report.transfers.length}, ${report.conversions.length} conversions`,
+        `Elapsed:        ${(report.elapsedMs / 1000).toFixed(1)}s`
+    ];
+    if (report.truncated) {
+        lines.push('', 'Some histories were cut off at the transaction limit; shares may be incomplete');
+    }
+
+    lines.push('', 'Recipients (share of the tainted value received):');
+    if (report.recipients.length === 0) {
+        lines.push('  none');
+    }
+    for (const recipient of report.recipients.slice(0, 20)) {
+        const where = recipient.entity
+            ? `${recipient.entity.name} (${recipient.entity.type})`
+            : recipient.status === 'followed' ? `holds ${percent(recipient.held)}` : recipient.status;
+        lines.push(`  ${recipient.account}  ${percent(recipient.share).padStart(6)}  hop ${recipient.hop}  ${where}`);
+    }
+    if (report.recipients.length > 20) {
+        lines.push(`  ... and ${report.recipients.length - 20} more`);
+    }
+
+    return lines.join('\n');
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    redirectLogs(options.verbose);
+
+    return options.command === 'serve' ? serve(options) : scan(options);
+}
+
+/**
+ * Scan or trace one wallet and print the report
+ * @param {object} options - Parsed options
+ * @returns {Promise<number>} - Exit code
+ */
+async function scan(options) {
+    // Progress on stderr for interactive runs, so stdout stays parseable
+    const showProgress = !options.verbose && process.stderr.isTTY;
+    const onProgress = event => {
+        process.stderr.write(`\r\x1b[K${event.detail.percent}% ${event.detail.message}`);
+    };
+    if (showProgress) {
+        networkAnalyzer.addEventListener('network-analysis-progress', onProgress);
+    }
+
+    const controller = new AbortController();
+    const onInterrupt = () => controller.abort();
+    process.once('SIGINT', onInterrupt);
+    process.once('SIGTERM', onInterrupt);
+
+    let recorder = null;
+    let replay = null;
+    const label = options.command === 'trace' ? 'Trace' : 'Scan';
+    const startTime = Date.now();
+    try {
+        if (options.replay) {
+            const fixture = await loadFixture(options.replay);
+            // The fixture's network wins; its responses came from there
+            options.network = fixture.network || options.network;
+            replay = new ReplayProvider(fixture);
+            await xrplService.setProvider(replay);
+        } else if (options.record) {
+            recorder = new RecordingProvider(createFixture({
+                command: options.command,
+                network: options.network,
+                address: options.address,
+                depth: options.depth
+            }));
+            await xrplService.setProvider(recorder);
+        }
+
+        await xrplService.connect(options.network);
+        let report;
+        if (options.command === 'trace') {
+            const trace = await networkAnalyzer.traceFunds(options.address, {
+                asset: options.asset,
+                model: options.model,
+                maxHops: options.hops,
+                startTime: options.since,
+                signal: controller.signal
+            });
+            report = buildTraceReport(options, trace, Date.now() - startTime);
+        } else {
+            const networkData = await networkAnalyzer.analyzeNetwork(options.address, options.depth, {
+                signal: controller.signal
+            });
+            report = buildReport(options, networkData, Date.now() - startTime);
+        }
+
+        if (showProgress) process.stderr.write('\r\x1b[K');
+        if (replay && replay.misses.length > 0) {
+            process.stderr.write(`Warning: ${replay.misses.length} requests were not in the fixture; ` +
+                'the result differs from the recorded scan\n');
+        }
+        const formatReport = options.command === 'trace' ? formatTraceText : formatText;
+        process.stdout.write(options.format === 'json'
+            ? `${JSON.stringify(report, null, 2)}\n`
+            : `${formatReport(report)}\n`);
+
+        return options.failAbove !== null && report.riskScore > options.failAbove ? EXIT_RISK : 0;
+    } catch (error) {
+        if (showProgress) process.stderr.write('\r\x1b[K');
+        if (controller.signal.aborted) {
+            process.stderr.write(`${label} interrupted\n`);
+            return EXIT_INTERRUPTED;
+        }
+        process.stderr.write(`${label} failed: ${error.message}\n`);
+        return EXIT_FAILED;
+    } finally {
+        networkAnalyzer.removeEventListener('network-analysis-progress', onProgress);
+        process.off('SIGINT', onInterrupt);
+        process.off('SIGTERM', onInterrupt);
+        await xrplService.disconnect().catch(() => {});
+        // Keep the recording even when the scan failed, it shows what the ledger returned
+        if (recorder) {
+            await saveFixture(options.record, recorder.fixture);
+            process.stderr.write(`Recorded ${Object.keys(recorder.fixture.requests).length} XRPL and ` +
+                `${Object.keys(recorder.fixture.http).length} HTTP responses to ${options.record}\n`);
+        }
+    }
+}
+
+/**
+ * Run the REST API server until interrupted
+ * @param {object} options - Parsed options
+ * @returns {Promise<number>} - Exit code
+ */
+async function serve(options) {
+    await xrplService.connect(options.network).catch(error => {
+        // Requests reconnect on demand, so a slow start is not fatal
+        process.stderr.write(`Could not connect to ${options.network} yet: ${error.message}\n`);
+    });
+
+    const queue = new ScanJobQueue(networkAnalyzer, API_SERVER_SETTINGS);
+    const server = createApiServer(queue);
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port, options.host, resolve);
+    }).catch(error => {
+        throw new Error(`Could not listen on ${options.host}:${options.port}: ${error.message}`);
+    });
+    const { address, port } = server.address();
+    process.stderr.write(`RugCheckerX API listening on http://${address}:${port}\n`);
+
+    await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+
+    process.stderr.write('Shutting down\n');
+    server.close();
+    server.closeAllConnections();
+    await networkAnalyzer.cancel();
+    await xrplService.disconnect().catch(() => {});
+    return 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    process.stderr.write(`${error.stack || error.message}\n`);
+    process.exitCode = EXIT_FAILED;
+});
@@ -4,20 +4,53 @@
 
 // XRPL Configuration
 export const XRPL_CONFIG = {
-    // XRPL Nodes
+    // Browser build of xrpl.js, loaded on first connect
+    libraryUrl: 'https://unpkg.com/xrpl@2.7.0/build/xrpl-latest-min.js',
+    // XRPL Nodes (requests are balanced across these, with failover)
     nodes: {
-        mainnet: 'wss://xrplcluster.com',
-        testnet: 'wss://s.altnet.rippletest.net:51233',
-        devnet: 'wss://s.devnet.rippletest.net:51233'
+        mainnet: [
+            'wss://xrplcluster.com',
+            'wss://s1.ripple.com',
+            'wss://s2.ripple.com'
+        ],
+        testnet: [
+            'wss://s.altnet.rippletest.net:51233',
+            'wss://testnet.xrpl-labs.com'
+        ],
+        devnet: [
+            'wss://s.devnet.rippletest.net:51233'
+        ]
     },
     // Default options
     options: {
         connectionTimeout: 20000,
         maxConnectionAttempts: 3,
-        defaultLedgerVersion: 'validated'
+        defaultLedgerVersion: 'validated',
+        retryBackoff: 1000, // Base delay between reconnect attempts (ms)
+        maxRetryBackoff: 30000,
+        healthCheckInterval: 30000, // server_info check interval (ms)
+        maxLedgerLag: 5 // Validated ledgers a node may fall behind before failover
     }
 };
 
+// Request cache settings
+export const CACHE_SETTINGS = {
+    backend: 'auto', // 'auto' (IndexedDB when available), 'indexeddb' or 'memory'
+    mutableTtl: 60000, // How long account state stays fresh (ms)
+    maxLedgerAge: 20, // Validated ledgers before cached account state is dropped
+    maxMemoryEntries: 5000
+};
+
+// Request scheduler limits (per endpoint; HTTP endpoints are keyed by host)
+export const SCHEDULER_SETTINGS = {
+    endpoints: {
+        xrpl: { maxConcurrent: 6, requestsPerSecond: 10, burst: 20 }
+    },
+    defaultEndpoint: { maxConcurrent: 2, requestsPerSecond: 2, burst: 4 },
+    maxRetries: 4,
+    retryBackoff: 1000 // Base backoff after slowDown/tooBusy or HTTP 429 (ms)
+};
+
 // API Endpoints
 export const API_ENDPOINTS = {
     // XRPL Scan API
@@ -26,67 +59,209 @@ export const API_ENDPOINTS = {
     bithomp: 'https://api.bithomp.com/v2',
     // XRPlorer API
     xrplorer: 'https://api.xrplorer.com/v1',
+    // InFTF XRP Ledger Data API (DEX trades, OHLC and volume), public deployment;
+    // the bundled OpenAPI spec only names the relative '/v1' server
+    inftfData: 'https://data.xrplf.org/v1',
     // RugCheckerX Own API (future)
     rugcheckerx: 'https://api.rugcheckerx.com/v1'
 };
 
 // Network Risk Factors
+// Every signal is a named rule, scored by risk-engine.js as weight x strength (0-1).
+// The method turns the measured signal into a strength:
+//   flag   - the signal is true
+//   below  - 1 - signal / threshold while the signal is under the threshold
+//   above  - (signal - threshold) / range once over the threshold (range defaults to the threshold)
+//   step   - 1 once the signal is over the threshold
+//   count  - signal / threshold
+//   ratio  - the signal is already a 0-1 share
+//   tiers  - score of the first tier the signal is below/above (a tier without a bound matches anything)
+// Rules whose signal was not measured for a subject add nothing.
 export const RISK_FACTORS = {
     // Token risk factors
     token: {
-        lowSupply: { weight: 0.6, threshold: 100000 }, // Low supply can indicate exclusivity or scam
-        highSupply: { weight: 0.3, threshold: 10000000000 }, // Very high supply can be a risk factor
-        limitedHolders: { weight: 0.8, threshold: 10 }, // Very few holders is a risk
-        highConcentration: { weight: 0.9, threshold: 70 }, // % in top 3 wallets
-        recentCreation: { weight: 0.5, threshold: 30 }, // Days since creation
-        noTrustlines: { weight: 0.7, threshold: 5 }, // Few trustlines is a risk
-        suspicious_name: { weight: 0.4, flags: ['safe', 'moon', 'elon', 'doge', 'shib', 'inu', 'swap'] }
+        lowSupply: { weight: 0.6, threshold: 100000, method: 'below' }, // Low supply can indicate exclusivity or scam
+        highSupply: { weight: 0.3, threshold: 10000000000, method: 'above' }, // Very high supply can be a risk factor
+        limitedHolders: { weight: 0.8, threshold: 10, method: 'below' }, // Trust lines with a positive balance
+        highConcentration: { weight: 0.9, threshold: 70, range: 30, method: 'above' }, // % of supply in the top 3 holders
+        fewControllers: { weight: 0.5, threshold: 3, method: 'below' }, // Nakamoto coefficient: holders that together own over half
+        affiliatedHoldings: { weight: 0.6, threshold: 20, range: 60, method: 'above' }, // % of supply held by wallets the issuer trades XRP with
+        recentCreation: { weight: 0.5, threshold: 30, method: 'below' }, // Days since creation
+        noTrustlines: { weight: 0.7, threshold: 5, method: 'below' }, // Few trustlines is a risk
+        suspicious_name: { weight: 0.4, method: 'flag', flags: ['safe', 'moon', 'elon', 'doge', 'shib', 'inu', 'swap'] },
+        issuerRisk: { weight: 0.3, method: 'ratio' }, // Risk score of the issuing wallet
+        issuerSettings: { weight: 0.6, method: 'ratio' }, // Issuer flag audit score (issuer rules)
+        liquidityPulled: { weight: 0.9, threshold: 30, range: 40, method: 'above' }, // % of the AMM pool's peak XRP withdrawn by insiders
+        insiderSellWall: { weight: 0.4, threshold: 25, range: 50, method: 'above' }, // % of the tokens on sale offered by insiders
+        spoofing: { weight: 0.4, method: 'flag' }, // Insider offers placed and cancelled before anything filled
+        thinBookSells: { weight: 0.6, method: 'flag' } // Insider sells that moved the price a long way
+    },
+    // Issuer account flags and settings (issuer-audit.js)
+    issuer: {
+        notBlackholed: { weight: 0.2, method: 'flag' }, // Master key, a regular key or a signer list can still sign
+        clawbackEnabled: { weight: 0.3, method: 'flag' }, // Issuer can claw tokens back from holders
+        freezeAllowed: { weight: 0.1, method: 'flag' }, // NoFreeze is not set
+        globalFreeze: { weight: 0.8, method: 'flag' }, // Holders can only send tokens back to the issuer
+        requireAuth: { weight: 0.1, method: 'flag' }, // Trust lines need the issuer's approval
+        noDefaultRipple: { weight: 0.3, method: 'flag' }, // Holders cannot pay each other
+        transferFee: { weight: 0.5, threshold: 1, range: 9, method: 'above' }, // % charged on transfers between holders
+        noDomain: { weight: 0.1, method: 'flag' }, // No Domain to tie the issuer to a project
+        reversibleHoldings: { weight: 0.5, method: 'flag' }, // Live keys, clawback and no NoFreeze together
+        activityAfterBlackhole: { weight: 0.8, method: 'flag' }, // Sent a transaction after looking blackholed (key-control.js)
+        keyChangeBeforeDump: { weight: 0.6, method: 'flag' } // Signing keys changed shortly before a large sell
     },
     // Wallet risk factors
     wallet: {
-        lowActivity: { weight: 0.3, threshold: 10 }, // Few transactions
-        highTurnover: { weight: 0.6, threshold: 90 }, // % of funds quickly moved through
-        newAccount: { weight: 0.4, threshold: 30 }, // Days since creation
-        knownScammer: { weight: 1.0 }, // Known scam addresses
-        manyIssuances: { weight: 0.5, threshold: 3 }, // Number of token issuances
-        ringTrading: { weight: 0.9 }, // Circular trading pattern
-        clusteredTransactions: { weight: 0.7 } // Many transactions in short time
+        lowActivity: { weight: 0.3, threshold: 10, method: 'below' }, // Few transactions
+        newAccount: { // Account Sequence starts at the ledger the account was created in
+            weight: 0.4,
+            method: 'tiers',
+            tiers: [{ above: 60000000, score: 0.8 }, { above: 40000000, score: 0.4 }]
+        },
+        knownScammer: { weight: 1.0, method: 'flag' }, // Known scam addresses
+        manyIssuances: { weight: 0.5, threshold: 3, range: 5, method: 'above' }, // Number of token issuances
+        suspiciousTokens: { weight: 0.7, method: 'ratio' }, // Share of issued tokens with suspicious names
+        rugHistory: { weight: 0.5, threshold: 3, method: 'count' }, // Earlier tokens of the creator that were rugged (creator-history.js)
+        highRiskConnections: { weight: 0.7, threshold: 3, method: 'count' }, // Counterparties on the high-risk list
+        createdMainWallet: { weight: 0.4, method: 'flag' } // Wallet created the scanned issuer
     },
     // Transaction risk factors
     transaction: {
-        largeAmount: { weight: 0.5, threshold: 10000 }, // In XRP value
-        oddAmount: { weight: 0.4 }, // Strange numbers/patterns
-        memoFlags: { weight: 0.6 }, // Suspicious memo flags
-        suspiciousPattern: { weight: 0.7 } // Pattern matching known scams
+        largeAmount: { weight: 0.5, threshold: 10000, method: 'above' }, // In XRP value
+        oddAmount: { weight: 0.4, method: 'flag', suffixes: ['000000', '999999'] }, // Strange numbers/patterns (drops)
+        memoFlags: { weight: 0.6, method: 'flag', keywords: ['http', 'send', 'receive', 'claim'] }, // Suspicious memo flags
+        suspiciousPattern: { weight: 0.7, method: 'flag' } // Pattern matching known scams
+    },
+    // Components of a connected wallet's risk; each is read on its own
+    connection: {
+        accountAge: { // By account Sequence
+            weight: 1,
+            method: 'tiers',
+            tiers: [
+                { below: 100, score: 0.1, label: 'established' },
+                { below: 1000, score: 0.3, label: 'established' },
+                { below: 10000, score: 0.5, label: 'standard' },
+                { score: 0.8, label: 'new' }
+            ]
+        },
+        activity: { // Average hours between recent transactions
+            weight: 1,
+            method: 'tiers',
+            tiers: [
+                { below: 1, score: 0.9, label: 'high-activity' },
+                { below: 24, score: 0.7, label: 'active' },
+                { below: 168, score: 0.4 },
+                { score: 0.2, label: 'inactive' }
+            ]
+        },
+        volume: { // XRP moved in recent transactions
+            weight: 1,
+            method: 'tiers',
+            tiers: [{ above: 100000, score: 0.8 }, { above: 10000, score: 0.6 }, { above: 1000, score: 0.4 }, { score: 0.2 }]
+        },
+        trustlinePosition: { // 0-based position among the main wallet's trust lines
+            weight: 1,
+            method: 'tiers',
+            tiers: [
+                { below: 5, score: 0.8, early: true, checkCreator: true },
+                { below: 20, score: 0.6, early: true },
+                { below: 100, score: 0.4 },
+                { score: 0.2 }
+            ]
+        }
+    },
+    // Buying patterns between the scanned wallet and a counterparty
+    buyingPattern: {
+        frequentSmallBuys: { weight: 0.3, threshold: 5, method: 'step', paymentSize: 100 }, // Payments under paymentSize XRP
+        whalePattern: { weight: 0.4, threshold: 1, method: 'step', paymentSize: 1000, maxPayments: 5 }, // Few, large payments
+        tokenFocused: { weight: 0.2, threshold: 0.8, method: 'step' }, // Share of payments that move tokens
+        rapidTrustActivity: { weight: 0.3, threshold: 3, method: 'step', minValue: 500 } // Payments right after a trust line
+    },
+    // A scanned wallet's final risk: its own score plus where it sits in the network
+    network: {
+        baseRisk: { weight: 1, method: 'ratio' }, // Wallet rules score, or early-participant position score
+        earlyPosition: { weight: 1, method: 'ratio' }, // Position score of a wallet found only among a token's first transactions
+        earlyTrustline: { weight: 0.2, method: 'tiers', tiers: [{ above: 0, below: 10, score: 1 }] }, // 1-based trust line position
+        creatorConnection: { weight: 0.3, method: 'flag' }, // Early trust line holder that traded with the issuer
+        activityRisk: { weight: 0.15, method: 'ratio' }, // connection.activity score
+        ageRisk: { weight: 0.15, method: 'ratio' }, // connection.accountAge score
+        volumeRisk: { weight: 0.1, method: 'ratio' }, // connection.volume score
+        trustlineRisk: { weight: 0.2, method: 'ratio' }, // connection.trustlinePosition score
+        suspiciousTransactions: { weight: 0.25, threshold: 3, method: 'step' }, // Recent transactions scored over 0.7
+        earlyParticipant: { weight: 0.15, method: 'flag' }, // Among a scanned token's first transactions
+        knownHighRisk: { weight: 1.0, method: 'flag' }, // On the high-risk list
+        sharedFunder: { weight: 0.2, method: 'flag' }, // Activated by a funder (not an exchange) that activated other wallets in the network
+        sybilCluster: { weight: 0.3, method: 'ratio' }, // Confidence of the Sybil cluster the wallet belongs to (sybil-detector.js)
+        denseCore: { weight: 0.2, threshold: 2, range: 3, method: 'above' }, // k-core number among wallet flows; a crawl alone only builds a 1-core (graph-analytics.js)
+        insiderBroker: { weight: 0.4, method: 'ratio' } // Share of a token's insider pairs whose shortest paths run through the wallet
+    },
+    // Signs that two wallets are run by one operator (sybil-detector.js)
+    sybil: {
+        sharedFunder: { weight: 0.4, method: 'flag' }, // Activated by the same funder, not a known entity
+        activationAmount: { weight: 0.15, threshold: 1, method: 'below' }, // % difference between the XRP the two were activated with
+        sequentialCreation: { weight: 0.2, threshold: 100, method: 'below' }, // Ledgers between the two activations
+        trustlineSet: { weight: 0.25, threshold: 0.5, method: 'above' }, // Overlap (Jaccard) of the two trust line sets
+        synchronizedTrades: { weight: 0.35, threshold: 3, method: 'count' }, // Trades of the same token and side within seconds
+        consolidation: { weight: 0.3, method: 'flag' } // Both sent funds on to the same address
     }
 };
 
-// Known high-risk addresses
+// How rule scores combine within a category: 'sum' (capped at 1), 'max', 'probabilistic' (1 - product of (1 - score))
+// or 'weighted' (scores over the weight of the rules that were measured, but at least minWeight, so sparse data scores lower)
+export const RISK_AGGREGATION = {
+    token: 'sum',
+    issuer: 'sum',
+    wallet: 'sum',
+    transaction: 'sum',
+    connection: 'max',
+    buyingPattern: 'sum',
+    network: { method: 'weighted', minWeight: 2 },
+    sybil: 'sum'
+};
+
+// Known high-risk addresses; 'address:tag' lists one customer of a shared deposit address
 export const HIGH_RISK_ADDRESSES = [
     // Example list - in production this would be loaded from a database
     'rHYTJDFrbCU1i2yCENTSEgVFJUMWuFqeQj',
     'rG5Ro9e3uGEZVCpwYbLe21nVwXXCGXPkTu',
     'rLpq5RcRzA8FU1yUqEPW4xfsdwon7caQfM',
     // Additional high-risk addresses
-    'r3XhydxYWps8EP6xzqs7dEU4DXMjBme95p', // Tag: 74920348
-    'rNxp4h8apvRis6mJf9Sh8C6iRxfrDWN7AV', // Tag: 330128380
+    'r3XhydxYWps8EP6xzqs7dEU4DXMjBme95p:74920348',
+    'rNxp4h8apvRis6mJf9Sh8C6iRxfrDWN7AV:330128380',
     'rJMwiqzh3agMG6Hqpa93ycy7GSKtT3EqRW',
-    'rnAgPrUpE3sWaNAaFhWdKhTL4uYUw1Cxuz', // Tag: 74920348
+    'rnAgPrUpE3sWaNAaFhWdKhTL4uYUw1Cxuz:74920348',
     // New addresses from user
-    'rNGkUxPVuXQiUV1Qmam2NoXykdvk7KKuGa', // Tag: 2113104184
+    'rNGkUxPVuXQiUV1Qmam2NoXykdvk7KKuGa:2113104184',
     'rQjMyVwfvjhfhnYtK4K26M4FHngPceXq3',
     'rMzaEaPx5heMcKgoHeR56xC6DNzxqkeDwt',
     'rEbAAaLMgk58YvNQuV2weyHre6pRwKdKia',
     'rshibopEBREqsfnjERMzn56qvbvZnTScfh',
     'rLWbGeF9B7SwJFb1pnAkwzNL6ehVPhF8xg',
-    'rBWpYJhuJWBPAkzJ4kYQqHShSkkF3rgeD', // Tag: 812430925
-    'rsjzmZ4WfonC3pXS52zoCxTYfqfiBgCis1', // Tag: 482440097
+    'rBWpYJhuJWBPAkzJ4kYQqHShSkkF3rgeD:812430925',
+    'rsjzmZ4WfonC3pXS52zoCxTYfqfiBgCis1:482440097',
     'rDCuukSk6NQuFEwFXR5vqVkJrQNezS9cZk',
     'rfa5HrDzTUe3g3UVYQE9y5hgLTRtcrZJvM',
-    'rpNF4938Y8zCrqFP2owDHjMUdpAxMs49JD', // Tag: 1241538349
+    'rpNF4938Y8zCrqFP2owDHjMUdpAxMs49JD:1241538349',
     'raCWHpJj1FgvtpFZQjFxc5C4FyQ6PAAGrN'
 ];
 
+// Entity registry: exchanges, bridges, AMM pools and known projects (see entity-registry.js)
+// Activation chains stop at them, and the crawler shows them without expanding through them
+export const KNOWN_ENTITIES = {
+    rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh: { name: 'Genesis account', type: 'genesis' },
+    rEb8TK3gBgk5auZkwc6sHnwrGVJH8DuaLh: { name: 'Binance', type: 'exchange' },
+    rLHzPsX6oXkzU2qL12kHCH8G8cnZv1rBJh: { name: 'Kraken', type: 'exchange' },
+    rvYAfWj5gh67oV6fW32ZzP3Aw4Eubs59B: { name: 'Bitstamp', type: 'exchange' },
+    rPVMhWBsfF9iMXYj3aAzJVkPDTFNSyWdKy: { name: 'Bittrex', type: 'exchange' },
+    rhub8VRN55s94qWKDv6jmDy1pUykJzF3wq: { name: 'GateHub', type: 'exchange' },
+    rw2ciyaNshpHe7bCHo4bRWq6pqqynnWKQg: { name: 'Coinbase', type: 'exchange' },
+    rsoLo2S1kiGeCcn6hCUXVrCpGMWLrRrLZz: { name: 'Sologenic', type: 'project' }
+};
+
+// JSON list of further entities (bridges, AMM pools, projects...) merged into KNOWN_ENTITIES
+// before each scan, in the same shape; null to use the built-in entries only
+export const ENTITY_LIST_URL = null;
+
 // Validators for input validation
 export const VALIDATORS = {
     address: /^r[A-Za-z0-9]{24,34}$/,
@@ -101,5 +276,130 @@ export const ANALYSIS_DEFAULTS = {
     maxNodes: 100,
     minValue: 20,
     maxConnections: 50,
-    networkTimeout: 30000
+    networkTimeout: 30000,
+    maxHistoryTransactions: 5000, // Cap for full wallet history walks
+    maxNodeTransactions: 1000 // Cap per wallet while crawling the network
+};
+
+// Network crawl settings
+export const CRAWL_SETTINGS = {
+    concurrency: 4, // Wallets fetched in parallel per crawl round
+    weights: { proximity: 0.5, value: 0.3, risk: 0.2 }, // Relevance of a queued wallet
+    valueScale: 100000 // Transfer value (XRP) that counts as fully relevant
+};
+
+// Token holder distribution (token-analyzer.js)
+export const TOKEN_ANALYSIS_SETTINGS = {
+    maxTrustlines: 20000, // Issuer trust lines read per scan; larger issuers are analyzed from the first ones
+    pageSize: 400, // Trust lines per account_lines page
+    topHolders: 10, // Largest holders kept on the token node
+    affiliateTransactions: 400 // Issuer payments read to find the wallets it funds or is funded by
+};
+
+// Issuer key-control history (key-control.js)
+export const KEY_CONTROL_SETTINGS = {
+    maxTransactions: 5000, // Issuer transactions read, oldest first
+    largeSellXrp: 1000, // XRP received for the issuer's own token that counts as a large sell
+    dumpWindowHours: 72 // Key changes this long before a large sell are flagged
+};
+
+// AMM pool inspection (amm-analyzer.js)
+export const AMM_SETTINGS = {
+    maxTransactions: 2000, // Pool transactions read, oldest first
+    maxLpHolders: 5000, // LP token trust lines read from the pool account
+    topHolders: 10, // Largest LP holders kept on the token node
+    pullShare: 50, // % of the pool's peak XRP withdrawn by insiders that counts as a liquidity pull
+    searchAccounts: 10, // Issuer and insider histories searched for a pool that was deleted
+    searchTransactions: 1000 // Transactions read per account in that search, newest first
+};
+
+// DEX order book and offer activity (dex-analyzer.js)
+export const DEX_SETTINGS = {
+    bookLimit: 200, // Offers read per side of the book
+    maxWallets: 10, // Insider wallets whose offer activity is read, issuer first
+    walletTransactions: 1000, // Offer and payment transactions read per wallet
+    wallShare: 50, // % of the tokens on sale offered by insiders that counts as a sell wall
+    spoofWindowMinutes: 10, // An unfilled offer cancelled this soon counts as place-and-cancel
+    minSpoofs: 3, // Place-and-cancel offers before a wallet is flagged
+    thinBookImpact: 20, // % price drop within one sell that marks a thin book
+    minSellXrp: 500 // Smallest sell (XRP) checked for price impact
+};
+
+// InFTF Data API (data-api-client.js)
+export const DATA_API_SETTINGS = {
+    baseUrl: null, // Another deployment of the Data API (e.g. self-hosted); API_ENDPOINTS.inftfData if null
+    pageSize: 500, // Entries per request; the API may return fewer and set x-has-more-data
+    maxItems: 5000, // Entries read per list call across pages
+    interval: '1h', // Candle size for market and volume data (s, m, h, d, M, y)
+    historyDays: 90 // How far back price history is read for a token
+};
+
+// Creator track record (creator-history.js)
+export const CREATOR_HISTORY_SETTINGS = {
+    creatorTransactions: 2000, // Transactions of the creator read, oldest first
+    linkedTransactions: 1000, // Transactions read per linked wallet
+    maxLinkedWallets: 10, // Wallets the creator activated or that were deleted into it
+    timeBudget: 10000, // ms spent reading the price histories of a creator's tokens before the rest are left unjudged
+    interval: '1d', // Candle size of a past token's price history
+    dumpXrp: 1000, // XRP the creator's wallets received for a token that counts as dumping it
+    dumpLiquidityShare: 20, // ...and it was at least this % of the pool's peak XRP,
+    dumpSupplyShare: 10, // ...or the tokens sold were at least this % of the outstanding supply,
+    dumpWindowDays: 3, // ...or they were sold within this many days after the price peaked
+    pullShare: 50, // % of the pool's peak XRP withdrawn by the creator's wallets that counts as a pull
+    collapseShare: 90, // % fall from the peak close to the latest that counts as a collapse
+    collapseVolumeXrp: 1000, // XRP traded over the token's life before a price drop counts as a collapse
+    abandonDays: 30 // Days without issuer or trading activity before a token counts as abandoned
+};
+
+// Account activation tracing (activation-tracer.js)
+export const ACTIVATION_SETTINGS = {
+    firstTransactions: 20, // Oldest transactions read per account to find the one that created it
+    maxHops: 5, // Funders followed up the chain before giving up on reaching a known entity
+    fanOutTransactions: 200, // Recent transactions of a funder read to count the accounts it activated
+    maxFanOut: 20, // Accounts activated in those transactions that mark a funder as an exchange or activation service
+    maxWallets: 100, // Graph wallets traced per scan
+    minSharedWallets: 2 // Wallets a funder must have activated to mark them as one operator
+};
+
+// Sybil cluster detection (sybil-detector.js)
+export const SYBIL_SETTINGS = {
+    maxWallets: 60, // Graph wallets compared per scan; pairs grow with the square
+    walletTransactions: 200, // Recent OfferCreate and Payment transactions read per wallet
+    maxTrustlines: 200, // Trust lines read per wallet
+    minTrustlines: 2, // Trust lines both wallets need before their sets are compared
+    syncSeconds: 60, // Trades of the same token and side this close count as synchronized
+    pairThreshold: 0.5, // Pair score that puts two wallets in one cluster
+    minClusterSize: 2
+};
+
+// Graph analytics (graph-analytics.js)
+export const GRAPH_SETTINGS = {
+    // Links the analyzer infers rather than observes; left out so the metrics describe real flows
+    derivedLinkTypes: ['HighRiskConnection', 'HighRiskMainConnection', 'EarlyParticipants', 'SharedToken'],
+    damping: 0.85, // PageRank damping factor
+    maxIterations: 100, // PageRank iterations before giving up on convergence
+    tolerance: 1e-6, // PageRank change per iteration that counts as converged
+    minCommunitySize: 3, // Smaller communities are not reported
+    minBrokerage: 0.25 // Share of a token's insider pairs routed through a wallet that marks it as their broker
+};
+
+// Fund-flow taint tracing (taint-tracer.js)
+export const TAINT_SETTINGS = {
+    asset: 'XRP', // Asset traced out of the source: 'XRP' or a token id ('CURRENCY-issuer')
+    model: 'haircut', // 'haircut': payments carry the balance's tainted fraction; 'fifo': oldest funds leave first
+    maxHops: 4, // Payments followed away from the source
+    maxAccounts: 60, // Accounts whose histories are replayed
+    transactionsPerAccount: 500, // Transactions read per account, from the ledger taint reached it
+    minShare: 0.001 // Accounts that received less of the tainted value are reported but not followed
+};
+
+// Local REST API server (rugcheck serve)
+export const API_SERVER_SETTINGS = {
+    host: '127.0.0.1',
+    port: 8787,
+    maxQueuedScans: 50, // Further POST /scans get 503 until the queue drains
+    maxStoredScans: 200, // Finished scans kept for GET /scans/:id, oldest dropped first
+    resultTtl: 600000, // How long a finished scan answers risk lookups for the same address (ms)
+    riskDepth: 1, // Default crawl depth for /wallets and /tokens risk lookups
+    maxBodyBytes: 16384
 }; 
\ No newline at end of file
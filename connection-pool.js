@@ -0,0 +1,379 @@
+/**
+ * XRPL Connection Pool
+ * Keeps connections to several XRPL nodes open, health-checks them and
+ * routes requests to healthy nodes with failover and automatic reconnects
+ */
+
+// Error names raised by xrpl.js when the socket itself is the problem
+const CONNECTION_ERROR_NAMES = [
+    'DisconnectedError',
+    'NotConnectedError',
+    'ConnectionError',
+    'TimeoutError',
+    'WebSocketError'
+];
+
+// Server states in which a node is considered in sync with the network
+const SYNCED_SERVER_STATES = ['full', 'proposing', 'validating'];
+
+class XRPLConnectionPool {
+    /**
+     * @param {Array<string>} endpoints - WebSocket URLs of the nodes in the pool
+     * @param {object} options - Pool options
+     * @param {Function} options.createClient - Factory returning an xrpl.Client for a URL
+     * @param {number} options.connectionTimeout - Milliseconds to wait for a node to connect
+     * @param {number} options.maxConnectionAttempts - Connect attempts per node before giving up
+     * @param {number} options.retryBackoff - Base delay in milliseconds between attempts
+     * @param {number} options.maxRetryBackoff - Upper bound for the backoff delay
+     * @param {number} options.healthCheckInterval - Milliseconds between server_info checks
+     * @param {number} options.maxLedgerLag - Validated ledgers a node may trail the best node by
+     * @param {Function} options.onStatusChange - Called with a status string when pool health changes
+     */
+    constructor(endpoints, options = {}) {
+        if (!endpoints || endpoints.length === 0) {
+            throw new Error('Connection pool needs at least one endpoint');
+        }
+
+        this.options = {
+            connectionTimeout: 20000,
+            maxConnectionAttempts: 3,
+            retryBackoff: 1000,
+            maxRetryBackoff: 30000,
+            healthCheckInterval: 30000,
+            maxLedgerLag: 5,
+            onStatusChange: null,
+            ...options
+        };
+
+        this.nodes = endpoints.map(url => ({
+            url,
+            client: null,
+            connected: false,
+            healthy: false,
+            validatedLedger: 0,
+            serverState: null,
+            failures: 0,
+            reconnectTimer: null,
+            lastError: null
+        }));
+
+        this.nextNodeIndex = 0;
+        this.healthCheckTimer = null;
+        this.closed = false;
+    }
+
+    /**
+     * Whether at least one node is connected and healthy
+     * @returns {boolean}
+     */
+    isConnected() {
+        return this.nodes.some(node => node.connected && node.healthy);
+    }
+
+    /**
+     * Connect to every node in the pool
+     * Resolves once at least one node is connected; the rest keep retrying in the background
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        this.closed = false;
+
+        const attempts = this.nodes.map(node => this._connectNode(node));
+        try {
+            await Promise.any(attempts);
+        } catch (error) {
+            const reasons = this.nodes.map(node => `${node.url}: ${node.lastError?.message || 'unknown error'}`);
+            throw new Error(`Could not connect to any XRPL node (${reasons.join('; ')})`);
+        }
+
+        await this.checkHealth();
+        this._startHealthChecks();
+    }
+
+    /**
+     * Disconnect from every node and stop background work
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        this.closed = true;
+
+        if (this.healthCheckTimer) {
+            clearInterval(this.healthCheckTimer);
+            this.healthCheckTimer = null;
+        }
+
+        await Promise.allSettled(this.nodes.map(async node => {
+            if (node.reconnectTimer) {
+                clearTimeout(node.reconnectTimer);
+                node.reconnectTimer = null;
+            }
+            if (node.client && node.connected) {
+                await node.client.disconnect();
+            }
+            node.connected = false;
+            node.healthy = false;
+        }));
+    }
+
+    /**
+     * Send a request to a healthy node, failing over to the next node on connection errors
+     * @param {object} request - XRPL WebSocket API request
+     * @returns {Promise<object>} - XRPL response
+     */
+    async request(request) {
+        if (!this.nodes.some(node => node.connected)) {
+            // Every node dropped mid-scan; give the reconnect loop a chance first
+            await this._waitForConnection();
+        }
+
+        const tried = new Set();
+        let lastError = null;
+
+        while (tried.size < this.nodes.length) {
+            const node = this._pickNode(tried);
+            if (!node) break;
+            tried.add(node);
+
+            try {
+                return await node.client.request(request);
+            } catch (error) {
+                if (!this._isConnectionError(error)) {
+                    // The node answered; the request itself failed
+                    throw error;
+                }
+                console.warn(`XRPL node ${node.url} failed, trying another node: ${error.message}`);
+                lastError = error;
+                this._markDown(node, error);
+            }
+        }
+
+        throw lastError || new Error('No healthy XRPL nodes available');
+    }
+
+    /**
+     * Query server_info on every connected node and mark lagging or unsynced nodes unhealthy
+     * @returns {Promise<void>}
+     */
+    async checkHealth() {
+        const connectedNodes = this.nodes.filter(node => node.connected);
+
+        await Promise.allSettled(connectedNodes.map(async node => {
+            try {
+                const response = await node.client.request({ command: 'server_info' });
+                const info = response.result.info;
+                node.serverState = info.server_state;
+                node.validatedLedger = info.validated_ledger ? info.validated_ledger.seq : 0;
+            } catch (error) {
+                if (this._isConnectionError(error)) {
+                    this._markDown(node, error);
+                } else {
+                    node.serverState = null;
+                }
+            }
+        }));
+
+        const bestLedger = Math.max(0, ...this.nodes
+            .filter(node => node.connected)
+            .map(node => node.validatedLedger));
+
+        for (const node of this.nodes) {
+            const wasHealthy = node.healthy;
+            node.healthy = node.connected &&
+                SYNCED_SERVER_STATES.includes(node.serverState) &&
+                bestLedger - node.validatedLedger <= this.options.maxLedgerLag;
+
+            if (wasHealthy && !node.healthy && node.connected) {
+                console.warn(`XRPL node ${node.url} is behind (${node.validatedLedger} vs ${bestLedger}) or not synced`);
+            }
+        }
+
+        this._notifyStatus();
+    }
+
+    /**
+     * Get a summary of every node in the pool
+     * @returns {Array<object>} - Node status entries
+     */
+    getStatus() {
+        return this.nodes.map(node => ({
+            url: node.url,
+            connected: node.connected,
+            healthy: node.healthy,
+            validatedLedger: node.validatedLedger,
+            serverState: node.serverState,
+            failures: node.failures
+        }));
+    }
+
+    /**
+     * Connect a single node, retrying with exponential backoff
+     * @param {object} node - Pool node entry
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _connectNode(node) {
+        for (let attempt = 0; attempt < this.options.maxConnectionAttempts; attempt++) {
+            if (this.closed) break;
+
+            try {
+                node.client = this.options.createClient(node.url, {
+                    connectionTimeout: this.options.connectionTimeout
+                });
+                node.client.on('disconnected', () => this._handleDisconnect(node));
+
+                await node.client.connect();
+                node.connected = true;
+                node.healthy = true;
+                node.failures = 0;
+                node.lastError = null;
+                console.log(`Connected to XRPL node ${node.url}`);
+                return;
+            } catch (error) {
+                node.lastError = error;
+                node.failures++;
+                console.warn(`Connection attempt ${attempt + 1} to ${node.url} failed: ${error.message}`);
+
+                if (attempt < this.options.maxConnectionAttempts - 1) {
+                    await new Promise(resolve => setTimeout(resolve, this._backoffDelay(attempt)));
+                }
+            }
+        }
+
+        this._scheduleReconnect(node);
+        throw node.lastError || new Error(`Could not connect to ${node.url}`);
+    }
+
+    /**
+     * Wait until a node reconnects or the connection timeout passes
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _waitForConnection() {
+        const deadline = Date.now() + this.options.connectionTimeout;
+        while (!this.closed && Date.now() < deadline) {
+            if (this.nodes.some(node => node.connected)) return;
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+    }
+
+    /**
+     * Pick the next healthy node in round-robin order
+     * @param {Set} exclude - Nodes already tried for this request
+     * @returns {object|null} - Pool node entry
+     * @private
+     */
+    _pickNode(exclude) {
+        const count = this.nodes.length;
+        for (let i = 0; i < count; i++) {
+            const node = this.nodes[(this.nextNodeIndex + i) % count];
+            if (node.connected && node.healthy && !exclude.has(node)) {
+                this.nextNodeIndex = (this.nextNodeIndex + i + 1) % count;
+                return node;
+            }
+        }
+
+        // Fall back to a connected node that failed its last health check
+        return this.nodes.find(node => node.connected && !exclude.has(node)) || null;
+    }
+
+    /**
+     * Handle the socket of a node closing unexpectedly
+     * @param {object} node - Pool node entry
+     * @private
+     */
+    _handleDisconnect(node) {
+        if (this.closed || !node.connected) return;
+        this._markDown(node, new Error('Socket closed'));
+    }
+
+    /**
+     * Take a node out of rotation and schedule a reconnect
+     * @param {object} node - Pool node entry
+     * @param {Error} error - Error that caused the failure
+     * @private
+     */
+    _markDown(node, error) {
+        node.connected = false;
+        node.healthy = false;
+        node.lastError = error;
+        node.failures++;
+        this._scheduleReconnect(node);
+        this._notifyStatus();
+    }
+
+    /**
+     * Reconnect a node after a backoff delay
+     * @param {object} node - Pool node entry
+     * @private
+     */
+    _scheduleReconnect(node) {
+        if (this.closed || node.reconnectTimer) return;
+
+        const delay = this._backoffDelay(node.failures);
+        node.reconnectTimer = setTimeout(async () => {
+            node.reconnectTimer = null;
+            if (this.closed || node.connected) return;
+
+            try {
+                if (node.client) {
+                    node.client.removeAllListeners?.('disconnected');
+                    await node.client.disconnect().catch(() => {});
+                }
+                await this._connectNode(node);
+                await this.checkHealth();
+            } catch (error) {
+                // _connectNode already scheduled the next attempt
+            }
+        }, delay);
+    }
+
+    /**
+     * Exponential backoff delay with jitter
+     * @param {number} attempt - Zero-based attempt number
+     * @returns {number} - Delay in milliseconds
+     * @private
+     */
+    _backoffDelay(attempt) {
+        const base = this.options.retryBackoff * Math.pow(2, Math.min(attempt, 10));
+        const jitter = Math.random() * this.options.retryBackoff;
+        return Math.min(base + jitter, this.options.maxRetryBackoff);
+    }
+
+    /**
+     * Start periodic server_info health checks
+     * @private
+     */
+    _startHealthChecks() {
+        if (this.healthCheckTimer || !this.options.healthCheckInterval) return;
+
+        this.healthCheckTimer = setInterval(() => {
+            this.checkHealth().catch(error => {
+                console.warn('XRPL health check failed:', error);
+            });
+        }, this.options.healthCheckInterval);
+    }
+
+    /**
+     * Whether an error means the node is unreachable rather than the request being invalid
+     * @param {Error} error - Error thrown by xrpl.js
+     * @returns {boolean}
+     * @private
+     */
+    _isConnectionError(error) {
+        return !!error && CONNECTION_ERROR_NAMES.includes(error.name);
+    }
+
+    /**
+     * Report the pool status through the onStatusChange callback
+     * @private
+     */
+    _notifyStatus() {
+        if (typeof this.options.onStatusChange !== 'function') return;
+
+        const healthy = this.nodes.filter(node => node.healthy).length;
+        const connected = this.nodes.filter(node => node.connected).length;
+        this.options.onStatusChange(`${healthy}/${this.nodes.length} nodes healthy (${connected} connected)`);
+    }
+}
+
+export default XRPLConnectionPool;
@@ -0,0 +1,172 @@
+/**
+ * Crawl Frontier
+ * Priority queue of wallets waiting to be visited during network analysis.
+ * Candidates are ranked by proximity to the root, value transferred and risk,
+ * so the node budget goes to the most relevant wallets first instead of the
+ * first branch a depth-first walk happens to follow.
+ */
+
+export class CrawlFrontier {
+    /**
+     * @param {object} settings - Frontier settings
+     * @param {object} settings.weights - Relevance weights for proximity, value and risk
+     * @param {number} settings.valueScale - Transfer value (XRP) that counts as fully relevant
+     */
+    constructor(settings = {}) {
+        this.settings = {
+            weights: { proximity: 0.5, value: 0.3, risk: 0.2 },
+            valueScale: 100000,
+            ...settings
+        };
+        this.candidates = new Map();
+        this.seen = new Set();
+    }
+
+    /**
+     * Number of candidates waiting to be visited
+     * @returns {number}
+     */
+    get size() {
+        return this.candidates.size;
+    }
+
+    /**
+     * Whether an address was ever queued, including ones already popped
+     * @param {string} address - XRPL address
+     * @returns {boolean}
+     */
+    has(address) {
+        return this.seen.has(address);
+    }
+
+    /**
+     * Queue an address, or merge a new edge into an address that is still queued
+     * @param {string} address - XRPL address
+     * @param {object} discovery - How the address was found
+     * @param {number} discovery.depth - Hops from the root
+     * @param {string} discovery.parent - Address the edge was found on (null for the root)
+     * @param {string} discovery.transactionType - Transaction type of the edge
+     * @param {number} discovery.value - Value transferred along the edge
+     * @param {number} discovery.risk - Risk hint for the address (0-1)
+     * @param {object} discovery.link - Link properties to add once the address becomes a node
+     * @param {object} discovery.data - Extra data carried to the node
+     * @returns {boolean} - True if the address was newly queued
+     */
+    push(address, discovery) {
+        const existing = this.candidates.get(address);
+
+        if (existing) {
+            existing.value += discovery.value || 0;
+            existing.risk = Math.max(existing.risk, discovery.risk || 0);
+            if (discovery.link) {
+                existing.links.push({ source: discovery.parent, ...discovery.link });
+            }
+            // A shorter path replaces the recorded reason
+            if (discovery.depth < existing.depth) {
+                existing.depth = discovery.depth;
+                existing.parent = discovery.parent;
+                existing.transactionType = discovery.transactionType;
+            }
+            existing.relevance = this._relevance(existing);
+            return false;
+        }
+
+        if (this.seen.has(address)) return false;
+
+        const candidate = {
+            address,
+            depth: discovery.depth,
+            parent: discovery.parent || null,
+            transactionType: discovery.transactionType || null,
+            value: discovery.value || 0,
+            risk: discovery.risk || 0,
+            links: discovery.link ? [{ source: discovery.parent, ...discovery.link }] : [],
+            data: discovery.data || {}
+        };
+        candidate.relevance = this._relevance(candidate);
+
+        this.candidates.set(address, candidate);
+        this.seen.add(address);
+        return true;
+    }
+
+    /**
+     * Remove and return the most relevant candidates
+     * @param {number} count - Maximum number of candidates to take
+     * @returns {Array<object>} - Candidates, most relevant first
+     */
+    popBatch(count) {
+        const batch = [...this.candidates.values()]
+            .sort((a, b) => this._compare(a, b))
+            .slice(0, Math.max(0, count));
+
+        for (const candidate of batch) {
+            this.candidates.delete(candidate.address);
+        }
+        return batch;
+    }
+
+    /**
+     * Put candidates back after a round was interrupted
+     * @param {Array<object>} candidates - Candidates returned by popBatch
+     */
+    requeue(candidates) {
+        for (const candidate of candidates) {
+            this.candidates.set(candidate.address, candidate);
+        }
+    }
+
+    /**
+     * Serializable snapshot for checkpoints
+     * @returns {object} - Queued candidates and every address seen so far
+     */
+    toJSON() {
+        return {
+            candidates: [...this.candidates.values()],
+            seen: [...this.seen]
+        };
+    }
+
+    /**
+     * Rebuild a frontier from a snapshot
+     * @param {object} snapshot - Result of toJSON
+     * @param {object} settings - Frontier settings
+     * @returns {CrawlFrontier}
+     */
+    static fromJSON(snapshot, settings) {
+        const frontier = new CrawlFrontier(settings);
+        for (const candidate of snapshot.candidates || []) {
+            frontier.candidates.set(candidate.address, candidate);
+        }
+        frontier.seen = new Set(snapshot.seen || []);
+        return frontier;
+    }
+
+    /**
+     * Score a candidate between 0 and 1
+     * @param {object} candidate - Queued candidate
+     * @returns {number} - Relevance
+     * @private
+     */
+    _relevance(candidate) {
+        const { weights, valueScale } = this.settings;
+        const proximity = 1 / (1 + candidate.depth);
+        const value = Math.min(1, Math.log10(1 + candidate.value) / Math.log10(1 + valueScale));
+        const risk = Math.min(1, Math.max(0, candidate.risk));
+
+        return weights.proximity * proximity + weights.value * value + weights.risk * risk;
+    }
+
+    /**
+     * Order by relevance, then depth, then address so runs are reproducible
+     * @param {object} a - Candidate
+     * @param {object} b - Candidate
+     * @returns {number}
+     * @private
+     */
+    _compare(a, b) {
+        if (b.relevance !== a.relevance) return b.relevance - a.relevance;
+        if (a.depth !== b.depth) return a.depth - b.depth;
+        return a.address < b.address ? -1 : a.address > b.address ? 1 : 0;
+    }
+}
@@ -0,0 +1,438 @@
+/**
+ * Creator History
+ * Builds the track record of a token creator: every token issued by the wallet
+ * and by the wallets linked to it (accounts it activated and accounts deleted
+ * into it, which stay readable through account_tx after deletion), and how each
+ * of those tokens ended:
+ *   liquidityPulled - the creator's wallets withdrew most of the XRP from the token's AMM pool
+ *   dumpedByIssuer  - the creator's wallets sold the token for XRP on the DEX, in amounts large
+ *                     against its pool or supply, or right after its price peaked
+ *   priceCollapse   - the price fell from its peak on real volume and did not come back
+ *   abandoned       - the issuer was deleted or went quiet while the token stopped trading
+ *
+ * Trades come from Offer fills and pool balances in the wallets' transaction
+ * metadata, prices from the InFTF Data API candles passed in by the caller.
+ */
+
+import { CREATOR_HISTORY_SETTINGS } from './config.js';
+import { extractFills } from './dex-analyzer.js';
+import { txTime, succeeded, formatTime, amountValue, isToken, issuedAmount, createdAccountRoot, poolXrp } from './ledger-utils.js';
+
+const DAY_MS = 86400000;
+
+const AMM_TYPES = ['AMMCreate', 'AMMDeposit', 'AMMWithdraw'];
+
+// How each outcome reads in findings and the UI, worst first
+export const TOKEN_OUTCOMES = {
+    liquidityPulled: 'Liquidity pulled',
+    dumpedByIssuer: 'Dumped by issuer',
+    priceCollapse: 'Price collapse',
+    abandoned: 'Abandoned',
+    active: 'Active'
+};
+
+// Outcomes that count as a rug
+export const RUG_OUTCOMES = ['liquidityPulled', 'dumpedByIssuer', 'priceCollapse'];
+
+export class CreatorHistoryAnalyzer {
+    /**
+     * @param {object} settings - Overrides for CREATOR_HISTORY_SETTINGS
+     */
+    constructor(settings = {}) {
+        this.settings = { ...CREATOR_HISTORY_SETTINGS, ...settings };
+    }
+
+    /**
+     * Track record of a creator and its linked wallets
+     * @param {XRPLService} service - Service (or a priority/signal view of it) to read the ledger with
+     * @param {string} creator - Creator address
+     * @param {Function} priceHistory - (currency, issuer, start, service) => Promise<Array> of candles, oldest first, read through the given service view
+     * @returns {Promise<object>} - Track record
+     */
+    async analyzeCreator(service, creator, priceHistory = async () => []) {
+        const histories = new Map();
+        histories.set(creator, await this._readHistory(service, creator, this.settings.creatorTransactions));
+
+        const links = [
+            { account: creator, relation: 'creator', time: null, hash: null },
+            ...findLinkedAccounts(creator, histories.get(creator).transactions).slice(0, this.settings.maxLinkedWallets)
+        ];
+        for (const link of links.slice(1)) {
+            histories.set(link.account, await this._readHistory(service, link.account, this.settings.linkedTransactions));
+        }
+
+        const accounts = links.map(link => describeAccount(link, histories.get(link.account)));
+        const tokens = findIssuedTokens(histories);
+
+        // Outstanding supply of the accounts that still exist; deleted accounts cannot have any
+        for (const account of accounts.filter(entry => !entry.deleted)) {
+            for (const issued of await this._readOutstanding(service, account.account)) {
+                const id = `${issued.currency}-${account.account}`;
+                const token = tokens.get(id) || { id, currency: issued.currency, issuer: account.account, issuedAt: null, hash: null };
+                token.outstanding = parseFloat(issued.amount);
+                tokens.set(id, token);
+            }
+        }
+
+        // Price histories are read within the time budget; tokens not judged by then are left out
+        // and the track record is marked truncated
+        const budget = AbortSignal.timeout(this.settings.timeBudget);
+        const judging = service.withSignal(service.signal ? AbortSignal.any([service.signal, budget]) : budget);
+        const judged = [];
+        for (const token of tokens.values()) {
+            if (budget.aborted) break;
+
+            let candles;
+            try {
+                candles = await priceHistory(token.currency, token.issuer, token.issuedAt, judging);
+            } catch (error) {
+                if (!budget.aborted || (service.signal && service.signal.aborted)) throw error;
+                break;
+            }
+            const issuer = accounts.find(account => account.account === token.issuer);
+            judged.push(judgeToken(token, { histories, candles, issuer, now: service.now() }, this.settings));
+        }
+
+        return summarizeTrackRecord(creator, accounts, judged, tokens.size > judged.length);
+    }
+
+    /**
+     * Obligations of an account by currency, empty if they could not be read
+     * @param {XRPLService} service - Service view
+     * @param {string} account - Address
+     * @returns {Promise<Array<object>>} - [{ currency, amount, issuer }]
+     * @private
+     */
+    async _readOutstanding(service, account) {
+        try {
+            return await service.getIssuedTokens(account);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            // A linked wallet deleted past the history that was read no longer has an account
+            console.warn(`No outstanding balances for ${account}: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Read an account's history oldest first, and its newest transaction if the read stopped short
+     * @param {XRPLService} service - Service view
+     * @param {string} account - Address
+     * @param {number} maxTransactions - Transactions to read
+     * @returns {Promise<object>} - { transactions, truncated, latest }
+     * @private
+     */
+    async _readHistory(service, account, maxTransactions) {
+        const transactions = [];
+        for await (const tx of service.iterateAccountTransactions(account, { forward: true, maxTransactions })) {
+            transactions.push(tx);
+        }
+
+        const truncated = transactions.length >= maxTransactions;
+        let latest = transactions[transactions.length - 1] || null;
+        if (truncated) {
+            for await (const tx of service.iterateAccountTransactions(account, { forward: false, maxTransactions: 1 })) {
+                latest = tx;
+            }
+        }
+        return { transactions, truncated, latest };
+    }
+}
+
+/**
+ * Accounts the creator activated, and accounts deleted with the creator as destination
+ * @param {string} creator - Creator address
+ * @param {Array<object>} transactions - The creator's transactions, oldest first, with `meta`
+ * @returns {Array<object>} - [{ account, relation, time, hash }]
+ */
+export function findLinkedAccounts(creator, transactions) {
+    const links = new Map();
+    for (const tx of transactions) {
+        if (!succeeded(tx)) continue;
+
+        let link = null;
+        if (tx.TransactionType === 'Payment' && tx.Account === creator && createdAccountRoot(tx, tx.Destination)) {
+            link = { account: tx.Destination, relation: 'activated' };
+        } else if (tx.TransactionType === 'AccountDelete' && tx.Destination === creator && tx.Account !== creator) {
+            link = { account: tx.Account, relation: 'deletedInto' };
+        }
+        if (link && link.account !== creator && !links.has(link.account)) {
+            links.set(link.account, { ...link, time: txTime(tx), hash: tx.hash });
+        }
+    }
+    return [...links.values()];
+}
+
+/**
+ * Tokens first issued by each account, read from its Payments of its own IOU
+ * @param {Map<string, object>} histories - { transactions } by address
+ * @returns {Map<string, object>} - { id, currency, issuer, issuedAt, hash } by token id
+ */
+export function findIssuedTokens(histories) {
+    const tokens = new Map();
+    for (const [account, history] of histories) {
+        for (const tx of history.transactions) {
+            if (tx.Account !== account || !succeeded(tx)) continue;
+
+            const issued = issuedAmount(tx, account);
+            const id = issued ? `${issued.currency}-${account}` : null;
+            if (id && !tokens.has(id)) {
+                tokens.set(id, { id, currency: issued.currency, issuer: account, issuedAt: txTime(tx), hash: tx.hash });
+            }
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Decide how one token ended
+ * @param {object} token - { id, currency, issuer, issuedAt, hash, outstanding }
+ * @param {object} context - { histories, candles, issuer (account description), now }
+ * @param {object} settings - CREATOR_HISTORY_SETTINGS
+ * @returns {object} - Token with its outcome and the evidence for it
+ */
+export function judgeToken(token, context, settings = CREATOR_HISTORY_SETTINGS) {
+    const { histories, candles = [], issuer = null, now = Date.now() } = context;
+
+    const sales = insiderSales(histories, token);
+    const pool = poolActivity(histories, token);
+    const price = summarizePrice(candles);
+
+    const lastActivity = Math.max(
+        issuer && issuer.lastActivity !== null ? issuer.lastActivity : 0,
+        price && price.lastTrade !== null ? price.lastTrade : 0
+    ) || null;
+    const deleted = issuer ? issuer.deleted : null;
+
+    // A sale only counts as a dump when it was large for the token: against its pool,
+    // against its outstanding supply, or made right after the price peaked
+    const dump = {
+        liquidityShare: pool ? (sales.xrp / pool.peakXrp) * 100 : 0,
+        supplyShare: token.outstanding > 0 ? (sales.tokens / token.outstanding) * 100 : 0,
+        afterPump: !!price && price.peakTime !== null && sales.times.some(time =>
+            time >= price.peakTime && time - price.peakTime <= settings.dumpWindowDays * DAY_MS)
+    };
+
+    const checks = {
+        liquidityPulled: !!pool && pool.share >= settings.pullShare,
+        dumpedByIssuer: sales.xrp >= settings.dumpXrp && (dump.liquidityShare >= settings.dumpLiquidityShare ||
+            dump.supplyShare >= settings.dumpSupplyShare || dump.afterPump),
+        // A price that barely traded can swing on a single small order
+        priceCollapse: !!price && price.volumeXrp >= settings.collapseVolumeXrp &&
+            (price.sharpDrop || price.dropFromPeak >= settings.collapseShare),
+        abandoned: !!deleted || (lastActivity !== null && now - lastActivity >= settings.abandonDays * DAY_MS)
+    };
+    const outcome = Object.keys(checks).find(check => checks[check]) || 'active';
+
+    const reasons = [];
+    if (checks.liquidityPulled) {
+        reasons.push(`Creator wallets withdrew ${Math.round(pool.withdrawnXrp)} XRP, ${pool.share.toFixed(0)}% of the pool`);
+    }
+    if (checks.dumpedByIssuer) {
+        const scale = [];
+        if (dump.liquidityShare >= settings.dumpLiquidityShare) {
+            scale.push(`${dump.liquidityShare.toFixed(0)}% of the pool's peak liquidity`);
+        }
+        if (dump.supplyShare >= settings.dumpSupplyShare) {
+            scale.push(`${dump.supplyShare.toFixed(0)}% of the supply`);
+        }
+        if (dump.afterPump) {
+            scale.push('right after the price peaked');
+        }
+        reasons.push(`Creator wallets sold ${token.currency} for ${Math.round(sales.xrp)} XRP (${scale.join(', ')})`);
+    }
+    if (checks.priceCollapse) {
+        reasons.push(`Price fell ${price.dropFromPeak.toFixed(0)}% from its peak on ${Math.round(price.volumeXrp)} XRP of volume`);
+    }
+    if (checks.abandoned) {
+        reasons.push(deleted
+            ? `Issuer account deleted on ${formatTime(deleted.time)}`
+            : `No issuer or trading activity since ${formatTime(lastActivity)}`);
+    }
+
+    const end = deleted && deleted.time !== null ? deleted.time : lastActivity || now;
+    return {
+        ...token,
+        outstanding: token.outstanding !== undefined ? token.outstanding : 0,
+        outcome,
+        rug: RUG_OUTCOMES.includes(outcome),
+        checks,
+        reasons,
+        lifetimeDays: token.issuedAt !== null ? Math.max(0, (end - token.issuedAt) / DAY_MS) : null,
+        lastActivity,
+        sales,
+        dump,
+        pool,
+        price,
+        transactions: [token.hash, ...sales.transactions, ...(pool ? pool.transactions : [])].filter(Boolean)
+    };
+}
+
+/**
+ * Add up a creator's token outcomes
+ * @param {string} creator - Creator address
+ * @param {Array<object>} accounts - Account descriptions
+ * @param {Array<object>} tokens - Judged tokens
+ * @param {boolean} truncated - Whether some tokens were not judged
+ * @returns {object} - Track record
+ */
+export function summarizeTrackRecord(creator, accounts, tokens, truncated = false) {
+    const outcomes = {};
+    for (const outcome of Object.keys(TOKEN_OUTCOMES)) {
+        outcomes[outcome] = tokens.filter(token => token.outcome === outcome).length;
+    }
+    const lifetimes = tokens.map(token => token.lifetimeDays).filter(days => days !== null);
+
+    return {
+        creator,
+        accounts,
+        tokens,
+        outcomes,
+        previousRugs: tokens.filter(token => token.rug).length,
+        averageTokenLifetime: lifetimes.length > 0 ? lifetimes.reduce((a, b) => a + b, 0) / lifetimes.length : 0,
+        truncated: truncated || accounts.some(account => account.truncated)
+    };
+}
+
+/**
+ * Whether the first traded intervals carried far more XRP volume than the ones after
+ * @param {Array<object>} candles - Candles, oldest first
+ * @returns {boolean}
+ */
+export function hasVolumeBurst(candles) {
+    // Requires at least 10 traded intervals to analyze
+    const traded = (candles || []).filter(candle => candle.exchanges > 0);
+    if (traded.length < 10) return false;
+
+    // XRP volume of the first 5 traded intervals against the next 5
+    const volume = slice => slice.reduce((total, candle) => total + candle.counter_volume, 0);
+    return volume(traded.slice(0, 5)) > volume(traded.slice(5, 10)) * 3;
+}
+
+/**
+ * Whether the average close of 3 traded intervals fell by 70% or more over the next 3
+ * @param {Array<object>} candles - Candles, oldest first
+ * @returns {boolean}
+ */
+export function hasSharpDrop(candles) {
+    // Requires at least 6 traded intervals to analyze
+    const closes = (candles || []).filter(candle => candle.exchanges > 0).map(candle => candle.close);
+    if (closes.length < 6) return false;
+
+    const average = slice => slice.reduce((a, b) => a + b, 0) / slice.length;
+    for (let i = 0; i + 6 <= closes.length; i++) {
+        if (average(closes.slice(i + 3, i + 6)) < average(closes.slice(i, i + 3)) * 0.3) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function describeAccount(link, history) {
+    const deletion = history.transactions.find(tx => tx.TransactionType === 'AccountDelete' &&
+        tx.Account === link.account && succeeded(tx));
+    return {
+        ...link,
+        deleted: deletion ? { time: txTime(deletion), hash: deletion.hash, destination: deletion.Destination } : null,
+        transactions: history.transactions.length,
+        lastActivity: history.latest ? txTime(history.latest) : null,
+        truncated: history.truncated
+    };
+}
+
+// XRP the creator's wallets received for the token from outside buyers
+function insiderSales(histories, token) {
+    const seen = new Set();
+    const transactions = new Set();
+    const times = [];
+    let xrp = 0;
+    let tokens = 0;
+
+    for (const [account, history] of histories) {
+        for (const tx of history.transactions) {
+            if (!succeeded(tx)) continue;
+
+            for (const fill of extractFills(tx)) {
+                // Trades between the creator's own wallets move nothing to outsiders
+                if (histories.has(fill.maker) && histories.has(fill.taker)) continue;
+
+                const key = `${fill.hash}:${fill.maker}:${fill.sequence}`;
+                if (seen.has(key)) continue;
+
+                // The wallet's offer sold the token, or the wallet sold the token into someone's bid
+                let sale = null;
+                if (fill.maker === account && isToken(fill.gave, token) && typeof fill.got === 'string') {
+                    sale = { xrp: amountValue(fill.got), tokens: amountValue(fill.gave) };
+                } else if (fill.taker === account && isToken(fill.got, token) && typeof fill.gave === 'string') {
+                    sale = { xrp: amountValue(fill.gave), tokens: amountValue(fill.got) };
+                }
+                if (!sale) continue;
+
+                seen.add(key);
+                xrp += sale.xrp;
+                tokens += sale.tokens;
+                transactions.add(tx.hash);
+                if (tx.date !== undefined) times.push(txTime(tx));
+            }
+        }
+    }
+    return { xrp, tokens, times, transactions: [...transactions] };
+}
+
+// Liquidity the creator's wallets put into and took out of the token's XRP pool
+function poolActivity(histories, token) {
+    const seen = new Set();
+    const transactions = [];
+    let peakXrp = 0;
+    let withdrawnXrp = 0;
+
+    for (const [account, history] of histories) {
+        for (const tx of history.transactions) {
+            if (tx.Account !== account || !AMM_TYPES.includes(tx.TransactionType) || !succeeded(tx)) continue;
+            if (!isTokenPool(tx, token) || seen.has(tx.hash)) continue;
+            seen.add(tx.hash);
+
+            const balance = poolXrp(tx);
+            if (!balance) continue;
+
+            peakXrp = Math.max(peakXrp, balance.before, balance.after);
+            if (tx.TransactionType === 'AMMWithdraw' && balance.after < balance.before) {
+                withdrawnXrp += balance.before - balance.after;
+                transactions.push(tx.hash);
+            }
+        }
+    }
+
+    if (peakXrp === 0) return null;
+    return {
+        peakXrp,
+        withdrawnXrp,
+        share: Math.min(100, (withdrawnXrp / peakXrp) * 100),
+        transactions
+    };
+}
+
+function summarizePrice(candles) {
+    const traded = (candles || []).filter(candle => candle.exchanges > 0);
+    if (traded.length === 0) return null;
+
+    const peakCandle = traded.reduce((best, candle) => (candle.close > best.close ? candle : best));
+    const peak = peakCandle.close;
+    const last = traded[traded.length - 1].close;
+    return {
+        peak,
+        peakTime: Date.parse(peakCandle.timestamp) || null,
+        last,
+        volumeXrp: traded.reduce((total, candle) => total + (candle.counter_volume || 0), 0),
+        dropFromPeak: peak > 0 ? ((peak - last) / peak) * 100 : 0,
+        sharpDrop: hasSharpDrop(traded),
+        volumeBurst: hasVolumeBurst(traded),
+        lastTrade: Date.parse(traded[traded.length - 1].timestamp) || null
+    };
+}
+
+function isTokenPool(tx, token) {
+    const assets = [tx.Asset, tx.Asset2, tx.Amount, tx.Amount2].filter(Boolean);
+    return assets.some(asset => asset.currency === 'XRP' || typeof asset === 'string') &&
+        assets.some(asset => isToken(asset, token));
+}
@@ -0,0 +1,274 @@
+/**
+ * InFTF XRPL Data API client
+ * Typed wrapper for the DEX endpoints of the XRP Ledger Data API described in
+ * xrp-ledger-data-api-provided-by-the-inftf (1).json.
+ *
+ * List endpoints return at most one page per request; the x-has-more-data header
+ * says whether more is available, fetched by passing the number of entries already
+ * read as `skip`. Every response carries x-ratelimit-* headers: the scheduler behind
+ * the fetcher waits them out, and the client keeps the latest values in `rateLimit`.
+ */
+
+import { API_ENDPOINTS, DATA_API_SETTINGS } from './config.js';
+
+/**
+ * @typedef {object} Exchange - One trade (schema Exchange)
+ * @property {number} base_amount - Base currency traded
+ * @property {number} counter_amount - Counter currency traded
+ * @property {number} rate - Counter currency per unit of base
+ * @property {string} buyer - Account that acquired the base currency
+ * @property {string} seller - Account that acquired the counter currency
+ * @property {string} provider - Account whose offer or AMM pool provided the liquidity
+ * @property {string} taker - Account that sent the transaction
+ * @property {boolean} provider_is_amm - Whether the trade went through an AMM
+ * @property {number} ledger_index - Ledger that included the trade
+ * @property {string} tx_hash - Transaction hash
+ * @property {string} executed_time - ISO date-time
+ */
+
+/**
+ * @typedef {object} MarketData - One OHLC candle (schema MarketData)
+ * @property {number} open - Rate at the start of the interval
+ * @property {number} high - Highest rate in the interval
+ * @property {number} low - Lowest rate in the interval
+ * @property {number} close - Rate at the end of the interval
+ * @property {number} base_volume - Base currency traded
+ * @property {number} base_volume_buy - Base currency bought
+ * @property {number} base_volume_sell - Base currency sold
+ * @property {number} counter_volume - Counter currency traded
+ * @property {number} counter_volume_buy - Counter currency bought
+ * @property {number} counter_volume_sell - Counter currency sold
+ * @property {number} exchanges - Trades in the interval
+ * @property {number} unique_buyers - Distinct buying accounts
+ * @property {number} unique_sellers - Distinct selling accounts
+ * @property {string} timestamp - ISO start of the interval
+ */
+
+/**
+ * @typedef {object} VolumeData - Volume of a currency across all its pairs (schema VolumeData)
+ * @property {number} volume - Volume in the interval
+ * @property {number} exchanges - Trades in the interval
+ * @property {number} distinct_pairs - Pairs traded in the interval
+ * @property {string} timestamp - ISO start of the interval
+ */
+
+/**
+ * @typedef {object} TickerData - Summary of a pair over one interval (schema TickerDataSingle)
+ * @property {string} date_from - ISO start
+ * @property {string} date_to - ISO end
+ * @property {number} first - First rate
+ * @property {number} high - Highest rate
+ * @property {number} low - Lowest rate
+ * @property {number} last - Last rate
+ * @property {number} base_volume - Base currency traded
+ * @property {number} counter_volume - Counter currency traded
+ * @property {number} exchanges - Trades
+ * @property {number} trend_interval - Rate trend against the previous interval
+ */
+
+/**
+ * Raised for non-2xx responses from the Data API
+ */
+export class DataApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {object} details - { status, url, body }
+     */
+    constructor(message, { status, url, body = null }) {
+        super(message);
+        this.name = 'DataApiError';
+        this.status = status;
+        this.url = url;
+        this.body = body;
+    }
+}
+
+/**
+ * Currency identifier the API expects in paths: 'XRP' or '<issuer>_<currency>'
+ * @param {string} currency - Currency code
+ * @param {string} issuer - Issuer address (ignored for XRP)
+ * @returns {string}
+ */
+export function assetId(currency, issuer = null) {
+    return currency === 'XRP' ? 'XRP' : `${issuer}_${currency}`;
+}
+
+export class DataApiClient {
+    /**
+     * @param {Function} fetcher - (url, options) => Promise<Response>, e.g. a service's scheduled fetch
+     * @param {object} settings - Overrides for DATA_API_SETTINGS
+     */
+    constructor(fetcher, settings = {}) {
+        this.fetcher = fetcher;
+        this.settings = { ...DATA_API_SETTINGS, ...settings };
+        this.baseUrl = this.settings.baseUrl || API_ENDPOINTS.inftfData;
+        // Shared with the views from withFetcher
+        this.state = { rateLimit: null };
+    }
+
+    /**
+     * { limit, remaining, reset } from the latest response of this client or its views, or null
+     * @returns {object|null}
+     */
+    get rateLimit() {
+        return this.state.rateLimit;
+    }
+
+    /**
+     * Get a view of this client that sends its requests through another fetcher
+     * (e.g. a priority or signal view of the service) and shares its rate-limit state
+     * @param {Function} fetcher - (url, options) => Promise<Response>
+     * @returns {DataApiClient} - Client view
+     */
+    withFetcher(fetcher) {
+        const view = Object.create(this);
+        view.fetcher = fetcher;
+        return view;
+    }
+
+    /**
+     * Raw trades of a pair (getExchanges)
+     * @param {string} base - Base asset id
+     * @param {string} counter - Counter asset id
+     * @param {object} query - account, start, end, exclude_amm, only_amm, min_base_volume, min_counter_volume, descending
+     * @returns {Promise<Array<Exchange>>}
+     */
+    async getExchanges(base, counter, query = {}) {
+        return this._list(`/iou/exchanges/${base}/${counter}`, query);
+    }
+
+    /**
+     * OHLC candles of a pair (getMarketData)
+     * @param {string} base - Base asset id
+     * @param {string} counter - Counter asset id
+     * @param {object} query - interval (required, e.g. '1h'), start, end, exclude_amm, only_amm, descending, ...
+     * @returns {Promise<Array<MarketData>>}
+     */
+    async getMarketData(base, counter, query = {}) {
+        return this._list(`/iou/market_data/${base}/${counter}`, { interval: this.settings.interval, ...query });
+    }
+
+    /**
+     * Volume of a currency across all its pairs (getVolumeData)
+     * @param {string} base - Base asset id
+     * @param {object} query - interval (required), start, end, exclude_amm, only_amm, descending
+     * @returns {Promise<Array<VolumeData>>}
+     */
+    async getVolumeData(base, query = {}) {
+        return this._list(`/iou/volume_data/${base}`, { interval: this.settings.interval, ...query });
+    }
+
+    /**
+     * Ticker of a pair over one interval (getTickerDataBaseCounter)
+     * @param {string} base - Base asset id
+     * @param {string} counter - Counter asset id
+     * @param {object} query - interval (required, e.g. '1d'), date, exclude_amm, only_amm
+     * @returns {Promise<TickerData|null>} - Ticker, or null if the pair has not traded
+     */
+    async getTickerData(base, counter, query = {}) {
+        const { body } = await this._get(`/iou/ticker_data/${base}/${counter}`, { interval: '1d', ...query });
+        return Array.isArray(body) ? body[0] || null : body;
+    }
+
+    /**
+     * Walk a list endpoint page by page, following x-has-more-data with skip
+     * @param {string} path - Endpoint path
+     * @param {object} query - Query parameters
+     * @returns {AsyncGenerator<object>} - Entries in API order
+     */
+    async *paginate(path, query = {}) {
+        let skip = 0;
+        while (skip < this.settings.maxItems) {
+            const { body, response } = await this._get(path, {
+                ...query,
+                skip,
+                limit: Math.min(this.settings.pageSize, this.settings.maxItems - skip)
+            });
+            const entries = Array.isArray(body) ? body : [];
+            for (const entry of entries) {
+                yield entry;
+            }
+            skip += entries.length;
+
+            if (entries.length === 0 || response.headers.get('x-has-more-data') !== 'true') return;
+        }
+    }
+
+    /**
+     * Collect a list endpoint into an array, up to settings.maxItems
+     * @param {string} path - Endpoint path
+     * @param {object} query - Query parameters
+     * @returns {Promise<Array>}
+     * @private
+     */
+    async _list(path, query) {
+        const entries = [];
+        for await (const entry of this.paginate(path, query)) {
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    /**
+     * GET an endpoint and parse its JSON body
+     * @param {string} path - Endpoint path
+     * @param {object} query - Query parameters; undefined and null values are left out
+     * @returns {Promise<object>} - { body, response }
+     * @private
+     */
+    async _get(path, query = {}) {
+        const url = this._url(path, query);
+        const response = await this.fetcher(url, { headers: { accept: 'application/json' } });
+        this._readRateLimit(response);
+
+        const text = await response.text();
+        let body = null;
+        try {
+            body = text ? JSON.parse(text) : null;
+        } catch (error) {
+            body = text;
+        }
+
+        if (!response.ok) {
+            const reason = body && body.message ? body.message : response.statusText;
+            throw new DataApiError(`Data API ${response.status} for ${path}: ${reason}`, { status: response.status, url, body });
+        }
+        return { body, response };
+    }
+
+    /**
+     * @param {string} path - Endpoint path
+     * @param {object} query - Query parameters
+     * @returns {string} - Full URL
+     * @private
+     */
+    _url(path, query) {
+        const params = new URLSearchParams();
+        for (const [name, value] of Object.entries(query)) {
+            if (value === undefined || value === null) continue;
+            // The API wants date-times as 1970-01-01T00:00:00Z
+            params.set(name, value instanceof Date ? value.toISOString().replace(/\.\d{3}Z$/, 'Z') : String(value));
+        }
+        const search = params.toString();
+        return `${this.baseUrl}${path}${search ? `?${search}` : ''}`;
+    }
+
+    /**
+     * @param {Response} response - HTTP response
+     * @private
+     */
+    _readRateLimit(response) {
+        const header = name => {
+            const value = parseInt(response.headers.get(name), 10);
+            return isNaN(value) ? null : value;
+        };
+        const limit = header('x-ratelimit-limit');
+        if (limit !== null) {
+            this.state.rateLimit = {
+                limit,
+                remaining: header('x-ratelimit-remaining'),
+                reset: header('x-ratelimit-reset')
+            };
+        }
+    }
+}
@@ -0,0 +1,289 @@
+/**
+ * DEX Analyzer
+ * Looks at a token's token/XRP order book and at how the issuer and the token's
+ * early wallets trade on it:
+ *   - the standing asks and bids from book_offers, and insiders' share of them (sell walls)
+ *   - offers placed and cancelled again before anything filled (spoofing)
+ *   - sells that walked the bids down a long way in one transaction (dumps into thin books)
+ *
+ * Fills are rebuilt from the Offer entries in transaction metadata: a consumed
+ * offer's TakerGets/TakerPays shrink by what its owner gave and got.
+ */
+
+import { DEX_SETTINGS } from './config.js';
+import { txTime, amountValue, isToken } from './ledger-utils.js';
+
+export class DexAnalyzer {
+    /**
+     * @param {object} settings - Overrides for DEX_SETTINGS
+     */
+    constructor(settings = {}) {
+        this.settings = { ...DEX_SETTINGS, ...settings };
+    }
+
+    /**
+     * Analyze the token/XRP book and the offer activity of the token's insiders
+     * @param {XRPLService} service - Service (or a priority/signal view of it) to read the ledger with
+     * @param {string} currency - Token currency code
+     * @param {string} issuer - Token issuer address
+     * @param {Map<string, string>} insiders - Role ('issuer', 'creator', 'early') by address
+     * @returns {Promise<object>} - { book, wallets, alerts }
+     */
+    async analyzeToken(service, currency, issuer, insiders = new Map()) {
+        const token = { currency, issuer };
+        const xrp = { currency: 'XRP' };
+
+        const asks = await service.getBookOffers(token, xrp, this.settings.bookLimit);
+        const bids = await service.getBookOffers(xrp, token, this.settings.bookLimit);
+        const book = summarizeBook(asks, bids, insiders);
+
+        // The issuer first, then the other insiders
+        const accounts = [...insiders.keys()]
+            .sort((a, b) => (insiders.get(b) === 'issuer') - (insiders.get(a) === 'issuer'))
+            .slice(0, this.settings.maxWallets);
+
+        const wallets = [];
+        for (const account of accounts) {
+            const transactions = [];
+            for await (const tx of service.iterateAccountTransactions(account, {
+                forward: true,
+                types: ['OfferCreate', 'OfferCancel', 'Payment'],
+                maxTransactions: this.settings.walletTransactions
+            })) {
+                transactions.push(tx);
+            }
+
+            const activity = analyzeOfferActivity(account, transactions, token, this.settings);
+            if (activity.placed > 0 || activity.sells.length > 0) {
+                wallets.push({ ...activity, role: insiders.get(account) });
+            }
+        }
+
+        return {
+            pair: `${currency}/XRP`,
+            book,
+            wallets,
+            alerts: findAlerts(book, wallets, this.settings)
+        };
+    }
+}
+
+/**
+ * Fills a transaction made against standing offers, read from its metadata
+ * @param {object} tx - Transaction with `meta`
+ * @returns {Array<object>} - [{ maker, sequence, taker, gave, got, hash }], amounts from the maker's side
+ */
+export function extractFills(tx) {
+    const fills = [];
+    for (const node of (tx.meta && tx.meta.AffectedNodes) || []) {
+        const entry = node.ModifiedNode || node.DeletedNode;
+        if (!entry || entry.LedgerEntryType !== 'Offer') continue;
+
+        // An offer removed without PreviousFields was cancelled or unfunded, not filled
+        const previous = entry.PreviousFields;
+        const final = entry.FinalFields;
+        if (!previous || !final || previous.TakerGets === undefined) continue;
+
+        fills.push({
+            maker: final.Account,
+            sequence: final.Sequence,
+            taker: tx.Account,
+            gave: subtractAmount(previous.TakerGets, final.TakerGets),
+            got: subtractAmount(previous.TakerPays, final.TakerPays),
+            hash: tx.hash
+        });
+    }
+    return fills;
+}
+
+/**
+ * Summarize both sides of a token/XRP book
+ * @param {Array<object>} asks - Offers selling the token for XRP
+ * @param {Array<object>} bids - Offers buying the token with XRP
+ * @param {Map<string, string>} insiders - Role by address
+ * @returns {object} - { asks, bids, spread, walls }
+ */
+export function summarizeBook(asks, bids, insiders = new Map()) {
+    // Prices are XRP per token on both sides
+    const side = (offers, tokenField, xrpField) => {
+        const levels = offers.map(offer => {
+            const tokens = amountValue(offer[tokenField]);
+            const xrp = amountValue(offer[xrpField]);
+            return { account: offer.Account, tokens, xrp, price: tokens > 0 ? xrp / tokens : 0 };
+        });
+        const tokens = levels.reduce((total, level) => total + level.tokens, 0);
+
+        const byAccount = new Map();
+        for (const level of levels) {
+            byAccount.set(level.account, (byAccount.get(level.account) || 0) + level.tokens);
+        }
+        const owners = [...byAccount.entries()]
+            .map(([account, held]) => ({
+                account,
+                role: insiders.get(account) || null,
+                tokens: held,
+                share: tokens > 0 ? (held / tokens) * 100 : 0
+            }))
+            .sort((a, b) => b.tokens - a.tokens);
+
+        return {
+            count: levels.length,
+            tokens,
+            xrp: levels.reduce((total, level) => total + level.xrp, 0),
+            bestPrice: levels.length > 0 ? levels[0].price : null,
+            owners: owners.slice(0, 10),
+            insiderShare: owners.filter(owner => owner.role).reduce((total, owner) => total + owner.share, 0)
+        };
+    };
+
+    const askSide = side(asks, 'TakerGets', 'TakerPays');
+    const bidSide = side(bids, 'TakerPays', 'TakerGets');
+    const spread = askSide.bestPrice && bidSide.bestPrice
+        ? ((askSide.bestPrice - bidSide.bestPrice) / askSide.bestPrice) * 100
+        : null;
+
+    return { asks: askSide, bids: bidSide, spread };
+}
+
+/**
+ * Offer behavior of one wallet on a token/XRP pair
+ * @param {string} account - Wallet address
+ * @param {Array<object>} transactions - Transactions affecting the wallet, oldest first, with `meta`
+ * @param {object} token - { currency, issuer }
+ * @param {object} settings - { spoofWindowMinutes, thinBookImpact, minSellXrp }
+ * @returns {object} - { account, placed, cancelled, quickCancels, filledOffers, sells, thinSells, soldXrp }
+ */
+export function analyzeOfferActivity(account, transactions, token, settings = DEX_SETTINGS) {
+    const offers = new Map();
+    const quickCancels = [];
+    const sells = [];
+    let cancelled = 0;
+
+    for (const tx of transactions) {
+        if (tx.meta && tx.meta.TransactionResult && tx.meta.TransactionResult !== 'tesSUCCESS') continue;
+        const time = txTime(tx);
+
+        const fills = extractFills(tx).filter(fill => isPair(fill.gave, fill.got, token));
+        for (const fill of fills) {
+            const offer = offers.get(fill.sequence);
+            if (fill.maker === account && offer) {
+                offer.filled = true;
+            }
+        }
+
+        if (tx.Account !== account) continue;
+
+        for (const node of (tx.meta && tx.meta.AffectedNodes) || []) {
+            // Offers the wallet left on the book
+            const created = node.CreatedNode;
+            if (created && created.LedgerEntryType === 'Offer' && created.NewFields.Account === account &&
+                isPair(created.NewFields.TakerGets, created.NewFields.TakerPays, token)) {
+                offers.set(created.NewFields.Sequence, {
+                    side: isToken(created.NewFields.TakerGets, token) ? 'ask' : 'bid',
+                    placedAt: time,
+                    hash: tx.hash,
+                    filled: false
+                });
+            }
+
+            // Offers the wallet took off the book without them being filled
+            const deleted = node.DeletedNode;
+            if (deleted && deleted.LedgerEntryType === 'Offer' && !deleted.PreviousFields &&
+                deleted.FinalFields.Account === account && offers.has(deleted.FinalFields.Sequence)) {
+                const offer = offers.get(deleted.FinalFields.Sequence);
+                cancelled++;
+                if (!offer.filled && offer.placedAt !== null && time !== null &&
+                    time - offer.placedAt <= settings.spoofWindowMinutes * 60000) {
+                    quickCancels.push({ side: offer.side, seconds: (time - offer.placedAt) / 1000, transactions: [offer.hash, tx.hash] });
+                }
+            }
+        }
+
+        // The wallet sold the token into the bids
+        const sold = fills.filter(fill => isToken(fill.got, token));
+        if (sold.length > 0) {
+            const prices = sold.map(fill => amountValue(fill.gave) / amountValue(fill.got)).filter(Number.isFinite);
+            const xrp = sold.reduce((total, fill) => total + amountValue(fill.gave), 0);
+            sells.push({
+                time,
+                hash: tx.hash,
+                xrp,
+                tokens: sold.reduce((total, fill) => total + amountValue(fill.got), 0),
+                levels: sold.length,
+                // How far one sell pushed the price down
+                impact: prices.length > 1 ? ((Math.max(...prices) - Math.min(...prices)) / Math.max(...prices)) * 100 : 0
+            });
+        }
+    }
+
+    return {
+        account,
+        placed: offers.size,
+        cancelled,
+        quickCancels,
+        filledOffers: [...offers.values()].filter(offer => offer.filled).length,
+        sells,
+        thinSells: sells.filter(sell => sell.xrp >= settings.minSellXrp && sell.impact >= settings.thinBookImpact),
+        soldXrp: sells.reduce((total, sell) => total + sell.xrp, 0)
+    };
+}
+
+/**
+ * Turn the book and wallet activity into alerts
+ * @param {object} book - Book summary
+ * @param {Array<object>} wallets - Offer activity of insiders
+ * @param {object} settings - { wallShare, minSpoofs }
+ * @returns {Array<object>} - [{ id, severity, title, description, accounts, transactions }]
+ */
+function findAlerts(book, wallets, settings) {
+    const alerts = [];
+
+    const wallOwners = book.asks.owners.filter(owner => owner.role);
+    if (book.asks.insiderShare >= settings.wallShare) {
+        alerts.push({
+            id: 'sellWall',
+            severity: 'high',
+            title: 'Insider sell wall',
+            description: `Insiders own ${book.asks.insiderShare.toFixed(0)}% of the tokens offered for sale`,
+            accounts: wallOwners.map(owner => owner.account),
+            transactions: []
+        });
+    }
+
+    for (const wallet of wallets) {
+        if (wallet.quickCancels.length >= settings.minSpoofs) {
+            alerts.push({
+                id: 'spoofing',
+                severity: 'medium',
+                title: 'Offers placed and cancelled',
+                description: `${wallet.account} cancelled ${wallet.quickCancels.length} of ${wallet.placed} offers within ${settings.spoofWindowMinutes} minutes without a fill`,
+                accounts: [wallet.account],
+                transactions: wallet.quickCancels.flatMap(cancel => cancel.transactions)
+            });
+        }
+        if (wallet.thinSells.length > 0) {
+            const worst = wallet.thinSells.reduce((a, b) => (b.impact > a.impact ? b : a));
+            alerts.push({
+                id: 'thinBookSell',
+                severity: 'high',
+                title: 'Large sell into a thin book',
+                description: `${wallet.account} made ${wallet.thinSells.length} large sell${wallet.thinSells.length > 1 ? 's' : ''}; the worst took ${Math.round(worst.xrp)} XRP and moved the price ${worst.impact.toFixed(0)}%`,
+                accounts: [wallet.account],
+                transactions: wallet.thinSells.map(sell => sell.hash)
+            });
+        }
+    }
+
+    return alerts;
+}
+
+function subtractAmount(before, after) {
+    if (typeof before === 'string') {
+        return String(Number(before) - Number(after || 0));
+    }
+    return { ...before, value: String(parseFloat(before.value) - parseFloat(after ? after.value : 0)) };
+}
+
+function isPair(a, b, token) {
+    return (isToken(a, token) && typeof b === 'string') || (typeof a === 'string' && isToken(b, token));
+}
@@ -0,0 +1,167 @@
+/**
+ * Entity Registry
+ * Labels for exchanges, bridges, AMM pools and known projects, and the tag-aware
+ * addresses the analyzer uses for their customers. A custodial service receives for
+ * everyone at one hot wallet and tells deposits apart by destination tag, so a payment
+ * to an exchange with a tag is keyed `address:tag`: one tag is one customer, and two
+ * tags are two unrelated people even though the ledger shows a single account.
+ *
+ * The built-in KNOWN_ENTITIES can be extended with an external list (ENTITY_LIST_URL)
+ * in the same shape, keyed by address:
+ *   { "rAddress": { "name": "Some Bridge", "type": "bridge" }, ... }
+ * where type is one of ENTITY_TYPES. Listed entries override built-in ones.
+ */
+
+import { KNOWN_ENTITIES, HIGH_RISK_ADDRESSES, VALIDATORS } from './config.js';
+
+// Display names for entity types
+export const ENTITY_TYPES = {
+    exchange: 'Exchange',
+    bridge: 'Bridge',
+    amm: 'AMM pool',
+    project: 'Project',
+    custodial: 'Custodial wallet',
+    genesis: 'Genesis account'
+};
+
+// Entity types that hold funds for many customers behind one address
+const CUSTODIAL_TYPES = ['exchange', 'bridge', 'custodial'];
+
+// Entities by address: KNOWN_ENTITIES plus any list registered since
+const registry = new Map(Object.entries(KNOWN_ENTITIES));
+
+// AccountRoot flag lsfRequireDestTag: payments without a destination tag are refused
+const REQUIRE_DEST_TAG = 0x00020000;
+
+// Addresses listed with a tag are shared deposit addresses even when the registry does not name them
+const TAGGED_LISTINGS = new Set(
+    HIGH_RISK_ADDRESSES.filter(id => addressTag(id) !== null).map(id => baseAddress(id))
+);
+
+/**
+ * Account part of an address that may carry a tag
+ * @param {string} id - Address or `address:tag`
+ * @returns {string} - Address
+ */
+export function baseAddress(id) {
+    return id.split(':')[0];
+}
+
+/**
+ * Tag part of an address
+ * @param {string} id - Address or `address:tag`
+ * @returns {number|null} - Tag, or null if the address has none
+ */
+export function addressTag(id) {
+    const tag = id.split(':')[1];
+    return tag === undefined ? null : Number(tag);
+}
+
+/**
+ * Known entity for an address; a tagged address belongs to the entity of its account
+ * @param {string} id - Address or `address:tag`
+ * @returns {object|null} - { name, type } from KNOWN_ENTITIES or a registered list
+ */
+export function knownEntity(id) {
+    const address = baseAddress(id);
+    if (registry.has(address)) {
+        return registry.get(address);
+    }
+    return TAGGED_LISTINGS.has(address) ? { name: 'Shared deposit address', type: 'custodial' } : null;
+}
+
+/**
+ * Add entities from an external list to the registry
+ * Entries with an invalid address, no name or an unknown type are skipped
+ * @param {object} list - { name, type } by address
+ * @returns {number} - Entities registered
+ */
+export function registerEntities(list) {
+    let registered = 0;
+    for (const [address, entity] of Object.entries(list || {})) {
+        if (!VALIDATORS.address.test(address) || !entity || !entity.name || !ENTITY_TYPES[entity.type]) {
+            console.warn(`Skipping invalid entity list entry for ${address}`);
+            continue;
+        }
+        registry.set(address, { name: String(entity.name), type: entity.type });
+        registered++;
+    }
+    return registered;
+}
+
+/**
+ * Whether an entity holds funds for many customers behind one address
+ * @param {object|null} entity - Entity from knownEntity or recognizeAccount
+ * @returns {boolean}
+ */
+export function isCustodial(entity) {
+    return !!entity && CUSTODIAL_TYPES.includes(entity.type);
+}
+
+/**
+ * Recognize an entity from the registry or from its AccountRoot
+ * @param {string} address - Address
+ * @param {object|null} accountInfo - account_info data, if it was read
+ * @returns {object|null} - { name, type, inferred } or null for an ordinary wallet
+ */
+export function recognizeAccount(address, accountInfo = null) {
+    const entity = knownEntity(address);
+    if (entity || !accountInfo) {
+        return entity;
+    }
+    if (accountInfo.AMMID) {
+        return { name: ENTITY_TYPES.amm, type: 'amm', inferred: true };
+    }
+    if (Number(accountInfo.Flags || 0) & REQUIRE_DEST_TAG) {
+        return { name: ENTITY_TYPES.custodial, type: 'custodial', inferred: true };
+    }
+    return null;
+}
+
+/**
+ * Address a payment was sent to, with its destination tag if the receiver is custodial
+ * @param {object} tx - Payment
+ * @param {object|null} entity - Receiver's entity if it was recognized from its AccountRoot; defaults to the registry
+ * @returns {string} - Address or `address:tag`
+ */
+export function paymentDestination(tx, entity = knownEntity(tx.Destination)) {
+    return counterparty(tx.Destination, tx.DestinationTag, entity);
+}
+
+/**
+ * Address a payment came from, with its source tag if the sender is custodial
+ * @param {object} tx - Payment
+ * @param {object|null} entity - Sender's entity if it was recognized from its AccountRoot; defaults to the registry
+ * @returns {string} - Address or `address:tag`
+ */
+export function paymentSource(tx, entity = knownEntity(tx.Account)) {
+    return counterparty(tx.Account, tx.SourceTag, entity);
+}
+
+/**
+ * Whether an address is on the high-risk list
+ * A listing with a tag matches only that customer; a listing without one matches every tag
+ * @param {string} id - Address or `address:tag`
+ * @returns {boolean}
+ */
+export function isHighRiskAddress(id) {
+    return HIGH_RISK_ADDRESSES.includes(id) || HIGH_RISK_ADDRESSES.includes(baseAddress(id));
+}
+
+/**
+ * Display name of an entity address, with the customer tag if it has one
+ * @param {string} id - Address or `address:tag`
+ * @param {object} entity - Entity of the address
+ * @returns {string}
+ */
+export function entityLabel(id, entity) {
+    const tag = addressTag(id);
+    return tag === null ? entity.name : `${entity.name} #${tag}`;
+}
+
+function counterparty(address, tag, entity) {
+    if (tag === undefined || tag === null || !isCustodial(entity)) {
+        return address;
+    }
+    return `${address}:${tag}`;
+}
@@ -0,0 +1,412 @@
+/**
+ * Graph Analytics
+ * Structure of the wallet graph a scan built: Louvain communities, degree, betweenness
+ * and PageRank centrality, bridges and articulation points, and k-core numbers.
+ *
+ * Only wallets and the links observed between them (payments, trust lines) are used;
+ * tokens, graph layers and links the analyzer infers are left out. Given each token's
+ * insiders, it also measures how much of the traffic between them a wallet routes:
+ * the share of insider pairs' shortest paths that run through it, kept from minBrokerage up.
+ */
+
+import { GRAPH_SETTINGS } from './config.js';
+import { addressTag } from './entity-registry.js';
+
+export class GraphAnalyzer {
+    /**
+     * @param {object} settings - Overrides for GRAPH_SETTINGS
+     */
+    constructor(settings = {}) {
+        this.settings = { ...GRAPH_SETTINGS, ...settings };
+    }
+
+    /**
+     * Analyze the wallet graph of a scan
+     * @param {object} networkData - { nodes, links } as built by NetworkAnalyzer
+     * @param {Map<string, Map<string, string>>} insidersByToken - Insider roles by address, by token node id
+     * @returns {object} - { nodes: Map<id, metrics>, communities, modularity, bridges, articulationPoints }
+     */
+    analyze(networkData, insidersByToken = new Map()) {
+        const graph = buildGraph(networkData, this.settings.derivedLinkTypes);
+        const { membership, communities, modularity } = detectCommunities(graph);
+        const betweenness = betweennessCentrality(graph);
+        const ranks = pageRank(graph, this.settings);
+        const { bridges, articulationPoints } = findBridges(graph);
+        const cores = coreNumbers(graph);
+
+        // Wallets that route traffic between a token's insiders, without being one of them
+        const brokerage = new Map();
+        for (const [token, insiders] of insidersByToken) {
+            for (const [account, routed] of insiderBrokerage(graph, [...insiders.keys()])) {
+                if (insiders.has(account) || routed.share < this.settings.minBrokerage) continue;
+                brokerage.set(account, [...(brokerage.get(account) || []), { token, ...routed }]);
+            }
+        }
+
+        const nodes = new Map(graph.nodes.map(id => [id, {
+            community: membership.get(id),
+            degree: graph.adjacency.get(id).size,
+            betweenness: betweenness.get(id),
+            pageRank: ranks.get(id),
+            coreNumber: cores.get(id),
+            coreNeighbors: [...graph.adjacency.get(id)].filter(other => cores.get(other) >= cores.get(id)),
+            articulationPoint: articulationPoints.has(id),
+            bridges: bridges.filter(bridge => bridge.includes(id)).length,
+            brokerage: (brokerage.get(id) || []).sort((a, b) => b.share - a.share)
+        }]));
+
+        return {
+            nodes,
+            communities: communities
+                .filter(community => community.members.length >= this.settings.minCommunitySize)
+                .map(community => ({
+                    ...community,
+                    // Highest PageRank first, so the first member is the community's hub
+                    members: [...community.members].sort((a, b) => ranks.get(b) - ranks.get(a) || a.localeCompare(b))
+                })),
+            modularity,
+            bridges,
+            articulationPoints: [...articulationPoints]
+        };
+    }
+}
+
+/**
+ * Undirected wallet graph, plus the direction of each link for PageRank
+ * @param {object} networkData - { nodes, links }
+ * @param {Array<string>} derivedLinkTypes - Link transaction types to leave out
+ * @returns {object} - { nodes: [id], adjacency: Map<id, Set<id>>, outgoing: Map<id, Set<id>> }
+ */
+export function buildGraph(networkData, derivedLinkTypes = GRAPH_SETTINGS.derivedLinkTypes) {
+    // An exchange or pool address would tie its unrelated customers together; tagged customers stay
+    const nodes = networkData.nodes
+        .filter(node => node.type === 'wallet' && !node.layer && !(node.entity && addressTag(node.id) === null))
+        .map(node => node.id)
+        .sort();
+    const adjacency = new Map(nodes.map(id => [id, new Set()]));
+    const outgoing = new Map(nodes.map(id => [id, new Set()]));
+    const derived = new Set(derivedLinkTypes);
+
+    for (const link of networkData.links) {
+        if (link.layer || derived.has(link.transactionType)) continue;
+
+        const source = typeof link.source === 'object' ? link.source.id : link.source;
+        const target = typeof link.target === 'object' ? link.target.id : link.target;
+        if (source === target || !adjacency.has(source) || !adjacency.has(target)) continue;
+
+        adjacency.get(source).add(target);
+        adjacency.get(target).add(source);
+        outgoing.get(source).add(target);
+    }
+
+    return { nodes, adjacency, outgoing };
+}
+
+/**
+ * Louvain communities: move wallets between communities while modularity improves,
+ * then merge each community into one node and repeat on the smaller graph
+ * @param {object} graph - Result of buildGraph
+ * @returns {object} - { membership: Map<id, community>, communities: [{ id, members }], modularity }
+ */
+export function detectCommunities(graph) {
+    // Weighted adjacency; every observed link weighs 1
+    const base = new Map(graph.nodes.map(id => [id, new Map([...graph.adjacency.get(id)].map(other => [other, 1]))]));
+    const labels = new Map(graph.nodes.map(id => [id, id]));
+
+    let level = base;
+    for (;;) {
+        const assignment = moveNodes(level);
+        if (new Set(assignment.values()).size === level.size) break;
+
+        for (const [id, label] of labels) {
+            labels.set(id, assignment.get(label));
+        }
+        level = aggregate(level, assignment);
+    }
+
+    // Number communities from the largest down
+    const groups = new Map();
+    for (const id of graph.nodes) {
+        groups.set(labels.get(id), [...(groups.get(labels.get(id)) || []), id]);
+    }
+    const communities = [...groups.values()]
+        .sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]))
+        .map((members, index) => ({ id: index + 1, members }));
+
+    const membership = new Map();
+    for (const community of communities) {
+        for (const id of community.members) {
+            membership.set(id, community.id);
+        }
+    }
+
+    return { membership, communities, modularity: modularity(base, membership) };
+}
+
+/**
+ * Betweenness centrality (Brandes), as the share of the other wallets' pairs whose shortest paths run through each wallet
+ * @param {object} graph - Result of buildGraph
+ * @returns {Map<string, number>} - 0-1 by wallet
+ */
+export function betweennessCentrality(graph) {
+    const centrality = new Map(graph.nodes.map(id => [id, 0]));
+
+    for (const source of graph.nodes) {
+        const { order, paths, predecessors } = shortestPaths(graph, source);
+        const dependency = new Map(order.map(id => [id, 0]));
+        for (let i = order.length - 1; i >= 0; i--) {
+            const id = order[i];
+            for (const predecessor of predecessors.get(id)) {
+                dependency.set(predecessor, dependency.get(predecessor) +
+                    (paths.get(predecessor) / paths.get(id)) * (1 + dependency.get(id)));
+            }
+            if (id !== source) {
+                centrality.set(id, centrality.get(id) + dependency.get(id));
+            }
+        }
+    }
+
+    // Every pair was counted from both of its ends
+    const pairs = (graph.nodes.length - 1) * (graph.nodes.length - 2);
+    for (const [id, value] of centrality) {
+        centrality.set(id, pairs > 0 ? value / pairs : 0);
+    }
+    return centrality;
+}
+
+/**
+ * PageRank along the direction funds and trust lines point
+ * @param {object} graph - Result of buildGraph
+ * @param {object} settings - { damping, maxIterations, tolerance }
+ * @returns {Map<string, number>} - Rank by wallet; ranks add up to 1
+ */
+export function pageRank(graph, settings = GRAPH_SETTINGS) {
+    const count = graph.nodes.length;
+    let rank = new Map(graph.nodes.map(id => [id, 1 / count]));
+
+    for (let iteration = 0; iteration < settings.maxIterations; iteration++) {
+        // Wallets without outgoing links spread their rank over everyone
+        const dangling = graph.nodes
+            .filter(id => graph.outgoing.get(id).size === 0)
+            .reduce((total, id) => total + rank.get(id), 0);
+        const base = (1 - settings.damping) / count + (settings.damping * dangling) / count;
+
+        const next = new Map(graph.nodes.map(id => [id, base]));
+        for (const id of graph.nodes) {
+            const targets = graph.outgoing.get(id);
+            for (const target of targets) {
+                next.set(target, next.get(target) + (settings.damping * rank.get(id)) / targets.size);
+            }
+        }
+
+        const change = graph.nodes.reduce((total, id) => total + Math.abs(next.get(id) - rank.get(id)), 0);
+        rank = next;
+        if (change < settings.tolerance) break;
+    }
+    return rank;
+}
+
+/**
+ * Bridges (links whose removal splits the graph) and articulation points (wallets whose removal does), by Tarjan's low-link method
+ * @param {object} graph - Result of buildGraph
+ * @returns {object} - { bridges: [[a, b]], articulationPoints: Set<id> }
+ */
+export function findBridges(graph) {
+    const discovered = new Map();
+    const low = new Map();
+    const bridges = [];
+    const articulationPoints = new Set();
+    let time = 0;
+
+    const visit = (id, parent) => {
+        discovered.set(id, time);
+        low.set(id, time);
+        time++;
+
+        let children = 0;
+        for (const other of graph.adjacency.get(id)) {
+            if (!discovered.has(other)) {
+                children++;
+                visit(other, id);
+                low.set(id, Math.min(low.get(id), low.get(other)));
+                if (low.get(other) > discovered.get(id)) {
+                    bridges.push([id, other]);
+                }
+                if (parent !== null && low.get(other) >= discovered.get(id)) {
+                    articulationPoints.add(id);
+                }
+            } else if (other !== parent) {
+                low.set(id, Math.min(low.get(id), discovered.get(other)));
+            }
+        }
+        if (parent === null && children > 1) {
+            articulationPoints.add(id);
+        }
+    };
+
+    for (const id of graph.nodes) {
+        if (!discovered.has(id)) visit(id, null);
+    }
+    return { bridges, articulationPoints };
+}
+
+/**
+ * k-core number of each wallet: the largest k such that it sits in a subgraph where every wallet has k neighbors
+ * @param {object} graph - Result of buildGraph
+ * @returns {Map<string, number>}
+ */
+export function coreNumbers(graph) {
+    const degree = new Map(graph.nodes.map(id => [id, graph.adjacency.get(id).size]));
+    const remaining = new Set(graph.nodes);
+    const cores = new Map();
+    let core = 0;
+
+    // Peel off the wallet with the fewest remaining neighbors until none are left
+    while (remaining.size > 0) {
+        let next = null;
+        for (const id of remaining) {
+            if (next === null || degree.get(id) < degree.get(next)) next = id;
+        }
+        core = Math.max(core, degree.get(next));
+        cores.set(next, core);
+        remaining.delete(next);
+        for (const other of graph.adjacency.get(next)) {
+            if (remaining.has(other)) degree.set(other, degree.get(other) - 1);
+        }
+    }
+    return cores;
+}
+
+/**
+ * How much of the traffic between a set of insiders each wallet routes
+ * @param {object} graph - Result of buildGraph
+ * @param {Array<string>} insiders - Insider addresses
+ * @returns {Map<string, object>} - { share, pairs } by wallet on a shortest path between two insiders:
+ *   share of the connected insider pairs' shortest paths through it (0-1), and the pairs it sits between
+ */
+export function insiderBrokerage(graph, insiders) {
+    const present = insiders.filter(id => graph.adjacency.has(id)).sort();
+    const searches = new Map(present.map(id => [id, shortestPaths(graph, id)]));
+    const routed = new Map();
+    let connectedPairs = 0;
+
+    for (let i = 0; i < present.length; i++) {
+        for (let j = i + 1; j < present.length; j++) {
+            const from = searches.get(present[i]);
+            const to = searches.get(present[j]);
+            if (!from.distance.has(present[j])) continue;
+
+            connectedPairs++;
+            const length = from.distance.get(present[j]);
+            const total = from.paths.get(present[j]);
+            for (const [id, distance] of from.distance) {
+                if (distance === 0 || distance >= length || distance + to.distance.get(id) !== length) continue;
+
+                const entry = routed.get(id) || { routed: 0, pairs: [] };
+                entry.routed += (from.paths.get(id) * to.paths.get(id)) / total;
+                entry.pairs.push([present[i], present[j]]);
+                routed.set(id, entry);
+            }
+        }
+    }
+
+    return new Map([...routed].map(([id, entry]) => [id, { share: entry.routed / connectedPairs, pairs: entry.pairs }]));
+}
+
+// Breadth-first search from one wallet: hop counts, number of shortest paths, and predecessors on them
+function shortestPaths(graph, source) {
+    const distance = new Map([[source, 0]]);
+    const paths = new Map([[source, 1]]);
+    const predecessors = new Map([[source, []]]);
+    const order = [];
+
+    const queue = [source];
+    for (let head = 0; head < queue.length; head++) {
+        const id = queue[head];
+        order.push(id);
+        for (const other of graph.adjacency.get(id)) {
+            if (!distance.has(other)) {
+                distance.set(other, distance.get(id) + 1);
+                paths.set(other, 0);
+                predecessors.set(other, []);
+                queue.push(other);
+            }
+            if (distance.get(other) === distance.get(id) + 1) {
+                paths.set(other, paths.get(other) + paths.get(id));
+                predecessors.get(other).push(id);
+            }
+        }
+    }
+    return { distance, paths, predecessors, order };
+}
+
+// One pass of Louvain: move each node to the neighboring community with the best modularity gain until none moves
+function moveNodes(graph) {
+    const ids = [...graph.keys()];
+    const strength = new Map(ids.map(id => [id, [...graph.get(id).values()].reduce((total, weight) => total + weight, 0)]));
+    const total = [...strength.values()].reduce((sum, value) => sum + value, 0);
+    const community = new Map(ids.map(id => [id, id]));
+    const communityStrength = new Map(strength);
+    if (total === 0) return community;
+
+    let moved = true;
+    while (moved) {
+        moved = false;
+        for (const id of ids) {
+            const current = community.get(id);
+            const own = strength.get(id);
+            communityStrength.set(current, communityStrength.get(current) - own);
+
+            const weights = new Map();
+            for (const [other, weight] of graph.get(id)) {
+                if (other === id) continue;
+                weights.set(community.get(other), (weights.get(community.get(other)) || 0) + weight);
+            }
+
+            let best = current;
+            let bestGain = (weights.get(current) || 0) - (communityStrength.get(current) * own) / total;
+            for (const [candidate, weight] of weights) {
+                const gain = weight - (communityStrength.get(candidate) * own) / total;
+                if (gain > bestGain + 1e-12) {
+                    best = candidate;
+                    bestGain = gain;
+                }
+            }
+
+            communityStrength.set(best, communityStrength.get(best) + own);
+            if (best !== current) {
+                community.set(id, best);
+                moved = true;
+            }
+        }
+    }
+    return community;
+}
+
+// Merge each community into one node; links inside it become a self-loop
+function aggregate(graph, community) {
+    const merged = new Map();
+    for (const [id, neighbors] of graph) {
+        const row = merged.get(community.get(id)) || new Map();
+        for (const [other, weight] of neighbors) {
+            row.set(community.get(other), (row.get(community.get(other)) || 0) + weight);
+        }
+        merged.set(community.get(id), row);
+    }
+    return merged;
+}
+
+function modularity(graph, membership) {
+    let total = 0;
+    let inside = 0;
+    const strength = new Map();
+    for (const [id, neighbors] of graph) {
+        for (const [other, weight] of neighbors) {
+            total += weight;
+            strength.set(membership.get(id), (strength.get(membership.get(id)) || 0) + weight);
+            if (membership.get(id) === membership.get(other)) inside += weight;
+        }
+    }
+    if (total === 0) return 0;
+    return inside / total - [...strength.values()].reduce((sum, value) => sum + (value / total) ** 2, 0);
+}
@@ -0,0 +1,165 @@
+/**
+ * Issuer Audit
+ * Decodes an issuer's account flags and settings from account_info and its signer
+ * list, and names the combinations that let the issuer take back or lock holders' tokens.
+ */
+
+// AccountRoot flags (lsf*)
+export const ACCOUNT_FLAGS = {
+    passwordSpent: 0x00010000,
+    requireDestTag: 0x00020000,
+    requireAuth: 0x00040000,
+    disallowXRP: 0x00080000,
+    disableMaster: 0x00100000,
+    noFreeze: 0x00200000,
+    globalFreeze: 0x00400000,
+    defaultRipple: 0x00800000,
+    depositAuth: 0x01000000,
+    allowTrustLineClawback: 0x80000000
+};
+
+// Addresses nobody holds the key for; a regular key set to one of them cannot sign
+export const BLACKHOLE_ADDRESSES = [
+    'rrrrrrrrrrrrrrrrrrrrrhoLvTp', // ACCOUNT_ZERO
+    'rrrrrrrrrrrrrrrrrrrrBZbvji', // ACCOUNT_ONE
+    'rrrrrrrrrrrrrrrrrNAMEtxvNvQ',
+    'rrrrrrrrrrrrrrrrrrrn5RM1rHd'
+];
+
+// TransferRate is a multiplier in billionths; 1000000000 (or unset) means no fee
+const TRANSFER_RATE_ONE = 1000000000;
+
+// Settings that are dangerous together
+const COMBINATIONS = [
+    {
+        id: 'reversibleHoldings',
+        severity: 'high',
+        title: 'Holdings can be frozen and clawed back',
+        description: 'Issuer keys are live, clawback is enabled and NoFreeze is not set: holders\' tokens can be frozen and clawed back at any time',
+        test: audit => !audit.blackholed && audit.flags.allowTrustLineClawback && !audit.flags.noFreeze
+    },
+    {
+        id: 'globalFreeze',
+        severity: 'high',
+        title: 'Global freeze is on',
+        description: 'Global freeze is on: holders can only send tokens back to the issuer',
+        test: audit => audit.flags.globalFreeze
+    },
+    {
+        id: 'changeableFee',
+        severity: 'medium',
+        title: 'Transfer fee can be raised',
+        description: 'Issuer charges a transfer fee and can still raise it',
+        test: audit => !audit.blackholed && audit.transferFee > 0
+    },
+    {
+        id: 'noRippling',
+        severity: 'medium',
+        title: 'Holders cannot pay each other',
+        description: 'DefaultRipple is off: holders cannot send tokens to each other through the issuer',
+        test: audit => !audit.flags.defaultRipple
+    }
+];
+
+/**
+ * Decode AccountRoot flags
+ * @param {number} flags - Flags field of the account
+ * @returns {object} - true/false by flag name in ACCOUNT_FLAGS
+ */
+export function decodeAccountFlags(flags = 0) {
+    const decoded = {};
+    for (const [name, bit] of Object.entries(ACCOUNT_FLAGS)) {
+        // >>> 0 keeps the clawback bit (bit 31) positive
+        decoded[name] = ((flags & bit) >>> 0) === bit;
+    }
+    return decoded;
+}
+
+/**
+ * Build the audit of an issuer account
+ * @param {object} accountData - account_data from account_info
+ * @param {Array<object>} signerLists - SignerList ledger objects of the account
+ * @returns {object} - Audit
+ */
+export function auditAccount(accountData, signerLists = []) {
+    const flags = decodeAccountFlags(accountData.Flags);
+    const regularKey = accountData.RegularKey || null;
+    const regularKeyBlackholed = !!regularKey && BLACKHOLE_ADDRESSES.includes(regularKey);
+    const signerList = signerLists.find(entry => entry.LedgerEntryType === 'SignerList') || null;
+    const transferRate = accountData.TransferRate || TRANSFER_RATE_ONE;
+
+    const audit = {
+        account: accountData.Account,
+        flags,
+        regularKey,
+        regularKeyBlackholed,
+        signerList: signerList ? {
+            quorum: signerList.SignerQuorum,
+            signers: (signerList.SignerEntries || []).map(entry => entry.SignerEntry.Account)
+        } : null,
+        // Nothing can sign for the account any more
+        blackholed: flags.disableMaster && (!regularKey || regularKeyBlackholed) && !signerList,
+        transferFee: (transferRate / TRANSFER_RATE_ONE - 1) * 100,
+        tickSize: accountData.TickSize || null,
+        domain: accountData.Domain ? decodeDomain(accountData.Domain) : null
+    };
+
+    audit.warnings = COMBINATIONS
+        .filter(combination => combination.test(audit))
+        .map(({ id, severity, title, description }) => ({ id, severity, title, description }));
+
+    return audit;
+}
+
+/**
+ * Measured signals for the issuer risk rules
+ * @param {object} audit - Audit from auditAccount
+ * @returns {object} - Signal by rule name
+ */
+export function issuerSignals(audit) {
+    return {
+        notBlackholed: !audit.blackholed,
+        clawbackEnabled: audit.flags.allowTrustLineClawback,
+        freezeAllowed: !audit.flags.noFreeze,
+        globalFreeze: audit.flags.globalFreeze,
+        requireAuth: audit.flags.requireAuth,
+        noDefaultRipple: !audit.flags.defaultRipple,
+        transferFee: audit.transferFee,
+        noDomain: !audit.domain,
+        reversibleHoldings: audit.warnings.some(warning => warning.id === 'reversibleHoldings'),
+        // Only measured when the key-control history could be read
+        activityAfterBlackhole: audit.keyControl ? hasAlert(audit.keyControl, 'activityAfterBlackhole') : null,
+        keyChangeBeforeDump: audit.keyControl ? hasAlert(audit.keyControl, 'keyChangeBeforeDump') : null
+    };
+}
+
+/**
+ * Reads the issuer settings from the ledger
+ */
+export class IssuerAuditor {
+    /**
+     * Audit an issuer
+     * @param {XRPLService} service - Service (or a priority/signal view of it) to read the ledger with
+     * @param {string} issuer - Issuer address
+     * @returns {Promise<object>} - Audit
+     */
+    async audit(service, issuer) {
+        const accountData = await service.getAccountInfo(issuer);
+        const signerLists = await service.getAccountObjects(issuer, 'signer_list');
+        return auditAccount(accountData, signerLists);
+    }
+}
+
+function hasAlert(keyControl, id) {
+    return keyControl.alerts.some(alert => alert.id === id);
+}
+
+function decodeDomain(hex) {
+    if (!/^([0-9A-Fa-f]{2})*$/.test(hex)) return hex;
+
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return new TextDecoder().decode(bytes);
+}
@@ -0,0 +1,264 @@
+/**
+ * Key Control
+ * Rebuilds who could sign for an issuer over time from its transaction history:
+ * regular key changes, master key disable/enable and signer list changes, placed
+ * on one timeline with the issuer's token issuances and large sells.
+ *
+ * Two patterns are raised as alerts:
+ *   activityAfterBlackhole - the account looked blackholed but later sent a transaction,
+ *                            so someone kept (or regained) the power to sign for it
+ *   keyChangeBeforeDump    - signing power changed shortly before the issuer sold its token
+ */
+
+import { KEY_CONTROL_SETTINGS } from './config.js';
+import { BLACKHOLE_ADDRESSES } from './issuer-audit.js';
+import { txTime, succeeded, formatTime, issuedAmount } from './ledger-utils.js';
+
+// AccountSet flag that disables the master key (asfDisableMaster)
+const ASF_DISABLE_MASTER = 4;
+
+const CONTROL_EVENTS = ['regularKeySet', 'regularKeyRemoved', 'masterDisabled', 'masterEnabled', 'signerListSet', 'signerListRemoved'];
+
+export class KeyControlAnalyzer {
+    /**
+     * @param {object} settings - Overrides for KEY_CONTROL_SETTINGS
+     */
+    constructor(settings = {}) {
+        this.settings = { ...KEY_CONTROL_SETTINGS, ...settings };
+    }
+
+    /**
+     * Key-control timeline of an issuer from its full history, oldest first
+     * @param {XRPLService} service - Service (or a priority/signal view of it) to read the ledger with
+     * @param {string} issuer - Issuer address
+     * @returns {Promise<object>} - Timeline
+     */
+    async analyzeIssuer(service, issuer) {
+        const transactions = [];
+        for await (const tx of service.iterateAccountTransactions(issuer, {
+            forward: true,
+            maxTransactions: this.settings.maxTransactions
+        })) {
+            transactions.push(tx);
+        }
+
+        const timeline = buildKeyControlTimeline(issuer, transactions, this.settings);
+        timeline.truncated = transactions.length >= this.settings.maxTransactions;
+        return timeline;
+    }
+}
+
+/**
+ * Build the key-control timeline of an account
+ * @param {string} account - Issuer address
+ * @param {Array<object>} transactions - The account's transactions, oldest first, with `meta`
+ * @param {object} settings - { largeSellXrp, dumpWindowHours }
+ * @returns {object} - { events, alerts, blackholedAt, firstIssuance }
+ */
+export function buildKeyControlTimeline(account, transactions, settings = KEY_CONTROL_SETTINGS) {
+    // A new account signs with its master key only
+    const state = { masterDisabled: false, regularKey: null, signers: null };
+    const events = [];
+    const alerts = [];
+    const issuedCurrencies = new Set();
+    let blackholedAt = null;
+    let firstIssuance = null;
+
+    for (const tx of transactions) {
+        if (tx.Account !== account || !succeeded(tx)) continue;
+
+        const time = txTime(tx);
+
+        // Nothing should be able to sign once the account is blackholed
+        if (blackholedAt && !alerts.some(alert => alert.id === 'activityAfterBlackhole')) {
+            alerts.push({
+                id: 'activityAfterBlackhole',
+                severity: 'high',
+                title: 'Signed a transaction after looking blackholed',
+                description: `The account looked blackholed from ${formatTime(blackholedAt.time)} but sent a ${tx.TransactionType} on ${formatTime(time)}, so its keys were never really thrown away`,
+                transactions: [blackholedAt.hash, tx.hash]
+            });
+        }
+
+        for (const event of controlEvents(tx, state)) {
+            events.push(entry(event, tx, time, state));
+        }
+
+        const issued = issuedAmount(tx, account);
+        if (issued && !issuedCurrencies.has(issued.currency)) {
+            issuedCurrencies.add(issued.currency);
+            const issuance = entry({
+                type: 'issuance',
+                currency: issued.currency,
+                description: `First ${issued.currency} issued (${issued.value})`
+            }, tx, time, state);
+            events.push(issuance);
+            firstIssuance = firstIssuance || issuance;
+        }
+
+        const sell = tokenSale(tx, account);
+        if (sell && sell.xrp >= settings.largeSellXrp) {
+            events.push(entry({
+                type: 'sell',
+                currency: sell.currency,
+                xrp: sell.xrp,
+                description: `Sold ${sell.currency} for ${Math.round(sell.xrp)} XRP`
+            }, tx, time, state));
+        }
+
+        if (!blackholedAt && isBlackholed(state)) {
+            blackholedAt = { time, hash: tx.hash };
+        } else if (blackholedAt && !isBlackholed(state)) {
+            blackholedAt = null;
+        }
+    }
+
+    alerts.push(...keyChangesBeforeDumps(events, settings.dumpWindowHours));
+
+    for (const event of events) {
+        event.afterIssuanceDays = firstIssuance && event.time !== null && firstIssuance.time !== null
+            ? (event.time - firstIssuance.time) / 86400000
+            : null;
+    }
+
+    return {
+        events,
+        alerts,
+        blackholedAt: blackholedAt ? blackholedAt.time : null,
+        firstIssuance: firstIssuance ? firstIssuance.time : null
+    };
+}
+
+/**
+ * Whether an event changed who can sign for the account
+ * @param {object} event - Timeline event
+ * @returns {boolean}
+ */
+export function isControlEvent(event) {
+    return CONTROL_EVENTS.includes(event.type);
+}
+
+/**
+ * Signing changes made by a transaction; updates the running state
+ * @param {object} tx - Transaction
+ * @param {object} state - { masterDisabled, regularKey, signers }
+ * @returns {Array<object>} - Events without their transaction fields
+ */
+function controlEvents(tx, state) {
+    switch (tx.TransactionType) {
+        case 'SetRegularKey':
+            if (tx.RegularKey) {
+                state.regularKey = tx.RegularKey;
+                return [{
+                    type: 'regularKeySet',
+                    key: tx.RegularKey,
+                    description: BLACKHOLE_ADDRESSES.includes(tx.RegularKey)
+                        ? `Regular key set to blackhole address ${tx.RegularKey}`
+                        : `Regular key set to ${tx.RegularKey}`
+                }];
+            }
+            state.regularKey = null;
+            return [{ type: 'regularKeyRemoved', description: 'Regular key removed' }];
+        case 'AccountSet':
+            if (tx.SetFlag === ASF_DISABLE_MASTER) {
+                state.masterDisabled = true;
+                return [{ type: 'masterDisabled', description: 'Master key disabled' }];
+            }
+            if (tx.ClearFlag === ASF_DISABLE_MASTER) {
+                state.masterDisabled = false;
+                return [{ type: 'masterEnabled', description: 'Master key enabled again' }];
+            }
+            return [];
+        case 'SignerListSet':
+            if (tx.SignerQuorum > 0) {
+                state.signers = (tx.SignerEntries || []).map(entry => entry.SignerEntry.Account);
+                return [{
+                    type: 'signerListSet',
+                    quorum: tx.SignerQuorum,
+                    signers: state.signers,
+                    description: `Signer list set: ${tx.SignerQuorum} of ${state.signers.length} signers`
+                }];
+            }
+            state.signers = null;
+            return [{ type: 'signerListRemoved', description: 'Signer list removed' }];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Key-control changes made in the window before each large sell
+ * @param {Array<object>} events - Timeline events, oldest first
+ * @param {number} windowHours - How long before a sell a change counts
+ * @returns {Array<object>} - Alerts
+ */
+function keyChangesBeforeDumps(events, windowHours) {
+    const windowMs = windowHours * 3600000;
+    const alerts = [];
+
+    for (const sell of events.filter(event => event.type === 'sell' && event.time !== null)) {
+        const changes = events.filter(event => isControlEvent(event) && event.time !== null &&
+            event.time <= sell.time && sell.time - event.time <= windowMs);
+        if (changes.length === 0) continue;
+
+        const hours = Math.round((sell.time - changes[0].time) / 3600000);
+        alerts.push({
+            id: 'keyChangeBeforeDump',
+            severity: 'high',
+            title: 'Signing keys changed right before a sell',
+            description: `${changes.map(change => change.description).join(', ')} ${hours} hour${hours === 1 ? '' : 's'} before selling ${sell.currency} for ${Math.round(sell.xrp)} XRP`,
+            transactions: [...changes.map(change => change.hash), sell.hash]
+        });
+    }
+    return alerts;
+}
+
+function entry(event, tx, time, state) {
+    return {
+        ...event,
+        time,
+        hash: tx.hash,
+        ledgerIndex: tx.ledger_index || null,
+        // Who can sign after the transaction
+        control: {
+            masterDisabled: state.masterDisabled,
+            regularKey: state.regularKey,
+            signers: state.signers,
+            blackholed: isBlackholed(state)
+        }
+    };
+}
+
+function isBlackholed(state) {
+    return state.masterDisabled && !state.signers &&
+        (!state.regularKey || BLACKHOLE_ADDRESSES.includes(state.regularKey));
+}
+
+// The account's own token given up for XRP, by an offer or a cross-currency payment
+function tokenSale(tx, account) {
+    let given = null;
+    if (tx.TransactionType === 'OfferCreate') {
+        given = tx.TakerGets;
+    } else if (tx.TransactionType === 'Payment' && typeof tx.Amount === 'string') {
+        given = tx.SendMax;
+    }
+    if (!given || typeof given !== 'object' || given.issuer !== account) return null;
+
+    const xrp = xrpReceived(tx, account);
+    return xrp > 0 ? { currency: given.currency, xrp } : null;
+}
+
+// XRP the transaction added to the account's balance, with the fee added back
+function xrpReceived(tx, account) {
+    const nodes = (tx.meta && tx.meta.AffectedNodes) || [];
+    for (const node of nodes) {
+        const modified = node.ModifiedNode;
+        if (!modified || modified.LedgerEntryType !== 'AccountRoot') continue;
+        if (!modified.FinalFields || modified.FinalFields.Account !== account) continue;
+        if (!modified.PreviousFields || modified.PreviousFields.Balance === undefined) return 0;
+
+        const drops = Number(modified.FinalFields.Balance) - Number(modified.PreviousFields.Balance) + Number(tx.Fee || 0);
+        return drops / 1000000;
+    }
+    return 0;
+}
@@ -0,0 +1,454 @@
+/**
+ * Ledger Providers
+ * Pluggable source for the XRPL and HTTP responses XRPLService works with.
+ *   RecordingProvider  - sends requests to the live network and saves every response to a fixture
+ *   ReplayProvider     - answers only from a fixture, so a scan can be reproduced offline
+ *   MockLedgerProvider - answers from a scripted in-memory ledger, for tests
+ * Without a provider the service talks to the live network directly.
+ *
+ * Providers implement request(request, next) and fetch(url, options, next), where
+ * next performs the live call, plus now() for the clock risk rules measure ages against.
+ * Replay and mock providers report needsNetwork = false, so no connection is opened.
+ */
+
+import { RIPPLE_EPOCH } from './ledger-utils.js';
+
+export const FIXTURE_VERSION = 1;
+
+// Request fields that never change the response
+const IGNORED_KEY_FIELDS = ['id', 'api_version'];
+
+/**
+ * Raised when a replayed scan asks for something that was never recorded
+ */
+export class FixtureMissError extends Error {
+    /**
+     * @param {string} key - Request or HTTP key that was not found
+     */
+    constructor(key) {
+        super(`No recorded response for ${key}`);
+        this.name = 'FixtureMissError';
+        this.key = key;
+    }
+}
+
+/**
+ * Create an empty fixture
+ * @param {object} meta - Extra fields to store, e.g. network and address
+ * @returns {object} - Fixture
+ */
+export function createFixture(meta = {}) {
+    return {
+        version: FIXTURE_VERSION,
+        recordedAt: Date.now(),
+        ...meta,
+        requests: {},
+        http: {}
+    };
+}
+
+/**
+ * Stable key for an XRPL request: its fields sorted, without the request id
+ * @param {object} request - XRPL WebSocket API request
+ * @returns {string}
+ */
+export function requestKey(request) {
+    return Object.keys(request)
+        .filter(field => !IGNORED_KEY_FIELDS.includes(field))
+        .sort()
+        .map(field => `${field}=${JSON.stringify(request[field])}`)
+        .join('&');
+}
+
+/**
+ * Stable key for an HTTP request
+ * @param {string} url - Resource URL
+ * @param {object} options - fetch options
+ * @returns {string}
+ */
+export function httpKey(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const body = typeof options.body === 'string' ? ` ${options.body}` : '';
+    return `${method} ${url}${body}`;
+}
+
+/**
+ * Load a fixture file (Node only)
+ * @param {string} path - File path
+ * @returns {Promise<object>} - Fixture
+ */
+export async function loadFixture(path) {
+    const { readFile } = await import('node:fs/promises');
+    return JSON.parse(await readFile(path, 'utf8'));
+}
+
+/**
+ * Write a fixture file (Node only)
+ * @param {string} path - File path
+ * @param {object} fixture - Fixture
+ * @returns {Promise<void>}
+ */
+export async function saveFixture(path, fixture) {
+    const { writeFile } = await import('node:fs/promises');
+    await writeFile(path, `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+/**
+ * Passes requests through to the network and records the responses
+ */
+export class RecordingProvider {
+    /**
+     * @param {object} fixture - Fixture to record into (a new one by default)
+     */
+    constructor(fixture = createFixture()) {
+        this.fixture = fixture;
+        this.needsNetwork = true;
+        this.name = 'recording';
+    }
+
+    /**
+     * Clock for time-based risk rules, fixed at the start of the recording
+     * so that replays compute the same ages
+     * @returns {number} - Unix milliseconds
+     */
+    now() {
+        return this.fixture.recordedAt;
+    }
+
+    async request(request, next) {
+        const key = requestKey(request);
+        try {
+            const response = await next(request);
+            this.fixture.requests[key] = { response: copy(response) };
+            return response;
+        } catch (error) {
+            this.fixture.requests[key] = { error: serializeError(error) };
+            throw error;
+        }
+    }
+
+    async fetch(url, options, next) {
+        const key = httpKey(url, options);
+        try {
+            const response = await next(url, options);
+            this.fixture.http[key] = {
+                status: response.status,
+                statusText: response.statusText,
+                headers: Object.fromEntries(response.headers.entries()),
+                body: await response.clone().text()
+            };
+            return response;
+        } catch (error) {
+            // Cancelled requests say nothing about the server
+            if (error.name !== 'AbortError') {
+                this.fixture.http[key] = { error: serializeError(error) };
+            }
+            throw error;
+        }
+    }
+}
+
+/**
+ * Serves responses from a recorded fixture and never touches the network
+ */
+export class ReplayProvider {
+    /**
+     * @param {object} fixture - Fixture written by a RecordingProvider
+     */
+    constructor(fixture) {
+        if (!fixture || fixture.version !== FIXTURE_VERSION) {
+            throw new Error(`Unsupported fixture version: ${fixture && fixture.version}`);
+        }
+        this.fixture = fixture;
+        this.needsNetwork = false;
+        this.name = 'replay';
+        // Keys asked for but not recorded; the analyzer tolerates failed lookups, so callers should check
+        this.misses = [];
+    }
+
+    now() {
+        return this.fixture.recordedAt;
+    }
+
+    async request(request) {
+        const key = requestKey(request);
+        const entry = this.fixture.requests[key];
+        if (!entry) throw this._miss(key);
+        if (entry.error) throw restoreError(entry.error);
+        return copy(entry.response);
+    }
+
+    async fetch(url, options = {}) {
+        const key = httpKey(url, options);
+        const entry = this.fixture.http[key];
+        if (!entry) throw this._miss(key);
+        if (entry.error) throw restoreError(entry.error);
+        return new Response(entry.body, {
+            status: entry.status,
+            statusText: entry.statusText,
+            headers: entry.headers
+        });
+    }
+
+    /**
+     * @param {string} key - Missing request key
+     * @returns {FixtureMissError}
+     * @private
+     */
+    _miss(key) {
+        this.misses.push(key);
+        return new FixtureMissError(key);
+    }
+}
+
+/**
+ * Answers requests from a scripted ledger
+ *
+ * The ledger script looks like:
+ *   {
+ *     now: Date.UTC(2024, 0, 1),            // Clock for risk rules (default: now)
+ *     ledgerIndex: 90000000,                 // Validated ledger reported in responses
+ *     accounts: {
+ *       rAddress: {
+ *         info: { Balance: '25000000', Sequence: 1, Flags: 0 },   // account_data fields
+ *         transactions: [{ tx: {...}, meta: {...} }],            // Oldest first
+ *         lines: [...], objects: [...],
+ *         currencies: { send: ['ABC'], receive: [] },
+ *         obligations: { ABC: '1000000' }
+ *       }
+ *     },
+ *     transactions: { HASH: { ...tx, meta } },                    // For the tx command
+ *     offers: [{ Account, TakerGets, TakerPays, quality }],      // Standing offers, for book_offers (best first)
+ *     amms: [{ account, amount: '1000000', amount2: { currency, issuer, value }, lp_token }],  // For amm_info
+ *     http: { 'https://...': body or { status, headers, body } },
+ *     handlers: { command: (request, ledger) => result }         // Override or add commands
+ *   }
+ */
+export class MockLedgerProvider {
+    /**
+     * @param {object} ledger - Ledger script
+     */
+    constructor(ledger = {}) {
+        this.ledger = {
+            now: Date.now(),
+            ledgerIndex: 90000000,
+            accounts: {},
+            transactions: {},
+            http: {},
+            handlers: {},
+            ...ledger
+        };
+        this.needsNetwork = false;
+        this.name = 'mock';
+        this.requests = [];
+    }
+
+    now() {
+        return this.ledger.now;
+    }
+
+    async request(request) {
+        this.requests.push(request);
+        const handler = this.ledger.handlers[request.command] || this._commands()[request.command];
+        if (!handler) {
+            throw new Error(`Mock ledger does not handle ${request.command}`);
+        }
+        const result = await handler(request, this.ledger);
+        return copy({ type: 'response', result });
+    }
+
+    async fetch(url) {
+        const entry = this.ledger.http[url];
+        if (entry === undefined) {
+            return new Response(JSON.stringify({ error: 'not found' }), { status: 404 });
+        }
+        const { status = 200, headers = { 'content-type': 'application/json' }, body } =
+            entry && entry.body !== undefined ? entry : { body: entry };
+        return new Response(typeof body === 'string' ? body : JSON.stringify(body), { status, headers });
+    }
+
+    /**
+     * Built-in command handlers
+     * @returns {object} - Handlers by command name
+     * @private
+     */
+    _commands() {
+        const validated = { ledger_index: this.ledger.ledgerIndex, validated: true };
+
+        return {
+            server_info: () => ({
+                info: {
+                    server_state: 'full',
+                    validated_ledger: { seq: this.ledger.ledgerIndex }
+                }
+            }),
+            ledger: () => ({
+                ...validated,
+                ledger: {
+                    ledger_index: String(this.ledger.ledgerIndex),
+                    close_time: Math.floor(this.ledger.now / 1000) - RIPPLE_EPOCH
+                }
+            }),
+            account_info: request => ({
+                ...validated,
+                account_data: {
+                    Account: request.account,
+                    Balance: '0',
+                    Flags: 0,
+                    OwnerCount: 0,
+                    Sequence: 1,
+                    ...this._account(request.account).info
+                }
+            }),
+            account_tx: request => this._accountTx(request),
+            account_lines: request => this._page(request, this._account(request.account).lines || [], 'lines'),
+            account_objects: request => ({
+                ...validated,
+                account: request.account,
+                account_objects: (this._account(request.account).objects || []).filter(object =>
+                    !request.type || snakeCase(object.LedgerEntryType || '') === request.type)
+            }),
+            account_currencies: request => {
+                const currencies = this._account(request.account).currencies || {};
+                return {
+                    ...validated,
+                    send_currencies: currencies.send || [],
+                    receive_currencies: currencies.receive || []
+                };
+            },
+            gateway_balances: request => ({
+                ...validated,
+                account: request.account,
+                obligations: this._account(request.account).obligations || {}
+            }),
+            amm_info: request => {
+                const amm = (this.ledger.amms || []).find(pool =>
+                    (sameAsset(pool.amount, request.asset) && sameAsset(pool.amount2, request.asset2)) ||
+                    (sameAsset(pool.amount, request.asset2) && sameAsset(pool.amount2, request.asset)));
+                if (!amm) throw rippledError('actNotFound', request);
+                return { ...validated, amm };
+            },
+            book_offers: request => ({
+                ...validated,
+                offers: (this.ledger.offers || []).filter(offer =>
+                    sameAsset(offer.TakerGets, request.taker_gets) && sameAsset(offer.TakerPays, request.taker_pays))
+            }),
+            tx: request => {
+                const tx = this.ledger.transactions[request.transaction];
+                if (!tx) throw rippledError('txnNotFound', request);
+                return { ...tx, validated: true };
+            }
+        };
+    }
+
+    /**
+     * @param {string} address - Account address
+     * @returns {object} - Scripted account
+     * @private
+     */
+    _account(address) {
+        const account = this.ledger.accounts[address];
+        if (!account) throw rippledError('actNotFound', { account: address });
+        return account;
+    }
+
+    /**
+     * Limit and marker paging for list commands (the marker is an offset)
+     * Without a limit the whole list is returned
+     * @param {object} request - Request
+     * @param {Array} items - Full list
+     * @param {string} field - Result field holding the list
+     * @returns {object} - Result
+     * @private
+     */
+    _page(request, items, field) {
+        const start = request.marker ? request.marker.offset : 0;
+        const limit = request.limit || items.length;
+        const result = {
+            ledger_index: this.ledger.ledgerIndex,
+            validated: true,
+            account: request.account,
+            [field]: items.slice(start, start + limit)
+        };
+        if (request.limit) {
+            result.limit = limit;
+        }
+        if (start + limit < items.length) {
+            result.marker = { offset: start + limit };
+        }
+        return result;
+    }
+
+    /**
+     * account_tx with limit, forward and marker paging (the marker is an offset)
+     * @param {object} request - account_tx request
+     * @returns {object} - Result
+     * @private
+     */
+    _accountTx(request) {
+        const entries = (this._account(request.account).transactions || [])
+            .map(entry => (entry.tx ? entry : { tx: entry, meta: entry.meta || {} }))
+            .map(entry => ({ ...entry, validated: true }));
+        const ordered = request.forward ? entries : [...entries].reverse();
+
+        const start = request.marker ? request.marker.offset : 0;
+        const limit = request.limit || 200;
+        const page = ordered.slice(start, start + limit);
+        const result = {
+            account: request.account,
+            ledger_index_min: 1,
+            ledger_index_max: this.ledger.ledgerIndex,
+            limit,
+            transactions: page,
+            validated: true
+        };
+        if (start + limit < ordered.length) {
+            result.marker = { offset: start + limit };
+        }
+        return result;
+    }
+}
+
+/**
+ * Error shaped like the RippledError xrpl.js throws for error responses
+ * @param {string} code - rippled error code
+ * @param {object} request - Request that failed
+ * @returns {Error}
+ */
+function rippledError(code, request) {
+    const error = new Error(code);
+    error.name = 'RippledError';
+    error.data = { error: code, status: 'error', type: 'response', request };
+    return error;
+}
+
+// Whether an asset ({ currency, issuer }) names an amount (drops string or issued amount)
+function sameAsset(amount, asset) {
+    if (!asset) return false;
+    if (typeof amount === 'string') return asset.currency === 'XRP';
+    return amount.currency === asset.currency && amount.issuer === asset.issuer;
+}
+
+// SignerList -> signer_list, the form account_objects takes as a type filter
+function snakeCase(name) {
+    return name.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+function serializeError(error) {
+    return {
+        name: error && error.name || 'Error',
+        message: error && error.message || String(error),
+        data: error && error.data !== undefined ? copy(error.data) : undefined
+    };
+}
+
+function restoreError(saved) {
+    const error = new Error(saved.message);
+    error.name = saved.name;
+    if (saved.data !== undefined) error.data = copy(saved.data);
+    return error;
+}
+
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,121 @@
+/**
+ * Ledger Utilities
+ * Helpers the analysis modules share for reading transactions: result codes, close
+ * times, XRP and token amounts, and the AccountRoot entries a transaction's metadata
+ * created or changed.
+ */
+
+// Ripple epoch (2000-01-01) in Unix seconds
+export const RIPPLE_EPOCH = 946684800;
+
+/**
+ * Convert a Ripple epoch timestamp (seconds since 2000-01-01) to Unix milliseconds
+ * @param {number} rippleTime - Ripple epoch seconds
+ * @returns {number} - Unix timestamp in milliseconds
+ */
+export function rippleTimeToUnixMs(rippleTime) {
+    return (rippleTime + RIPPLE_EPOCH) * 1000;
+}
+
+/**
+ * Close time of a transaction
+ * @param {object} tx - Transaction
+ * @returns {number|null} - Unix timestamp in milliseconds, or null if the ledger did not report one
+ */
+export function txTime(tx) {
+    return tx.date !== undefined ? rippleTimeToUnixMs(tx.date) : null;
+}
+
+/**
+ * Whether a transaction took effect; one without metadata is assumed to have
+ * @param {object} tx - Transaction
+ * @returns {boolean}
+ */
+export function succeeded(tx) {
+    return !tx.meta || !tx.meta.TransactionResult || tx.meta.TransactionResult === 'tesSUCCESS';
+}
+
+/**
+ * Day of a timestamp for findings
+ * @param {number|null} time - Unix timestamp in milliseconds
+ * @returns {string} - YYYY-MM-DD
+ */
+export function formatTime(time) {
+    return time !== null ? new Date(time).toISOString().slice(0, 10) : 'an unknown date';
+}
+
+/**
+ * Numeric value of an amount
+ * @param {string|object|null} amount - XRP drops string or { currency, issuer, value }
+ * @returns {number} - XRP or token units
+ */
+export function amountValue(amount) {
+    if (amount === undefined || amount === null) return 0;
+    return typeof amount === 'string' ? Number(amount) / 1000000 : parseFloat(amount.value);
+}
+
+/**
+ * Whether an amount is of the given token
+ * @param {string|object|null} amount - Amount
+ * @param {object} token - { currency, issuer }
+ * @returns {boolean}
+ */
+export function isToken(amount, token) {
+    return !!amount && typeof amount === 'object' && amount.currency === token.currency && amount.issuer === token.issuer;
+}
+
+/**
+ * Tokens of the account's own issue sent to someone else by a Payment
+ * @param {object} tx - Transaction
+ * @param {string} account - Issuer
+ * @returns {object|null} - Delivered amount, or null
+ */
+export function issuedAmount(tx, account) {
+    if (tx.TransactionType !== 'Payment') return null;
+    const amount = tx.meta && typeof tx.meta.delivered_amount === 'object' ? tx.meta.delivered_amount : tx.Amount;
+    return amount && typeof amount === 'object' && amount.issuer === account && tx.Destination !== account
+        ? amount
+        : null;
+}
+
+/**
+ * Fields of an AccountRoot the transaction created
+ * @param {object} tx - Transaction
+ * @param {string|null} account - Account to look for, or null for any
+ * @returns {object|null} - NewFields of the created AccountRoot
+ */
+export function createdAccountRoot(tx, account = null) {
+    for (const node of (tx.meta && tx.meta.AffectedNodes) || []) {
+        const created = node.CreatedNode;
+        if (created && created.LedgerEntryType === 'AccountRoot' &&
+            (account === null || created.NewFields.Account === account)) {
+            return created.NewFields;
+        }
+    }
+    return null;
+}
+
+/**
+ * XRP held by an AMM account before and after a transaction
+ * @param {object} tx - Transaction
+ * @param {string|null} ammAccount - AMM account, or null for any AccountRoot carrying an AMMID
+ * @returns {object|null} - { before, after } in XRP, or null if the pool's balance did not change
+ */
+export function poolXrp(tx, ammAccount = null) {
+    for (const node of (tx.meta && tx.meta.AffectedNodes) || []) {
+        const [kind, entry] = Object.entries(node)[0] || [];
+        if (!entry || entry.LedgerEntryType !== 'AccountRoot') continue;
+
+        const fields = entry.FinalFields || entry.NewFields || {};
+        if (ammAccount !== null ? fields.Account !== ammAccount : !fields.AMMID) continue;
+
+        if (kind === 'CreatedNode') {
+            return { before: 0, after: Number(fields.Balance || 0) / 1000000 };
+        }
+        if (!entry.PreviousFields || entry.PreviousFields.Balance === undefined) return null;
+
+        const before = Number(entry.PreviousFields.Balance) / 1000000;
+        return { before, after: kind === 'DeletedNode' ? 0 : Number(fields.Balance) / 1000000 };
+    }
+    return null;
+}
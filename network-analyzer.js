@@ -4,10 +4,39 @@
  */
 
 import xrplService from './xrpl-service.js';
-import { RISK_FACTORS, HIGH_RISK_ADDRESSES, ANALYSIS_DEFAULTS } from './config.js';
+import { CrawlFrontier } from './crawl-frontier.js';
+import { RiskEngine, ruleLabel } from './risk-engine.js';
+import { TokenAnalyzer } from './token-analyzer.js';
+import { IssuerAuditor, issuerSignals } from './issuer-audit.js';
+import { KeyControlAnalyzer } from './key-control.js';
+import { AmmAnalyzer, INSIDER_ROLES } from './amm-analyzer.js';
+import { DexAnalyzer, extractFills } from './dex-analyzer.js';
+import { CreatorHistoryAnalyzer, TOKEN_OUTCOMES } from './creator-history.js';
+import { ActivationTracer, groupBySharedFunder } from './activation-tracer.js';
+import { knownEntity, recognizeAccount, registerEntities, baseAddress, addressTag, paymentDestination, paymentSource, isHighRiskAddress } from './entity-registry.js';
+import { SybilDetector } from './sybil-detector.js';
+import { GraphAnalyzer } from './graph-analytics.js';
+import { TaintTracer } from './taint-tracer.js';
+import { ANALYSIS_DEFAULTS, CRAWL_SETTINGS, DATA_API_SETTINGS, ENTITY_LIST_URL } from './config.js';
 
 class NetworkAnalyzer {
     constructor() {
+        this.currentRun = null;
+        // Analysis events are also published here for hosts without a global event target (Node)
+        this.events = new EventTarget();
+        this.riskEngine = new RiskEngine();
+        this.tokenAnalyzer = new TokenAnalyzer();
+        this.issuerAuditor = new IssuerAuditor();
+        this.keyControlAnalyzer = new KeyControlAnalyzer();
+        this.ammAnalyzer = new AmmAnalyzer();
+        this.dexAnalyzer = new DexAnalyzer();
+        this.creatorHistoryAnalyzer = new CreatorHistoryAnalyzer();
+        this.activationTracer = new ActivationTracer();
+        this.sybilDetector = new SybilDetector({}, this.riskEngine);
+        this.graphAnalyzer = new GraphAnalyzer();
+        this.taintTracer = new TaintTracer();
+        // The external entity list is read by the first scan that can reach it
+        this.entityListLoaded = false;
         this.reset();
     }
 
@@ -22,7 +51,11 @@ class NetworkAnalyzer {
             riskScore: 0,
             connectedWallets: 0,
             connectedTokens: 0,
-            suspiciousConnections: 0
+            suspiciousConnections: 0,
+            communities: 0,
+            modularity: 0,
+            bridges: 0,
+            articulationPoints: 0
         };
         this.networkData = {
             nodes: [],
@@ -34,6 +67,19 @@ class NetworkAnalyzer {
         this.nodeCount = 0;
         this.linkCount = 0;
         this.totalRisk = 0;
+        this.frontier = null;
+        this.crawlOrder = 0;
+        this.crawlComplete = false;
+        this.pendingTokenScans = [];
+        // Activation by address, read once per scan (null when none was found)
+        this.activations = new Map();
+        // Entity by address, recognized once per scan (null for an ordinary wallet)
+        this.entities = new Map();
+        // Communities, centrality and insider brokerage of the wallet graph
+        this.graphAnalysis = null;
+        this.checkpoint = null;
+        this.signal = null;
+        this.service = xrplService;
         this.progress = {
             status: 'starting',
             percent: 0,
@@ -52,13 +98,64 @@ class NetworkAnalyzer {
 
     /**
      * Analyze network starting from a specific address
+     * Starting a new analysis cancels one that is still running
      * @param {string} address - Starting XRPL address
      * @param {number} maxDepth - Maximum depth to analyze (default from settings)
+     * @param {object} options - Analysis options
+     * @param {AbortSignal} options.signal - Cancels the analysis
+     * @param {object} options.resume - Checkpoint from getCheckpoint() to continue from
      * @returns {Promise<object>} - Network data structure for visualization
      */
-    async analyzeNetwork(address, maxDepth = null) {
+    async analyzeNetwork(address, maxDepth = null, options = {}) {
+        // The analyzer holds the state of a single run, so a new run replaces the current one
+        const previousRun = this.currentRun;
+        const controller = new AbortController();
+        let finishRun;
+        const run = { controller, done: new Promise(resolve => { finishRun = resolve; }) };
+        this.currentRun = run;
+        
+        const onAbort = () => controller.abort(options.signal.reason);
+        if (options.signal) {
+            if (options.signal.aborted) {
+                onAbort();
+            } else {
+                options.signal.addEventListener('abort', onAbort, { once: true });
+            }
+        }
+        
+        try {
+            if (previousRun) {
+                previousRun.controller.abort();
+                await previousRun.done;
+            }
+            controller.signal.throwIfAborted();
+            
+            return await this._runAnalysis(address, maxDepth, options, controller.signal);
+        } finally {
+            if (options.signal) {
+                options.signal.removeEventListener('abort', onAbort);
+            }
+            if (this.currentRun === run) {
+                this.currentRun = null;
+            }
+            finishRun();
+        }
+    }
+    
+    /**
+     * Run the analysis phases for analyzeNetwork
+     * @param {string} address - Starting XRPL address
+     * @param {number} maxDepth - Maximum depth to analyze
+     * @param {object} options - Analysis options
+     * @param {AbortSignal} signal - Cancels the run
+     * @returns {Promise<object>} - Network data structure for visualization
+     * @private
+     */
+    async _runAnalysis(address, maxDepth, options, signal) {
         console.log(`Starting network analysis for address: ${address}`);
         this.reset();
+        this.signal = signal;
+        this.service = xrplService.withSignal(signal);
         
         // Set up progress tracking
         this.progress = {
@@ -82,32 +179,63 @@ class NetworkAnalyzer {
                 throw new Error('Invalid XRPL address');
             }
             
-            // Update progress
-            this._updateProgress(5, 'Validating address...');
-            
-            // Add the main node
-            this.addNode(address, 'wallet', {
-                radius: 15,
-                riskLevel: 0 // Initial risk level, will be updated during analysis
-            });
+            if (options.resume) {
+                this._restoreCheckpoint(options.resume, address);
+                this._updateProgress(10, 'Resuming connection analysis...');
+            } else {
+                // Update progress
+                this._updateProgress(5, 'Validating address...');
+                
+                // Add the main node
+                this.addNode(address, 'wallet', {
+                    radius: 15,
+                    riskLevel: 0 // Initial risk level, will be updated during analysis
+                });
+                
+                // Update progress
+                this._updateProgress(10, 'Starting connection analysis...');
+            }
             
-            // Update progress
-            this._updateProgress(10, 'Starting connection analysis...');
+            await this._loadEntityList();
             
-            // Start analyzing from the main address with depth 0
-            await this._analyzeNodeConnections(address, 0);
+            // Crawl outward from the main address, most relevant wallets first
+            await this._crawlNetwork(address);
             
             // Update progress
             this._updateProgress(60, 'Analyzing token connections...');
             
             // Find early participants by analyzing token transactions
             await this._identifyEarlyParticipants(address);
+            this.signal.throwIfAborted();
+            
+            // Follow each wallet's funding back to an exchange or known entity
+            this._updateProgress(65, 'Tracing account activations...');
+            await this._traceActivations();
+            this.signal.throwIfAborted();
+            
+            this._updateProgress(67, 'Detecting Sybil clusters...');
+            await this._detectSybilClusters();
+            this.signal.throwIfAborted();
+            
+            // Inspect the AMM pools of the tokens found, now that their early wallets are known
+            this._updateProgress(70, 'Inspecting AMM pools...');
+            await this._inspectAmmPools();
+            this.signal.throwIfAborted();
+            
+            this._updateProgress(72, 'Inspecting order books...');
+            await this._inspectOrderBooks();
+            this.signal.throwIfAborted();
+            
+            // Communities and central wallets, including those routing funds between a token's insiders
+            this._updateProgress(74, 'Analyzing graph structure...');
+            this._analyzeGraph();
             
             // Update progress
             this._updateProgress(75, 'Calculating risk scores...');
             
             // Calculate final risk scores with progressive updates
             await this._calculateFinalRiskWithProgress();
+            this.signal.throwIfAborted();
             
             // Update progress
             this._updateProgress(90, 'Generating findings...');
@@ -122,12 +250,107 @@ class NetworkAnalyzer {
             
             return this.networkData;
         } catch (error) {
-            console.error('Error in network analysis:', error);
-            this._updateProgress(100, `Error: ${error.message}`);
+            // Keep what was collected so the scan can be resumed
+            if (this.networkData.nodes.length > 0) {
+                this.checkpoint = this._createCheckpoint();
+            }
+            
+            if (this.signal.aborted) {
+                console.log(`Network analysis cancelled after ${this.networkData.nodes.length} nodes`);
+                this._updateProgress(this.progress.percent, 'Analysis cancelled');
+            } else {
+                console.error('Error in network analysis:', error);
+                this._updateProgress(100, `Error: ${error.message}`);
+            }
             throw error;
+        } finally {
+            this.service = xrplService;
         }
     }
     
+    /**
+     * Cancel the running analysis, if any
+     * The interrupted run rejects with an AbortError and leaves a checkpoint behind
+     * @returns {Promise<void>} - Resolves once the run has stopped
+     */
+    async cancel() {
+        const run = this.currentRun;
+        if (!run) return;
+        
+        run.controller.abort();
+        await run.done;
+    }
+    
+    /**
+     * Whether an analysis is currently running
+     * @returns {boolean}
+     */
+    isRunning() {
+        return !!this.currentRun;
+    }
+    
+    /**
+     * Get the checkpoint left by the last interrupted analysis
+     * @returns {object|null} - Serializable checkpoint, pass as options.resume to continue
+     */
+    getCheckpoint() {
+        return this.checkpoint;
+    }
+    
+    /**
+     * Snapshot the crawl frontier and everything collected so far
+     * @returns {object} - Serializable checkpoint
+     * @private
+     */
+    _createCheckpoint() {
+        return {
+            version: 1,
+            address: this.networkData.mainNode,
+            createdAt: Date.now(),
+            maxDepth: this.maxDepth,
+            maxNodes: this.maxNodes,
+            crawlComplete: this.crawlComplete,
+            frontier: this.frontier ? this.frontier.toJSON() : null,
+            crawlOrder: this.crawlOrder,
+            pendingTokenScans: [...this.pendingTokenScans],
+            visitedNodes: [...this.visitedNodes],
+            analyzedTokens: [...this.analyzedTokens],
+            // Deep copy so later changes to the graph don't leak into the checkpoint
+            networkData: JSON.parse(JSON.stringify(this.networkData)),
+            metrics: { ...this.metrics },
+            nodeCount: this.nodeCount,
+            linkCount: this.linkCount
+        };
+    }
+    
+    /**
+     * Restore analysis state from a checkpoint
+     * @param {object} checkpoint - Result of _createCheckpoint
+     * @param {string} address - Address being analyzed
+     * @private
+     */
+    _restoreCheckpoint(checkpoint, address) {
+        if (!checkpoint || checkpoint.version !== 1 || checkpoint.address !== address) {
+            throw new Error('Checkpoint does not belong to this analysis');
+        }
+        
+        const data = JSON.parse(JSON.stringify(checkpoint.networkData));
+        this.networkData = data;
+        this.maxDepth = checkpoint.maxDepth;
+        this.maxNodes = checkpoint.maxNodes;
+        this.crawlComplete = checkpoint.crawlComplete;
+        this.frontier = checkpoint.frontier ? CrawlFrontier.fromJSON(checkpoint.frontier, CRAWL_SETTINGS) : null;
+        this.crawlOrder = checkpoint.crawlOrder;
+        this.pendingTokenScans = [...checkpoint.pendingTokenScans];
+        this.visitedNodes = new Set(checkpoint.visitedNodes);
+        this.analyzedTokens = new Set(checkpoint.analyzedTokens);
+        this.metrics = { ...checkpoint.metrics };
+        this.nodeCount = checkpoint.nodeCount;
+        this.linkCount = checkpoint.linkCount;
+        
+        console.log(`Resuming analysis of ${address} with ${data.nodes.length} nodes already collected`);
+    }
+    
     /**
      * Update the progress of the analysis
      * @param {number} percent - Progress percentage (0-100)
@@ -139,20 +362,72 @@ class NetworkAnalyzer {
             status: percent < 100 ? 'in_progress' : 'complete',
             percent: Math.min(100, Math.max(0, percent)),
             message: message || '',
+            startTime: this.progress.startTime,
             elapsedMs: Date.now() - this.progress.startTime
         };
         
         // Dispatch a progress event that can be listened to by the UI
-        if (typeof window !== 'undefined' && window.dispatchEvent) {
-            const progressEvent = new CustomEvent('network-analysis-progress', { 
-                detail: this.progress 
-            });
-            window.dispatchEvent(progressEvent);
-        }
+        this._dispatchEvent('network-analysis-progress', this.progress);
         
         console.log(`Progress: ${this.progress.percent}% - ${this.progress.message}`);
     }
     
+    /**
+     * Publish the findings collected so far
+     * @param {string} kind - What changed ('findings')
+     * @private
+     */
+    _notifyUpdate(kind) {
+        this._dispatchEvent('network-analysis-update', {
+            kind,
+            metrics: this.metrics,
+            findings: this.findings
+        });
+    }
+    
+    /**
+     * Stream a graph change so views can update while the crawl runs
+     * @param {string} type - 'node-added', 'link-added' or 'node-updated'
+     * @param {object} payload - { node }, { link } or { id, changes }
+     * @private
+     */
+    _emitGraphEvent(type, payload) {
+        this._dispatchEvent('network-analysis-graph', { type, ...payload });
+    }
+    
+    /**
+     * Listen for analysis events on the analyzer itself
+     * @param {string} name - 'network-analysis-progress', 'network-analysis-update' or 'network-analysis-graph'
+     * @param {Function} listener - Called with a CustomEvent whose detail holds the payload
+     */
+    addEventListener(name, listener) {
+        this.events.addEventListener(name, listener);
+    }
+    
+    /**
+     * Stop listening for analysis events
+     * @param {string} name - Event name
+     * @param {Function} listener - Listener passed to addEventListener
+     */
+    removeEventListener(name, listener) {
+        this.events.removeEventListener(name, listener);
+    }
+    
+    /**
+     * Dispatch an event on the analyzer and on the global scope (the page, or the analysis worker)
+     * @param {string} name - Event name
+     * @param {object} detail - Event detail
+     * @private
+     */
+    _dispatchEvent(name, detail) {
+        if (typeof CustomEvent !== 'function') return;
+        
+        this.events.dispatchEvent(new CustomEvent(name, { detail }));
+        if (typeof globalThis.dispatchEvent === 'function') {
+            globalThis.dispatchEvent(new CustomEvent(name, { detail }));
+        }
+    }
+    
     /**
      * Get current progress information
      * @returns {object} - Progress information
@@ -162,218 +437,408 @@ class NetworkAnalyzer {
     }
 
     /**
-     * Recursively analyze node connections up to max depth
-     * @param {string} address - XRPL address to analyze
-     * @param {number} currentDepth - Current depth in the network traversal
+     * Crawl the network outward from the root, visiting the most relevant wallets first
+     * Each round takes a batch from the frontier and fetches it in parallel, then
+     * applies the results in batch order so the same inputs give the same graph
+     * @param {string} address - Root XRPL address
      * @private
      */
-    async _analyzeNodeConnections(address, currentDepth) {
-        // Check if we've reached max depth or nodes
-        if (currentDepth >= this.maxDepth || this.nodeCount >= this.maxNodes) {
-            return;
-        }
+    async _crawlNetwork(address) {
+        if (this.crawlComplete) return;
         
-        // Mark this node as visited
+        if (!this.frontier) {
+            this.frontier = new CrawlFrontier(CRAWL_SETTINGS);
+            this.frontier.push(address, { depth: 0, parent: null, value: 0, risk: 0 });
+        }
+        const frontier = this.frontier;
+
+        // Token scans left over from an interrupted round
+        await this._runPendingTokenScans();
+
+        while (frontier.size > 0 && this.nodeCount < this.maxNodes) {
+            this.signal.throwIfAborted();
+
+            const slots = this.maxNodes - this.nodeCount;
+            const batch = frontier.popBatch(Math.min(CRAWL_SETTINGS.concurrency, slots));
+
+            const visits = await Promise.all(batch.map(candidate => this._visitCandidate(candidate)));
+
+            // Visits swallow request errors, so drop a round that was cancelled midway
+            if (this.signal.aborted) {
+                frontier.requeue(batch);
+                batch.forEach(candidate => this.visitedNodes.delete(candidate.address));
+                this.signal.throwIfAborted();
+            }
+
+            // Add every node in the batch first so edges between them are kept
+            batch.forEach((candidate, i) => {
+                if (candidate.depth > 0) {
+                    this._admitCandidate(candidate, visits[i], this.crawlOrder++);
+                } else if (visits[i].creatorHistory) {
+                    // The scanned account was added up front; it only gains its track record
+                    const mainNode = this.networkData.nodes.find(node => node.id === candidate.address);
+                    mainNode.creatorHistory = visits[i].creatorHistory;
+                    this._emitGraphEvent('node-updated', { id: candidate.address, changes: { creatorHistory: mainNode.creatorHistory } });
+                }
+            });
+
+            batch.forEach((candidate, i) => {
+                if (visits[i].connections) {
+                    this._applyConnections(candidate, visits[i].connections, frontier);
+                }
+            });
+
+            // Add direct connections between high-risk wallets in our network
+            this._connectHighRiskWallets();
+
+            await this._runPendingTokenScans();
+
+            // Crawl progress runs from 10% to 60%; the node budget or an empty frontier ends it
+            const expectedNodes = Math.max(1, Math.min(this.maxNodes, this.nodeCount + frontier.size));
+            this._updateProgress(
+                10 + Math.round(50 * Math.min(1, this.nodeCount / expectedNodes)),
+                `Crawled ${this.nodeCount} nodes, ${frontier.size} wallets queued...`
+            );
+        }
+
+        this.crawlComplete = true;
+    }
+
+    /**
+     * Analyze token connections for expanded wallets, in the order they were expanded
+     * A scan stays queued until it finishes, so a cancelled run can pick it up again
+     * @private
+     */
+    async _runPendingTokenScans() {
+        while (this.pendingTokenScans.length > 0) {
+            this.signal.throwIfAborted();
+            const { address, depth } = this.pendingTokenScans[0];
+            await this._analyzeTokenConnections(address, depth);
+            this.signal.throwIfAborted();
+            this.pendingTokenScans.shift();
+        }
+    }
+
+    /**
+     * Assess a queued wallet and collect its connections
+     * Makes requests only; the graph is updated later in batch order
+     * @param {object} candidate - Frontier candidate
+     * @returns {Promise<object>} - Risk assessment and connections (null if not expanded)
+     * @private
+     */
+    async _visitCandidate(candidate) {
+        const { address, depth } = candidate;
+        const visit = { enhancedRisk: null, initialRisk: 0, riskBreakdown: null, creatorHistory: null, isCreatorWallet: false, entity: null, connections: null };
+
         this.visitedNodes.add(address);
-        
+
         try {
-            console.log(`Analyzing connections for ${address} at depth ${currentDepth}`);
-            
-            // Get account transactions to find connected wallets
-            const transactions = await xrplService.getAccountTransactions(address, 20);
-            
-            // Analyze connected wallets through transactions
-            const connectedWallets = new Set();
-            // Enhanced data collection for buying patterns
-            const walletInteractions = new Map();
-            
-            // Check if this wallet is the creator of the main address
-            let isCreatorWallet = false;
-            if (currentDepth === 1) {
-                try {
-                    const mainAccountInfo = await xrplService.getAccountInfo(this.networkData.mainNode);
-                    if (mainAccountInfo && mainAccountInfo.Account && mainAccountInfo.Account.TransactionHistory) {
-                        const activationTx = mainAccountInfo.Account.TransactionHistory.find(tx => 
-                            tx.TransactionType === 'AccountSet' && tx.Account === address);
-                        if (activationTx) {
-                            isCreatorWallet = true;
-                        }
-                    }
-                } catch (err) {
-                    console.warn('Could not determine if wallet is creator wallet:', err);
+            if (depth > 0) {
+                // Exchanges, bridges and pools are shown but never scored or expanded:
+                // their counterparties are unrelated customers
+                visit.entity = await this._recognizeEntity(address, depth);
+                if (visit.entity) {
+                    return visit;
                 }
+
+                // Get enhanced risk assessment for wallet
+                visit.enhancedRisk = await this._calculateWalletConnectionRisk(address, depth);
+                visit.isCreatorWallet = !!(await this._mainWalletActivation(address, depth));
+                // Tokens the wallet and the wallets linked to it issued before, and how they ended;
+                // a token issued from a linked or deleted wallet counts against the wallet too
+                visit.creatorHistory = await this._checkCreatorHistory(address, depth);
+                // Calculate initial risk based on enhanced assessment
+                visit.riskBreakdown = await this._evaluateWalletRisk(address, depth, visit.creatorHistory);
+                visit.initialRisk = visit.riskBreakdown.score;
+            } else {
+                // The scanned account's own track record, for findings
+                visit.creatorHistory = await this._checkCreatorHistory(address, depth);
             }
-            
-            // Enhance high-risk address cross-referencing
-            let isHighRiskWallet = false;
-            // Extract the base address without source tag for comparison
-            const baseAddress = address.split(':')[0];
-            
-            if (HIGH_RISK_ADDRESSES.includes(baseAddress)) {
-                isHighRiskWallet = true;
+
+            // Only go deeper for wallets that aren't too high risk
+            // This is to prevent getting stuck in obvious scam networks
+            if (depth < this.maxDepth && visit.initialRisk < 0.8) {
+                visit.connections = await this._collectConnections(address, depth);
             }
-            
-            for (const tx of transactions) {
-                // Skip invalid transactions
-                if (!tx || !tx.TransactionType) continue;
-                
-                // Check transaction risk factors
-                const txRisk = this._calculateTransactionRisk(tx);
-                
-                // Process different transaction types
-                if (tx.TransactionType === 'Payment' && tx.Destination) {
-                    // Skip if already visited
-                    if (this.visitedNodes.has(tx.Destination)) continue;
-                    
-                    // Add to connected wallets for further processing
-                    connectedWallets.add(tx.Destination);
-                    
-                    // Add connection to network data
-                    this._addConnection(address, tx.Destination, {
-                        value: tx.Amount ? this._normalizeAmount(tx.Amount) : 1,
-                        suspicious: txRisk > 0.7,
-                        transactionType: 'Payment'
-                    });
-                    
-                    // Track wallet interactions and buying patterns
-                    if (!walletInteractions.has(tx.Destination)) {
-                        walletInteractions.set(tx.Destination, {
-                            paymentCount: 0,
-                            tokenTransfers: 0,
-                            totalValue: 0,
-                            firstInteractionTime: tx.date || Date.now(),
-                            patterns: {
-                                frequentSmallPayments: 0,
-                                largeOneTimePayments: 0
-                            }
-                        });
-                    }
-                    
-                    const interaction = walletInteractions.get(tx.Destination);
-                    interaction.paymentCount++;
-                    
-                    // Track token transfers
-                    if (typeof tx.Amount === 'object' && tx.Amount.currency) {
-                        interaction.tokenTransfers++;
-                    }
-                    
-                    // Track total value transferred
-                    const txAmount = this._normalizeAmount(tx.Amount);
-                    interaction.totalValue += txAmount;
-                    
-                    // Detect buying patterns
-                    if (txAmount < 100) {
-                        interaction.patterns.frequentSmallPayments++;
-                    } else if (txAmount > 1000) {
-                        interaction.patterns.largeOneTimePayments++;
+        } catch (error) {
+            // Cancelled rounds are discarded by the caller
+            if (!this.signal.aborted) {
+                console.error(`Error analyzing connections for ${address}:`, error);
+            }
+            // Continue with other nodes if one fails
+        }
+
+        return visit;
+    }
+
+    /**
+     * Merge the external entity list (ENTITY_LIST_URL) into the entity registry
+     * A list that cannot be read leaves the built-in entities in place
+     * @private
+     */
+    async _loadEntityList() {
+        if (!ENTITY_LIST_URL || this.entityListLoaded) return;
+        try {
+            const count = registerEntities(await this.service.getEntityList(ENTITY_LIST_URL));
+            this.entityListLoaded = true;
+            console.log(`Loaded ${count} entities from ${ENTITY_LIST_URL}`);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`Entity list could not be read: ${error.message}`);
+        }
+    }
+
+    /**
+     * Entity behind an address: the registry, or its AccountRoot, read once per scan
+     * A customer tag belongs to the entity of its account
+     * @param {string} address - Address or `address:tag`
+     * @param {number} depth - Crawl depth, used as request priority
+     * @returns {Promise<object|null>} - { name, type } or null for an ordinary wallet, also when the account could not be read
+     * @private
+     */
+    async _recognizeEntity(address, depth) {
+        const account = baseAddress(address);
+        const entity = knownEntity(account);
+        if (entity) {
+            return entity;
+        }
+        if (!this.entities.has(account)) {
+            let accountInfo = null;
+            try {
+                accountInfo = await this.service.atPriority(depth).getAccountInfo(account);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`Could not read ${account} to recognize it, treating it as a wallet: ${error.message}`);
+            }
+            this.entities.set(account, recognizeAccount(account, accountInfo));
+        }
+        return this.entities.get(account);
+    }
+
+    /**
+     * Add a visited wallet to the graph along with the edges that led to it
+     * @param {object} candidate - Frontier candidate
+     * @param {object} visit - Result of _visitCandidate
+     * @param {number} order - Position in which the wallet was added
+     * @private
+     */
+    _admitCandidate(candidate, visit, order) {
+        const wallet = candidate.address;
+        const enhancedRisk = visit.enhancedRisk || {};
+        const initialRisk = visit.initialRisk;
+        const interactionData = candidate.data.interactionData || {};
+        
+        // Cross-reference with high-risk addresses (a tagged listing matches only that customer)
+        const isHighRisk = isHighRiskAddress(wallet);
+        
+        // Add additional properties for better visualization
+        const walletType = visit.entity ? visit.entity.type : isHighRisk ? 'high-risk' : enhancedRisk.type || 'standard';
+        const isHighActivity = enhancedRisk.activityRisk > 0.6;
+        const isPotentiallyEarly = enhancedRisk.ageRisk < 0.3 && initialRisk > 0.5;
+        
+        // Add the wallet node with enhanced properties
+        this.addNode(wallet, 'wallet', {
+            radius: isHighRisk ? 12 : 8 + (initialRisk * 2), // Larger size for high-risk wallets
+            riskLevel: isHighRisk ? 1.0 : initialRisk,
+            riskBreakdown: visit.riskBreakdown,
+            creatorHistory: visit.creatorHistory,
+            walletType: walletType,
+            highActivity: isHighActivity,
+            potentialEarly: isPotentiallyEarly,
+            isHighRisk: isHighRisk, // Flag for high-risk addresses
+            isCreatorWallet: visit.isCreatorWallet, // Wallet activated the scanned account
+            entity: visit.entity, // Exchange, bridge or pool the crawler did not expand
+            tag: addressTag(wallet), // Customer tag at a custodial address
+            enhancedRiskData: visit.enhancedRisk,
+            interactionData: interactionData, // Add interaction data to node
+            buyingPattern: this._analyzeBuyingPattern(interactionData),
+            // Why the crawler picked this wallet
+            discovery: {
+                depth: candidate.depth,
+                parent: candidate.parent,
+                transactionType: candidate.transactionType,
+                value: candidate.value,
+                relevance: candidate.relevance,
+                order
+            }
+        });
+
+        for (const link of candidate.links) {
+            this._addConnection(link.source, wallet, link);
+        }
+    }
+
+    /**
+     * Link a visited wallet to known nodes and queue the new ones
+     * @param {object} candidate - Frontier candidate that was expanded
+     * @param {object} connections - Result of _collectConnections
+     * @param {CrawlFrontier} frontier - Crawl frontier
+     * @private
+     */
+    _applyConnections(candidate, connections, frontier) {
+        const { address, depth } = candidate;
+        const nextDepth = depth + 1;
+        
+        // Update metrics
+        this.metrics.connectedWallets += connections.wallets.size;
+        
+        // Sort so queue order does not depend on history order
+        const wallets = [...connections.wallets.keys()].sort();
+        for (const wallet of wallets) {
+            const connection = connections.wallets.get(wallet);
+
+            if (this.networkData.nodes.some(node => node.id === wallet)) {
+                this._addConnection(address, wallet, connection.link);
+            } else if (nextDepth < this.maxDepth) {
+                frontier.push(wallet, {
+                    depth: nextDepth,
+                    parent: address,
+                    transactionType: connection.link.transactionType,
+                    value: connection.interaction.totalValue,
+                    risk: connection.risk,
+                    link: connection.link,
+                    data: {
+                        interactionData: connection.interaction
                     }
-                } 
-                else if (tx.TransactionType === 'TrustSet' && tx.LimitAmount) {
-                    const trustIssuer = tx.LimitAmount.issuer;
-                    if (trustIssuer && !this.visitedNodes.has(trustIssuer)) {
-                        connectedWallets.add(trustIssuer);
-                        
-                        // Add connection to network data
-                        this._addConnection(address, trustIssuer, {
-                            value: 3, // TrustSet connections are important
-                            suspicious: txRisk > 0.5,
-                            transactionType: 'TrustSet'
-                        });
-                        
-                        // Track trust relationships
-                        if (!walletInteractions.has(trustIssuer)) {
-                            walletInteractions.set(trustIssuer, {
-                                paymentCount: 0,
-                                tokenTransfers: 0,
-                                totalValue: 0,
-                                firstInteractionTime: tx.date || Date.now(),
-                                patterns: {
-                                    frequentSmallPayments: 0,
-                                    largeOneTimePayments: 0
-                                },
-                                trustRelationship: true
-                            });
-                        } else {
-                            walletInteractions.get(trustIssuer).trustRelationship = true;
+                });
+            }
+        }
+        
+        // Analyze token connections to an account once the round is applied
+        this.pendingTokenScans.push({ address, depth });
+    }
+
+    /**
+     * Walk an account's history and collect the wallets it is connected to
+     * @param {string} address - XRPL address to analyze
+     * @param {number} currentDepth - Depth of the account in the crawl
+     * @returns {Promise<object>} - Connected wallets with interaction data and link properties
+     * @private
+     */
+    async _collectConnections(address, currentDepth) {
+        console.log(`Analyzing connections for ${address} at depth ${currentDepth}`);
+        
+        // Closer wallets are fetched first when requests queue up
+        const service = this.service.atPriority(currentDepth);
+        
+        // Walk the account's history to find connected wallets
+        const transactions = service.iterateAccountTransactions(address, {
+            types: ['Payment', 'TrustSet'],
+            maxTransactions: ANALYSIS_DEFAULTS.maxNodeTransactions
+        });
+        
+        // Connected wallets with their interaction data, strongest link and risk hint
+        const wallets = new Map();
+        const track = (wallet, link, txRisk, date) => {
+            if (!wallets.has(wallet)) {
+                wallets.set(wallet, {
+                    interaction: {
+                        paymentCount: 0,
+                        tokenTransfers: 0,
+                        totalValue: 0,
+                        firstInteractionTime: date || service.now(),
+                        patterns: {
+                            frequentSmallPayments: 0,
+                            largeOneTimePayments: 0
                         }
-                    }
-                }
+                    },
+                    link: { value: 0, suspicious: false, transactionType: link.transactionType },
+                    risk: isHighRiskAddress(wallet) ? 1 : 0
+                });
             }
+            const connection = wallets.get(wallet);
+            connection.link.value = Math.max(connection.link.value, link.value);
+            connection.link.suspicious = connection.link.suspicious || link.suspicious;
+            connection.risk = Math.max(connection.risk, txRisk);
+            return connection.interaction;
+        };
+        
+        const smallPaymentSize = this.riskEngine.rule('buyingPattern', 'frequentSmallBuys').paymentSize;
+        const largePaymentSize = this.riskEngine.rule('buyingPattern', 'whalePattern').paymentSize;
+        
+        for await (const tx of transactions) {
+            // Skip invalid transactions
+            if (!tx || !tx.TransactionType) continue;
             
-            // Analyze token connections to an account
-            await this._analyzeTokenConnections(address);
+            // Check transaction risk factors
+            const txRisk = this._calculateTransactionRisk(tx);
             
-            // Update metrics
-            this.metrics.connectedWallets += connectedWallets.size;
-            
-            // Recursively analyze connected wallets at next depth
-            const nextDepth = currentDepth + 1;
-            if (nextDepth < this.maxDepth) {
-                for (const wallet of connectedWallets) {
-                    if (!this.visitedNodes.has(wallet) && this.nodeCount < this.maxNodes) {
-                        // Get enhanced risk assessment for wallet
-                        const enhancedRisk = await this._calculateWalletConnectionRisk(wallet);
-                        // Calculate initial risk based on enhanced assessment
-                        const initialRisk = await this._calculateWalletRisk(wallet);
-                        
-                        // Get wallet interaction data
-                        const interactionData = walletInteractions.get(wallet) || {};
-                        
-                        // Cross-reference with high-risk addresses
-                        // Extract the base address without source tag for comparison
-                        const baseWallet = wallet.split(':')[0];
-                        const isHighRisk = HIGH_RISK_ADDRESSES.includes(baseWallet);
-                        
-                        // Add additional properties for better visualization
-                        const walletType = isHighRisk ? 'high-risk' : enhancedRisk.type || 'standard';
-                        const isHighActivity = enhancedRisk.activityRisk > 0.6;
-                        const isPotentiallyEarly = enhancedRisk.ageRisk < 0.3 && initialRisk > 0.5;
-                        
-                        // Add the wallet node with enhanced properties
-                        this.addNode(wallet, 'wallet', {
-                            radius: isHighRisk ? 12 : 8 + (initialRisk * 2), // Larger size for high-risk wallets
-                            riskLevel: isHighRisk ? 1.0 : initialRisk,
-                            walletType: walletType,
-                            highActivity: isHighActivity,
-                            potentialEarly: isPotentiallyEarly,
-                            isHighRisk: isHighRisk, // Flag for high-risk addresses
-                            isCreatorWallet: isCreatorWallet, // Flag for creator wallet
-                            enhancedRiskData: enhancedRisk,
-                            interactionData: interactionData, // Add interaction data to node
-                            buyingPattern: this._analyzeBuyingPattern(interactionData)
-                        });
-                        
-                        // Only go deeper for wallets that aren't too high risk
-                        // This is to prevent getting stuck in obvious scam networks
-                        if (initialRisk < 0.8) {
-                            await this._analyzeNodeConnections(wallet, nextDepth);
-                        }
-                    }
+            // Process different transaction types
+            if (tx.TransactionType === 'Payment' && tx.Destination) {
+                if (tx.Destination === address) continue;
+                
+                // Track wallet interactions and buying patterns; deposits to an exchange or another
+                // custodial account are keyed by customer tag
+                const receiver = tx.DestinationTag !== undefined
+                    ? await this._recognizeEntity(tx.Destination, currentDepth + 1)
+                    : null;
+                const interaction = track(paymentDestination(tx, receiver), {
+                    value: tx.Amount ? this._normalizeAmount(tx.Amount) : 1,
+                    suspicious: txRisk > 0.7,
+                    transactionType: 'Payment'
+                }, txRisk, tx.date);
+                interaction.paymentCount++;
+                
+                // Track token transfers
+                if (typeof tx.Amount === 'object' && tx.Amount.currency) {
+                    interaction.tokenTransfers++;
+                }
+                
+                // Track total value transferred
+                const txAmount = this._normalizeAmount(tx.Amount);
+                interaction.totalValue += txAmount;
+                
+                // Detect buying patterns
+                if (txAmount < smallPaymentSize) {
+                    interaction.patterns.frequentSmallPayments++;
+                } else if (txAmount > largePaymentSize) {
+                    interaction.patterns.largeOneTimePayments++;
+                }
+            } 
+            else if (tx.TransactionType === 'TrustSet' && tx.LimitAmount) {
+                const trustIssuer = tx.LimitAmount.issuer;
+                if (trustIssuer && trustIssuer !== address) {
+                    // Track trust relationships
+                    const interaction = track(trustIssuer, {
+                        value: 3, // TrustSet connections are important
+                        suspicious: txRisk > 0.5,
+                        transactionType: 'TrustSet'
+                    }, txRisk, tx.date);
+                    interaction.trustRelationship = true;
                 }
             }
-            
-            // Add direct connections between high-risk wallets in our network
-            this._connectHighRiskWallets();
-            
-        } catch (error) {
-            console.error(`Error analyzing connections for ${address}:`, error);
-            // Continue with other nodes if one fails
         }
+        
+        return { wallets };
     }
 
     /**
      * Analyze token connections to an account
      * @param {string} address - XRPL address to analyze
+     * @param {number} depth - Crawl depth of the account, used as request priority
      * @private
      */
-    async _analyzeTokenConnections(address) {
+    async _analyzeTokenConnections(address, depth = 0) {
+        const service = this.service.atPriority(depth);
         try {
             // Get tokens issued by this account
-            const issuedTokens = await xrplService.getIssuedTokens(address);
+            const issuedTokens = await service.getIssuedTokens(address);
             
             // Update metrics
             this.metrics.connectedTokens += issuedTokens.length;
             
+            // Holder distribution from the issuer's trust lines, one pass for all of its tokens
+            let distributions = new Map();
+            let issuerAudit = null;
+            if (issuedTokens.length > 0) {
+                try {
+                    distributions = await this.tokenAnalyzer.analyzeIssuer(service, address);
+                } catch (error) {
+                    console.error(`Error analyzing token holders for ${address}:`, error);
+                }
+                issuerAudit = await this._auditIssuer(service, address);
+            }
+            
             // Process each token
             for (const token of issuedTokens) {
                 // Generate a unique ID for the token
@@ -384,17 +849,19 @@ class NetworkAnalyzer {
                 this.analyzedTokens.add(tokenId);
                 
                 // Calculate token risk
-                const tokenRisk = this._calculateTokenRisk(token, address);
+                const distribution = distributions.get(token.currency) || null;
+                const tokenRiskBreakdown = this._evaluateTokenRisk(token, address, { distribution, issuerAudit });
+                const tokenRisk = tokenRiskBreakdown.score;
                 
                 // Try to get the real issue date from the first transaction
                 let issueDate = null;
                 try {
                     // Get the earliest transactions for this token to determine the issue date
-                    const tokenTxs = await xrplService.fetchTokenFirstTxs(address, token.currency, 1);
+                    const tokenTxs = await service.fetchTokenFirstTxs(address, token.currency, 1);
                     if (tokenTxs && tokenTxs.length > 0 && tokenTxs[0].date) {
                         issueDate = new Date(tokenTxs[0].date);
                         // Validate the date is reasonable
-                        if (issueDate.getFullYear() < 2012 || issueDate > new Date()) {
+                        if (issueDate.getFullYear() < 2012 || issueDate.getTime() > service.now()) {
                             issueDate = null; // Use fallback if date is unreasonable
                         }
                     }
@@ -408,9 +875,11 @@ class NetworkAnalyzer {
                     name: token.currency,
                     radius: 10,
                     riskLevel: tokenRisk,
+                    riskBreakdown: tokenRiskBreakdown,
                     issuer: address,
                     issueDate: issueDate ? issueDate.toLocaleDateString() : this._estimateIssueDate(token),
-                    holders: this._normalizeHolderCount(token.amount) || 'Unknown',
+                    holders: distribution ? distribution.holders : 'Unknown',
+                    holderDistribution: distribution,
                     description: `${token.currency} token issued by ${address.substring(0, 8)}...`
                 });
                 
@@ -435,7 +904,7 @@ class NetworkAnalyzer {
     async _identifyEarlyParticipants(address) {
         try {
             // Get issued tokens
-            const issuedTokens = await xrplService.getIssuedTokens(address);
+            const issuedTokens = await this.service.getIssuedTokens(address);
             
             // For each issued token, find early participants
             for (const token of issuedTokens) {
@@ -445,7 +914,7 @@ class NetworkAnalyzer {
                 if (!tokenNode) continue;
                 
                 // Get the earliest transactions to find early participants
-                const { transactions } = await xrplService.fetchEarlyTransactions(address, 100);
+                const { transactions } = await this.service.fetchEarlyTransactions(address, 100);
                 
                 // Filter for token-related transactions
                 const tokenTxs = transactions.filter(tx => {
@@ -470,6 +939,7 @@ class NetworkAnalyzer {
                 
                 // Map to track transaction position for each participant
                 const participantPositions = new Map();
+                const participantTxs = new Map();
                 
                 // Track the position of each participant's first appearance
                 earlyTxs.forEach((tx, index) => {
@@ -484,6 +954,7 @@ class NetworkAnalyzer {
                         // Only record the first appearance (earliest position)
                         if (!participantPositions.has(participant)) {
                             participantPositions.set(participant, index);
+                            participantTxs.set(participant, tx.hash);
                         }
                     });
                 });
@@ -515,12 +986,21 @@ class NetworkAnalyzer {
                         earlyTxInfo = `Mid-early participant (position ${position + 1})`;
                     }
                     
+                    const earlyEvidence = {
+                        transactions: participantTxs.get(participant) ? [participantTxs.get(participant)] : [],
+                        nodes: [tokenId]
+                    };
+                    
                     // Add as early participant if not already in network
                     this.addNode(participant, 'wallet', { 
                         earlyParticipant: true,
                         radius: 7 + (riskLevel * 4), // Adjust radius based on risk
                         riskLevel,
-                        earlyTxInfo
+                        riskBreakdown: this.riskEngine.evaluate('network', { earlyPosition: riskLevel }, {
+                            earlyPosition: { ...earlyEvidence, position: position + 1 }
+                        }),
+                        earlyTxInfo,
+                        earlyEvidence
                     });
                     
                     // Add connection to token
@@ -541,35 +1021,61 @@ class NetworkAnalyzer {
 
     /**
      * Analyze wallet's complete transaction history
-     * Examines both early and recent transactions to build a comprehensive profile
+     * Walks the full account history (up to the configured cap) and keeps the
+     * earliest and most recent transactions for display
      * @param {string} address - XRPL address to analyze
+     * @param {object} options - History options (startTime, endTime, types, maxTransactions, signal)
      * @returns {Promise<Object>} - Analysis results
      */
-    async analyzeWalletHistory(address) {
+    async analyzeWalletHistory(address, options = {}) {
+        const service = options.signal ? xrplService.withSignal(options.signal) : xrplService;
         const results = {
             earlyTxs: [],
             recentTxs: [],
+            totalTransactions: 0,
+            historyTruncated: false,
             uniqueCounterparties: new Set(),
             tokenInteractions: {},
             patternAnalysis: {
                 paymentFrequency: 0,
                 tokenIssuances: 0,
                 trustlines: 0,
+                offersCreated: 0,
+                offersCancelled: 0,
+                offerFills: 0,
                 unusualPatterns: []
             }
         };
 
         try {
-            // Get earliest transactions (up to 100)
-            const { transactions: earlyTransactions } = await xrplService.fetchEarlyTransactions(address, 100);
-            results.earlyTxs = earlyTransactions;
-            
-            // Get most recent transactions (up to 100)
-            const { transactions: recentTransactions } = await xrplService.fetchRecentTransactions(address, 100);
-            results.recentTxs = recentTransactions;
-            
-            // Combine for unique counterparties analysis
-            const allTransactions = [...earlyTransactions, ...recentTransactions];
+            const maxTransactions = options.maxTransactions || ANALYSIS_DEFAULTS.maxHistoryTransactions;
+            
+            // Walk the full history oldest first, up to the cap
+            const { transactions: allTransactions, truncated } = await service.getTransactionHistory(address, {
+                forward: true,
+                startTime: options.startTime ?? null,
+                endTime: options.endTime ?? null,
+                types: options.types || null,
+                maxTransactions
+            });
+            // Also set when a filtered walk stopped at its scan cap with fewer matches
+            results.historyTruncated = truncated;
+            results.earlyTxs = allTransactions.slice(0, 100);
+            
+            if (results.historyTruncated) {
+                // The walk stopped early, so the newest transactions still need a separate page
+                const { transactions: recentTransactions } = await service.fetchRecentTransactions(address, 100);
+                const seen = new Set(allTransactions.map(tx => tx.hash));
+                results.recentTxs = recentTransactions;
+                for (const tx of recentTransactions) {
+                    if (!seen.has(tx.hash)) {
+                        allTransactions.push(tx);
+                    }
+                }
+            } else {
+                results.recentTxs = allTransactions.slice(-100).reverse();
+            }
+            results.totalTransactions = allTransactions.length;
             
             // Analyze counterparties and transaction types
             for (const tx of allTransactions) {
@@ -586,8 +1092,13 @@ class NetworkAnalyzer {
                     case 'Payment':
                         results.patternAnalysis.paymentFrequency++;
                         
-                        // Analyze token payments
-                        if (typeof tx.Amount === 'object' && tx.Amount.currency) {
+                        // Tokens of the wallet's own issue sent out
+                        if (tx.Account === address && typeof tx.Amount === 'object' && tx.Amount.issuer === address) {
+                            results.patternAnalysis.tokenIssuances++;
+                        }
+                        
+                        // Analyze token payments
+                        if (typeof tx.Amount === 'object' && tx.Amount.currency) {
                             const currency = tx.Amount.currency;
                             if (!results.tokenInteractions[currency]) {
                                 results.tokenInteractions[currency] = {
@@ -612,15 +1123,23 @@ class NetworkAnalyzer {
                         results.patternAnalysis.trustlines++;
                         break;
                         
-                    // Track token issuances (simplified)
-                    case 'Payment':
                     case 'OfferCreate':
-                        if (tx.Account === address && typeof tx.TakerGets === 'object') {
-                            results.patternAnalysis.tokenIssuances++;
+                        if (tx.Account === address) {
+                            results.patternAnalysis.offersCreated++;
+                        }
+                        break;
+                        
+                    case 'OfferCancel':
+                        if (tx.Account === address) {
+                            results.patternAnalysis.offersCancelled++;
                         }
                         break;
                 }
                 
+                // Trades on the DEX: the wallet's offers filled by others, or offers it took
+                results.patternAnalysis.offerFills += extractFills(tx)
+                    .filter(fill => fill.maker === address || fill.taker === address).length;
+                
                 // Detect unusual patterns
                 this._detectUnusualPatterns(tx, address, results.patternAnalysis);
             }
@@ -635,6 +1154,20 @@ class NetworkAnalyzer {
         return results;
     }
     
+    /**
+     * Follow the money out of a wallet, such as a drain or rug wallet
+     * Runs apart from analyzeNetwork and leaves the current network as it is
+     * @param {string} address - Source address
+     * @param {object} options - Trace options (asset, model, maxHops, startTime, signal)
+     * @returns {Promise<object>} - Trace with the share of the tainted value each recipient received
+     */
+    async traceFunds(address, options = {}) {
+        const { signal, ...traceOptions } = options;
+        const service = signal ? xrplService.withSignal(signal) : xrplService;
+        // Accounts the last scan recognized as exchanges or pools need not be read again
+        return this.taintTracer.trace(service, address, traceOptions, this.entities);
+    }
+    
     /**
      * Detect unusual patterns in transactions
      * @param {Object} tx - Transaction object
@@ -687,19 +1220,31 @@ class NetworkAnalyzer {
             if (properties.earlyParticipant) {
                 existingNode.earlyParticipant = true;
                 existingNode.earlyTxInfo = properties.earlyTxInfo;
+                existingNode.earlyEvidence = properties.earlyEvidence;
                 existingNode.radius = Math.max(existingNode.radius, properties.radius || 10);
+                this._emitGraphEvent('node-updated', {
+                    id,
+                    changes: {
+                        earlyParticipant: true,
+                        earlyTxInfo: existingNode.earlyTxInfo,
+                        earlyEvidence: existingNode.earlyEvidence,
+                        radius: existingNode.radius
+                    }
+                });
             }
             return;
         }
         
         // Add new node
-        this.networkData.nodes.push({
+        const node = {
             id,
             type,
             ...properties
-        });
+        };
+        this.networkData.nodes.push(node);
         
         this.nodeCount++;
+        this._emitGraphEvent('node-added', { node });
     }
 
     /**
@@ -719,10 +1264,13 @@ class NetworkAnalyzer {
             return;
         }
         
-        // Check if link already exists
+        // Check if link already exists; each graph layer keeps its own links
+        const layer = properties.layer || null;
         const existingLink = this.networkData.links.find(link => 
-            (link.source === source && link.target === target) || 
-            (link.source === target && link.target === source)
+            (link.layer || null) === layer && (
+                (link.source === source && link.target === target) || 
+                (link.source === target && link.target === source)
+            )
         );
         
         if (existingLink) {
@@ -733,15 +1281,18 @@ class NetworkAnalyzer {
         }
         
         // Add new link
-        this.networkData.links.push({
+        const link = {
             source,
             target,
             value: properties.value || 1,
             suspicious: properties.suspicious || false,
-            ...(properties.transactionType && { transactionType: properties.transactionType })
-        });
+            ...(properties.transactionType && { transactionType: properties.transactionType }),
+            ...(layer && { layer })
+        };
+        this.networkData.links.push(link);
         
         this.linkCount++;
+        this._emitGraphEvent('link-added', { link });
         
         // Track suspicious connections
         if (properties.suspicious) {
@@ -750,115 +1301,122 @@ class NetworkAnalyzer {
     }
 
     /**
-     * Calculate risk score for a wallet
+     * Score a wallet from the wallet rules
      * @param {string} address - XRPL address
-     * @returns {Promise<number>} - Risk score (0-1)
+     * @param {number} depth - Crawl depth of the wallet, used as request priority
+     * @param {object} creatorHistory - Track record from _checkCreatorHistory, or null if it could not be read
+     * @returns {Promise<object>} - Risk engine evaluation: score (0-1) and the contribution of each rule
      * @private
      */
-    async _calculateWalletRisk(address) {
-        let riskScore = 0;
-        
-        // Extract the base address without source tag for comparison
-        const baseAddress = address.split(':')[0];
+    async _evaluateWalletRisk(address, depth = 1, creatorHistory = null) {
+        const service = this.service.atPriority(depth);
         
         // Check if this is a known high-risk address
-        if (HIGH_RISK_ADDRESSES.includes(baseAddress)) {
-            return 1.0; // Maximum risk
+        if (isHighRiskAddress(address)) {
+            return this.riskEngine.evaluate('wallet', { knownScammer: true });
         }
         
         try {
-            // Get account info including XRP balance
-            const accountInfo = await xrplService.getAccountInfo(address);
-            
-            // Check account age
-            if (accountInfo.sequence) {
-                const sequence = parseInt(accountInfo.sequence);
-                if (sequence > 60000000) { // newer accounts have higher sequence numbers
-                    riskScore += RISK_FACTORS.wallet.newAccount.weight * 0.8;
-                } else if (sequence > 40000000) {
-                    riskScore += RISK_FACTORS.wallet.newAccount.weight * 0.4;
-                }
-            }
-            
-            // Check transaction count
-            const transactions = await xrplService.getAccountTransactions(address, 10);
-            const txCount = transactions.length;
+            const signals = {};
+            const evidence = {};
             
-            if (txCount < RISK_FACTORS.wallet.lowActivity.threshold) {
-                riskScore += RISK_FACTORS.wallet.lowActivity.weight * 
-                    (1 - (txCount / RISK_FACTORS.wallet.lowActivity.threshold));
+            // Account age: the Sequence of a new account starts at its creation ledger
+            const accountInfo = await service.getAccountInfo(address);
+            if (accountInfo.Sequence) {
+                signals.newAccount = parseInt(accountInfo.Sequence);
             }
             
+            // Check transaction count (fetching more than the threshold would not change the score)
+            const activityRule = this.riskEngine.rule('wallet', 'lowActivity');
+            const transactions = await service.getAccountTransactions(address, activityRule.threshold);
+            signals.lowActivity = transactions.length;
+            evidence.lowActivity = { transactions: this._transactionHashes(transactions) };
+            
             // Cross-reference with known issuer addresses
-            const issuedTokens = await xrplService.getIssuedTokens(address);
+            const issuedTokens = await service.getIssuedTokens(address);
             if (issuedTokens.length > 0) {
-                // This wallet is an issuer
-                if (issuedTokens.length > RISK_FACTORS.wallet.manyIssuances.threshold) {
-                    riskScore += RISK_FACTORS.wallet.manyIssuances.weight * 
-                        Math.min(1, (issuedTokens.length - RISK_FACTORS.wallet.manyIssuances.threshold) / 5);
-                }
+                signals.manyIssuances = issuedTokens.length;
+                evidence.manyIssuances = { nodes: issuedTokens.map(token => `${token.currency}-${address}`) };
                 
-                // Check if any issued tokens have suspicious patterns
-                let suspiciousTokens = 0;
-                for (const token of issuedTokens) {
-                    if (this._hasTokenSuspiciousPattern(token)) {
-                        suspiciousTokens++;
-                    }
-                }
-                
-                if (suspiciousTokens > 0) {
-                    const suspiciousRatio = suspiciousTokens / issuedTokens.length;
-                    riskScore += suspiciousRatio * RISK_FACTORS.wallet.suspiciousPattern.weight;
-                }
-            }
-            
-            // Cross-reference with creator wallets and previous issued tokens
-            const creatorHistory = await this._checkCreatorHistory(address);
-            if (creatorHistory.previousRugs > 0) {
-                // If this wallet was previously involved in rug pulls, increase risk significantly
-                riskScore += Math.min(0.5, creatorHistory.previousRugs * 0.15);
+                // Share of issued tokens with suspicious patterns
+                const suspiciousTokens = issuedTokens.filter(token => this._hasTokenSuspiciousPattern(token));
+                signals.suspiciousTokens = suspiciousTokens.length / issuedTokens.length;
+                evidence.suspiciousTokens = { nodes: suspiciousTokens.map(token => `${token.currency}-${address}`) };
+            }
+            
+            // Track record of the tokens this wallet and its linked wallets issued before
+            if (creatorHistory && creatorHistory.tokens.length > 0) {
+                const rugged = creatorHistory.tokens.filter(token => token.rug);
+                signals.rugHistory = creatorHistory.previousRugs;
+                evidence.rugHistory = {
+                    nodes: rugged.map(token => token.id),
+                    transactions: rugged.flatMap(token => token.transactions)
+                };
             }
             
             // Check for connections to known high-risk wallets
-            const connectedAddresses = await this._getConnectedAddresses(address);
-            const highRiskConnections = connectedAddresses.filter(addr => {
-                // Extract base address without source tag
-                const baseAddr = addr.split(':')[0];
-                return HIGH_RISK_ADDRESSES.includes(baseAddr);
-            });
-            
-            if (highRiskConnections.length > 0) {
-                // If connected to known high-risk wallets, increase risk based on number of connections
-                const connectionRisk = Math.min(0.7, highRiskConnections.length * 0.2);
-                riskScore += connectionRisk;
-            }
+            const connectedAddresses = await this._getConnectedAddresses(address, depth);
+            const highRiskConnections = connectedAddresses.filter(addr => isHighRiskAddress(addr));
+            signals.highRiskConnections = highRiskConnections.length;
+            evidence.highRiskConnections = { nodes: highRiskConnections };
             
-            // Check for creator wallet connection to issuer
             // If this wallet created the token issuer, it has higher risk
             if (this.networkData.mainNode && this.networkData.mainNode !== address) {
-                try {
-                    const mainAccountInfo = await xrplService.getAccountInfo(this.networkData.mainNode);
-                    if (mainAccountInfo && mainAccountInfo.Account && mainAccountInfo.Account.TransactionHistory) {
-                        const activationTx = mainAccountInfo.Account.TransactionHistory.find(tx => 
-                            tx.TransactionType === 'AccountSet' && tx.Account === address);
-                        if (activationTx) {
-                            // This wallet created the issuer - significant risk factor
-                            riskScore += 0.4;
-                        }
-                    }
-                } catch (err) {
-                    console.warn('Could not check creator wallet connection:', err);
+                const activation = await this._mainWalletActivation(address, depth);
+                signals.createdMainWallet = !!activation;
+                if (activation) {
+                    evidence.createdMainWallet = {
+                        transactions: [activation.hash],
+                        nodes: [this.networkData.mainNode]
+                    };
                 }
             }
             
-            // Cap risk score at 1.0
-            return Math.min(riskScore, 1.0);
+            return this.riskEngine.evaluate('wallet', signals, evidence);
         } catch (error) {
             console.error(`Error calculating wallet risk for ${address}:`, error);
-            return 0.5; // Default medium risk on error
+            // Default medium risk on error
+            return {
+                category: 'wallet',
+                score: 0.5,
+                aggregation: 'default',
+                contributions: [],
+                note: `Wallet data could not be loaded (${error.message}); using a default medium risk`
+            };
         }
     }
 
+    /**
+     * The scanned account's activation, if this wallet funded it
+     * @param {string} address - XRPL address
+     * @param {number} depth - Crawl depth of the wallet, used as request priority
+     * @returns {Promise<object|null>} - Activation from the activation tracer, or null
+     * @private
+     */
+    async _mainWalletActivation(address, depth = 1) {
+        const mainNode = this.networkData.mainNode;
+        if (!this.activations.has(mainNode)) {
+            try {
+                this.activations.set(mainNode, await this.activationTracer.readActivation(this.service.atPriority(depth), mainNode));
+            } catch (error) {
+                console.warn(`Could not read the activation of ${mainNode}: ${error.message}`);
+                return null;
+            }
+        }
+        const activation = this.activations.get(mainNode);
+        return activation && activation.funder === address ? activation : null;
+    }
+
+    /**
+     * Hashes of the transactions that have one
+     * @param {Array} transactions - Transactions
+     * @returns {Array<string>}
+     * @private
+     */
+    _transactionHashes(transactions) {
+        return transactions.map(tx => tx && tx.hash).filter(Boolean);
+    }
+
     /**
      * Check if a token has suspicious patterns
      * @param {object} token - Token information
@@ -869,13 +1427,8 @@ class NetworkAnalyzer {
         if (!token) return false;
         
         // Check currency name for suspicious terms
-        if (token.currency) {
-            const lowerCurrency = token.currency.toLowerCase();
-            for (const flag of RISK_FACTORS.token.suspicious_name.flags) {
-                if (lowerCurrency.includes(flag)) {
-                    return true;
-                }
-            }
+        if (this._hasSuspiciousName(token.currency)) {
+            return true;
         }
         
         // Check token amount/supply patterns
@@ -897,181 +1450,83 @@ class NetworkAnalyzer {
     }
 
     /**
-     * Check creator history for suspicious patterns
+     * Track record of the tokens a wallet and the wallets linked to it issued
      * @param {string} address - XRPL address to check
-     * @returns {Promise<object>} - Creator history information
+     * @param {number} depth - Crawl depth of the wallet, used as request priority
+     * @returns {Promise<object|null>} - Track record from CreatorHistoryAnalyzer, or null if the history could not be read
      * @private
      */
-    async _checkCreatorHistory(address) {
-        const result = {
-            tokens: [],
-            previousRugs: 0,
-            averageTokenLifetime: 0
-        };
-        
+    async _checkCreatorHistory(address, depth = 1) {
+        const interval = this.creatorHistoryAnalyzer.settings.interval;
         try {
-            // Set a timeout to prevent this function from hanging
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('Creator history check timed out')), 10000);
-            });
-            
-            // Get all tokens created by this address
-            const issuedTokensPromise = xrplService.getIssuedTokens(address);
-            
-            // Race between the actual request and the timeout
-            const issuedTokens = await Promise.race([issuedTokensPromise, timeoutPromise])
-                .catch(err => {
-                    console.warn(`Timeout or error checking issued tokens for ${address}: ${err.message}`);
-                    return []; // Return empty array on timeout or error
-                });
-                
-            result.tokens = issuedTokens || [];
-            
-            // Skip heavy processing if no tokens found or too many tokens (performance optimization)
-            if (!issuedTokens || issuedTokens.length === 0 || issuedTokens.length > 10) {
-                return result;
-            }
-            
-            // For each token, try to determine if it was a rug pull
-            // Limit the number of tokens analyzed to avoid performance issues
-            const tokensToAnalyze = issuedTokens.slice(0, 3); // Only analyze up to 3 tokens
-            let totalLifetime = 0;
-            let countedTokens = 0;
-            
-            // Process tokens sequentially to avoid overwhelming the API
-            for (const token of tokensToAnalyze) {
-                try {
-                    // Set a timeout for each token analysis
-                    const tokenTimeout = new Promise((_, reject) => {
-                        setTimeout(() => reject(new Error('Token analysis timed out')), 5000);
-                    });
-                    
-                    // Get token transactions with timeout
-                    const txPromise = xrplService.getTokenTransactions(token.currency, address, 20);
-                    const tokenTransactions = await Promise.race([txPromise, tokenTimeout])
-                        .catch(err => {
-                            console.warn(`Timeout or error getting transactions for token ${token.currency}: ${err.message}`);
-                            return [];
-                        });
-                    
-                    if (tokenTransactions && tokenTransactions.length >= 3) {
-                        // Get first and most recent transaction
-                        const firstTx = tokenTransactions[tokenTransactions.length - 1];
-                        const lastTx = tokenTransactions[0];
-                        
-                        if (firstTx && lastTx && firstTx.date && lastTx.date) {
-                            const startTime = new Date(firstTx.date);
-                            const endTime = new Date(lastTx.date);
-                            const lifetimeDays = (endTime - startTime) / (1000 * 60 * 60 * 24);
-                            
-                            totalLifetime += lifetimeDays;
-                            countedTokens++;
-                            
-                            // Check for rug pull pattern
-                            const isHighInitialVolume = this._checkForHighInitialVolume(tokenTransactions);
-                            const isSharpValueDrop = this._checkForSharpValueDrop(tokenTransactions);
-                            
-                            if (lifetimeDays < 7 && (isHighInitialVolume || isSharpValueDrop)) {
-                                result.previousRugs++;
-                            }
-                        }
-                    }
-                    
-                    // Short delay between token requests to avoid rate limiting
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                    
-                } catch (err) {
-                    console.warn(`Error analyzing token ${token.currency}: ${err.message}`);
-                    // Continue with the next token
-                }
-            }
-            
-            // Calculate average token lifetime
-            if (countedTokens > 0) {
-                result.averageTokenLifetime = totalLifetime / countedTokens;
-            }
-            
-            return result;
+            return await this.creatorHistoryAnalyzer.analyzeCreator(
+                this.service.atPriority(depth),
+                address,
+                // Past tokens are read from their first issuance in daily candles
+                (currency, issuer, start, service) => this._fetchPriceHistory(currency, issuer, start !== null
+                    ? { start: new Date(start), interval }
+                    : { interval }, service)
+            );
         } catch (error) {
+            if (this.signal.aborted) throw error;
             console.warn(`Error checking creator history for ${address}: ${error.message}`);
-            return result; // Return the default result with empty data
+            return null;
         }
     }
 
     /**
-     * Check token transactions for high initial volume (common in rug pulls)
-     * @param {Array} transactions - Token transactions
-     * @returns {boolean} - Whether high initial volume is detected
-     * @private
-     */
-    _checkForHighInitialVolume(transactions) {
-        // Requires at least 10 transactions to analyze
-        if (!transactions || transactions.length < 10) return false;
-        
-        // Compare first 5 transactions volume with next 5
-        const initialVolume = transactions.slice(transactions.length - 5).reduce((total, tx) => {
-            return total + this._normalizeAmount(tx.Amount || 0);
-        }, 0);
-        
-        const laterVolume = transactions.slice(transactions.length - 10, transactions.length - 5).reduce((total, tx) => {
-            return total + this._normalizeAmount(tx.Amount || 0);
-        }, 0);
-        
-        // If initial volume is at least 3x higher than later volume, flag as suspicious
-        return initialVolume > laterVolume * 3;
-    }
-
-    /**
-     * Check token transactions for sharp value drop (common in rug pulls)
-     * @param {Array} transactions - Token transactions
-     * @returns {boolean} - Whether sharp value drop is detected
+     * Price and volume candles of a token against XRP, oldest first
+     * @param {string} currency - Token currency code
+     * @param {string} issuer - Token issuer address
+     * @param {object} options - start (default DATA_API_SETTINGS.historyDays ago), interval
+     * @param {XRPLService} service - Service view to read with
+     * @returns {Promise<Array>} - Candles from the Data API, empty if they could not be read
      * @private
      */
-    _checkForSharpValueDrop(transactions) {
-        // Requires at least 15 transactions to analyze
-        if (!transactions || transactions.length < 15) return false;
-        
-        // Try to find a pattern where value drops significantly in a short timeframe
-        const values = transactions.map(tx => this._normalizeAmount(tx.Amount || 0));
-        
-        for (let i = 0; i < values.length - 5; i++) {
-            const beforeDrop = values.slice(i, i + 3).reduce((a, b) => a + b, 0) / 3;
-            const afterDrop = values.slice(i + 3, i + 6).reduce((a, b) => a + b, 0) / 3;
-            
-            // If value dropped by 70% or more, flag as suspicious
-            if (afterDrop < beforeDrop * 0.3) {
-                return true;
-            }
+    async _fetchPriceHistory(currency, issuer, options = {}, service = this.service) {
+        try {
+            return await service.getTokenMarketData(currency, issuer, {
+                start: new Date(service.now() - DATA_API_SETTINGS.historyDays * 86400000),
+                ...options
+            });
+        } catch (error) {
+            // Cancelled, or out of the caller's time budget
+            if (service.signal && service.signal.aborted) throw error;
+            console.warn(`No price history for ${currency}.${issuer}: ${error.message}`);
+            return [];
         }
-        
-        return false;
     }
 
     /**
      * Get addresses connected to a wallet
      * @param {string} address - XRPL address to check
+     * @param {number} depth - Crawl depth of the wallet, used as request priority
      * @returns {Promise<Array<string>>} - List of connected addresses
      * @private
      */
-    async _getConnectedAddresses(address) {
+    async _getConnectedAddresses(address, depth = 1) {
         const connectedAddresses = new Set();
         
         try {
             // Get account transactions to identify connected wallets
-            const transactions = await xrplService.getAccountTransactions(address, 50);
+            const transactions = await this.service.getAccountTransactions(address, 50);
             
             for (const tx of transactions) {
                 // Skip invalid transactions
                 if (!tx || !tx.TransactionType) continue;
                 
-                // Add destination wallets
+                // Add destination wallets, with the customer tag for deposits to an exchange
                 if (tx.Destination && tx.Destination !== address) {
-                    connectedAddresses.add(tx.Destination);
+                    const receiver = tx.DestinationTag !== undefined ? await this._recognizeEntity(tx.Destination, depth) : null;
+                    connectedAddresses.add(paymentDestination(tx, receiver));
                 }
                 
                 // Add source wallets if this wallet is the destination
                 if (tx.Account && tx.Account !== address) {
-                    connectedAddresses.add(tx.Account);
+                    const sender = tx.TransactionType === 'Payment' && tx.SourceTag !== undefined
+                        ? await this._recognizeEntity(tx.Account, depth)
+                        : null;
+                    connectedAddresses.add(tx.TransactionType === 'Payment' ? paymentSource(tx, sender) : tx.Account);
                 }
                 
                 // Add trustline issuers
@@ -1088,41 +1543,347 @@ class NetworkAnalyzer {
     }
 
     /**
-     * Calculate risk score for a token
+     * Score a token from the token rules
      * @param {object} token - Token information
      * @param {string} issuer - Token issuer address
-     * @returns {number} - Risk score (0-1)
+     * @param {object} context - What is known about the token so far, each part null or absent if not read:
+     *   distribution (TokenAnalyzer), issuerAudit (issuer flag audit), ammPool (AmmAnalyzer), dex (DexAnalyzer)
+     * @returns {object} - Risk engine evaluation: score (0-1) and the contribution of each rule
      * @private
      */
-    _calculateTokenRisk(token, issuer) {
-        let riskScore = 0;
-        
-        // Check if currency name contains suspicious terms
-        if (token.currency) {
-            const lowerCurrency = token.currency.toLowerCase();
-            for (const flag of RISK_FACTORS.token.suspicious_name.flags) {
-                if (lowerCurrency.includes(flag)) {
-                    riskScore += RISK_FACTORS.token.suspicious_name.weight;
-                    break;
+    _evaluateTokenRisk(token, issuer, context = {}) {
+        const { distribution = null, issuerAudit = null, ammPool = null, dex = null } = context;
+        const signals = {
+            suspicious_name: this._hasSuspiciousName(token.currency)
+        };
+        const evidence = { issuerRisk: { nodes: [issuer] } };
+        
+        if (distribution) {
+            const topAccounts = count => distribution.topHolders.slice(0, count).map(holder => holder.account);
+            
+            signals.limitedHolders = distribution.holders;
+            signals.noTrustlines = distribution.trustlines;
+            evidence.limitedHolders = { nodes: topAccounts(distribution.topHolders.length) };
+            
+            // Shares of a partial holder list would be misleading
+            if (!distribution.truncated) {
+                signals.highConcentration = distribution.concentration.top3;
+                evidence.highConcentration = { nodes: topAccounts(3) };
+                signals.fewControllers = distribution.nakamoto;
+                evidence.fewControllers = { nodes: topAccounts(distribution.nakamoto || 0) };
+                if (distribution.affiliated) {
+                    signals.affiliatedHoldings = distribution.affiliated.share;
+                    evidence.affiliatedHoldings = { nodes: distribution.affiliated.accounts };
                 }
             }
         }
         
-        // Check if token has few holders
-        const amount = parseFloat(token.amount || 0);
-        if (amount < RISK_FACTORS.token.limitedHolders.threshold) {
-            riskScore += RISK_FACTORS.token.limitedHolders.weight * 
-                (1 - (amount / RISK_FACTORS.token.limitedHolders.threshold));
+        if (issuerAudit) {
+            signals.issuerSettings = issuerAudit.risk.score;
+            evidence.issuerSettings = { nodes: [issuer], breakdown: issuerAudit.risk };
+        }
+        
+        if (ammPool) {
+            // A deleted pool has nothing left for holders to sell into
+            signals.liquidityPulled = ammPool.deleted ? 100 : ammPool.pull.share;
+            evidence.liquidityPulled = {
+                transactions: ammPool.pull.withdrawals.flatMap(withdrawal => withdrawal.transactions),
+                nodes: ammPool.pull.withdrawals.map(withdrawal => withdrawal.account)
+            };
+        }
+        
+        if (dex) {
+            const alertsOf = id => dex.alerts.filter(alert => alert.id === id);
+            const alertEvidence = alerts => ({
+                transactions: alerts.flatMap(alert => alert.transactions),
+                nodes: alerts.flatMap(alert => alert.accounts)
+            });
+            signals.insiderSellWall = dex.book.asks.insiderShare;
+            evidence.insiderSellWall = { nodes: dex.book.asks.owners.filter(owner => owner.role).map(owner => owner.account) };
+            signals.spoofing = alertsOf('spoofing').length > 0;
+            evidence.spoofing = alertEvidence(alertsOf('spoofing'));
+            signals.thinBookSells = alertsOf('thinBookSell').length > 0;
+            evidence.thinBookSells = alertEvidence(alertsOf('thinBookSell'));
         }
         
         // Check issuer risk contribution
         const issuerNode = this.networkData.nodes.find(node => node.id === issuer);
         if (issuerNode && issuerNode.riskLevel) {
-            riskScore += issuerNode.riskLevel * 0.3; // Issuer contributes 30% to token risk
+            signals.issuerRisk = issuerNode.riskLevel;
         }
         
-        // Cap risk score at 1.0
-        return Math.min(riskScore, 1.0);
+        return this.riskEngine.evaluate('token', signals, evidence);
+    }
+
+    /**
+     * Trace the activation chain of every wallet in the network and add the genesis tree as the
+     * 'activation' graph layer; funders the crawl did not reach are added as layer-only nodes
+     * @private
+     */
+    async _traceActivations() {
+        // Entities the crawler did not expand end chains rather than start them
+        const wallets = this.networkData.nodes
+            .filter(node => node.type === 'wallet' && !node.layer && !node.entity)
+            .slice(0, this.activationTracer.settings.maxWallets);
+        
+        const traces = [];
+        for (const wallet of wallets) {
+            this.signal.throwIfAborted();
+            try {
+                const trace = await this.activationTracer.traceAccount(this.service, wallet.id, this.activations, this.entities);
+                traces.push(trace);
+                
+                wallet.activation = trace;
+                this._emitGraphEvent('node-updated', { id: wallet.id, changes: { activation: trace } });
+            } catch (error) {
+                console.error(`Error tracing the activation of ${wallet.id}:`, error);
+            }
+        }
+        
+        // Funders of wallets in the graph, and the wallets each one activated
+        const created = new Map();
+        for (const hop of traces.flatMap(trace => trace.chain)) {
+            if (!this.networkData.nodes.some(node => node.id === hop.funder)) {
+                const entity = this.entities.get(hop.funder) || knownEntity(hop.funder);
+                this.addNode(hop.funder, 'wallet', {
+                    radius: 6,
+                    riskLevel: 0,
+                    layer: 'activation',
+                    walletType: entity ? entity.type : 'funder',
+                    entity
+                });
+            }
+            this._addConnection(hop.funder, hop.account, {
+                value: 5,
+                transactionType: 'Activation',
+                layer: 'activation'
+            });
+            
+            const accounts = created.get(hop.funder) || new Set();
+            accounts.add(hop.account);
+            created.set(hop.funder, accounts);
+        }
+        
+        for (const [funder, accounts] of created) {
+            const funderNode = this.networkData.nodes.find(node => node.id === funder);
+            if (!funderNode || this.entities.get(funder) || knownEntity(funder)) continue;
+            
+            funderNode.isCreator = true;
+            funderNode.createdWallets = [...accounts];
+            this._emitGraphEvent('node-updated', {
+                id: funder,
+                changes: { isCreator: true, createdWallets: funderNode.createdWallets }
+            });
+        }
+        
+        // Wallets under the same funder are likely one operator; the closest shared funder is kept
+        for (const group of groupBySharedFunder(traces, this.activationTracer.settings.minSharedWallets)) {
+            for (const member of group.wallets) {
+                const walletNode = this.networkData.nodes.find(node => node.id === member.account);
+                if (!walletNode || walletNode.sharedFunder) continue;
+                
+                walletNode.sharedFunder = {
+                    funder: group.funder,
+                    hops: member.hops,
+                    wallets: group.wallets.map(wallet => wallet.account).filter(account => account !== member.account),
+                    transactions: member.transactions
+                };
+                this._emitGraphEvent('node-updated', { id: member.account, changes: { sharedFunder: walletNode.sharedFunder } });
+            }
+        }
+    }
+
+    /**
+     * Score every pair of wallets in the network for signs of one operator and mark the clusters they form
+     * @private
+     */
+    async _detectSybilClusters() {
+        const accounts = this.networkData.nodes
+            .filter(node => node.type === 'wallet' && !node.layer && !node.entity)
+            .map(node => node.id);
+        if (accounts.length < 2) return;
+        
+        try {
+            const { clusters } = await this.sybilDetector.detectClusters(this.service, accounts, this.activations, this.entities);
+            for (const cluster of clusters) {
+                for (const account of cluster.wallets) {
+                    const walletNode = this.networkData.nodes.find(node => node.id === account);
+                    if (!walletNode) continue;
+                    
+                    walletNode.sybilCluster = cluster;
+                    this._emitGraphEvent('node-updated', { id: account, changes: { sybilCluster: cluster } });
+                }
+            }
+        } catch (error) {
+            console.error('Error detecting Sybil clusters:', error);
+        }
+    }
+
+    /**
+     * Run the graph analytics on the wallet graph and store each wallet's position on its node
+     * @private
+     */
+    _analyzeGraph() {
+        try {
+            const insidersByToken = new Map();
+            for (const tokenNode of this.networkData.nodes.filter(node => node.type === 'token')) {
+                insidersByToken.set(tokenNode.id, this._tokenInsiders(tokenNode));
+            }
+            
+            const analysis = this.graphAnalyzer.analyze(this.networkData, insidersByToken);
+            for (const [id, graphMetrics] of analysis.nodes) {
+                const walletNode = this.networkData.nodes.find(node => node.id === id);
+                walletNode.graphMetrics = graphMetrics;
+                this._emitGraphEvent('node-updated', { id, changes: { graphMetrics } });
+            }
+            
+            this.graphAnalysis = analysis;
+            this.metrics.communities = analysis.communities.length;
+            this.metrics.modularity = Number(analysis.modularity.toFixed(3));
+            this.metrics.bridges = analysis.bridges.length;
+            this.metrics.articulationPoints = analysis.articulationPoints.length;
+        } catch (error) {
+            console.error('Error analyzing graph structure:', error);
+        }
+    }
+
+    /**
+     * Inspect the XRP AMM pool of every token in the network and rescore the tokens that have one
+     * @private
+     */
+    async _inspectAmmPools() {
+        const tokenNodes = this.networkData.nodes.filter(node => node.type === 'token' && node.issuer);
+        
+        for (const tokenNode of tokenNodes) {
+            this.signal.throwIfAborted();
+            try {
+                const pool = await this.ammAnalyzer.analyzeToken(
+                    this.service, tokenNode.name, tokenNode.issuer, this._tokenInsiders(tokenNode));
+                if (!pool) continue;
+                
+                tokenNode.ammPool = pool;
+                this._rescoreToken(tokenNode, { ammPool: pool });
+            } catch (error) {
+                console.error(`Error inspecting AMM pool for ${tokenNode.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Read the token/XRP order book of every token in the network and how its insiders trade on it
+     * @private
+     */
+    async _inspectOrderBooks() {
+        const tokenNodes = this.networkData.nodes.filter(node => node.type === 'token' && node.issuer);
+        
+        for (const tokenNode of tokenNodes) {
+            this.signal.throwIfAborted();
+            try {
+                const dex = await this.dexAnalyzer.analyzeToken(
+                    this.service, tokenNode.name, tokenNode.issuer, this._tokenInsiders(tokenNode));
+                
+                tokenNode.dex = dex;
+                this._rescoreToken(tokenNode, { dex });
+            } catch (error) {
+                console.error(`Error inspecting order book for ${tokenNode.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Score a token node again with everything collected about it and publish the change
+     * @param {object} tokenNode - Token node
+     * @param {object} changes - New token properties to publish with the score
+     * @private
+     */
+    _rescoreToken(tokenNode, changes) {
+        const issuerNode = this.networkData.nodes.find(node => node.id === tokenNode.issuer);
+        const breakdown = this._evaluateTokenRisk({ currency: tokenNode.name }, tokenNode.issuer, {
+            distribution: tokenNode.holderDistribution || null,
+            issuerAudit: issuerNode && issuerNode.issuerAudit || null,
+            ammPool: tokenNode.ammPool || null,
+            dex: tokenNode.dex || null
+        });
+        
+        tokenNode.riskBreakdown = breakdown;
+        tokenNode.riskLevel = breakdown.score;
+        this._emitGraphEvent('node-updated', {
+            id: tokenNode.id,
+            changes: { ...changes, riskBreakdown: breakdown, riskLevel: breakdown.score }
+        });
+    }
+
+    /**
+     * Wallets whose liquidity withdrawals count as insider pulls for a token
+     * @param {object} tokenNode - Token node
+     * @returns {Map<string, string>} - Role by address: 'issuer', 'creator' or 'early'
+     * @private
+     */
+    _tokenInsiders(tokenNode) {
+        const insiders = new Map();
+        
+        for (const link of this.networkData.links) {
+            if (link.transactionType === 'EarlyToken' && link.target === tokenNode.id) {
+                insiders.set(link.source, 'early');
+            }
+        }
+        // The wallet that activated the issuer, unless it is an exchange or another known entity
+        const issuerNode = this.networkData.nodes.find(node => node.id === tokenNode.issuer);
+        const creator = issuerNode && issuerNode.activation ? issuerNode.activation.funder : null;
+        if (creator && !knownEntity(creator)) {
+            insiders.set(creator, 'creator');
+        }
+        for (const node of this.networkData.nodes) {
+            if (node.type === 'wallet' && node.isCreatorWallet && tokenNode.issuer === this.networkData.mainNode) {
+                insiders.set(node.id, 'creator');
+            }
+        }
+        insiders.set(tokenNode.issuer, 'issuer');
+        
+        return insiders;
+    }
+
+    /**
+     * Audit an issuer's account flags and settings and attach the result to its node
+     * @param {XRPLService} service - Service view to read the ledger with
+     * @param {string} issuer - Issuer address
+     * @returns {Promise<object|null>} - Audit with its risk evaluation, or null if the account could not be read
+     * @private
+     */
+    async _auditIssuer(service, issuer) {
+        try {
+            const audit = await this.issuerAuditor.audit(service, issuer);
+            audit.keyControl = await this._analyzeKeyControl(service, issuer);
+            audit.risk = this.riskEngine.evaluate('issuer', issuerSignals(audit));
+            
+            const issuerNode = this.networkData.nodes.find(node => node.id === issuer);
+            if (issuerNode) {
+                issuerNode.issuerAudit = audit;
+                this._emitGraphEvent('node-updated', { id: issuer, changes: { issuerAudit: audit } });
+            }
+            return audit;
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error(`Error auditing issuer settings for ${issuer}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Rebuild an issuer's key-control timeline from its history
+     * @param {XRPLService} service - Service view to read the ledger with
+     * @param {string} issuer - Issuer address
+     * @returns {Promise<object|null>} - Timeline, or null if the history could not be read
+     * @private
+     */
+    async _analyzeKeyControl(service, issuer) {
+        try {
+            return await this.keyControlAnalyzer.analyzeIssuer(service, issuer);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error(`Error reading key-control history for ${issuer}:`, error);
+            return null;
+        }
     }
 
     /**
@@ -1132,48 +1893,59 @@ class NetworkAnalyzer {
      * @private
      */
     _calculateTransactionRisk(tx) {
-        let riskScore = 0;
+        const signals = {};
         
         // Check for large amounts
         if (tx.Amount) {
-            const amount = this._normalizeAmount(tx.Amount);
-            if (amount > RISK_FACTORS.transaction.largeAmount.threshold) {
-                riskScore += RISK_FACTORS.transaction.largeAmount.weight * 
-                    Math.min(1, (amount / RISK_FACTORS.transaction.largeAmount.threshold) - 1);
-            }
+            signals.largeAmount = this._normalizeAmount(tx.Amount);
         }
         
         // Check for odd amounts (common in scams)
         if (tx.Amount && typeof tx.Amount === 'string') {
-            const amountStr = tx.Amount.toString();
-            if (amountStr.endsWith('000000') || amountStr.endsWith('999999')) {
-                riskScore += RISK_FACTORS.transaction.oddAmount.weight;
-            }
+            const { suffixes } = this.riskEngine.rule('transaction', 'oddAmount');
+            signals.oddAmount = suffixes.some(suffix => tx.Amount.endsWith(suffix));
         }
         
         // Check for suspicious memos
         if (tx.Memos && tx.Memos.length > 0) {
-            for (const memo of tx.Memos) {
-                if (memo.Memo && memo.Memo.MemoData) {
-                    try {
-                        // Try to decode memo data
-                        const decodedMemo = Buffer.from(memo.Memo.MemoData, 'hex').toString('utf8');
-                        // Check for suspicious strings
-                        if (decodedMemo.includes('http') || 
-                            decodedMemo.includes('send') || 
-                            decodedMemo.includes('receive') || 
-                            decodedMemo.includes('claim')) {
-                            riskScore += RISK_FACTORS.transaction.memoFlags.weight;
-                        }
-                    } catch (e) {
-                        // If we can't decode, just ignore
-                    }
-                }
-            }
+            const { keywords } = this.riskEngine.rule('transaction', 'memoFlags');
+            signals.memoFlags = tx.Memos.some(memo => {
+                const text = memo.Memo && memo.Memo.MemoData ? this._decodeHex(memo.Memo.MemoData) : '';
+                return keywords.some(keyword => text.toLowerCase().includes(keyword));
+            });
         }
         
-        // Cap risk score at 1.0
-        return Math.min(riskScore, 1.0);
+        return this.riskEngine.score('transaction', signals);
+    }
+
+    /**
+     * Whether a currency code contains one of the suspicious name flags
+     * @param {string} currency - 3-letter or 40-character hex currency code
+     * @returns {boolean}
+     * @private
+     */
+    _hasSuspiciousName(currency) {
+        if (!currency) return false;
+        
+        const name = (currency.length === 40 ? this._decodeHex(currency) : currency).toLowerCase();
+        const { flags } = this.riskEngine.rule('token', 'suspicious_name');
+        return flags.some(flag => name.includes(flag));
+    }
+
+    /**
+     * Decode hex (memo data, non-standard currency codes) as UTF-8, dropping padding
+     * @param {string} hex - Hex string
+     * @returns {string} - Decoded text, or '' if it is not valid hex
+     * @private
+     */
+    _decodeHex(hex) {
+        if (typeof hex !== 'string' || !/^([0-9A-Fa-f]{2})*$/.test(hex)) return '';
+        
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return new TextDecoder().decode(bytes).replace(/\0/g, '');
     }
 
     /**
@@ -1199,140 +1971,49 @@ class NetworkAnalyzer {
             if (!idToLinks.has(link.source)) {
                 idToLinks.set(link.source, []);
             }
-            idToLinks.get(link.source).push(link);
-            
-            // Add link to target node's links
-            if (!idToLinks.has(link.target)) {
-                idToLinks.set(link.target, []);
-            }
-            idToLinks.get(link.target).push(link);
-        });
-        
-        console.log('Processing node risk scores...');
-        
-        // Batch processing to avoid UI blocking
-        const batchSize = 20; // Process nodes in batches
-        const nodes = [...this.networkData.nodes]; // Create a copy to safely iterate
-        
-        // Process all nodes in batches
-        for (let i = 0; i < nodes.length; i += batchSize) {
-            const batch = nodes.slice(i, i + batchSize);
-            
-            // First pass: Get base risk scores for this batch
-            for (const node of batch) {
-                // Set initial risk level
-                let baseRisk = 0;
-                
-                if (node.type === 'wallet') {
-                    // For wallet nodes, calculate based on connected wallets, activity, etc.
-                    baseRisk = node.riskLevel || 0;
-                    
-                    // Add additional factors from enhanced risk data
-                    if (node.enhancedRiskData) {
-                        // Trust line position is a significant risk factor
-                        if (node.enhancedRiskData.trustlinePosition > 0 && node.enhancedRiskData.trustlinePosition < 10) {
-                            baseRisk += 0.2; // Early trust lines increase risk
-                        }
-                        
-                        // Direct connection to creator is a major risk factor
-                        if (node.enhancedRiskData.creatorConnection) {
-                            baseRisk += 0.3;
-                        }
-                        
-                        // Include other enhanced risk metrics
-                        baseRisk += node.enhancedRiskData.activityRisk * 0.15;
-                        baseRisk += node.enhancedRiskData.ageRisk * 0.15;
-                        baseRisk += node.enhancedRiskData.transactionVolumeRisk * 0.1;
-                        baseRisk += node.enhancedRiskData.trustlineRisk * 0.2;
-                    }
-                    
-                    // High suspicious connections count increases risk
-                    if (node.enhancedRiskData && node.enhancedRiskData.suspiciousConnectionsCount > 3) {
-                        baseRisk += 0.25; // Significant risk increase for multiple suspicious connections
-                    }
-                    
-                    // Early participants have higher risk
-                    if (node.earlyParticipant) {
-                        baseRisk += 0.15;
-                    }
-                    
-                    // Known high-risk wallets always have maximum risk
-                    if (node.isHighRisk || HIGH_RISK_ADDRESSES.includes(node.id.split(':')[0])) {
-                        baseRisk = 1.0;
-                    }
-                    
-                    // Cap at 1.0 maximum risk
-                    node.riskLevel = Math.min(Math.max(baseRisk, 0), 1);
-                    
-                    // Add to total risk score
-                    this.totalRisk += node.riskLevel;
-                } else if (node.type === 'token') {
-                    // For token nodes, use existing risk level
-                    this.totalRisk += node.riskLevel || 0;
-                }
-            }
-        }
-        
-        console.log('Processing wallet interconnections...');
-        
-        // Create a more optimized version of interconnected wallet detection
-        // Only process wallets connected to the main node to reduce computation
-        const mainNodeLinks = idToLinks.get(this.networkData.mainNode) || [];
-        const firstLevelConnectionIds = new Set();
-        
-        // First, identify all wallets directly connected to the main node
-        mainNodeLinks.forEach(link => {
-            const connectedId = link.source === this.networkData.mainNode ? link.target : link.source;
-            const connectedNode = nodeMap.get(connectedId);
+            idToLinks.get(link.source).push(link);
             
-            if (connectedNode && connectedNode.type === 'wallet') {
-                firstLevelConnectionIds.add(connectedId);
+            // Add link to target node's links
+            if (!idToLinks.has(link.target)) {
+                idToLinks.set(link.target, []);
             }
+            idToLinks.get(link.target).push(link);
         });
         
-        // Process wallet-to-wallet connections among first-level connections in batches
-        const firstLevelWallets = [...firstLevelConnectionIds];
-        const connectedWallets = new Map();
+        console.log('Processing node risk scores...');
+        
+        // Batch processing to avoid UI blocking
+        const batchSize = 20; // Process nodes in batches
+        const nodes = [...this.networkData.nodes]; // Create a copy to safely iterate
         
-        for (let i = 0; i < firstLevelWallets.length; i += batchSize) {
-            const batch = firstLevelWallets.slice(i, i + batchSize);
+        // Process all nodes in batches
+        for (let i = 0; i < nodes.length; i += batchSize) {
+            const batch = nodes.slice(i, i + batchSize);
             
-            batch.forEach(walletId => {
-                const walletLinks = idToLinks.get(walletId) || [];
-                let interconnectionCount = 0;
-                
-                walletLinks.forEach(link => {
-                    const otherWalletId = link.source === walletId ? link.target : link.source;
-                    const otherWallet = nodeMap.get(otherWalletId);
+            // First pass: Get base risk scores for this batch
+            for (const node of batch) {
+                if (node.type === 'wallet') {
+                    // For wallet nodes, add connection, activity and position factors to the wallet's own score
+                    node.riskBreakdown = this._evaluateNetworkRisk(node);
+                    node.riskLevel = node.riskBreakdown.score;
+                    this._emitGraphEvent('node-updated', {
+                        id: node.id,
+                        changes: { riskLevel: node.riskLevel, riskBreakdown: node.riskBreakdown }
+                    });
                     
-                    // Check if this is another wallet in our first-level connections
-                    if (otherWallet && otherWallet.type === 'wallet' && 
-                        firstLevelConnectionIds.has(otherWalletId) && 
-                        otherWalletId !== this.networkData.mainNode) {
-                        interconnectionCount++;
+                    // Add to total risk score; funders found only by activation tracing are shown, not scored
+                    if (!node.layer) {
+                        this.totalRisk += node.riskLevel;
                     }
-                });
-                
-                // Add risk score proportional to interconnection count
-                if (interconnectionCount > 0) {
-                    const interconnectionRisk = Math.min(0.3, interconnectionCount * 0.05);
-                    connectedWallets.set(walletId, interconnectionRisk);
+                } else if (node.type === 'token') {
+                    // For token nodes, use existing risk level
+                    this.totalRisk += node.riskLevel || 0;
                 }
-            });
-        }
-        
-        console.log('Finalizing risk calculations...');
-        
-        // Apply interconnected risk to wallets
-        connectedWallets.forEach((riskIncrease, walletId) => {
-            const wallet = nodeMap.get(walletId);
-            if (wallet) {
-                wallet.riskLevel = Math.min(wallet.riskLevel + riskIncrease, 1);
             }
-        });
+        }
         
         // Calculate final aggregate risk score (normalized to 0-100)
-        let nodeCount = this.networkData.nodes.length;
+        let nodeCount = this.networkData.nodes.filter(node => !node.layer).length;
         
         // Avoid division by zero
         if (nodeCount > 0) {
@@ -1346,7 +2027,7 @@ class NetworkAnalyzer {
         
         // Update other metrics
         this.metrics.connectedWallets = this.networkData.nodes.filter(node => 
-            node.type === 'wallet' && node.id !== this.networkData.mainNode
+            node.type === 'wallet' && node.id !== this.networkData.mainNode && !node.layer
         ).length;
         
         this.metrics.connectedTokens = this.networkData.nodes.filter(node => 
@@ -1387,12 +2068,22 @@ class NetworkAnalyzer {
             
             // Process creator wallets (limited to 3 for performance)
             this._processCreatorWallets(walletNodes);
+            this._processCreatorHistories(walletNodes);
+            this._processSharedFunders(walletNodes);
+            this._processSybilClusters(walletNodes);
+            this._processGraphStructure(walletNodes);
             
             // Process early participants (limited to 10 for performance)
             this._processEarlyParticipants(walletNodes);
             
             // Process token risks (limited to 10 for performance)
             this._processTokenRisks(tokenNodes);
+            this._processLiquidityPulls(tokenNodes);
+            this._processDexActivity(tokenNodes);
+            
+            // Process issuer flag audits
+            this._processIssuerAudits(walletNodes);
+            this._processKeyControl(walletNodes);
             
             // Process suspicious connections (limited to 10 for performance)
             this._processSuspiciousConnections(suspiciousLinks);
@@ -1534,7 +2225,8 @@ class NetworkAnalyzer {
                     details: highRiskWallets.map(wallet => ({
                         address: wallet.id,
                         riskScore: wallet.riskLevel.toFixed(2),
-                        reason: this._getWalletRiskReason(wallet.properties)
+                        reason: this._getWalletRiskReason(wallet.properties),
+                        contributions: this._flattenRiskBreakdown(wallet.properties.riskBreakdown)
                     }))
                 });
             }
@@ -1552,7 +2244,7 @@ class NetworkAnalyzer {
         try {
             // Find wallets that match our high-risk address list
             const knownHighRiskWallets = [...walletNodes.values()]
-                .filter(node => HIGH_RISK_ADDRESSES.includes(node.id.split(':')[0]))
+                .filter(node => isHighRiskAddress(node.id))
                 .slice(0, 3) // Limit to 3 for performance
                 .map(node => ({
                     id: node.id,
@@ -1611,6 +2303,172 @@ class NetworkAnalyzer {
         }
     }
 
+    /**
+     * Process creator track records for findings
+     * @param {Map} walletNodes - Map of wallet nodes
+     * @private
+     */
+    _processCreatorHistories(walletNodes) {
+        try {
+            const creators = [...walletNodes.values()]
+                .filter(node => node.creatorHistory && node.creatorHistory.previousRugs > 0);
+            
+            if (creators.length > 0) {
+                this.findings.push({
+                    type: 'creator_history',
+                    severity: creators.some(node => node.creatorHistory.previousRugs > 1) ? 'high' : 'medium',
+                    description: `Found ${creators.length} wallet${creators.length > 1 ? 's' : ''} behind earlier tokens that were rugged`,
+                    details: creators.map(node => {
+                        const history = node.creatorHistory;
+                        const rugged = history.tokens.filter(token => token.rug);
+                        return {
+                            address: node.id,
+                            riskScore: (node.riskLevel || 0).toFixed(2),
+                            reason: `${history.previousRugs} of ${history.tokens.length} earlier tokens rugged: ` +
+                                rugged.map(token => `${token.currency} (${TOKEN_OUTCOMES[token.outcome].toLowerCase()})`).join(', '),
+                            tokens: rugged,
+                            outcomes: history.outcomes,
+                            transactions: rugged.flatMap(token => token.transactions)
+                        };
+                    })
+                });
+            }
+        } catch (error) {
+            console.error('Error processing creator histories:', error);
+        }
+    }
+
+    /**
+     * Process wallets activated by the same funder for findings
+     * @param {Map} walletNodes - Map of wallet nodes
+     * @private
+     */
+    _processSharedFunders(walletNodes) {
+        try {
+            const groups = new Map();
+            for (const node of walletNodes.values()) {
+                if (!node.sharedFunder) continue;
+                const members = groups.get(node.sharedFunder.funder) || [];
+                members.push(node);
+                groups.set(node.sharedFunder.funder, members);
+            }
+            
+            if (groups.size > 0) {
+                const mainNode = this.networkData.mainNode;
+                this.findings.push({
+                    type: 'shared_funder',
+                    severity: [...groups.values()].some(members => members.some(node => node.id === mainNode)) ? 'high' : 'medium',
+                    description: `Found ${groups.size} funder${groups.size > 1 ? 's' : ''} that activated several wallets in the network, likely one operator each`,
+                    details: [...groups.entries()].map(([funder, members]) => {
+                        const funderNode = walletNodes.get(funder);
+                        return {
+                            address: funder,
+                            riskScore: (funderNode ? funderNode.riskLevel || 0 : 0).toFixed(2),
+                            reason: `Activated ${members.length} wallets in the network: ${members.map(node => node.id).join(', ')}`,
+                            wallets: members.map(node => ({ address: node.id, hops: node.sharedFunder.hops })),
+                            transactions: members.flatMap(node => node.sharedFunder.transactions)
+                        };
+                    })
+                });
+            }
+        } catch (error) {
+            console.error('Error processing shared funders:', error);
+        }
+    }
+
+    /**
+     * Process Sybil clusters for findings
+     * @param {Map} walletNodes - Map of wallet nodes
+     * @private
+     */
+    _processSybilClusters(walletNodes) {
+        try {
+            const clusters = new Map();
+            for (const node of walletNodes.values()) {
+                if (node.sybilCluster) {
+                    clusters.set(node.sybilCluster.id, node.sybilCluster);
+                }
+            }
+            
+            if (clusters.size > 0) {
+                const mainNode = this.networkData.mainNode;
+                this.findings.push({
+                    type: 'sybil_cluster',
+                    severity: [...clusters.values()].some(cluster => cluster.wallets.includes(mainNode)) ? 'high' : 'medium',
+                    description: `Found ${clusters.size} cluster${clusters.size > 1 ? 's' : ''} of wallets likely run by one operator`,
+                    details: [...clusters.values()].map(cluster => {
+                        const signals = [...new Set(cluster.evidence.map(item => ruleLabel(item.rule, 'sybil')))];
+                        return {
+                            address: cluster.wallets[0],
+                            riskScore: cluster.confidence.toFixed(2),
+                            reason: `${cluster.name}: ${cluster.wallets.length} wallets (${signals.join(', ').toLowerCase()})`,
+                            cluster: cluster.name,
+                            wallets: cluster.wallets,
+                            evidence: cluster.evidence
+                        };
+                    })
+                });
+            }
+        } catch (error) {
+            console.error('Error processing Sybil clusters:', error);
+        }
+    }
+
+    /**
+     * Process graph structure for findings: wallets brokering between a token's insiders, and the communities found
+     * @param {Map} walletNodes - Map of wallet nodes
+     * @private
+     */
+    _processGraphStructure(walletNodes) {
+        try {
+            const brokers = [...walletNodes.values()]
+                .filter(node => node.graphMetrics && node.graphMetrics.brokerage.length > 0)
+                .sort((a, b) => b.graphMetrics.brokerage[0].share - a.graphMetrics.brokerage[0].share)
+                .slice(0, 5);
+            
+            if (brokers.length > 0) {
+                this.findings.push({
+                    type: 'insider_brokers',
+                    severity: 'high',
+                    description: `Found ${brokers.length} wallet${brokers.length > 1 ? 's' : ''} routing funds between token insiders`,
+                    details: brokers.map(node => {
+                        const strongest = node.graphMetrics.brokerage[0];
+                        const tokenNode = this.networkData.nodes.find(other => other.id === strongest.token);
+                        return {
+                            address: node.id,
+                            riskScore: (node.riskLevel || 0).toFixed(2),
+                            reason: `On ${Math.round(strongest.share * 100)}% of the shortest paths between ${tokenNode ? tokenNode.name : strongest.token} insiders`,
+                            token: strongest.token,
+                            pairs: strongest.pairs,
+                            betweenness: node.graphMetrics.betweenness.toFixed(3)
+                        };
+                    })
+                });
+            }
+            
+            const analysis = this.graphAnalysis;
+            if (analysis && analysis.communities.length > 0) {
+                this.findings.push({
+                    type: 'communities',
+                    severity: 'info',
+                    description: `Wallets form ${analysis.communities.length} communit${analysis.communities.length > 1 ? 'ies' : 'y'} (modularity ${analysis.modularity.toFixed(2)}), joined by ${analysis.bridges.length} bridge link${analysis.bridges.length === 1 ? '' : 's'} and ${analysis.articulationPoints.length} articulation point${analysis.articulationPoints.length === 1 ? '' : 's'}`,
+                    details: analysis.communities.slice(0, 5).map(community => {
+                        const hub = walletNodes.get(community.members[0]) || this.networkData.nodes.find(node => node.id === community.members[0]);
+                        return {
+                            address: community.members[0],
+                            riskScore: (hub && hub.riskLevel || 0).toFixed(2),
+                            reason: `Hub of community ${community.id} (${community.members.length} wallets)`,
+                            community: community.id,
+                            wallets: community.members
+                        };
+                    })
+                });
+            }
+        } catch (error) {
+            console.error('Error processing graph structure:', error);
+        }
+    }
+
     /**
      * Process early participants for findings
      * @param {Map} walletNodes - Map of wallet nodes
@@ -1681,6 +2539,139 @@ class NetworkAnalyzer {
         }
     }
 
+    /**
+     * Process AMM liquidity pulls for findings, one per token
+     * @param {Map} tokenNodes - Map of token nodes
+     * @private
+     */
+    _processLiquidityPulls(tokenNodes) {
+        try {
+            for (const node of tokenNodes.values()) {
+                if (!node.ammPool || !node.ammPool.pull.detected) continue;
+                
+                const pool = node.ammPool;
+                this.findings.push({
+                    type: 'liquidity_pull',
+                    severity: 'high',
+                    token: node.id,
+                    description: pool.deleted
+                        ? `The ${node.name}/XRP AMM pool was emptied and deleted; insiders withdrew ${Math.round(pool.pull.withdrawnXrp)} XRP (${pool.pull.share.toFixed(0)}% of its peak)`
+                        : `Insiders withdrew ${pool.pull.share.toFixed(0)}% of the ${node.name}/XRP AMM pool's liquidity (${Math.round(pool.pull.withdrawnXrp)} XRP)`,
+                    details: pool.pull.withdrawals.map(withdrawal => ({
+                        address: withdrawal.account,
+                        role: withdrawal.role,
+                        pool: pool.account,
+                        withdrawnXrp: withdrawal.xrp,
+                        share: withdrawal.share,
+                        reason: `${INSIDER_ROLES[withdrawal.role]} wallet withdrew ${Math.round(withdrawal.xrp)} XRP (${withdrawal.share.toFixed(0)}% of the pool's peak)`,
+                        transactions: withdrawal.transactions
+                    }))
+                });
+            }
+        } catch (error) {
+            console.error('Error processing AMM liquidity pulls:', error);
+        }
+    }
+
+    /**
+     * Process order book manipulation by insiders for findings, one per token
+     * @param {Map} tokenNodes - Map of token nodes
+     * @private
+     */
+    _processDexActivity(tokenNodes) {
+        try {
+            for (const node of tokenNodes.values()) {
+                if (!node.dex || node.dex.alerts.length === 0) continue;
+                
+                const alerts = node.dex.alerts;
+                this.findings.push({
+                    type: 'dex_manipulation',
+                    severity: alerts.some(alert => alert.severity === 'high') ? 'high' : 'medium',
+                    token: node.id,
+                    description: `Insiders of ${node.name} trade its order book suspiciously: ${alerts.map(alert => alert.title.toLowerCase()).join(', ')}`,
+                    details: alerts.flatMap(alert => alert.accounts.map(account => ({
+                        address: account,
+                        reason: alert.title,
+                        description: alert.description,
+                        alert: alert.id,
+                        transactions: alert.transactions
+                    })))
+                });
+            }
+        } catch (error) {
+            console.error('Error processing order book activity:', error);
+        }
+    }
+
+    /**
+     * Process issuer flag audits for findings
+     * @param {Map} walletNodes - Map of wallet nodes
+     * @private
+     */
+    _processIssuerAudits(walletNodes) {
+        try {
+            const issuers = [...walletNodes.values()]
+                .filter(node => node.issuerAudit && node.issuerAudit.warnings.length > 0);
+            
+            if (issuers.length > 0) {
+                const warnings = issuers.flatMap(node => node.issuerAudit.warnings);
+                this.findings.push({
+                    type: 'issuer_settings',
+                    severity: warnings.some(warning => warning.severity === 'high') ? 'high' : 'medium',
+                    description: `Found ${issuers.length} issuer${issuers.length > 1 ? 's' : ''} whose account settings put holders at risk`,
+                    details: issuers.map(node => {
+                        const audit = node.issuerAudit;
+                        return {
+                            address: node.id,
+                            riskScore: audit.risk.score.toFixed(2),
+                            reason: audit.warnings.map(warning => warning.title).join(', '),
+                            warnings: audit.warnings,
+                            blackholed: audit.blackholed,
+                            flags: Object.keys(audit.flags).filter(flag => audit.flags[flag]),
+                            transferFee: audit.transferFee,
+                            domain: audit.domain
+                        };
+                    })
+                });
+            }
+        } catch (error) {
+            console.error('Error processing issuer audits:', error);
+        }
+    }
+
+    /**
+     * Process issuer key-control histories for findings
+     * @param {Map} walletNodes - Map of wallet nodes
+     * @private
+     */
+    _processKeyControl(walletNodes) {
+        try {
+            const issuers = [...walletNodes.values()]
+                .filter(node => node.issuerAudit && node.issuerAudit.keyControl &&
+                    node.issuerAudit.keyControl.alerts.length > 0);
+            
+            if (issuers.length > 0) {
+                this.findings.push({
+                    type: 'key_control',
+                    severity: 'high',
+                    description: `Found ${issuers.length} issuer${issuers.length > 1 ? 's' : ''} whose signing keys changed hands suspiciously`,
+                    details: issuers.map(node => {
+                        const keyControl = node.issuerAudit.keyControl;
+                        return {
+                            address: node.id,
+                            riskScore: node.issuerAudit.risk.score.toFixed(2),
+                            reason: keyControl.alerts.map(alert => alert.title).join(', '),
+                            alerts: keyControl.alerts,
+                            transactions: keyControl.alerts.flatMap(alert => alert.transactions)
+                        };
+                    })
+                });
+            }
+        } catch (error) {
+            console.error('Error processing key-control histories:', error);
+        }
+    }
+
     /**
      * Process suspicious connections for findings
      * @param {Array} suspiciousLinks - Array of suspicious links
@@ -1855,12 +2846,12 @@ class NetworkAnalyzer {
         }
         
         // Get current year for realistic dates
-        const currentYear = new Date().getFullYear();
+        const now = new Date(this.service.now());
+        const currentYear = now.getFullYear();
         
         // Use a range of the last 3 years for more realistic estimated dates
         const startYear = currentYear - 3;
         const startOfRange = new Date(startYear, 0, 1);
-        const now = new Date();
         
         // Use the hash to determine a consistent date between start of range and now
         const timeRange = now.getTime() - startOfRange.getTime();
@@ -2023,54 +3014,25 @@ class NetworkAnalyzer {
         if (suspiciousPatterns.length > 0) {
             node.suspiciousPatterns = suspiciousPatterns;
             
-            // Calculate pattern score capped at 50
-            const patternScore = Math.min(50, suspiciousPatterns.length * 10);
+            // Patterns weigh by type (patternWeight), capped at 50
+            const patternScore = Math.min(50, mutualTxRisk);
             score += patternScore;
             this._log(`Added ${patternScore} points for suspicious transaction patterns`);
         }
         
-        // Calculate inter-connectivity risk
-        const interconnectedWallets = this._findInterconnectedWallets(node.id);
-        if (interconnectedWallets.length > 3) {
-            const interconnectionScore = Math.min(40, interconnectedWallets.length * 5);
+        // Calculate inter-connectivity risk from the wallets linked to this one
+        const degree = node.graphMetrics ? node.graphMetrics.degree : 0;
+        if (degree > 3) {
+            const interconnectionScore = Math.min(40, degree * 5);
             score += interconnectionScore;
-            node.interconnectedWallets = interconnectedWallets.length;
-            this._log(`Added ${interconnectionScore} points for high interconnection (${interconnectedWallets.length} wallets)`);
+            node.interconnectedWallets = degree;
+            this._log(`Added ${interconnectionScore} points for high interconnection (${degree} wallets)`);
         }
         
         // Cap at 100
         return Math.min(100, score);
     }
 
-    // Find wallets that are interconnected (connected to each other, not just the main wallet)
-    _findInterconnectedWallets(mainWalletId) {
-        const interconnectedWallets = [];
-        const connectedWallets = this.networkData.nodes
-            .filter(node => node.type === 'wallet' && node.id !== mainWalletId)
-            .map(node => node.id);
-        
-        // For each connected wallet, check if it has connections to other wallets in our network
-        for (let i = 0; i < connectedWallets.length; i++) {
-            const walletId = connectedWallets[i];
-            
-            // Look for links between this wallet and other connected wallets
-            const interconnections = this.networkData.links.filter(link => 
-                (link.source === walletId || link.target === walletId) && 
-                (connectedWallets.includes(link.source) || connectedWallets.includes(link.target)) &&
-                link.source !== mainWalletId && link.target !== mainWalletId
-            );
-            
-            if (interconnections.length > 0) {
-                interconnectedWallets.push({
-                    wallet: walletId,
-                    interconnectionCount: interconnections.length
-                });
-            }
-        }
-        
-        return interconnectedWallets;
-    }
-
     // Show detailed visualization data for a node
     getNodeDetails(nodeId) {
         const node = this.networkData.nodes.find(n => n.id === nodeId);
@@ -2139,45 +3101,15 @@ class NetworkAnalyzer {
         return this._calculateEnhancedRiskScore(node, connections);
     }
 
-    // Helper to normalize holder counts
-    _normalizeHolderCount(amount) {
-        if (!amount) return null;
-        
-        // Convert to a number first
-        let rawAmount;
-        if (typeof amount === 'string') {
-            rawAmount = parseInt(amount) / 1000000;
-        } else if (amount.value) {
-            rawAmount = parseFloat(amount.value);
-        } else {
-            return null;
-        }
-        
-        // Generate a more realistic holder count based on the token amount
-        // Large token supplies often have few holders in reality
-        
-        if (rawAmount > 500000000) {
-            // For very large supplies, reduce to more realistic holder numbers
-            return Math.floor(Math.min(10000, Math.sqrt(rawAmount) / 10)).toString();
-        } else if (rawAmount > 10000000) {
-            // For medium large supplies
-            return Math.floor(Math.min(5000, Math.sqrt(rawAmount) / 5)).toString();
-        } else if (rawAmount > 100000) {
-            // For medium supplies
-            return Math.floor(Math.min(1000, Math.sqrt(rawAmount) / 2)).toString();
-        } else {
-            // For smaller supplies
-            return Math.floor(Math.min(500, Math.max(10, rawAmount / 100))).toString();
-        }
-    }
-
     /**
      * Calculate enhanced risk assessment for a wallet connection
      * @param {string} address - XRPL address
+     * @param {number} depth - Crawl depth of the wallet, used as request priority
      * @returns {Promise<object>} - Enhanced risk assessment
      * @private
      */
-    async _calculateWalletConnectionRisk(address) {
+    async _calculateWalletConnectionRisk(address, depth = 1) {
+        const service = this.service.atPriority(depth);
         try {
             const result = {
                 activityRisk: 0,
@@ -2189,38 +3121,33 @@ class NetworkAnalyzer {
                 earlyConnection: false, // New field to track connection to early participants
                 creatorConnection: false, // New field to track connection to creator
                 walletAge: 0, // Track actual wallet age in days
-                suspiciousConnectionsCount: 0 // Count of suspicious connections
+                suspiciousConnectionsCount: 0, // Count of suspicious connections
+                suspiciousTransactions: [], // Hashes of the suspicious transactions
+                trustlineToken: null, // Token node whose trust line position was measured
+                creatorTransactions: [] // Hashes of transactions with the main wallet
             };
             
             // Get account info to determine age
             try {
-                const accountInfo = await xrplService.getAccountInfo(address);
+                const accountInfo = await service.getAccountInfo(address);
                 if (accountInfo && accountInfo.Sequence) {
                     // Lower sequence numbers indicate older accounts
                     // Sequence starts at 1 and increments with each transaction
                     const sequenceNum = accountInfo.Sequence;
                     
                     // Calculate age risk (older accounts are less risky)
-                    if (sequenceNum < 100) {
-                        result.ageRisk = 0.1; // Very old account (very low risk)
-                        result.type = 'established';
-                    } else if (sequenceNum < 1000) {
-                        result.ageRisk = 0.3; // Old account (low risk)
-                        result.type = 'established';
-                    } else if (sequenceNum < 10000) {
-                        result.ageRisk = 0.5; // Medium age (medium risk)
-                        result.type = 'standard';
-                    } else {
-                        result.ageRisk = 0.8; // New account (high risk)
-                        result.type = 'new';
+                    const ageTier = this.riskEngine.tier('connection', 'accountAge', sequenceNum);
+                    if (ageTier) {
+                        result.ageRisk = ageTier.score;
+                        result.type = ageTier.label || result.type;
                     }
                     
                     // Try to estimate actual wallet age
                     try {
-                        const earlyTxs = await xrplService.fetchEarlyTransactions(address, 1);
+                        const earlyTxs = await service.fetchEarlyTransactions(address, 1);
                         if (earlyTxs && earlyTxs.transactions.length > 0 && earlyTxs.transactions[0].date) {
                             const creationDate = new Date(earlyTxs.transactions[0].date);
-                            const now = new Date();
+                            const now = new Date(service.now());
                             const ageInDays = Math.floor((now - creationDate) / (1000 * 60 * 60 * 24));
                             result.walletAge = ageInDays;
                         }
@@ -2235,7 +3162,7 @@ class NetworkAnalyzer {
             
             // Analyze transaction activity
             try {
-                const recentTxs = await xrplService.fetchRecentTransactions(address, 50);
+                const recentTxs = await service.fetchRecentTransactions(address, 50);
                 if (recentTxs && recentTxs.transactions.length > 0) {
                     // Calculate frequency based on timestamps
                     const timestamps = recentTxs.transactions
@@ -2254,17 +3181,10 @@ class NetworkAnalyzer {
                         const avgHoursBetweenTxs = totalDiff / (timestamps.length - 1);
                         
                         // Very frequent transactions (multiple per hour) might be suspicious
-                        if (avgHoursBetweenTxs < 1) {
-                            result.activityRisk = 0.9; // Very high activity (high risk)
-                            result.type = 'high-activity';
-                        } else if (avgHoursBetweenTxs < 24) {
-                            result.activityRisk = 0.7; // High activity (medium-high risk)
-                            result.type = 'active';
-                        } else if (avgHoursBetweenTxs < 168) { // One week
-                            result.activityRisk = 0.4; // Regular activity (medium-low risk)
-                        } else {
-                            result.activityRisk = 0.2; // Low activity (low risk)
-                            result.type = 'inactive';
+                        const activityTier = this.riskEngine.tier('connection', 'activity', avgHoursBetweenTxs);
+                        if (activityTier) {
+                            result.activityRisk = activityTier.score;
+                            result.type = activityTier.label || result.type;
                         }
                     }
                     
@@ -2276,24 +3196,13 @@ class NetworkAnalyzer {
                         }
                     }
                     
-                    if (totalVolume > 100000) {
-                        result.transactionVolumeRisk = 0.8; // Very high volume
-                    } else if (totalVolume > 10000) {
-                        result.transactionVolumeRisk = 0.6; // High volume
-                    } else if (totalVolume > 1000) {
-                        result.transactionVolumeRisk = 0.4; // Medium volume
-                    } else {
-                        result.transactionVolumeRisk = 0.2; // Low volume
-                    }
+                    const volumeTier = this.riskEngine.tier('connection', 'volume', totalVolume);
+                    result.transactionVolumeRisk = volumeTier ? volumeTier.score : 0;
                     
                     // Count suspicious patterns
-                    let suspiciousCount = 0;
-                    for (const tx of recentTxs.transactions) {
-                        if (this._calculateTransactionRisk(tx) > 0.7) {
-                            suspiciousCount++;
-                        }
-                    }
-                    result.suspiciousConnectionsCount = suspiciousCount;
+                    const suspiciousTxs = recentTxs.transactions.filter(tx => this._calculateTransactionRisk(tx) > 0.7);
+                    result.suspiciousConnectionsCount = suspiciousTxs.length;
+                    result.suspiciousTransactions = this._transactionHashes(suspiciousTxs);
                 }
             } catch (err) {
                 console.warn('Failed to analyze transaction activity:', err);
@@ -2303,10 +3212,10 @@ class NetworkAnalyzer {
             // Analyze trustlines to determine position/order
             try {
                 // Get trustlines for main wallet
-                const mainNodeTrustlines = await xrplService.getAccountTrustlines(this.networkData.mainNode);
+                const mainNodeTrustlines = await service.getAccountTrustlines(this.networkData.mainNode);
                 
                 // Check if this wallet has a trustline with the main wallet
-                const mainNodeTokens = await xrplService.getIssuedTokens(this.networkData.mainNode);
+                const mainNodeTokens = await service.getIssuedTokens(this.networkData.mainNode);
                 
                 if (mainNodeTokens.length > 0) {
                     // For each token issued by main wallet, find trustlines
@@ -2323,35 +3232,28 @@ class NetworkAnalyzer {
                             if (position !== -1) {
                                 // Store the position (1-based index)
                                 result.trustlinePosition = position + 1;
+                                result.trustlineToken = `${token.currency}-${this.networkData.mainNode}`;
                                 
-                                // Calculate risk based on position 
-                                // (earlier positions, especially first 5, are riskier)
-                                if (position < 5) {
-                                    result.trustlineRisk = 0.8; // Very early trustline (high risk)
-                                    result.earlyConnection = true;
-                                } else if (position < 20) {
-                                    result.trustlineRisk = 0.6; // Early trustline (medium-high risk)
-                                    result.earlyConnection = true;
-                                } else if (position < 100) {
-                                    result.trustlineRisk = 0.4; // Medium position (medium risk)
-                                } else {
-                                    result.trustlineRisk = 0.2; // Late position (low risk)
-                                }
+                                // Calculate risk based on position (earlier positions are riskier)
+                                const positionTier = this.riskEngine.tier('connection', 'trustlinePosition', position);
+                                result.trustlineRisk = positionTier ? positionTier.score : 0;
+                                result.earlyConnection = !!(positionTier && positionTier.early);
                                 
                                 // Check if this wallet may be connected to the token creator
-                                if (position < 5) {
+                                if (positionTier && positionTier.checkCreator) {
                                     // Check for transactions between this wallet and the main wallet
                                     try {
                                         const { transactions: mainToWalletTxs } = 
-                                            await xrplService.fetchEarlyTransactions(this.networkData.mainNode, 20);
+                                            await service.fetchEarlyTransactions(this.networkData.mainNode, 20);
                                         
                                         // Look for direct transactions between main wallet and this wallet
-                                        const directConnection = mainToWalletTxs.some(tx => 
+                                        const directTxs = mainToWalletTxs.filter(tx => 
                                             (tx.Destination === address) || 
                                             (tx.Account === address));
                                         
-                                        if (directConnection) {
+                                        if (directTxs.length > 0) {
                                             result.creatorConnection = true;
+                                            result.creatorTransactions = this._transactionHashes(directTxs);
                                         }
                                     } catch (txErr) {
                                         console.warn('Failed to check creator connection:', txErr);
@@ -2382,7 +3284,10 @@ class NetworkAnalyzer {
                 earlyConnection: false,
                 creatorConnection: false,
                 walletAge: 0,
-                suspiciousConnectionsCount: 0
+                suspiciousConnectionsCount: 0,
+                suspiciousTransactions: [],
+                trustlineToken: null,
+                creatorTransactions: []
             };
         }
     }
@@ -2397,33 +3302,32 @@ class NetworkAnalyzer {
         if (!interactionData) return { risk: 0, pattern: 'unknown' };
         
         const { paymentCount, tokenTransfers, totalValue, patterns } = interactionData;
-        let patternRisk = 0;
-        let patternType = 'normal';
-        
-        // Check for pump & dump patterns (many small buys)
-        if (patterns.frequentSmallPayments > 5) {
-            patternRisk += 0.3;
-            patternType = 'frequent_small_buys';
-        }
-        
-        // Check for whale manipulation (few large transactions)
-        if (patterns.largeOneTimePayments > 1 && paymentCount < 5) {
-            patternRisk += 0.4;
-            patternType = 'whale_pattern';
-        }
+        const rules = this.riskEngine.factors.buyingPattern;
+        const signals = {
+            // Pump & dump patterns (many small buys)
+            frequentSmallBuys: patterns.frequentSmallPayments,
+            // Whale manipulation (few large transactions)
+            whalePattern: paymentCount < rules.whalePattern.maxPayments ? patterns.largeOneTimePayments : 0,
+            // High token transfer ratio
+            tokenFocused: tokenTransfers > 0 && paymentCount > 0 ? tokenTransfers / paymentCount : 0,
+            // Early / rapid interactions
+            rapidTrustActivity: interactionData.trustRelationship && totalValue > rules.rapidTrustActivity.minValue
+                ? paymentCount
+                : 0
+        };
+        const evaluation = this.riskEngine.evaluate('buyingPattern', signals);
+        const matched = new Set(evaluation.contributions
+            .filter(contribution => contribution.score > 0)
+            .map(contribution => contribution.rule));
+        const patternRisk = evaluation.score;
         
-        // Check for high token transfer ratio
-        if (tokenTransfers > 0 && paymentCount > 0) {
-            const tokenRatio = tokenTransfers / paymentCount;
-            if (tokenRatio > 0.8) {
-                patternRisk += 0.2;
-                patternType = patternType === 'normal' ? 'token_focused' : `${patternType}_token_focused`;
-            }
+        let patternType = 'normal';
+        if (matched.has('frequentSmallBuys')) patternType = 'frequent_small_buys';
+        if (matched.has('whalePattern')) patternType = 'whale_pattern';
+        if (matched.has('tokenFocused')) {
+            patternType = patternType === 'normal' ? 'token_focused' : `${patternType}_token_focused`;
         }
-        
-        // Check for early / rapid interactions
-        if (interactionData.trustRelationship && paymentCount > 3 && totalValue > 500) {
-            patternRisk += 0.3;
+        if (matched.has('rapidTrustActivity')) {
             patternType = patternType === 'normal' ? 'rapid_trust_activity' : `${patternType}_with_trust`;
         }
         
@@ -2444,7 +3348,7 @@ class NetworkAnalyzer {
             // Get all high-risk wallet nodes in our current network
             const highRiskWallets = this.networkData.nodes.filter(node => 
                 node.type === 'wallet' && 
-                (node.isHighRisk || HIGH_RISK_ADDRESSES.includes(node.id.split(':')[0]))
+                (node.isHighRisk || isHighRiskAddress(node.id))
             );
             
             // Skip if there are fewer than 2 high-risk wallets
@@ -2499,7 +3403,8 @@ class NetworkAnalyzer {
     
     /**
      * Connect related wallets to each other based on transaction history
-     * This ensures that transaction networks are properly visualized
+     * This ensures that transaction networks are properly visualized; wallets likely run by
+     * one operator are grouped by _detectSybilClusters instead of being linked here
      * @private
      */
     _connectRelatedWallets() {
@@ -2516,57 +3421,6 @@ class NetworkAnalyzer {
             
             console.log(`Checking relationships between ${wallets.length} wallets`);
             
-            // Create a map of wallets with their interaction data
-            const walletInteractionMap = new Map();
-            
-            // Collect all wallets with interaction data
-            wallets.forEach(wallet => {
-                if (wallet.interactionData && (wallet.interactionData.paymentCount > 0 || wallet.interactionData.tokenTransfers > 0)) {
-                    walletInteractionMap.set(wallet.id, wallet);
-                }
-            });
-            
-            // Find wallets that have similar interaction patterns or transaction timing
-            for (let i = 0; i < wallets.length; i++) {
-                const wallet1 = wallets[i];
-                
-                // Skip wallets without interaction data
-                if (!wallet1.interactionData) continue;
-                
-                for (let j = i + 1; j < wallets.length; j++) {
-                    const wallet2 = wallets[j];
-                    
-                    // Skip wallets without interaction data
-                    if (!wallet2.interactionData) continue;
-                    
-                    // Skip if both wallets are high-risk (already connected)
-                    if ((wallet1.isHighRisk || HIGH_RISK_ADDRESSES.includes(wallet1.id.split(':')[0])) && 
-                        (wallet2.isHighRisk || HIGH_RISK_ADDRESSES.includes(wallet2.id.split(':')[0]))) {
-                        continue;
-                    }
-                    
-                    // Check for similar transaction timing
-                    const timeDiff = Math.abs(wallet1.interactionData.firstInteractionTime - wallet2.interactionData.firstInteractionTime);
-                    const timeDiffHours = timeDiff / (1000 * 60 * 60);
-                    
-                    // Check if wallets have similar transaction patterns (timing within 24 hours)
-                    // or if they have similar buying patterns
-                    const similarTiming = timeDiffHours < 24;
-                    const similarPatterns = wallet1.buyingPattern && wallet2.buyingPattern && 
-                                           wallet1.buyingPattern.pattern === wallet2.buyingPattern.pattern;
-                    
-                    // Connect wallets with similar patterns
-                    if (similarTiming || similarPatterns) {
-                        this._addConnection(wallet1.id, wallet2.id, {
-                            value: 1.5, // Lighter connection than high-risk
-                            suspicious: false,
-                            transactionType: 'RelatedWallets',
-                            relatedConnection: true
-                        });
-                    }
-                }
-            }
-            
             // Connect early participants with each other
             const earlyParticipants = wallets.filter(wallet => wallet.earlyParticipant);
             for (let i = 0; i < earlyParticipants.length; i++) {
@@ -2710,52 +3564,19 @@ class NetworkAnalyzer {
         
         // Process the current batch
         for (const node of batch) {
-            // Set initial risk level
-            let baseRisk = 0;
-            
             if (node.type === 'wallet') {
-                // For wallet nodes, calculate based on connected wallets, activity, etc.
-                baseRisk = node.riskLevel || 0;
-                
-                // Add additional factors from enhanced risk data
-                if (node.enhancedRiskData) {
-                    // Trust line position is a significant risk factor
-                    if (node.enhancedRiskData.trustlinePosition > 0 && node.enhancedRiskData.trustlinePosition < 10) {
-                        baseRisk += 0.2; // Early trust lines increase risk
-                    }
-                    
-                    // Direct connection to creator is a major risk factor
-                    if (node.enhancedRiskData.creatorConnection) {
-                        baseRisk += 0.3;
-                    }
-                    
-                    // Include other enhanced risk metrics
-                    baseRisk += node.enhancedRiskData.activityRisk * 0.15;
-                    baseRisk += node.enhancedRiskData.ageRisk * 0.15;
-                    baseRisk += node.enhancedRiskData.transactionVolumeRisk * 0.1;
-                    baseRisk += node.enhancedRiskData.trustlineRisk * 0.2;
-                }
-                
-                // High suspicious connections count increases risk
-                if (node.enhancedRiskData && node.enhancedRiskData.suspiciousConnectionsCount > 3) {
-                    baseRisk += 0.25; // Significant risk increase for multiple suspicious connections
-                }
-                
-                // Early participants have higher risk
-                if (node.earlyParticipant) {
-                    baseRisk += 0.15;
-                }
+                // For wallet nodes, add connection, activity and position factors to the wallet's own score
+                node.riskBreakdown = this._evaluateNetworkRisk(node);
+                node.riskLevel = node.riskBreakdown.score;
+                this._emitGraphEvent('node-updated', {
+                    id: node.id,
+                    changes: { riskLevel: node.riskLevel, riskBreakdown: node.riskBreakdown }
+                });
                 
-                // Known high-risk wallets always have maximum risk
-                if (node.isHighRisk || HIGH_RISK_ADDRESSES.includes(node.id.split(':')[0])) {
-                    baseRisk = 1.0;
+                // Add to total risk score; funders found only by activation tracing are shown, not scored
+                if (!node.layer) {
+                    this.totalRisk += node.riskLevel;
                 }
-                
-                // Cap at 1.0 maximum risk
-                node.riskLevel = Math.min(Math.max(baseRisk, 0), 1);
-                
-                // Add to total risk score
-                this.totalRisk += node.riskLevel;
             } else if (node.type === 'token') {
                 // For token nodes, use existing risk level
                 this.totalRisk += node.riskLevel || 0;
@@ -2777,13 +3598,97 @@ class NetworkAnalyzer {
         }
     }
 
+    /**
+     * Score a wallet's final risk from the network rules
+     * The starting score (from the wallet rules, or an early participant's position)
+     * is kept with its own breakdown, so scoring a wallet again does not count it twice
+     * @param {object} node - Wallet node
+     * @returns {object} - Risk engine evaluation with evidence for each rule
+     * @private
+     */
+    _evaluateNetworkRisk(node) {
+        const signals = {};
+        const evidence = {};
+        const previous = node.riskBreakdown;
+
+        if (previous && previous.category === 'network') {
+            for (const contribution of previous.contributions) {
+                if (contribution.rule === 'baseRisk' || contribution.rule === 'earlyPosition') {
+                    signals[contribution.rule] = contribution.signal;
+                    evidence[contribution.rule] = contribution.evidence;
+                }
+            }
+        } else {
+            signals.baseRisk = node.riskLevel || 0;
+            evidence.baseRisk = previous ? { breakdown: previous } : null;
+        }
+
+        const data = node.enhancedRiskData;
+        if (data) {
+            signals.earlyTrustline = data.trustlinePosition;
+            evidence.earlyTrustline = data.trustlineToken ? { nodes: [data.trustlineToken] } : null;
+            signals.creatorConnection = data.creatorConnection;
+            evidence.creatorConnection = {
+                transactions: data.creatorTransactions || [],
+                nodes: [this.networkData.mainNode]
+            };
+            signals.activityRisk = data.activityRisk;
+            signals.ageRisk = data.ageRisk;
+            signals.volumeRisk = data.transactionVolumeRisk;
+            signals.trustlineRisk = data.trustlineRisk;
+            evidence.trustlineRisk = evidence.earlyTrustline;
+            signals.suspiciousTransactions = data.suspiciousConnectionsCount;
+            evidence.suspiciousTransactions = { transactions: data.suspiciousTransactions || [] };
+        }
+
+        if (node.earlyParticipant) {
+            signals.earlyParticipant = true;
+            evidence.earlyParticipant = node.earlyEvidence || null;
+        }
+
+        if (node.isHighRisk || isHighRiskAddress(node.id)) {
+            signals.knownHighRisk = true;
+        }
+
+        if (node.sharedFunder) {
+            signals.sharedFunder = true;
+            evidence.sharedFunder = {
+                nodes: [node.sharedFunder.funder, ...node.sharedFunder.wallets],
+                transactions: node.sharedFunder.transactions
+            };
+        }
+
+        if (node.sybilCluster) {
+            const pairEvidence = node.sybilCluster.evidence.filter(item => item.accounts.includes(node.id));
+            signals.sybilCluster = node.sybilCluster.confidence;
+            evidence.sybilCluster = {
+                nodes: node.sybilCluster.wallets.filter(account => account !== node.id),
+                transactions: [...new Set(pairEvidence.flatMap(item => item.transactions))]
+            };
+        }
+
+        const graphMetrics = node.graphMetrics;
+        if (graphMetrics) {
+            signals.denseCore = graphMetrics.coreNumber;
+            evidence.denseCore = { nodes: graphMetrics.coreNeighbors };
+            
+            const strongest = graphMetrics.brokerage[0];
+            if (strongest) {
+                signals.insiderBroker = strongest.share;
+                evidence.insiderBroker = { nodes: [strongest.token, ...new Set(strongest.pairs.flat())] };
+            }
+        }
+
+        return this.riskEngine.evaluate('network', signals, evidence);
+    }
+
     /**
      * Finalize the risk calculation by computing aggregate metrics
      * @private
      */
     _finalizeFinalRiskCalculation() {
         // Calculate final aggregate risk score (normalized to 0-100)
-        let nodeCount = this.networkData.nodes.length;
+        let nodeCount = this.networkData.nodes.filter(node => !node.layer).length;
         
         // Avoid division by zero
         if (nodeCount > 0) {
@@ -2797,7 +3702,7 @@ class NetworkAnalyzer {
         
         // Update other metrics
         this.metrics.connectedWallets = this.networkData.nodes.filter(node => 
-            node.type === 'wallet' && node.id !== this.networkData.mainNode
+            node.type === 'wallet' && node.id !== this.networkData.mainNode && !node.layer
         ).length;
         
         this.metrics.connectedTokens = this.networkData.nodes.filter(node => 
@@ -2838,18 +3743,29 @@ class NetworkAnalyzer {
                 setTimeout(() => {
                     this._processHighRiskWallets(walletNodes);
                     this._processKnownHighRiskWallets(walletNodes);
+                    this._notifyUpdate('findings');
                     this._updateProgress(93, 'Processing creator wallets...');
                     
                     // Process creator wallets and early participants
                     setTimeout(() => {
                         this._processCreatorWallets(walletNodes);
+                        this._processCreatorHistories(walletNodes);
+                        this._processSharedFunders(walletNodes);
+                        this._processSybilClusters(walletNodes);
+                        this._processGraphStructure(walletNodes);
                         this._processEarlyParticipants(walletNodes);
+                        this._notifyUpdate('findings');
                         this._updateProgress(95, 'Processing token data...');
                         
                         // Process token risks and suspicious connections
                         setTimeout(() => {
                             this._processTokenRisks(tokenNodes);
+                            this._processLiquidityPulls(tokenNodes);
+                            this._processDexActivity(tokenNodes);
+                            this._processIssuerAudits(walletNodes);
+                            this._processKeyControl(walletNodes);
                             this._processSuspiciousConnections(suspiciousLinks);
+                            this._notifyUpdate('findings');
                             this._updateProgress(97, 'Analyzing network metrics...');
                             
                             // Process high-risk connections and network metrics
@@ -2859,6 +3775,7 @@ class NetworkAnalyzer {
                                 this._updateProgress(99, 'Completing analysis...');
                                 
                                 console.log(`Generated ${this.findings.length} findings`);
+                                this._notifyUpdate('findings');
                                 resolve();
                             }, 10);
                         }, 10);
@@ -2868,6 +3785,36 @@ class NetworkAnalyzer {
         });
     }
 
+    /**
+     * List every rule behind a risk score, including the rules behind its starting score
+     * @param {object} breakdown - Risk engine evaluation stored on a node
+     * @param {string} parent - Rule whose score the breakdown explains (for nested breakdowns)
+     * @returns {Array<object>} - [{ category, rule, signal, threshold, weight, points, evidence, parent }]
+     * @private
+     */
+    _flattenRiskBreakdown(breakdown, parent = null) {
+        if (!breakdown) return [];
+        
+        const rows = [];
+        for (const contribution of breakdown.contributions) {
+            const { breakdown: nested, ...evidence } = contribution.evidence || {};
+            rows.push({
+                category: breakdown.category,
+                rule: contribution.rule,
+                signal: contribution.signal,
+                threshold: contribution.threshold,
+                weight: contribution.weight,
+                points: contribution.score,
+                evidence,
+                parent
+            });
+            if (nested) {
+                rows.push(...this._flattenRiskBreakdown(nested, contribution.rule));
+            }
+        }
+        return rows;
+    }
+
     /**
      * Get textual description of why a wallet is high risk
      * @param {object} walletNode - Wallet node data
@@ -2877,9 +3824,20 @@ class NetworkAnalyzer {
     _getWalletRiskReason(walletNode) {
         if (!walletNode) return 'Unknown reason';
         
+        // Name the rules that added the most risk
+        const contributions = this._flattenRiskBreakdown(walletNode.riskBreakdown)
+            .filter(contribution => contribution.points > 0 && contribution.rule !== 'baseRisk')
+            .sort((a, b) => b.points - a.points)
+            .slice(0, 4);
+        if (contributions.length > 0) {
+            return contributions
+                .map(contribution => `${ruleLabel(contribution.rule)} (+${contribution.points.toFixed(2)})`)
+                .join(', ');
+        }
+        
         const reasons = [];
         
-        if (HIGH_RISK_ADDRESSES.includes(walletNode.id.split(':')[0])) {
+        if (isHighRiskAddress(walletNode.id)) {
             reasons.push('Known high-risk wallet');
         }
         
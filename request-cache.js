@@ -0,0 +1,408 @@
+/**
+ * Request Cache
+ * Caches XRPL responses keyed by command, parameters and ledger.
+ * Results tied to a closed ledger or a validated transaction never change and
+ * are kept forever; results against the current validated ledger expire after
+ * a TTL or once the ledger has moved on too far.
+ */
+
+// Commands whose responses are safe to reuse
+const CACHEABLE_COMMANDS = [
+    'account_info',
+    'account_lines',
+    'account_objects',
+    'account_currencies',
+    'account_nfts',
+    'account_offers',
+    'account_tx',
+    'gateway_balances',
+    'book_offers',
+    'amm_info',
+    'ledger',
+    'tx'
+];
+
+// Request fields that never change the response
+const IGNORED_KEY_FIELDS = ['id', 'api_version'];
+
+/**
+ * In-memory backend with least-recently-used eviction
+ */
+export class MemoryCacheBackend {
+    /**
+     * @param {number} maxEntries - Entries kept before the oldest are evicted
+     */
+    constructor(maxEntries = 5000) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            // Re-insert to mark as most recently used
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return entry || null;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * IndexedDB backend so cached ledger data survives page reloads
+ */
+export class IndexedDBCacheBackend {
+    /**
+     * @param {string} dbName - IndexedDB database name
+     * @param {string} storeName - Object store name
+     */
+    constructor(dbName = 'rugcheckerx-cache', storeName = 'responses') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB exists in this environment
+     * @returns {boolean}
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async get(key) {
+        const result = await this._transaction('readonly', store => store.get(key));
+        return result || null;
+    }
+
+    async set(key, entry) {
+        await this._transaction('readwrite', store => store.put(entry, key));
+    }
+
+    async delete(key) {
+        await this._transaction('readwrite', store => store.delete(key));
+    }
+
+    async clear() {
+        await this._transaction('readwrite', store => store.clear());
+    }
+
+    /**
+     * Open the database once and reuse the connection
+     * @returns {Promise<IDBDatabase>}
+     * @private
+     */
+    _open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single store operation inside a transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<any>}
+     * @private
+     */
+    async _transaction(mode, operation) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+/**
+ * Cache front-end used by XRPLService
+ */
+export class RequestCache {
+    /**
+     * @param {object} backend - Storage backend (get/set/delete/clear)
+     * @param {object} options - Cache options
+     * @param {number} options.mutableTtl - Milliseconds mutable results stay fresh
+     * @param {number} options.maxLedgerAge - Validated ledgers a mutable result may lag behind
+     */
+    constructor(backend, options = {}) {
+        this.backend = backend || new MemoryCacheBackend();
+        this.options = {
+            mutableTtl: 60000,
+            maxLedgerAge: 20,
+            ...options
+        };
+        this.latestLedger = 0;
+        this.pending = new Map();
+        this.stats = { hits: 0, misses: 0, shared: 0 };
+    }
+
+    /**
+     * Swap the storage backend
+     * @param {object} backend - Storage backend
+     */
+    setBackend(backend) {
+        this.backend = backend;
+        this.pending.clear();
+    }
+
+    /**
+     * Record the latest validated ledger so stale mutable results can be dropped
+     * @param {number} ledgerIndex - Validated ledger index
+     */
+    noteLedger(ledgerIndex) {
+        if (typeof ledgerIndex === 'number' && ledgerIndex > this.latestLedger) {
+            this.latestLedger = ledgerIndex;
+        }
+    }
+
+    /**
+     * Return a cached response or run the fetcher and cache its result
+     * Identical requests in flight at the same time share one fetch. Every caller
+     * gets its own copy of the response, and a caller's signal only abandons that
+     * caller: the shared fetch is aborted once no one is left waiting on it.
+     * @param {object} request - XRPL request
+     * @param {Function} fetcher - Performs the real request, given (request, signal)
+     * @param {AbortSignal|null} signal - Cancels this caller's wait
+     * @returns {Promise<object>} - XRPL response
+     */
+    async fetch(request, fetcher, signal = null) {
+        if (!CACHEABLE_COMMANDS.includes(request.command)) {
+            return fetcher(request, signal);
+        }
+
+        const key = this.keyFor(request);
+
+        const cached = await this._read(key);
+        if (cached) {
+            this.stats.hits++;
+            return structuredClone(cached.response);
+        }
+
+        let shared = this.pending.get(key);
+        if (shared) {
+            this.stats.shared++;
+        } else {
+            this.stats.misses++;
+            const controller = new AbortController();
+            shared = {
+                controller,
+                waiting: 0,
+                promise: (async () => {
+                    const response = await fetcher(request, controller.signal);
+                    await this._write(key, request, response);
+                    return response;
+                })()
+            };
+            this.pending.set(key, shared);
+            shared.promise.catch(() => {}).then(() => {
+                if (this.pending.get(key) === shared) this.pending.delete(key);
+            });
+        }
+
+        return structuredClone(await this._wait(key, shared, signal));
+    }
+
+    /**
+     * Wait on a shared fetch until it settles or the caller's signal aborts
+     * @param {string} key - Cache key
+     * @param {object} shared - { controller, waiting, promise }
+     * @param {AbortSignal|null} signal - Caller's signal
+     * @returns {Promise<object>} - XRPL response
+     * @private
+     */
+    _wait(key, shared, signal) {
+        shared.waiting++;
+        return new Promise((resolve, reject) => {
+            let done = false;
+            const leave = () => {
+                done = true;
+                shared.waiting--;
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+            const onAbort = () => {
+                if (done) return;
+                leave();
+                if (shared.waiting === 0) {
+                    // Nobody wants the answer any more; a later caller starts afresh
+                    if (this.pending.get(key) === shared) this.pending.delete(key);
+                    shared.controller.abort(signal.reason);
+                }
+                reject(signal.reason);
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            shared.promise.then(
+                response => {
+                    if (done) return;
+                    leave();
+                    resolve(response);
+                },
+                error => {
+                    if (done) return;
+                    leave();
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    /**
+     * Build a stable cache key from the command, its parameters and ledger selector
+     * @param {object} request - XRPL request
+     * @returns {string} - Cache key
+     */
+    keyFor(request) {
+        const params = Object.keys(request)
+            .filter(field => !IGNORED_KEY_FIELDS.includes(field))
+            .sort()
+            .map(field => `${field}=${JSON.stringify(request[field])}`);
+        return params.join('&');
+    }
+
+    /**
+     * Remove every cached entry
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.pending.clear();
+        await this.backend.clear();
+    }
+
+    /**
+     * Decide how long a response may be reused
+     * @param {object} request - XRPL request
+     * @param {object} response - XRPL response
+     * @returns {string} - 'immutable', 'mutable' or 'none'
+     * @private
+     */
+    _classify(request, response) {
+        const result = response && response.result;
+        if (!result) return 'none';
+
+        // A validated transaction never changes
+        if (request.command === 'tx') {
+            return result.validated ? 'immutable' : 'none';
+        }
+
+        if (request.command === 'account_tx') {
+            // History bounded by a fixed ledger is closed
+            if (typeof request.ledger_index_max === 'number' && request.ledger_index_max > 0) {
+                return 'immutable';
+            }
+            // A forward page that ends in a marker, or a backward page that starts
+            // from one, only covers ledgers that are already validated
+            if ((request.forward && result.marker) || (!request.forward && request.marker)) {
+                return 'immutable';
+            }
+            return 'mutable';
+        }
+
+        // Requests against a specific closed ledger
+        if (request.ledger_hash || typeof request.ledger_index === 'number') {
+            return result.validated === false ? 'none' : 'immutable';
+        }
+
+        // Anything against the open ledger changes every few seconds
+        if (request.ledger_index === 'current') {
+            return 'none';
+        }
+
+        return 'mutable';
+    }
+
+    /**
+     * Read an entry, discarding it if it has gone stale
+     * @param {string} key - Cache key
+     * @returns {Promise<object|null>} - Cache entry
+     * @private
+     */
+    async _read(key) {
+        let entry;
+        try {
+            entry = await this.backend.get(key);
+        } catch (error) {
+            console.warn('Cache read failed:', error);
+            return null;
+        }
+        if (!entry) return null;
+
+        if (entry.policy === 'mutable') {
+            const expired = Date.now() > entry.expiresAt;
+            const ledgerMoved = entry.ledgerIndex && this.latestLedger &&
+                this.latestLedger - entry.ledgerIndex > this.options.maxLedgerAge;
+
+            if (expired || ledgerMoved) {
+                await this.backend.delete(key).catch(() => {});
+                return null;
+            }
+        }
+
+        return entry;
+    }
+
+    /**
+     * Store a response according to its policy
+     * @param {string} key - Cache key
+     * @param {object} request - XRPL request
+     * @param {object} response - XRPL response
+     * @private
+     */
+    async _write(key, request, response) {
+        const policy = this._classify(request, response);
+        if (policy === 'none') return;
+
+        const result = response.result;
+        const ledgerIndex = result.ledger_index || result.ledger_current_index || null;
+        if (result.validated && typeof ledgerIndex === 'number') {
+            this.noteLedger(ledgerIndex);
+        }
+
+        const entry = {
+            policy,
+            response,
+            ledgerIndex,
+            storedAt: Date.now(),
+            expiresAt: policy === 'mutable' ? Date.now() + this.options.mutableTtl : null
+        };
+
+        try {
+            await this.backend.set(key, entry);
+        } catch (error) {
+            console.warn('Cache write failed:', error);
+        }
+    }
+}
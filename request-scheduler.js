@@ -0,0 +1,329 @@
+/**
+ * Request Scheduler
+ * Central throttle for XRPL and HTTP requests: per-endpoint concurrency limits,
+ * token-bucket rate limiting, priority queues and backoff when a server asks
+ * us to slow down (rippled slowDown/tooBusy, HTTP 429 and x-ratelimit-* headers)
+ */
+
+// Lower numbers run first; crawl depth can be used directly as a priority
+export const PRIORITY = {
+    MAIN: 0,
+    NORMAL: 1,
+    BACKGROUND: 5
+};
+
+// rippled error codes that mean "back off and try again"
+const RIPPLED_BACKOFF_ERRORS = ['slowDown', 'tooBusy'];
+
+/**
+ * Token bucket refilled continuously at a fixed rate
+ */
+class TokenBucket {
+    /**
+     * @param {number} ratePerSecond - Tokens added per second
+     * @param {number} capacity - Maximum burst size
+     */
+    constructor(ratePerSecond, capacity) {
+        this.rate = ratePerSecond;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Take a token if one is available
+     * @returns {number} - 0 if a token was taken, otherwise milliseconds until one is
+     */
+    take() {
+        this._refill();
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+    }
+
+    /**
+     * Empty the bucket, e.g. when the server reports the window is used up
+     */
+    drain() {
+        this._refill();
+        this.tokens = 0;
+    }
+
+    _refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+        this.updatedAt = now;
+    }
+}
+
+export class RequestScheduler {
+    /**
+     * @param {object} settings - Scheduler settings
+     * @param {object} settings.endpoints - Per-endpoint limits keyed by endpoint name
+     * @param {object} settings.defaultEndpoint - Limits for endpoints not listed
+     * @param {number} settings.maxRetries - Retries after a backoff response
+     * @param {number} settings.retryBackoff - Base backoff delay in milliseconds
+     */
+    constructor(settings = {}) {
+        this.settings = {
+            endpoints: {},
+            defaultEndpoint: { maxConcurrent: 2, requestsPerSecond: 2, burst: 4 },
+            maxRetries: 4,
+            retryBackoff: 1000,
+            ...settings
+        };
+        this.endpoints = new Map();
+        this.sequence = 0;
+    }
+
+    /**
+     * Queue a task against an endpoint
+     * @param {string} endpoint - Endpoint name ('xrpl' or an HTTP host)
+     * @param {Function} task - Returns a promise for the request
+     * @param {object} options - Scheduling options
+     * @param {number} options.priority - Lower runs first (see PRIORITY)
+     * @param {AbortSignal} options.signal - Drops the job if aborted before it starts
+     * @returns {Promise<any>} - Result of the task
+     */
+    schedule(endpoint, task, options = {}) {
+        const state = this._getEndpoint(endpoint);
+        const priority = options.priority ?? PRIORITY.NORMAL;
+        const signal = options.signal;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const job = {
+                task,
+                priority,
+                sequence: this.sequence++,
+                attempts: 0,
+                resolve,
+                reject
+            };
+
+            if (signal) {
+                const onAbort = () => {
+                    const index = state.queue.indexOf(job);
+                    if (index !== -1) {
+                        state.queue.splice(index, 1);
+                        reject(signal.reason);
+                    }
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                job.resolve = value => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(value);
+                };
+                job.reject = error => {
+                    signal.removeEventListener('abort', onAbort);
+                    reject(error);
+                };
+            }
+
+            this._enqueue(state, job);
+            this._drain(state);
+        });
+    }
+
+    /**
+     * Get queue statistics for every endpoint
+     * @returns {object} - Stats keyed by endpoint name
+     */
+    getStats() {
+        const stats = {};
+        for (const [name, state] of this.endpoints) {
+            stats[name] = {
+                active: state.active,
+                queued: state.queue.length,
+                pausedForMs: Math.max(0, state.pausedUntil - Date.now())
+            };
+        }
+        return stats;
+    }
+
+    /**
+     * Create endpoint state on first use
+     * @param {string} name - Endpoint name
+     * @returns {object} - Endpoint state
+     * @private
+     */
+    _getEndpoint(name) {
+        if (!this.endpoints.has(name)) {
+            const limits = this.settings.endpoints[name] || this.settings.defaultEndpoint;
+            this.endpoints.set(name, {
+                name,
+                maxConcurrent: limits.maxConcurrent,
+                bucket: new TokenBucket(limits.requestsPerSecond, limits.burst),
+                active: 0,
+                queue: [],
+                pausedUntil: 0,
+                timer: null
+            });
+        }
+        return this.endpoints.get(name);
+    }
+
+    /**
+     * Insert a job keeping the queue ordered by priority, then arrival
+     * @param {object} state - Endpoint state
+     * @param {object} job - Queued job
+     * @private
+     */
+    _enqueue(state, job) {
+        const index = state.queue.findIndex(queued =>
+            queued.priority > job.priority ||
+            (queued.priority === job.priority && queued.sequence > job.sequence));
+        if (index === -1) {
+            state.queue.push(job);
+        } else {
+            state.queue.splice(index, 0, job);
+        }
+    }
+
+    /**
+     * Start as many queued jobs as the limits allow
+     * @param {object} state - Endpoint state
+     * @private
+     */
+    _drain(state) {
+        while (state.queue.length > 0 && state.active < state.maxConcurrent) {
+            const pausedFor = state.pausedUntil - Date.now();
+            if (pausedFor > 0) {
+                this._wakeAfter(state, pausedFor);
+                return;
+            }
+
+            const wait = state.bucket.take();
+            if (wait > 0) {
+                this._wakeAfter(state, wait);
+                return;
+            }
+
+            const job = state.queue.shift();
+            state.active++;
+            this._run(state, job);
+        }
+    }
+
+    /**
+     * Run a job and handle rate-limit responses
+     * @param {object} state - Endpoint state
+     * @param {object} job - Queued job
+     * @private
+     */
+    async _run(state, job) {
+        try {
+            const result = await job.task();
+
+            if (this._isHttpResponse(result)) {
+                this._applyRateLimitHeaders(state, result);
+
+                if (result.status === 429 && job.attempts < this.settings.maxRetries) {
+                    this._retry(state, job, this._retryAfter(result, job.attempts));
+                    return;
+                }
+            }
+
+            job.resolve(result);
+        } catch (error) {
+            if (this._isBackoffError(error) && job.attempts < this.settings.maxRetries) {
+                console.warn(`${state.name} asked us to slow down, backing off`);
+                this._retry(state, job, this._backoffDelay(job.attempts));
+                return;
+            }
+            job.reject(error);
+        } finally {
+            state.active--;
+            this._drain(state);
+        }
+    }
+
+    /**
+     * Pause the endpoint and put the job back at the front of its priority band
+     * @param {object} state - Endpoint state
+     * @param {object} job - Queued job
+     * @param {number} delay - Milliseconds to pause
+     * @private
+     */
+    _retry(state, job, delay) {
+        job.attempts++;
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+        this._enqueue(state, job);
+    }
+
+    /**
+     * Schedule a drain once the endpoint can accept work again
+     * @param {object} state - Endpoint state
+     * @param {number} delay - Milliseconds to wait
+     * @private
+     */
+    _wakeAfter(state, delay) {
+        if (state.timer) return;
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            this._drain(state);
+        }, delay);
+    }
+
+    /**
+     * Respect x-ratelimit-remaining / x-ratelimit-reset on any response
+     * @param {object} state - Endpoint state
+     * @param {Response} response - HTTP response
+     * @private
+     */
+    _applyRateLimitHeaders(state, response) {
+        const remaining = parseInt(response.headers.get('x-ratelimit-remaining'), 10);
+        const reset = parseInt(response.headers.get('x-ratelimit-reset'), 10);
+
+        if (!isNaN(remaining) && remaining <= 0) {
+            state.bucket.drain();
+            if (!isNaN(reset)) {
+                state.pausedUntil = Math.max(state.pausedUntil, Date.now() + reset * 1000);
+            }
+        }
+    }
+
+    /**
+     * Delay before retrying a 429 response
+     * @param {Response} response - HTTP response
+     * @param {number} attempts - Attempts so far
+     * @returns {number} - Milliseconds
+     * @private
+     */
+    _retryAfter(response, attempts) {
+        const reset = parseInt(response.headers.get('x-ratelimit-reset'), 10);
+        if (!isNaN(reset)) return reset * 1000;
+
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+        if (!isNaN(retryAfter)) return retryAfter * 1000;
+
+        return this._backoffDelay(attempts);
+    }
+
+    _backoffDelay(attempts) {
+        return this.settings.retryBackoff * Math.pow(2, attempts);
+    }
+
+    /**
+     * Whether a rippled error asks the client to back off
+     * @param {Error} error - Error thrown by xrpl.js
+     * @returns {boolean}
+     * @private
+     */
+    _isBackoffError(error) {
+        if (!error) return false;
+        const code = (error.data && error.data.error) || error.message;
+        return RIPPLED_BACKOFF_ERRORS.includes(code);
+    }
+
+    _isHttpResponse(result) {
+        return !!result && typeof result.status === 'number' &&
+            !!result.headers && typeof result.headers.get === 'function';
+    }
+}
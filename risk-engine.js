@@ -0,0 +1,181 @@
+/**
+ * Risk Engine
+ * Scores wallets, tokens and transactions from the named rules in RISK_FACTORS.
+ * Callers measure signals (counts, ratios, flags) and the engine turns them into
+ * a score, so weights and thresholds live in config.js rather than in the analysis code.
+ */
+
+import { RISK_FACTORS, RISK_AGGREGATION } from './config.js';
+
+const AGGREGATIONS = {
+    sum: contributions => Math.min(1, total(contributions, 'score')),
+    max: contributions => contributions.reduce((highest, contribution) => Math.max(highest, contribution.score), 0),
+    probabilistic: contributions => 1 - contributions.reduce((remaining, contribution) => remaining * (1 - contribution.score), 1),
+    weighted: (contributions, { minWeight = 0 }) => {
+        const weight = Math.max(total(contributions, 'weight'), minWeight);
+        return weight > 0 ? Math.min(1, total(contributions, 'score') / weight) : 0;
+    }
+};
+
+export class RiskEngine {
+    /**
+     * @param {object} factors - Rules by category, shaped like RISK_FACTORS
+     * @param {object} aggregation - Aggregation method (or { method, ...options }) by category, shaped like RISK_AGGREGATION
+     */
+    constructor(factors = RISK_FACTORS, aggregation = RISK_AGGREGATION) {
+        this.factors = factors;
+        this.aggregation = aggregation;
+    }
+
+    /**
+     * Get a rule's configuration
+     * @param {string} category - 'wallet', 'token', 'transaction', ...
+     * @param {string} name - Rule name
+     * @returns {object} - Rule
+     */
+    rule(category, name) {
+        const rule = this.factors[category] && this.factors[category][name];
+        if (!rule) {
+            throw new Error(`Unknown risk rule: ${category}.${name}`);
+        }
+        return rule;
+    }
+
+    /**
+     * Score a subject from its measured signals
+     * @param {string} category - Rule category
+     * @param {object} signals - Signal value by rule name; undefined or null means not measured
+     * @param {object} evidence - What triggered each rule, by rule name: { transactions: [hash], nodes: [id], breakdown }
+     * @returns {object} - { category, score, aggregation, contributions: [{ rule, signal, threshold, weight, strength, score, tier, evidence }] }
+     */
+    evaluate(category, signals, evidence = {}) {
+        const contributions = [];
+        for (const [name, signal] of Object.entries(signals)) {
+            if (signal === undefined || signal === null) continue;
+
+            const rule = this.rule(category, name);
+            const { strength, tier } = this._strength(rule, signal);
+            contributions.push({
+                rule: name,
+                signal,
+                threshold: rule.threshold,
+                weight: rule.weight,
+                strength,
+                score: rule.weight * strength,
+                tier,
+                evidence: evidence[name] || null
+            });
+        }
+
+        const setting = this.aggregation[category] || 'sum';
+        const { method: aggregation, ...options } = typeof setting === 'string' ? { method: setting } : setting;
+        const combine = AGGREGATIONS[aggregation];
+        if (!combine) {
+            throw new Error(`Unknown risk aggregation for ${category}: ${aggregation}`);
+        }
+
+        return {
+            category,
+            score: combine(contributions, options),
+            aggregation,
+            contributions
+        };
+    }
+
+    /**
+     * Score a subject and return only the number
+     * @param {string} category - Rule category
+     * @param {object} signals - Signal value by rule name
+     * @returns {number} - Risk score (0-1)
+     */
+    score(category, signals) {
+        return this.evaluate(category, signals).score;
+    }
+
+    /**
+     * Find the tier a signal falls in for a 'tiers' rule
+     * @param {string} category - Rule category
+     * @param {string} name - Rule name
+     * @param {number} signal - Measured value
+     * @returns {object|null} - Matching tier (with its score and any extra fields), or null
+     */
+    tier(category, name, signal) {
+        return this._strength(this.rule(category, name), signal).tier;
+    }
+
+    /**
+     * Turn a signal into a strength between 0 and 1 using the rule's method
+     * @param {object} rule - Rule
+     * @param {any} signal - Measured value
+     * @returns {object} - { strength, tier }
+     * @private
+     */
+    _strength(rule, signal) {
+        const value = Number(signal);
+        const threshold = rule.threshold;
+        let strength = 0;
+        let tier = null;
+
+        switch (rule.method) {
+            case 'flag':
+                strength = signal ? 1 : 0;
+                break;
+            case 'below':
+                strength = value < threshold ? 1 - value / threshold : 0;
+                break;
+            case 'above':
+                strength = value > threshold ? (value - threshold) / (rule.range || threshold) : 0;
+                break;
+            case 'step':
+                strength = value > threshold ? 1 : 0;
+                break;
+            case 'count':
+                strength = value / threshold;
+                break;
+            case 'ratio':
+                strength = value;
+                break;
+            case 'tiers':
+                tier = rule.tiers.find(candidate =>
+                    (candidate.below === undefined || value < candidate.below) &&
+                    (candidate.above === undefined || value > candidate.above)) || null;
+                strength = tier ? tier.score : 0;
+                break;
+            default:
+                throw new Error(`Unknown risk rule method: ${rule.method}`);
+        }
+
+        return { strength: Number.isFinite(strength) ? Math.min(1, Math.max(0, strength)) : 0, tier };
+    }
+}
+
+// Rules whose name does not read well on its own, by category; the rest are spelled out from the name
+const RULE_LABELS = {
+    sybil: {
+        sharedFunder: 'Same funder',
+        activationAmount: 'Same activation amount',
+        sequentialCreation: 'Created back to back',
+        trustlineSet: 'Same trust lines',
+        synchronizedTrades: 'Synchronized trades',
+        consolidation: 'Funds sent to the same address'
+    }
+};
+
+/**
+ * Readable name for a risk rule or category, e.g. lowActivity -> Low activity
+ * @param {string} rule - Rule name
+ * @param {string} category - Rule category, for rules labeled in RULE_LABELS
+ * @returns {string}
+ */
+export function ruleLabel(rule, category = null) {
+    const labels = RULE_LABELS[category];
+    if (labels && labels[rule]) {
+        return labels[rule];
+    }
+    const words = rule.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function total(contributions, field) {
+    return contributions.reduce((sum, contribution) => sum + contribution[field], 0);
+}
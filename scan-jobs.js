@@ -0,0 +1,246 @@
+/**
+ * Scan Job Queue
+ * Runs network scans one at a time on a NetworkAnalyzer (it holds the state of a
+ * single run) and keeps their progress and results for the REST API.
+ */
+
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETE: 'complete',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+export class ScanJobQueue {
+    /**
+     * @param {object} analyzer - NetworkAnalyzer instance
+     * @param {object} settings - Queue settings
+     * @param {number} settings.maxQueuedScans - Jobs allowed to wait at once
+     * @param {number} settings.maxStoredScans - Finished jobs to keep
+     * @param {number} settings.resultTtl - How long a finished job can be reused (ms)
+     */
+    constructor(analyzer, settings = {}) {
+        this.analyzer = analyzer;
+        this.settings = {
+            maxQueuedScans: 50,
+            maxStoredScans: 200,
+            resultTtl: 600000,
+            ...settings
+        };
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = null;
+
+        this.analyzer.addEventListener('network-analysis-progress', event => {
+            if (this.running) {
+                this.running.progress = event.detail;
+            }
+        });
+    }
+
+    /**
+     * Queue a scan, or return a queued, running or fresh job for the same address and depth
+     * @param {string} address - XRPL address to scan
+     * @param {number} depth - Crawl depth
+     * @returns {object} - Job
+     */
+    submit(address, depth) {
+        const existing = this.find(address, depth);
+        if (existing) return existing;
+
+        if (this.queue.length >= this.settings.maxQueuedScans) {
+            const error = new Error('Scan queue is full, try again later');
+            error.name = 'QueueFullError';
+            throw error;
+        }
+
+        const job = {
+            id: globalThis.crypto.randomUUID(),
+            address,
+            depth,
+            status: JOB_STATUS.QUEUED,
+            progress: { status: 'queued', percent: 0, message: 'Waiting in queue' },
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            result: null,
+            error: null,
+            controller: new AbortController()
+        };
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this._prune();
+        this._drain();
+        return job;
+    }
+
+    /**
+     * Find a job that can answer for an address without scanning again
+     * @param {string} address - XRPL address
+     * @param {number} depth - Crawl depth
+     * @returns {object|null} - Queued or running job, or a complete one younger than resultTtl
+     */
+    find(address, depth) {
+        let match = null;
+        for (const job of this.jobs.values()) {
+            if (job.address !== address || job.depth !== depth) continue;
+
+            const pending = job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING;
+            const fresh = job.status === JOB_STATUS.COMPLETE &&
+                Date.now() - job.finishedAt < this.settings.resultTtl;
+            if ((pending || fresh) && (!match || job.createdAt >= match.createdAt)) {
+                match = job;
+            }
+        }
+        return match;
+    }
+
+    /**
+     * @param {string} id - Job id
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Cancel a queued or running job
+     * @param {string} id - Job id
+     * @returns {object|null} - The job, or null if unknown
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        if (job.status === JOB_STATUS.QUEUED) {
+            this.queue = this.queue.filter(queued => queued !== job);
+            this._finish(job, JOB_STATUS.CANCELLED);
+        } else if (job.status === JOB_STATUS.RUNNING) {
+            // _run records the cancellation once the analyzer stops
+            job.controller.abort();
+        }
+        return job;
+    }
+
+    /**
+     * Queue statistics
+     * @returns {object}
+     */
+    getStats() {
+        return {
+            queued: this.queue.length,
+            running: this.running ? this.running.id : null,
+            stored: this.jobs.size
+        };
+    }
+
+    /**
+     * Serializable view of a job
+     * @param {object} job - Job
+     * @param {object} options - Output options
+     * @param {boolean} options.includeGraph - Include the node and link lists
+     * @returns {object}
+     */
+    describe(job, options = {}) {
+        const { includeGraph = true } = options;
+        const description = {
+            id: job.id,
+            address: job.address,
+            depth: job.depth,
+            status: job.status,
+            progress: job.progress,
+            createdAt: new Date(job.createdAt).toISOString(),
+            startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+            finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+            error: job.error
+        };
+
+        if (job.result) {
+            description.result = {
+                metrics: job.result.metrics,
+                findings: job.result.findings
+            };
+            if (includeGraph) {
+                description.result.graph = job.result.networkData;
+            }
+        }
+        return description;
+    }
+
+    /**
+     * Run queued jobs one after another
+     * @private
+     */
+    async _drain() {
+        if (this.running) return;
+
+        while (this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.running = job;
+            try {
+                await this._run(job);
+            } finally {
+                this.running = null;
+            }
+        }
+    }
+
+    /**
+     * @param {object} job - Job to run
+     * @private
+     */
+    async _run(job) {
+        job.status = JOB_STATUS.RUNNING;
+        job.startedAt = Date.now();
+
+        try {
+            const networkData = await this.analyzer.analyzeNetwork(job.address, job.depth, {
+                signal: job.controller.signal
+            });
+            job.result = {
+                networkData,
+                metrics: this.analyzer.getMetrics(),
+                findings: this.analyzer.getFindings()
+            };
+            this._finish(job, JOB_STATUS.COMPLETE);
+        } catch (error) {
+            if (job.controller.signal.aborted) {
+                this._finish(job, JOB_STATUS.CANCELLED);
+            } else {
+                job.error = { name: error.name || 'Error', message: error.message };
+                this._finish(job, JOB_STATUS.FAILED);
+            }
+        }
+    }
+
+    /**
+     * @param {object} job - Job
+     * @param {string} status - Final status
+     * @private
+     */
+    _finish(job, status) {
+        job.status = status;
+        job.finishedAt = Date.now();
+        if (status === JOB_STATUS.COMPLETE) {
+            job.progress = { ...job.progress, status: 'complete', percent: 100 };
+        }
+    }
+
+    /**
+     * Drop the oldest finished jobs beyond maxStoredScans
+     * @private
+     */
+    _prune() {
+        const finished = [...this.jobs.values()]
+            .filter(job => job.finishedAt !== null)
+            .sort((a, b) => a.finishedAt - b.finishedAt);
+
+        let excess = this.jobs.size - this.settings.maxStoredScans;
+        for (const job of finished) {
+            if (excess <= 0) break;
+            this.jobs.delete(job.id);
+            excess--;
+        }
+    }
+}
@@ -73,6 +73,12 @@ document.addEventListener('DOMContentLoaded', function() {
         return obj;
     }
     
+    // Rule names are labeled by the risk engine, the same way findings name them
+    let ruleLabel = rule => rule;
+    import('./risk-engine.js').then(module => {
+        ruleLabel = module.ruleLabel;
+    });
+    
     // Import our services
     import('./xrpl-service.js').then(module => {
         const xrplService = module.default;
@@ -81,22 +87,25 @@ document.addEventListener('DOMContentLoaded', function() {
         import('./network-analyzer.js').then(analyzerModule => {
             const networkAnalyzer = analyzerModule.default;
             
-            // Load configuration
-            loadConfig().then(config => {
-                // Store config for later use
-                window.rugCheckerConfig = config;
-                
-                // Initialize the application with real XRPL connectivity
-                initializeApp(xrplService, networkAnalyzer);
-            }).catch(error => {
-                console.error('Error loading configuration:', error);
-                // Continue with default config
-                window.rugCheckerConfig = {
-                    rcxrpIssuerAddress: 'rXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX',
-                    tokenGateEnabled: false,
-                    maxAnalysisDepth: 3
-                };
-                initializeApp(xrplService, networkAnalyzer);
+            // Prefer running the analysis in a worker, keeping the page responsive
+            createAnalysisBackend(xrplService, networkAnalyzer).then(({ service, analyzer }) => {
+                // Load configuration
+                loadConfig().then(config => {
+                    // Store config for later use
+                    window.rugCheckerConfig = config;
+                    
+                    // Initialize the application with real XRPL connectivity
+                    initializeApp(service, analyzer);
+                }).catch(error => {
+                    console.error('Error loading configuration:', error);
+                    // Continue with default config
+                    window.rugCheckerConfig = {
+                        rcxrpIssuerAddress: 'rXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX',
+                        tokenGateEnabled: false,
+                        maxAnalysisDepth: 3
+                    };
+                    initializeApp(service, analyzer);
+                });
             });
             
         }).catch(error => {
@@ -109,6 +118,23 @@ document.addEventListener('DOMContentLoaded', function() {
     });
 });
 
+// Run the analyzer and its XRPL client in a Web Worker when the browser supports it,
+// falling back to the page itself otherwise
+async function createAnalysisBackend(xrplService, networkAnalyzer) {
+    if (typeof Worker === 'undefined') {
+        return { service: xrplService, analyzer: networkAnalyzer };
+    }
+    
+    try {
+        const { default: AnalysisWorkerClient } = await import('./analysis-client.js');
+        const client = new AnalysisWorkerClient('./analysis-worker.js');
+        return { service: client.service, analyzer: client };
+    } catch (error) {
+        console.warn('Analysis worker unavailable, analyzing on the page instead:', error);
+        return { service: xrplService, analyzer: networkAnalyzer };
+    }
+}
+
 // Function to load configuration
 async function loadConfig() {
     try {
@@ -132,11 +158,13 @@ async function initializeApp(xrplService, networkAnalyzer) {
     // DOM elements
     const walletInput = document.getElementById('wallet-address');
     const scanButton = document.getElementById('scan-button');
+    const cancelScanButton = document.getElementById('cancel-scan-button');
     const networkViz = document.getElementById('network-visualization');
     const scanResults = document.getElementById('scan-results');
     const riskScore = document.getElementById('risk-score');
     const connectedWallets = document.getElementById('connected-wallets');
     const connectedTokens = document.getElementById('connected-tokens');
+    const communities = document.getElementById('communities');
 
     // Add forest pattern to the analyzer section
     const analyzerSection = document.getElementById('analyzer');
@@ -163,6 +191,7 @@ async function initializeApp(xrplService, networkAnalyzer) {
     
     // Event listeners
     scanButton.addEventListener('click', performScan);
+    cancelScanButton.addEventListener('click', () => networkAnalyzer.cancel());
     
     // Function to initialize the visualization with placeholder data
     function initVisualization() {
@@ -262,6 +291,31 @@ async function initializeApp(xrplService, networkAnalyzer) {
             .attr('fill', 'rgba(27, 94, 32, 0.2)');
     }
     
+    // Checkpoint of the last interrupted scan, so scanning the same address again resumes it
+    const SCAN_CHECKPOINT_KEY = 'rugcheckerx-scan-checkpoint';
+    let latestScanId = 0;
+    
+    function saveScanCheckpoint(checkpoint) {
+        try {
+            localStorage.setItem(SCAN_CHECKPOINT_KEY, JSON.stringify(checkpoint));
+        } catch (error) {
+            console.warn('Could not save scan checkpoint:', error);
+        }
+    }
+    
+    function loadScanCheckpoint(address) {
+        try {
+            const checkpoint = JSON.parse(localStorage.getItem(SCAN_CHECKPOINT_KEY));
+            return checkpoint && checkpoint.address === address ? checkpoint : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    function clearScanCheckpoint() {
+        localStorage.removeItem(SCAN_CHECKPOINT_KEY);
+    }
+    
     // Function to perform the wallet scan
     async function performScan() {
         const walletAddress = walletInput.value.trim();
@@ -277,10 +331,23 @@ async function initializeApp(xrplService, networkAnalyzer) {
             return;
         }
         
+        // Stop a scan that is still running before starting this one
+        const scanId = ++latestScanId;
+        await networkAnalyzer.cancel();
+        if (scanId !== latestScanId) return;
+        
+        // The stopped scan leaves a checkpoint behind
+        if (networkAnalyzer.getCheckpoint()) {
+            saveScanCheckpoint(networkAnalyzer.getCheckpoint());
+        }
+        const checkpoint = loadScanCheckpoint(walletAddress);
+        const analysisOptions = checkpoint ? { resume: checkpoint } : {};
+        cancelScanButton.hidden = false;
+        
         // Show loading state with progress bar in results area
         scanResults.innerHTML = `
             <div class="loading-container">
-                <p class="loading">Scanning XRPL network and analyzing wallet connections...</p>
+                <p class="loading">${checkpoint ? 'Resuming interrupted scan' : 'Scanning XRPL network and analyzing wallet connections'}...</p>
                 <div class="progress-bar-container">
                     <div class="progress-bar" id="scan-progress-bar"></div>
                     <div class="progress-percentage" id="scan-progress-percentage">0%</div>
@@ -289,34 +356,49 @@ async function initializeApp(xrplService, networkAnalyzer) {
             </div>
         `;
         
-        // Also show a loading overlay in the visualization area
-        networkViz.innerHTML = `
-            <div class="loading-overlay">
-                <p class="loading">Analyzing network connections...</p>
-                <div class="progress-bar-container">
-                    <div class="progress-bar" id="viz-progress-bar"></div>
-                    <div class="progress-percentage" id="viz-progress-percentage">0%</div>
-                </div>
+        // Start a live graph that fills in as the analyzer streams nodes and links
+        const liveGraph = updateVisualization(checkpoint ? checkpoint.networkData : {
+            nodes: [],
+            links: [],
+            mainNode: walletAddress
+        });
+        
+        // Small progress panel on top of the live graph
+        const vizProgress = document.createElement('div');
+        vizProgress.className = 'live-progress';
+        vizProgress.innerHTML = `
+            <p class="loading" id="viz-progress-message">Analyzing network connections...</p>
+            <div class="progress-bar-container">
+                <div class="progress-bar" id="viz-progress-bar"></div>
+                <div class="progress-percentage" id="viz-progress-percentage">0%</div>
             </div>
         `;
+        networkViz.appendChild(vizProgress);
         
-        // Animate progress bars
         const progressBar = document.getElementById('scan-progress-bar');
         const vizProgressBar = document.getElementById('viz-progress-bar');
         const progressPercentage = document.getElementById('scan-progress-percentage');
         const vizProgressPercentage = document.getElementById('viz-progress-percentage');
-        let progress = 0;
-        const progressInterval = setInterval(() => {
-            progress += 1;
-            if (progress > 95) {
-                clearInterval(progressInterval);
-            } else {
-                progressBar.style.width = progress + '%';
-                vizProgressBar.style.width = progress + '%';
-                progressPercentage.textContent = progress + '%';
-                vizProgressPercentage.textContent = progress + '%';
-            }
-        }, 200);
+        const vizProgressMessage = document.getElementById('viz-progress-message');
+        
+        // Progress bars follow the analyzer's progress events
+        function showProgress(percent, message) {
+            const width = Math.round(percent) + '%';
+            if (progressBar) progressBar.style.width = width;
+            if (vizProgressBar) vizProgressBar.style.width = width;
+            if (progressPercentage) progressPercentage.textContent = width;
+            if (vizProgressPercentage) vizProgressPercentage.textContent = width;
+            if (vizProgressMessage && message) vizProgressMessage.textContent = message;
+        }
+        
+        const onProgress = event => {
+            if (scanId === latestScanId) showProgress(event.detail.percent, event.detail.message);
+        };
+        const onGraphEvent = event => {
+            if (scanId === latestScanId) liveGraph.applyGraphEvent(event.detail);
+        };
+        window.addEventListener('network-analysis-progress', onProgress);
+        window.addEventListener('network-analysis-graph', onGraphEvent);
         
         try {
             // Get the RCXRP issuer address from config
@@ -329,7 +411,7 @@ async function initializeApp(xrplService, networkAnalyzer) {
             
             if (walletAddress === rcxrpIssuerAddress) {
                 // If this is the RCXRP issuer, show special display without tokens
-                data = await networkAnalyzer.analyzeNetwork(walletAddress, configMaxDepth);
+                data = await networkAnalyzer.analyzeNetwork(walletAddress, configMaxDepth, analysisOptions);
                 
                 // Override the nodes to remove any tokens
                 data.nodes = data.nodes.filter(node => node.type !== 'token');
@@ -345,18 +427,22 @@ async function initializeApp(xrplService, networkAnalyzer) {
                 networkAnalyzer.metrics.connectedTokens = 0;
             } else {
                 // Perform network analysis with configured depth
-                data = await networkAnalyzer.analyzeNetwork(walletAddress, configMaxDepth);
+                data = await networkAnalyzer.analyzeNetwork(walletAddress, configMaxDepth, analysisOptions);
             }
             
+            clearScanCheckpoint();
+            
             // Complete progress bar
-            clearInterval(progressInterval);
-            if (progressBar) progressBar.style.width = '100%';
-            if (vizProgressBar) vizProgressBar.style.width = '100%';
-            if (progressPercentage) progressPercentage.textContent = '100%';
-            if (vizProgressPercentage) vizProgressPercentage.textContent = '100%';
+            showProgress(100);
+            vizProgress.remove();
             
-            // Update visualization with real data
-            updateVisualization(data);
+            if (walletAddress === rcxrpIssuerAddress) {
+                // Tokens were filtered out after the scan, so redraw from the final data
+                updateVisualization(data);
+            } else {
+                // Pick up anything the streamed events did not cover
+                liveGraph.syncGraph(data);
+            }
             
             // Update metrics from the analysis
             const metrics = networkAnalyzer.getMetrics();
@@ -379,12 +465,32 @@ async function initializeApp(xrplService, networkAnalyzer) {
             // }, 7000);
             
         } catch (error) {
-            // Stop progress animation on error
-            clearInterval(progressInterval);
+            // A newer scan replaced this one and owns the UI now
+            if (scanId !== latestScanId) return;
+            
+            vizProgress.remove();
+            
+            const interrupted = networkAnalyzer.getCheckpoint();
+            if (interrupted) {
+                saveScanCheckpoint(interrupted);
+            }
+            const resumeHint = interrupted ? ` Press Scan again to resume from ${interrupted.networkData.nodes.length} collected nodes.` : '';
+            
+            if (error.name === 'AbortError') {
+                // Leave the partial graph in place
+                scanResults.innerHTML = `<p class="error">Scan cancelled.${resumeHint}</p>`;
+                return;
+            }
             
             console.error('Error performing scan:', error);
-            scanResults.innerHTML = `<p class="error">Error performing scan: ${error.message}</p>`;
+            scanResults.innerHTML = `<p class="error">Error performing scan: ${error.message}${resumeHint}</p>`;
             networkViz.innerHTML = `<p class="error" style="padding: 20px; text-align: center;">Error visualizing network: ${error.message}</p>`;
+        } finally {
+            window.removeEventListener('network-analysis-progress', onProgress);
+            window.removeEventListener('network-analysis-graph', onGraphEvent);
+            if (scanId === latestScanId) {
+                cancelScanButton.hidden = true;
+            }
         }
     }
     
@@ -393,6 +499,7 @@ async function initializeApp(xrplService, networkAnalyzer) {
         riskScore.textContent = metrics.riskScore;
         connectedWallets.textContent = metrics.connectedWallets;
         connectedTokens.textContent = metrics.connectedTokens;
+        communities.textContent = metrics.communities;
         
         // Update risk score color
         if (metrics.riskScore > 70) {
@@ -884,6 +991,9 @@ async function initializeApp(xrplService, networkAnalyzer) {
             // Convert hex to readable name if needed
             return convertHexToString(d.name);
         }
+        if (d.entity) {
+            return d.tag !== null && d.tag !== undefined ? `${d.entity.name} #${d.tag}` : d.entity.name;
+        }
         return shortenAddress(d.id);
     }
 
@@ -938,6 +1048,7 @@ async function initializeApp(xrplService, networkAnalyzer) {
         console.log('Updating visualization with data:', data);
         
         // Clear existing visualization
+        if (simulation) simulation.stop();
         networkViz.innerHTML = '';
         
         // Get dimensions
@@ -1045,7 +1156,6 @@ async function initializeApp(xrplService, networkAnalyzer) {
                     if (d.source.type === 'token' || d.target.type === 'token') return 180;
                     if (d.earlyTransaction) return 150; // Keep early transaction connections closer
                     if (d.highRiskConnection) return 200; // Separate high-risk connections more
-                    if (d.relatedConnection) return 170; // Medium distance for related wallets
                     return 160; // Larger default distance
                 })
                 .strength(d => {
@@ -1148,94 +1258,135 @@ async function initializeApp(xrplService, networkAnalyzer) {
             .on('drag', dragged)
             .on('end', dragended);
         
+        // Sybil cluster hulls sit under the links and nodes
+        const hullGroup = vizGroup.append('g').attr('class', 'sybil-hulls');
+        let hull = hullGroup.selectAll('g');
+        
         // Create link groups for different types of connections
         const linkGroups = {
+            activation: vizGroup.append('g').attr('class', 'links activation-links'),
             earlyTxn: vizGroup.append('g').attr('class', 'links early-txn-links'),
             token: vizGroup.append('g').attr('class', 'links token-links'),
             suspicious: vizGroup.append('g').attr('class', 'links suspicious-links'),
             regular: vizGroup.append('g').attr('class', 'links regular-links')
         };
-        
-        // Process links by type
-        const earlyTxnLinks = workingData.links.filter(link => link.earlyTransaction);
-        const tokenLinks = workingData.links.filter(link => 
-            (link.source.type === 'token' || link.target.type === 'token') && !link.earlyTransaction);
-        const suspiciousLinks = workingData.links.filter(link => 
-            link.suspicious && !link.earlyTransaction && 
-            link.source.type !== 'token' && link.target.type !== 'token');
-        const regularLinks = workingData.links.filter(link => 
-            !link.earlyTransaction && !link.suspicious && 
-            link.source.type !== 'token' && link.target.type !== 'token');
+        const nodeGroup = vizGroup.append('g').attr('class', 'nodes');
+        const labelGroup = vizGroup.append('g').attr('class', 'labels');
+        let node = nodeGroup.selectAll('circle');
+        let label = labelGroup.selectAll('text');
         
         // Helper function to create links with specific styles
         function createLinks(group, links, color, widthFactor, opacity) {
             group.selectAll('line')
-                .data(links)
-                .enter()
-                .append('line')
+                .data(links, d => `${d.source.id}|${d.target.id}`)
+                .join('line')
                 .attr('stroke', d => d.suspicious ? '#ff5252' : color)
                 .attr('stroke-opacity', d => (d.value / 10) * opacity)
                 .attr('stroke-width', d => Math.sqrt(d.value) * widthFactor)
                 .attr('class', d => d.earlyTransaction ? 'early-transaction' : '');
         }
         
-        // Create links with different styles based on category
-        createLinks(linkGroups.earlyTxn, earlyTxnLinks, '#ff9800', 1.5, 0.8); // Orange for early transactions
-        createLinks(linkGroups.token, tokenLinks, '#69f0ae', 1, 0.6); // Green for token links
-        createLinks(linkGroups.suspicious, suspiciousLinks, '#ff5252', 1, 0.7); // Red for suspicious
-        createLinks(linkGroups.regular, regularLinks, '#4fc3f7', 1, 0.5); // Blue for regular
-        
-        // Create nodes
-        const node = vizGroup.append('g')
-            .attr('class', 'nodes')
-            .selectAll('circle')
-            .data(workingData.nodes)
-            .enter()
-            .append('circle')
-            .attr('r', d => d.radius)
-            .attr('fill', d => getNodeFill(d, workingData.mainNode))
-            .attr('stroke', d => getNodeStroke(d, workingData.mainNode))
-            .attr('stroke-width', d => getNodeStrokeWidth(d, workingData.mainNode))
-            .attr('filter', d => getNodeFilter(d, workingData.mainNode))
-            .attr('cursor', 'pointer')
-            .attr('id', d => d.id) // Add ID for easier selection
-            .attr('class', d => {
-                let classes = `node ${d.type}`;
-                if (d.earlyParticipant) classes += ' early-participant';
-                if (d.riskLevel > 0.7) classes += ' high-risk';
-                if (d.suspiciousPatterns && d.suspiciousPatterns.length) classes += ' suspicious';
-                return classes;
-            })
-            .call(dragHandler)
-            .on('mouseover', showTooltip)
-            .on('mouseout', hideTooltip)
-            .on('click', nodeClicked);
-                
-        // Add labels
-        const label = vizGroup.append('g')
-            .attr('class', 'labels')
-            .selectAll('text')
-            .data(workingData.nodes)
-            .enter()
-            .append('text')
-            .text(d => getLabelText(d))
-            .attr('font-size', d => d.id === workingData.mainNode ? '12px' : '10px')
-            .attr('fill', '#ffffff')
-            .attr('dx', d => d.radius + 5)
-            .attr('dy', 4)
-            .attr('cursor', 'pointer')
-            .on('click', nodeClicked);
+        /**
+         * Outline around a cluster's wallets, padded so one or two wallets still get a rounded shape
+         * @param {Array<object>} members - Positioned wallet nodes
+         * @returns {string|null} - SVG path
+         */
+        function hullPath(members) {
+            const points = members.flatMap(d => d3.range(8).map(i => [
+                d.x + (d.radius + 15) * Math.cos(i * Math.PI / 4),
+                d.y + (d.radius + 15) * Math.sin(i * Math.PI / 4)
+            ]));
+            const polygon = d3.polygonHull(points);
+            return polygon ? d3.line().curve(d3.curveCatmullRomClosed)(polygon) : null;
+        }
+        
+        // Draw links, nodes and labels for the current working data
+        // Called again whenever streamed updates change the graph
+        function renderGraph() {
+            // Draw a hull around the wallets of each Sybil cluster
+            const clusters = d3.groups(workingData.nodes.filter(d => d.sybilCluster), d => d.sybilCluster.id)
+                .map(([id, members]) => ({ id, cluster: members[0].sybilCluster, members }));
+            hull = hullGroup
+                .selectAll('g')
+                .data(clusters, d => d.id)
+                .join(enter => {
+                    const group = enter.append('g').attr('class', 'sybil-hull');
+                    group.append('path');
+                    group.append('text').attr('class', 'sybil-hull-label');
+                    return group;
+                });
+            hull.select('text').text(d => `${d.cluster.name} (${Math.round(d.cluster.confidence * 100)}%)`);
+            
+            // Process links by type; links of a graph layer (the activation tree) are drawn apart
+            const activationLinks = workingData.links.filter(link => link.layer === 'activation');
+            const transferLinks = workingData.links.filter(link => !link.layer);
+            const earlyTxnLinks = transferLinks.filter(link => link.earlyTransaction);
+            const tokenLinks = transferLinks.filter(link => 
+                (link.source.type === 'token' || link.target.type === 'token') && !link.earlyTransaction);
+            const suspiciousLinks = transferLinks.filter(link => 
+                link.suspicious && !link.earlyTransaction && 
+                link.source.type !== 'token' && link.target.type !== 'token');
+            const regularLinks = transferLinks.filter(link => 
+                !link.earlyTransaction && !link.suspicious && 
+                link.source.type !== 'token' && link.target.type !== 'token');
+            
+            // Create links with different styles based on category
+            createLinks(linkGroups.activation, activationLinks, '#b388ff', 1, 0.8); // Purple dashes for the activation tree
+            createLinks(linkGroups.earlyTxn, earlyTxnLinks, '#ff9800', 1.5, 0.8); // Orange for early transactions
+            createLinks(linkGroups.token, tokenLinks, '#69f0ae', 1, 0.6); // Green for token links
+            createLinks(linkGroups.suspicious, suspiciousLinks, '#ff5252', 1, 0.7); // Red for suspicious
+            createLinks(linkGroups.regular, regularLinks, '#4fc3f7', 1, 0.5); // Blue for regular
+            
+            // Create nodes
+            node = nodeGroup
+                .selectAll('circle')
+                .data(workingData.nodes, d => d.id)
+                .join(enter => enter.append('circle')
+                    .attr('cursor', 'pointer')
+                    .attr('id', d => d.id) // Add ID for easier selection
+                    .call(dragHandler)
+                    .on('mouseover', showTooltip)
+                    .on('mouseout', hideTooltip)
+                    .on('click', nodeClicked))
+                .attr('r', d => d.radius)
+                .attr('fill', d => getNodeFill(d, workingData.mainNode))
+                .attr('stroke', d => getNodeStroke(d, workingData.mainNode))
+                .attr('stroke-width', d => getNodeStrokeWidth(d, workingData.mainNode))
+                .attr('filter', d => getNodeFilter(d, workingData.mainNode))
+                .attr('class', d => {
+                    let classes = `node ${d.type}`;
+                    if (d.earlyParticipant) classes += ' early-participant';
+                    if (d.riskLevel > 0.7) classes += ' high-risk';
+                    if (d.suspiciousPatterns && d.suspiciousPatterns.length) classes += ' suspicious';
+                    return classes;
+                });
+                    
+            // Add labels
+            label = labelGroup
+                .selectAll('text')
+                .data(workingData.nodes, d => d.id)
+                .join(enter => enter.append('text')
+                    .attr('fill', '#ffffff')
+                    .attr('dy', 4)
+                    .attr('cursor', 'pointer')
+                    .on('click', nodeClicked))
+                .text(d => getLabelText(d))
+                .attr('font-size', d => d.id === workingData.mainNode ? '12px' : '10px')
+                .attr('dx', d => d.radius + 5);
+        }
+        
+        renderGraph();
             
         // Function to add a legend explaining the network visualization
         function addLegend(svg, width, height) {
             const legendGroup = svg.append('g')
                 .attr('class', 'legend')
-                .attr('transform', `translate(${width - 240}, ${height - 270})`);
+                .attr('transform', `translate(${width - 240}, ${height - 312})`);
             
             // Add semi-transparent background
             legendGroup.append('rect')
                 .attr('width', 220)
-                .attr('height', 250)
+                .attr('height', 292)
                 .attr('fill', 'rgba(0, 0, 0, 0.7)')
                 .attr('rx', 5)
                 .attr('ry', 5);
@@ -1260,7 +1411,9 @@ async function initializeApp(xrplService, networkAnalyzer) {
                 { label: 'Early Participant (High Risk)', color: 'url(#earlyHighRiskGradient)', type: 'circle', radius: 6, filter: 'url(#highRiskGlow)' },
                 { label: 'Token', color: 'url(#tokenGradient)', type: 'circle', radius: 6 },
                 { label: 'Early Transaction', color: '#ff9800', type: 'line', width: 20 },
-                { label: 'Suspicious Link', color: '#ff5252', type: 'line', width: 20 }
+                { label: 'Suspicious Link', color: '#ff5252', type: 'line', width: 20 },
+                { label: 'Activated (Funded) By', color: '#b388ff', type: 'line', width: 20, dash: '4 3' },
+                { label: 'Sybil Cluster', color: '#ffd600', type: 'hull' }
             ];
             
             // Add each legend item
@@ -1286,7 +1439,16 @@ async function initializeApp(xrplService, networkAnalyzer) {
                         .attr('x2', 30)
                         .attr('y2', y)
                         .attr('stroke', item.color)
-                        .attr('stroke-width', 2);
+                        .attr('stroke-width', 2)
+                        .attr('stroke-dasharray', item.dash || null);
+                } else if (item.type === 'hull') {
+                    legendGroup.append('rect')
+                        .attr('class', 'sybil-hull')
+                        .attr('x', 10)
+                        .attr('y', y - 7)
+                        .attr('width', 20)
+                        .attr('height', 14)
+                        .attr('rx', 7);
                 }
                 
                 // Add the label
@@ -1301,7 +1463,7 @@ async function initializeApp(xrplService, networkAnalyzer) {
             // Add interactive note
             legendGroup.append('text')
                 .attr('x', 10)
-                .attr('y', 240)
+                .attr('y', 282)
                 .attr('fill', '#aaaaaa')
                 .attr('font-size', '10px')
                 .text('Tip: Click nodes for details');
@@ -1348,6 +1510,11 @@ async function initializeApp(xrplService, networkAnalyzer) {
             node
                 .attr('cx', d => d.x)
                 .attr('cy', d => d.y);
+            
+            hull.select('path').attr('d', d => hullPath(d.members));
+            hull.select('text')
+                .attr('x', d => d3.min(d.members, member => member.x))
+                .attr('y', d => d3.min(d.members, member => member.y - member.radius) - 20);
                 
             label
                 .attr('x', d => d.x)
@@ -1446,6 +1613,13 @@ async function initializeApp(xrplService, networkAnalyzer) {
                     }
                 }
                 
+                // Show why the crawler added this wallet
+                const discoveryInfo = d.discovery && d.discovery.parent ? `
+                    <div class="tooltip-row">
+                        <span class="tooltip-label">Discovered Via:</span>
+                        <span class="tooltip-value">${d.discovery.transactionType || 'Link'} from ${formatAddress(d.discovery.parent)} (depth ${d.discovery.depth})</span>
+                    </div>` : '';
+                
                 // Add wallet age if available
                 let walletAgeInfo = '';
                 if (d.enhancedRiskData && d.enhancedRiskData.walletAge > 0) {
@@ -1471,6 +1645,7 @@ async function initializeApp(xrplService, networkAnalyzer) {
                             <span class="tooltip-value">${networkAnalyzer.networkData.links.filter(l => 
                                 (l.source.id === d.id || l.target.id === d.id)).length}</span>
                         </div>
+                        ${discoveryInfo}
                         ${tokenConnections}
                         ${suspiciousInfo}
                         ${trustlineInfo}
@@ -1605,14 +1780,19 @@ async function initializeApp(xrplService, networkAnalyzer) {
             // Show loading state
             scanResults.innerHTML = '<p class="loading">Loading wallet details...</p>';
             
+            // A customer of an exchange is shown as `address:tag`; the ledger only knows the address
+            const address = walletId.split(':')[0];
+            
             // Get wallet details
             Promise.all([
-                xrplService.getAccountInfo(walletId),
-                xrplService.getAccountTransactions(walletId, 10),
-                xrplService.getAccountBalances(walletId),
-                networkAnalyzer.analyzeWalletHistory(walletId)
+                xrplService.getAccountInfo(address),
+                xrplService.getAccountTransactions(address, 10),
+                xrplService.getAccountBalances(address),
+                networkAnalyzer.analyzeWalletHistory(address)
             ])
             .then(([accountInfo, transactions, balances, walletHistory]) => {
+                const walletNode = networkAnalyzer.networkData.nodes.find(node => node.id === walletId);
+                
                 let detailsHTML = `
                     <div class="wallet-details">
                         <div class="details-header">
@@ -1620,6 +1800,55 @@ async function initializeApp(xrplService, networkAnalyzer) {
                             <div class="wallet-address">${walletId}</div>
                         </div>
                         
+                        ${walletNode && walletNode.entity ? `
+                        <div class="details-section">
+                            <h5>Known Entity</h5>
+                            ${renderEntity(walletNode)}
+                        </div>
+                        ` : ''}
+                        
+                        ${walletNode ? `
+                        <div class="details-section">
+                            <h5>Risk Breakdown <small>(Score ${(walletNode.riskLevel || 0).toFixed(2)})</small></h5>
+                            ${renderRiskWaterfall(walletNode.riskBreakdown)}
+                        </div>
+                        ` : ''}
+                        
+                        ${walletNode && walletNode.issuerAudit ? `
+                        <div class="details-section">
+                            <h5>Issuer Settings</h5>
+                            ${renderIssuerAudit(walletNode.issuerAudit)}
+                        </div>
+                        ` : ''}
+                        
+                        ${walletNode && walletNode.creatorHistory && walletNode.creatorHistory.tokens.length > 0 ? `
+                        <div class="details-section">
+                            <h5>Creator Track Record <small>(${walletNode.creatorHistory.previousRugs} of ${walletNode.creatorHistory.tokens.length} tokens rugged)</small></h5>
+                            ${renderCreatorHistory(walletNode.creatorHistory)}
+                        </div>
+                        ` : ''}
+                        
+                        ${walletNode && walletNode.activation ? `
+                        <div class="details-section">
+                            <h5>Activation Chain</h5>
+                            ${renderActivationChain(walletNode)}
+                        </div>
+                        ` : ''}
+                        
+                        ${walletNode && walletNode.sybilCluster ? `
+                        <div class="details-section">
+                            <h5>Sybil Cluster</h5>
+                            ${renderSybilCluster(walletNode)}
+                        </div>
+                        ` : ''}
+                        
+                        ${walletNode && walletNode.graphMetrics ? `
+                        <div class="details-section">
+                            <h5>Graph Position</h5>
+                            ${renderGraphPosition(walletNode.graphMetrics)}
+                        </div>
+                        ` : ''}
+                        
                         <div class="details-section">
                             <h5>Account Information</h5>
                             <div class="details-grid">
@@ -1648,7 +1877,7 @@ async function initializeApp(xrplService, networkAnalyzer) {
                                 <div class="analysis-summary">
                                     <div class="summary-item">
                                         <span class="summary-label">Total Analyzed:</span>
-                                        <span class="summary-value">${walletHistory.earlyTxs.length + walletHistory.recentTxs.length}</span>
+                                        <span class="summary-value">${walletHistory.totalTransactions}${walletHistory.historyTruncated ? '+' : ''}</span>
                                     </div>
                                     <div class="summary-item">
                                         <span class="summary-label">Payments:</span>
@@ -1662,6 +1891,10 @@ async function initializeApp(xrplService, networkAnalyzer) {
                                         <span class="summary-label">Token Issuances:</span>
                                         <span class="summary-value">${walletHistory.patternAnalysis.tokenIssuances}</span>
                                     </div>
+                                    <div class="summary-item">
+                                        <span class="summary-label">DEX Offers (Created / Cancelled / Fills):</span>
+                                        <span class="summary-value">${walletHistory.patternAnalysis.offersCreated} / ${walletHistory.patternAnalysis.offersCancelled} / ${walletHistory.patternAnalysis.offerFills}</span>
+                                    </div>
                                 </div>
                                 
                                 ${renderTokenInteractions(walletHistory.tokenInteractions)}
@@ -1675,13 +1908,13 @@ async function initializeApp(xrplService, networkAnalyzer) {
                             ${renderTokenHoldings(balances.tokens)}
                         </div>
                         
-                        <div class="details-section">
+                        <div class="details-section early-txs-section">
                             <h5>Early Transactions <small>(First ${walletHistory.earlyTxs.length})</small></h5>
                             ${renderTransactionTable(walletHistory.earlyTxs.slice(0, 5), true)}
                             ${walletHistory.earlyTxs.length > 5 ? '<button class="btn btn-small view-all-early">View All Early</button>' : ''}
                         </div>
                         
-                        <div class="details-section">
+                        <div class="details-section recent-txs-section">
                             <h5>Recent Transactions <small>(Latest ${walletHistory.recentTxs.length})</small></h5>
                             ${renderTransactionTable(walletHistory.recentTxs.slice(0, 5))}
                             ${walletHistory.recentTxs.length > 5 ? '<button class="btn btn-small view-all-recent">View All Recent</button>' : ''}
@@ -1690,6 +1923,7 @@ async function initializeApp(xrplService, networkAnalyzer) {
                         <div class="details-actions">
                             <button class="btn" id="view-all-txs">View All Transactions</button>
                             <button class="btn" id="check-wallet-trustlines">View Trustlines</button>
+                            <button class="btn" id="follow-the-money">Follow the Money</button>
                             <button class="btn" id="back-to-network">Back to Network</button>
                         </div>
                     </div>
@@ -1699,11 +1933,15 @@ async function initializeApp(xrplService, networkAnalyzer) {
                 
                 // Add event listeners to the buttons
                 document.getElementById('view-all-txs').addEventListener('click', () => {
-                    viewTransactionHistory(walletId);
+                    viewTransactionHistory(address);
                 });
                 
                 document.getElementById('check-wallet-trustlines').addEventListener('click', () => {
-                    checkTrustlines(walletId);
+                    checkTrustlines(address);
+                });
+                
+                document.getElementById('follow-the-money').addEventListener('click', () => {
+                    showFundTrace(address);
                 });
                 
                 document.getElementById('back-to-network').addEventListener('click', () => {
@@ -1711,11 +1949,18 @@ async function initializeApp(xrplService, networkAnalyzer) {
                     displayResults(networkAnalyzer.networkData, networkAnalyzer.getFindings());
                 });
                 
+                // Wallets cited as risk evidence open their own details
+                document.querySelectorAll('.risk-waterfall .detail-link').forEach(link => {
+                    link.addEventListener('click', () => {
+                        showWalletDetails(link.getAttribute('data-address'));
+                    });
+                });
+                
                 // Add event listeners for early/recent transaction buttons if they exist
                 const viewAllEarlyBtn = document.querySelector('.view-all-early');
                 if (viewAllEarlyBtn) {
                     viewAllEarlyBtn.addEventListener('click', () => {
-                        const earlyTxsSection = document.querySelector('.details-section:nth-of-type(4)');
+                        const earlyTxsSection = document.querySelector('.early-txs-section');
                         earlyTxsSection.innerHTML = `
                             <h5>Early Transactions <small>(First ${walletHistory.earlyTxs.length})</small></h5>
                             ${renderTransactionTable(walletHistory.earlyTxs, true)}
@@ -1726,7 +1971,7 @@ async function initializeApp(xrplService, networkAnalyzer) {
                 const viewAllRecentBtn = document.querySelector('.view-all-recent');
                 if (viewAllRecentBtn) {
                     viewAllRecentBtn.addEventListener('click', () => {
-                        const recentTxsSection = document.querySelector('.details-section:nth-of-type(5)');
+                        const recentTxsSection = document.querySelector('.recent-txs-section');
                         recentTxsSection.innerHTML = `
                             <h5>Recent Transactions <small>(Latest ${walletHistory.recentTxs.length})</small></h5>
                             ${renderTransactionTable(walletHistory.recentTxs)}
@@ -1740,6 +1985,49 @@ async function initializeApp(xrplService, networkAnalyzer) {
             });
         }
         
+        // Function to trace where a wallet's funds went and show the recipients
+        function showFundTrace(walletId) {
+            scanResults.innerHTML = '<p class="loading">Following the money...</p>';
+            
+            networkAnalyzer.traceFunds(walletId)
+                .then(trace => {
+                    scanResults.innerHTML = `
+                        <div class="wallet-details">
+                            <div class="details-header">
+                                <h4>Follow the Money</h4>
+                                <div class="wallet-address">${walletId}</div>
+                            </div>
+                            
+                            <div class="details-section">
+                                <h5>Recipients <small>(${trace.taintedValue.toFixed(2)} ${trace.asset} traced, ${trace.model} model)</small></h5>
+                                ${renderTaintRecipients(trace)}
+                            </div>
+                            
+                            <div class="details-actions">
+                                <button class="btn" id="back-to-wallet">Back to Wallet</button>
+                                <button class="btn" id="back-to-network">Back to Network</button>
+                            </div>
+                        </div>
+                    `;
+                    
+                    document.querySelectorAll('.taint-table .detail-link').forEach(link => {
+                        link.addEventListener('click', () => {
+                            showWalletDetails(link.getAttribute('data-address'));
+                        });
+                    });
+                    document.getElementById('back-to-wallet').addEventListener('click', () => {
+                        showWalletDetails(walletId);
+                    });
+                    document.getElementById('back-to-network').addEventListener('click', () => {
+                        displayResults(networkAnalyzer.networkData, networkAnalyzer.getFindings());
+                    });
+                })
+                .catch(error => {
+                    console.error('Error tracing funds:', error);
+                    scanResults.innerHTML = `<p class="error">Error tracing funds: ${error.message}</p>`;
+                });
+        }
+        
         // Function to show token details in the scan results area
         function showTokenDetails(token, networkData) {
             // Show loading state
@@ -1755,6 +2043,7 @@ async function initializeApp(xrplService, networkAnalyzer) {
             
             // Get early participants for this token
             const earlyParticipants = holders.filter(holder => holder.earlyParticipant);
+            const issuerNode = networkData.nodes.find(node => node.id === token.issuer);
             
             // Fetch additional token information if possible
             Promise.all([
@@ -1793,13 +2082,44 @@ async function initializeApp(xrplService, networkAnalyzer) {
                             </div>
                         </div>
                         
+                        <div class="details-section">
+                            <h5>Holder Distribution</h5>
+                            ${renderHolderDistribution(token.holderDistribution)}
+                        </div>
+                        
+                        ${token.ammPool ? `
+                        <div class="details-section">
+                            <h5>AMM Pool</h5>
+                            ${renderAmmPool(token.ammPool)}
+                        </div>
+                        ` : ''}
+                        
+                        ${token.dex ? `
+                        <div class="details-section">
+                            <h5>DEX Order Book</h5>
+                            ${renderDexActivity(token.dex)}
+                        </div>
+                        ` : ''}
+                        
+                        ${issuerNode && issuerNode.issuerAudit ? `
+                        <div class="details-section">
+                            <h5>Issuer Settings</h5>
+                            ${renderIssuerAudit(issuerNode.issuerAudit)}
+                        </div>
+                        ` : ''}
+                        
+                        <div class="details-section">
+                            <h5>Risk Breakdown</h5>
+                            ${renderRiskWaterfall(token.riskBreakdown)}
+                        </div>
+                        
                         <div class="details-section">
                             <h5>Early Participants (${earlyParticipants.length})</h5>
                             ${renderHoldersList(earlyParticipants, true)}
                         </div>
                         
                         <div class="details-section">
-                            <h5>All Holders (${holders.length})</h5>
+                            <h5>Holders in Scanned Network (${holders.length})</h5>
                             ${renderHoldersList(holders, false)}
                         </div>
                         
@@ -1832,6 +2152,721 @@ async function initializeApp(xrplService, networkAnalyzer) {
             });
         }
         
+        /**
+         * Render a token's holder distribution: summary figures, largest holders
+         * and how the supply spreads over holding sizes
+         * @param {object} distribution - Distribution from the token analyzer
+         * @returns {string} - HTML
+         */
+        function renderHolderDistribution(distribution) {
+            if (!distribution) {
+                return '<div class="empty-list">The issuer\'s trust lines could not be read</div>';
+            }
+            
+            const percent = value => `${value.toFixed(1)}%`;
+            const { concentration, affiliated } = distribution;
+            
+            let html = `
+                <div class="holder-distribution">
+                    ${distribution.truncated ? '<p class="distribution-note">Only the first trust lines were read; shares are left out and counts are lower bounds.</p>' : ''}
+                    <div class="details-grid">
+                        <div class="detail-item">
+                            <span class="detail-label">Holders:</span>
+                            <span class="detail-value">${formatNumberWithCommas(distribution.holders)}${distribution.truncated ? '+' : ''}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Trust Lines:</span>
+                            <span class="detail-value">${formatNumberWithCommas(distribution.trustlines)}${distribution.truncated ? '+' : ''}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Top 1 / 3 / 10:</span>
+                            <span class="detail-value">${percent(concentration.top1)} / ${percent(concentration.top3)} / ${percent(concentration.top10)}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Gini Coefficient:</span>
+                            <span class="detail-value">${distribution.gini !== null ? distribution.gini.toFixed(2) : 'N/A'}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Nakamoto Coefficient:</span>
+                            <span class="detail-value">${distribution.nakamoto !== null ? distribution.nakamoto : 'N/A'}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Issuer-Affiliated:</span>
+                            <span class="detail-value">${affiliated ? `${percent(affiliated.share)} (${affiliated.holders} wallet${affiliated.holders === 1 ? '' : 's'})` : 'Unknown'}</span>
+                        </div>
+                    </div>
+            `;
+            
+            if (distribution.topHolders.length > 0) {
+                html += `
+                    <table class="details-table">
+                        <thead>
+                            <tr>
+                                <th>Holder</th>
+                                <th>Balance</th>
+                                <th>Share</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                `;
+                
+                for (const holder of distribution.topHolders) {
+                    html += `
+                        <tr class="${holder.affiliated ? 'affiliated-holder' : ''}">
+                            <td class="address detail-link" data-address="${holder.account}">${formatAddress(holder.account)}${holder.affiliated ? ' <span class="affiliated-badge">issuer-affiliated</span>' : ''}</td>
+                            <td>${formatNumberWithCommas(holder.balance)}</td>
+                            <td>${percent(holder.share)}</td>
+                        </tr>
+                    `;
+                }
+                
+                html += `
+                        </tbody>
+                    </table>
+                `;
+            }
+            
+            if (distribution.histogram.length > 0) {
+                html += '<div class="supply-histogram"><h6>Supply by Holding Size</h6>';
+                
+                for (const bucket of distribution.histogram) {
+                    html += `
+                        <div class="histogram-row">
+                            <span class="histogram-range">${formatNumberWithCommas(bucket.min)} - ${formatNumberWithCommas(bucket.max)}</span>
+                            <div class="histogram-track">
+                                <div class="histogram-bar" style="width: ${bucket.share}%"></div>
+                            </div>
+                            <span class="histogram-value">${bucket.holders} / ${percent(bucket.share)}</span>
+                        </div>
+                    `;
+                }
+                
+                html += '</div>';
+            }
+            
+            html += '</div>';
+            return html;
+        }
+        
+        /**
+         * Render a token's XRP AMM pool: its reserves, LP holders and the pool's deposit and withdrawal history
+         * @param {object} pool - Pool summary from the AMM analyzer
+         * @returns {string} - HTML
+         */
+        function renderAmmPool(pool) {
+            const percent = value => `${value.toFixed(1)}%`;
+            const roleLabels = { issuer: 'Issuer', creator: 'Creator', early: 'Early', poolCreator: 'Pool creator' };
+            const roleBadge = role => (role ? ` <span class="affiliated-badge">${roleLabels[role]}</span>` : '');
+            
+            let html = `
+                <div class="amm-pool">
+                    <div class="details-grid">
+                        <div class="detail-item">
+                            <span class="detail-label">Pool Account:</span>
+                            <span class="detail-value address detail-link" data-address="${pool.account}">${formatAddress(pool.account)}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">XRP / Peak XRP:</span>
+                            <span class="detail-value">${formatNumberWithCommas(Math.round(pool.xrp))} / ${formatNumberWithCommas(Math.round(pool.peakXrp))}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Tokens:</span>
+                            <span class="detail-value">${formatNumberWithCommas(pool.tokens)}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Trading Fee:</span>
+                            <span class="detail-value">${pool.tradingFee.toFixed(3)}%</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">LP Holders:</span>
+                            <span class="detail-value">${formatNumberWithCommas(pool.lpHolders.count)} (insiders hold ${percent(pool.lpHolders.insiderShare)})</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Withdrawn by Insiders:</span>
+                            <span class="detail-value">${formatNumberWithCommas(Math.round(pool.pull.withdrawnXrp))} XRP (${percent(pool.pull.share)} of peak)</span>
+                        </div>
+                    </div>
+            `;
+            
+            if (pool.pull.detected) {
+                html += `
+                    <div class="unusual-patterns"><ul class="patterns-list">
+                        <li class="pattern-item high">
+                            <span class="pattern-icon">${getSeverityIcon('high')}</span>
+                            <span class="pattern-description">${pool.deleted
+                                ? `Liquidity pulled: the pool was emptied and deleted (insiders withdrew ${percent(pool.pull.share)} of its peak XRP)`
+                                : `Liquidity pulled: insiders withdrew ${percent(pool.pull.share)} of the XRP the pool held at its peak`}</span>
+                        </li>
+                    </ul></div>
+                `;
+            }
+            
+            if (pool.lpHolders.top.length > 0) {
+                html += `
+                    <table class="details-table">
+                        <thead>
+                            <tr>
+                                <th>LP Holder</th>
+                                <th>LP Tokens</th>
+                                <th>Share</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                `;
+                for (const holder of pool.lpHolders.top) {
+                    html += `
+                        <tr>
+                            <td class="address detail-link" data-address="${holder.account}">${formatAddress(holder.account)}${roleBadge(holder.role)}</td>
+                            <td>${formatNumberWithCommas(holder.balance)}</td>
+                            <td>${percent(holder.share)}</td>
+                        </tr>
+                    `;
+                }
+                html += '</tbody></table>';
+            }
+            
+            if (pool.events.length > 0) {
+                html += `
+                    <table class="details-table amm-events-table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Transaction</th>
+                                <th>Wallet</th>
+                                <th>Pool XRP Change</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                `;
+                for (const event of pool.events) {
+                    html += `
+                        <tr class="${event.type === 'AMMWithdraw' && event.role ? 'insider-withdrawal' : ''}">
+                            <td>${formatDate(event.time)}</td>
+                            <td>${event.type}</td>
+                            <td class="address detail-link" data-address="${event.account}">${formatAddress(event.account)}${roleBadge(event.role)}</td>
+                            <td>${event.xrpChange > 0 ? '+' : ''}${formatNumberWithCommas(Math.round(event.xrpChange))}</td>
+                        </tr>
+                    `;
+                }
+                html += '</tbody></table>';
+            }
+            
+            if (pool.truncated) {
+                html += '<p class="distribution-note">Only the oldest part of the pool history was read.</p>';
+            }
+            
+            html += '</div>';
+            return html;
+        }
+        
+        /**
+         * Render a token's token/XRP order book and the offer activity of its insiders
+         * @param {object} dex - Result of the DEX analyzer
+         * @returns {string} - HTML
+         */
+        function renderDexActivity(dex) {
+            const percent = value => `${value.toFixed(1)}%`;
+            const price = value => (value !== null ? `${value.toPrecision(4)} XRP` : 'N/A');
+            const roleLabels = { issuer: 'Issuer', creator: 'Creator', early: 'Early' };
+            const { asks, bids } = dex.book;
+            
+            let html = `
+                <div class="dex-activity">
+                    <div class="details-grid">
+                        <div class="detail-item">
+                            <span class="detail-label">Asks:</span>
+                            <span class="detail-value">${asks.count} offers, ${formatNumberWithCommas(Math.round(asks.tokens))} tokens</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Bids:</span>
+                            <span class="detail-value">${bids.count} offers, ${formatNumberWithCommas(Math.round(bids.xrp))} XRP</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Best Ask / Bid:</span>
+                            <span class="detail-value">${price(asks.bestPrice)} / ${price(bids.bestPrice)}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Spread:</span>
+                            <span class="detail-value">${dex.book.spread !== null ? percent(dex.book.spread) : 'N/A'}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Insider Share of Asks:</span>
+                            <span class="detail-value">${percent(asks.insiderShare)}</span>
+                        </div>
+                    </div>
+            `;
+            
+            if (dex.alerts.length > 0) {
+                html += '<div class="unusual-patterns"><ul class="patterns-list">';
+                for (const alert of dex.alerts) {
+                    html += `
+                        <li class="pattern-item ${alert.severity}">
+                            <span class="pattern-icon">${getSeverityIcon(alert.severity)}</span>
+                            <span class="pattern-description">${alert.description}</span>
+                        </li>
+                    `;
+                }
+                html += '</ul></div>';
+            }
+            
+            if (dex.wallets.length > 0) {
+                html += `
+                    <table class="details-table">
+                        <thead>
+                            <tr>
+                                <th>Insider</th>
+                                <th>Offers Placed</th>
+                                <th>Cancelled (Unfilled, Fast)</th>
+                                <th>Sold</th>
+                                <th>Worst Price Impact</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                `;
+                for (const wallet of dex.wallets) {
+                    const worstImpact = wallet.sells.reduce((worst, sell) => Math.max(worst, sell.impact), 0);
+                    html += `
+                        <tr>
+                            <td class="address detail-link" data-address="${wallet.account}">${formatAddress(wallet.account)} <span class="affiliated-badge">${roleLabels[wallet.role] || wallet.role}</span></td>
+                            <td>${wallet.placed}</td>
+                            <td>${wallet.cancelled} (${wallet.quickCancels.length})</td>
+                            <td>${formatNumberWithCommas(Math.round(wallet.soldXrp))} XRP</td>
+                            <td>${percent(worstImpact)}</td>
+                        </tr>
+                    `;
+                }
+                html += '</tbody></table>';
+            } else {
+                html += '<div class="empty-list">No DEX activity by the issuer or early wallets</div>';
+            }
+            
+            html += '</div>';
+            return html;
+        }
+        
+        /**
+         * Render an issuer's decoded account flags and the risky combinations found
+         * @param {object} audit - Audit from the issuer auditor
+         * @returns {string} - HTML
+         */
+        function renderIssuerAudit(audit) {
+            const yesNo = value => (value ? 'Yes' : 'No');
+            const settings = [
+                ['Blackholed', yesNo(audit.blackholed)],
+                ['Master Key Disabled', yesNo(audit.flags.disableMaster)],
+                ['Regular Key', audit.regularKey ? `${formatAddress(audit.regularKey)}${audit.regularKeyBlackholed ? ' (blackhole)' : ''}` : 'None'],
+                ['Signer List', audit.signerList ? `${audit.signerList.signers.length} signers, quorum ${audit.signerList.quorum}` : 'None'],
+                ['Clawback Enabled', yesNo(audit.flags.allowTrustLineClawback)],
+                ['NoFreeze', yesNo(audit.flags.noFreeze)],
+                ['Global Freeze', yesNo(audit.flags.globalFreeze)],
+                ['Require Auth', yesNo(audit.flags.requireAuth)],
+                ['Default Ripple', yesNo(audit.flags.defaultRipple)],
+                ['Transfer Fee', `${audit.transferFee.toFixed(2)}%`],
+                ['Tick Size', audit.tickSize || 'Not set'],
+                ['Domain', audit.domain || 'Not set']
+            ];
+            
+            let html = '<div class="details-grid">';
+            for (const [label, value] of settings) {
+                html += `
+                    <div class="detail-item">
+                        <span class="detail-label">${label}:</span>
+                        <span class="detail-value">${value}</span>
+                    </div>
+                `;
+            }
+            html += '</div>';
+            
+            if (audit.warnings.length > 0) {
+                html += '<div class="unusual-patterns"><h6>Risky Settings</h6><ul class="patterns-list">';
+                for (const warning of audit.warnings) {
+                    html += `
+                        <li class="pattern-item ${warning.severity}">
+                            <span class="pattern-icon">${getSeverityIcon(warning.severity)}</span>
+                            <span class="pattern-description">${warning.description}</span>
+                        </li>
+                    `;
+                }
+                html += '</ul></div>';
+            }
+            
+            if (audit.keyControl) {
+                html += renderKeyControlTimeline(audit.keyControl);
+            }
+            
+            return html;
+        }
+        
+        /**
+         * Render the issuer's key-control changes next to its issuances and large sells
+         * @param {object} keyControl - Timeline from the key-control analyzer
+         * @returns {string} - HTML
+         */
+        function renderKeyControlTimeline(keyControl) {
+            let html = '<h6>Key-Control History</h6>';
+            
+            if (keyControl.alerts.length > 0) {
+                html += '<div class="unusual-patterns"><ul class="patterns-list">';
+                for (const alert of keyControl.alerts) {
+                    html += `
+                        <li class="pattern-item ${alert.severity}">
+                            <span class="pattern-icon">${getSeverityIcon(alert.severity)}</span>
+                            <span class="pattern-description">${alert.description}</span>
+                        </li>
+                    `;
+                }
+                html += '</ul></div>';
+            }
+            
+            if (keyControl.events.length === 0) {
+                return `${html}<div class="empty-list">No key changes, issuances or large sells found</div>`;
+            }
+            
+            const signingPower = control => {
+                if (control.blackholed) return 'Nobody (blackholed)';
+                const signers = [];
+                if (!control.masterDisabled) signers.push('Master key');
+                if (control.regularKey) signers.push(`Regular key ${formatAddress(control.regularKey)}`);
+                if (control.signers) signers.push(`${control.signers.length} signers`);
+                return signers.join(', ');
+            };
+            
+            html += `
+                <table class="details-table key-control-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Event</th>
+                            <th>Days After Issuance</th>
+                            <th>Can Sign Afterwards</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+            `;
+            for (const event of keyControl.events) {
+                html += `
+                    <tr class="key-control-${event.type}">
+                        <td>${formatDate(event.time)}</td>
+                        <td>${event.description}</td>
+                        <td>${event.afterIssuanceDays !== null ? event.afterIssuanceDays.toFixed(1) : '-'}</td>
+                        <td>${signingPower(event.control)}</td>
+                    </tr>
+                `;
+            }
+            html += '</tbody></table>';
+            
+            if (keyControl.truncated) {
+                html += '<p class="distribution-note">Only the oldest part of the history was read.</p>';
+            }
+            
+            return html;
+        }
+        
+        /**
+         * Render the tokens a creator and its linked wallets issued and how each one ended
+         * @param {object} history - Track record from the creator history analyzer
+         * @returns {string} - HTML
+         */
+        function renderCreatorHistory(history) {
+            const outcomeLabels = {
+                liquidityPulled: 'Liquidity pulled',
+                dumpedByIssuer: 'Dumped by issuer',
+                priceCollapse: 'Price collapse',
+                abandoned: 'Abandoned',
+                active: 'Active'
+            };
+            const relationLabels = { creator: 'This wallet', activated: 'Activated by it', deletedInto: 'Deleted into it' };
+            
+            const linked = history.accounts.filter(account => account.relation !== 'creator');
+            const deleted = history.accounts.filter(account => account.deleted);
+            let html = `
+                <div class="details-grid">
+                    <div class="detail-item">
+                        <span class="detail-label">Linked Wallets:</span>
+                        <span class="detail-value">${linked.length}${deleted.length > 0 ? ` (${deleted.length} deleted)` : ''}</span>
+                    </div>
+                    <div class="detail-item">
+                        <span class="detail-label">Average Token Lifetime:</span>
+                        <span class="detail-value">${history.averageTokenLifetime.toFixed(1)} days</span>
+                    </div>
+            `;
+            for (const [outcome, label] of Object.entries(outcomeLabels)) {
+                if (history.outcomes[outcome] > 0) {
+                    html += `
+                        <div class="detail-item">
+                            <span class="detail-label">${label}:</span>
+                            <span class="detail-value">${history.outcomes[outcome]}</span>
+                        </div>
+                    `;
+                }
+            }
+            html += '</div>';
+            
+            html += `
+                <table class="details-table creator-history-table">
+                    <thead>
+                        <tr>
+                            <th>Token</th>
+                            <th>Issuer</th>
+                            <th>Issued</th>
+                            <th>Lifetime</th>
+                            <th>Outcome</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+            `;
+            for (const token of history.tokens) {
+                const issuer = history.accounts.find(account => account.account === token.issuer);
+                html += `
+                    <tr class="${token.rug ? 'rugged-token' : ''}">
+                        <td>${convertHexToString(token.currency)}</td>
+                        <td class="address detail-link" data-address="${token.issuer}">${formatAddress(token.issuer)}${
+                            issuer ? ` <span class="affiliated-badge">${relationLabels[issuer.relation]}</span>` : ''
+                        }</td>
+                        <td>${token.issuedAt !== null ? formatDate(token.issuedAt) : '-'}</td>
+                        <td>${token.lifetimeDays !== null ? `${token.lifetimeDays.toFixed(1)} days` : '-'}</td>
+                        <td title="${token.reasons.join('; ')}">${outcomeLabels[token.outcome]}</td>
+                    </tr>
+                `;
+            }
+            html += '</tbody></table>';
+            
+            if (history.truncated) {
+                html += '<p class="distribution-note">Only part of the history was read; older tokens or linked wallets may be missing.</p>';
+            }
+            
+            return html;
+        }
+        
+        /**
+         * Render who funded a wallet's activation, hop by hop, and the wallets it shares a funder with
+         * @param {object} walletNode - Wallet node with an activation trace
+         * @returns {string} - HTML
+         */
+        function renderActivationChain(walletNode) {
+            const trace = walletNode.activation;
+            const endings = {
+                entity: entity => `Reached ${entity.name} (${entity.type})`,
+                maxHops: () => 'Stopped after the maximum number of hops',
+                unknown: () => 'Activation not found in the available history'
+            };
+            let html = '';
+            
+            if (walletNode.sharedFunder) {
+                const shared = walletNode.sharedFunder;
+                html += `
+                    <div class="unusual-patterns"><ul class="patterns-list">
+                        <li class="pattern-item medium">
+                            <span class="pattern-icon">${getSeverityIcon('medium')}</span>
+                            <span class="pattern-description">Likely the same operator as ${shared.wallets.map(formatAddress).join(', ')}: all were activated by ${formatAddress(shared.funder)}${shared.hops > 1 ? ` (${shared.hops} hops up)` : ''}</span>
+                        </li>
+                    </ul></div>
+                `;
+            }
+            
+            if (trace.chain.length > 0) {
+                html += `
+                    <table class="details-table activation-table">
+                        <thead>
+                            <tr>
+                                <th>Account</th>
+                                <th>Activated By</th>
+                                <th>Date</th>
+                                <th>XRP</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                `;
+                for (const hop of trace.chain) {
+                    html += `
+                        <tr>
+                            <td class="address detail-link" data-address="${hop.account}">${formatAddress(hop.account)}</td>
+                            <td class="address detail-link" data-address="${hop.funder}">${formatAddress(hop.funder)}</td>
+                            <td>${formatDate(hop.time)}</td>
+                            <td>${hop.xrp}${hop.confirmed ? '' : ' (first payment)'}</td>
+                        </tr>
+                    `;
+                }
+                html += '</tbody></table>';
+            }
+            
+            html += `<p class="distribution-note">${endings[trace.terminus.type](trace.terminus.entity)}${
+                trace.terminus.type === 'entity' ? '' : ` at ${formatAddress(trace.terminus.account)}`
+            }.</p>`;
+            
+            return html;
+        }
+        
+        /**
+         * Render the Sybil cluster a wallet belongs to and the evidence that ties it to the others
+         * @param {object} walletNode - Wallet node with a sybilCluster
+         * @returns {string} - HTML
+         */
+        function renderSybilCluster(walletNode) {
+            const cluster = walletNode.sybilCluster;
+            const others = cluster.wallets.filter(account => account !== walletNode.id);
+            const evidence = cluster.evidence.filter(item => item.accounts.includes(walletNode.id));
+            let html = `
+                <p class="distribution-note">${cluster.name}: ${cluster.wallets.length} wallets, ${Math.round(cluster.confidence * 100)}% confidence they are run by one operator.</p>
+                <table class="details-table sybil-table">
+                    <thead>
+                        <tr>
+                            <th>Signal</th>
+                            <th>With</th>
+                            <th>Evidence</th>
+                            <th>Score</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+            `;
+            for (const item of evidence) {
+                const other = item.accounts.find(account => account !== walletNode.id);
+                html += `
+                    <tr>
+                        <td>${ruleLabel(item.rule, 'sybil')}</td>
+                        <td class="address detail-link" data-address="${other}">${formatAddress(other)}</td>
+                        <td>${item.description}</td>
+                        <td>${item.score.toFixed(2)}</td>
+                    </tr>
+                `;
+            }
+            html += '</tbody></table>';
+            
+            // Wallets that belong to the cluster through a third member
+            const direct = new Set(evidence.flatMap(item => item.accounts));
+            const indirect = others.filter(account => !direct.has(account));
+            if (indirect.length > 0) {
+                html += `<p class="distribution-note">Linked through other members: ${indirect.map(formatAddress).join(', ')}</p>`;
+            }
+            
+            return html;
+        }
+        
+        /**
+         * Render a wallet's place in the wallet graph: community, centrality, and the insiders it sits between
+         * @param {object} graphMetrics - Metrics from the graph analytics
+         * @returns {string} - HTML
+         */
+        function renderGraphPosition(graphMetrics) {
+            let html = `
+                <div class="details-grid">
+                    <div class="detail-item">
+                        <span class="detail-label">Community:</span>
+                        <span class="detail-value">${graphMetrics.community}</span>
+                    </div>
+                    <div class="detail-item">
+                        <span class="detail-label">Linked wallets:</span>
+                        <span class="detail-value">${graphMetrics.degree}</span>
+                    </div>
+                    <div class="detail-item">
+                        <span class="detail-label">Betweenness:</span>
+                        <span class="detail-value">${graphMetrics.betweenness.toFixed(3)}</span>
+                    </div>
+                    <div class="detail-item">
+                        <span class="detail-label">PageRank:</span>
+                        <span class="detail-value">${graphMetrics.pageRank.toFixed(3)}</span>
+                    </div>
+                    <div class="detail-item">
+                        <span class="detail-label">Core number:</span>
+                        <span class="detail-value">${graphMetrics.coreNumber}</span>
+                    </div>
+                    <div class="detail-item">
+                        <span class="detail-label">Articulation point:</span>
+                        <span class="detail-value">${graphMetrics.articulationPoint ? 'Yes' : 'No'}${graphMetrics.bridges > 0 ? ` (${graphMetrics.bridges} bridge link${graphMetrics.bridges > 1 ? 's' : ''})` : ''}</span>
+                    </div>
+                </div>
+            `;
+            
+            for (const entry of graphMetrics.brokerage) {
+                const tokenNode = networkAnalyzer.networkData.nodes.find(node => node.id === entry.token);
+                const insiders = [...new Set(entry.pairs.flat())];
+                html += `<p class="distribution-note">On ${Math.round(entry.share * 100)}% of the shortest paths between ${tokenNode ? tokenNode.name : entry.token} insiders: ${insiders.map(formatAddress).join(', ')}</p>`;
+            }
+            
+            return html;
+        }
+
+        /**
+         * Render the entity behind a node the crawler did not expand
+         * @param {object} walletNode - Wallet node with an entity
+         * @returns {string} - HTML
+         */
+        function renderEntity(walletNode) {
+            const entity = walletNode.entity;
+            const hasTag = walletNode.tag !== null && walletNode.tag !== undefined;
+            return `
+                <div class="details-grid">
+                    <div class="detail-item">
+                        <span class="detail-label">Name:</span>
+                        <span class="detail-value">${entity.name}</span>
+                    </div>
+                    <div class="detail-item">
+                        <span class="detail-label">Type:</span>
+                        <span class="detail-value">${entity.type}${entity.inferred ? ' (from account settings)' : ''}</span>
+                    </div>
+                    ${hasTag ? `
+                    <div class="detail-item">
+                        <span class="detail-label">Customer tag:</span>
+                        <span class="detail-value">${walletNode.tag}</span>
+                    </div>
+                    ` : ''}
+                </div>
+                <p class="distribution-note">${hasTag
+                    ? 'Payments to this address with other tags belong to other customers and are shown as separate nodes.'
+                    : 'The scan does not expand through this address: its counterparties are unrelated customers.'}</p>
+            `;
+        }
+
+        /**
+         * Render the accounts a trace reached and the share of the tainted value each received
+         * @param {object} trace - Result of traceFunds
+         * @returns {string} - HTML
+         */
+        function renderTaintRecipients(trace) {
+            if (trace.recipients.length === 0) {
+                return '<div class="empty-list">No outgoing value found</div>';
+            }
+            
+            const percent = share => `${(share * 100).toFixed(1)}%`;
+            const statusLabels = {
+                followed: 'Followed',
+                exchange: 'Exchange',
+                entity: 'Known entity',
+                maxHops: 'Hop limit',
+                limit: 'Account limit',
+                dust: 'Too small to follow'
+            };
+            
+            let html = `
+                <p class="distribution-note">Still at the source: ${percent(trace.held)}; spent without a recipient: ${percent(trace.untraced)}${trace.truncated ? '; some histories were cut off, so shares may be incomplete' : ''}.</p>
+                <table class="details-table taint-table">
+                    <thead>
+                        <tr>
+                            <th>Account</th>
+                            <th>Hop</th>
+                            <th>Received</th>
+                            <th>Still Holds</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+            `;
+            for (const recipient of trace.recipients) {
+                html += `
+                    <tr>
+                        <td class="address detail-link" data-address="${recipient.account}">${formatAddress(recipient.account)}</td>
+                        <td>${recipient.hop}</td>
+                        <td>${percent(recipient.share)}</td>
+                        <td>${recipient.status === 'followed' ? percent(recipient.held) : '-'}</td>
+                        <td>${recipient.entity ? recipient.entity.name : statusLabels[recipient.status]}</td>
+                    </tr>
+                `;
+            }
+            html += '</tbody></table>';
+            
+            return html;
+        }
+        
         // Render token holdings list
         function renderTokenHoldings(tokens) {
             if (!tokens || tokens.length === 0) {
@@ -2025,6 +3060,223 @@ async function initializeApp(xrplService, networkAnalyzer) {
             
             return html;
         }
+        
+        /**
+         * Render a risk breakdown as a waterfall: one bar per rule that added risk,
+         * starting where the previous one ended, down to the final score
+         * @param {object} breakdown - Risk engine evaluation stored on the node
+         * @returns {string} - HTML
+         */
+        function renderRiskWaterfall(breakdown) {
+            if (!breakdown) {
+                return '<div class="empty-list">Not scored yet</div>';
+            }
+            
+            const steps = [];
+            const unscored = [];
+            let total = 0;
+            
+            const addSteps = (evaluation, indent) => {
+                for (const contribution of evaluation.contributions) {
+                    const nested = contribution.evidence && contribution.evidence.breakdown;
+                    if (nested) {
+                        // Show the rules behind a starting score rather than a single bar
+                        const before = total;
+                        addSteps(nested, indent + 1);
+                        const adjustment = contribution.score - (total - before);
+                        if (Math.abs(adjustment) > 0.005) {
+                            steps.push({
+                                label: nested.note || describeAggregation(nested),
+                                points: adjustment,
+                                start: total,
+                                indent: indent + 1
+                            });
+                            total += adjustment;
+                        }
+                    } else if (contribution.score > 0) {
+                        steps.push({
+                            contribution,
+                            label: ruleLabel(contribution.rule),
+                            points: contribution.score,
+                            start: total,
+                            indent
+                        });
+                        total += contribution.score;
+                    } else {
+                        unscored.push(ruleLabel(contribution.rule));
+                    }
+                }
+            };
+            addSteps(breakdown, 0);
+            
+            if (Math.abs(breakdown.score - total) > 0.005) {
+                steps.push({ label: describeAggregation(breakdown), points: breakdown.score - total, start: total, indent: 0 });
+            }
+            
+            let html = '<div class="risk-waterfall">';
+            
+            for (const step of steps) {
+                const end = step.start + step.points;
+                const left = Math.min(Math.max(Math.min(step.start, end), 0), 1) * 100;
+                const right = Math.min(Math.max(Math.max(step.start, end), 0), 1) * 100;
+                const { contribution } = step;
+                
+                html += `
+                    <div class="waterfall-row ${step.points < 0 ? 'decrease' : ''}" style="padding-left: ${step.indent * 16}px">
+                        <div class="waterfall-label">
+                            <span class="waterfall-rule">${step.label}</span>
+                            ${contribution ? `
+                            <span class="waterfall-meta">
+                                observed ${formatRiskValue(contribution.signal)}
+                                ${contribution.threshold !== undefined ? ` · threshold ${formatRiskValue(contribution.threshold)}` : ''}
+                                ${contribution.tier ? ` · tier ${formatRiskTier(contribution.tier)}` : ''}
+                                · weight ${contribution.weight}
+                            </span>
+                            ${renderRiskEvidence(contribution.evidence)}
+                            ` : ''}
+                        </div>
+                        <div class="waterfall-track">
+                            <div class="waterfall-bar" style="left: ${left}%; width: ${Math.max(right - left, 0.5)}%"></div>
+                        </div>
+                        <div class="waterfall-points">${step.points < 0 ? '' : '+'}${step.points.toFixed(2)}</div>
+                    </div>
+                `;
+            }
+            
+            html += `
+                    <div class="waterfall-row total">
+                        <div class="waterfall-label"><span class="waterfall-rule">Risk score</span></div>
+                        <div class="waterfall-track">
+                            <div class="waterfall-bar" style="left: 0; width: ${breakdown.score * 100}%"></div>
+                        </div>
+                        <div class="waterfall-points">${breakdown.score.toFixed(2)}</div>
+                    </div>
+                    ${unscored.length > 0 ? `<div class="waterfall-unscored">Checked without adding risk: ${unscored.join(', ')}</div>` : ''}
+                </div>
+            `;
+            
+            return html;
+        }
+        
+        // Links to the transactions and nodes that triggered a rule
+        function renderRiskEvidence(evidence) {
+            if (!evidence) return '';
+            
+            const items = [];
+            if (evidence.position) {
+                items.push(`position #${evidence.position}`);
+            }
+            
+            const nodes = evidence.nodes || [];
+            nodes.slice(0, 5).forEach(id => {
+                const [currency, issuer] = id.split('-');
+                items.push(issuer
+                    ? `<span class="evidence-token" title="${id}">${convertHexToString(currency)}</span>`
+                    : `<span class="detail-link" data-address="${id.split(':')[0]}" title="${id}">${shortenAddress(id)}</span>`);
+            });
+            
+            const transactions = evidence.transactions || [];
+            transactions.slice(0, 5).forEach(hash => {
+                items.push(`<code class="evidence-tx" title="${hash}">${shortenAddress(hash)}</code>`);
+            });
+            
+            const hidden = Math.max(nodes.length - 5, 0) + Math.max(transactions.length - 5, 0);
+            if (hidden > 0) {
+                items.push(`+${hidden} more`);
+            }
+            
+            return items.length > 0 ? `<span class="waterfall-evidence">${items.join(' ')}</span>` : '';
+        }
+        
+        function formatRiskValue(value) {
+            if (typeof value === 'boolean') return value ? 'yes' : 'no';
+            if (typeof value !== 'number') return String(value);
+            return Number.isInteger(value) ? value.toLocaleString() : value.toFixed(2);
+        }
+        
+        function formatRiskTier(tier) {
+            const bounds = [];
+            if (tier.above !== undefined) bounds.push(`> ${formatRiskValue(tier.above)}`);
+            if (tier.below !== undefined) bounds.push(`< ${formatRiskValue(tier.below)}`);
+            return bounds.length > 0 ? bounds.join(' and ') : 'any';
+        }
+        
+        // Label for the difference between the summed rules and a category's score
+        function describeAggregation(evaluation) {
+            const category = ruleLabel(evaluation.category || 'risk');
+            if (evaluation.aggregation === 'sum') {
+                return `${category} score capped at 1.00`;
+            }
+            if (evaluation.aggregation === 'weighted') {
+                return `${category} rules averaged by weight`;
+            }
+            return `${category} rules combined by ${evaluation.aggregation}`;
+        }
+        
+        let renderPending = false;
+        
+        /**
+         * Apply a streamed analyzer event (node-added, link-added, node-updated) to the live graph
+         * @param {object} event - Graph event from the analyzer
+         */
+        function applyGraphEvent(event) {
+            if (event.type === 'node-added' && !nodeMap[event.node.id]) {
+                const newNode = JSON.parse(JSON.stringify(event.node));
+                // Start new nodes next to the wallet that led to them
+                const parent = newNode.discovery && nodeMap[newNode.discovery.parent];
+                const origin = parent || { x: width / 2, y: height / 2 };
+                newNode.x = origin.x + (Math.random() - 0.5) * 40;
+                newNode.y = origin.y + (Math.random() - 0.5) * 40;
+                nodeMap[newNode.id] = newNode;
+                workingData.nodes.push(newNode);
+            } else if (event.type === 'link-added') {
+                const source = nodeMap[event.link.source];
+                const target = nodeMap[event.link.target];
+                if (!source || !target) return;
+                workingData.links.push({ ...JSON.parse(JSON.stringify(event.link)), source, target });
+            } else if (event.type === 'node-updated' && nodeMap[event.id]) {
+                Object.assign(nodeMap[event.id], event.changes);
+            } else {
+                return;
+            }
+            
+            // Batch everything that arrives in the same frame into one render
+            if (renderPending) return;
+            renderPending = true;
+            requestAnimationFrame(() => {
+                renderPending = false;
+                simulation.nodes(workingData.nodes);
+                simulation.force('link').links(workingData.links);
+                renderGraph();
+                simulation.alpha(Math.max(simulation.alpha(), 0.3)).restart();
+            });
+        }
+        
+        /**
+         * Bring the live graph in line with the final analysis data
+         * Keeps existing node positions; adds anything missing and copies final properties
+         * @param {object} finalData - Network data returned by analyzeNetwork
+         */
+        function syncGraph(finalData) {
+            const linkKeys = new Set(workingData.links.map(link => `${link.source.id}|${link.target.id}|${link.layer || ''}`));
+            
+            for (const finalNode of finalData.nodes) {
+                if (nodeMap[finalNode.id]) {
+                    Object.assign(nodeMap[finalNode.id], JSON.parse(JSON.stringify(finalNode)));
+                } else {
+                    applyGraphEvent({ type: 'node-added', node: finalNode });
+                }
+            }
+            for (const finalLink of finalData.links) {
+                if (!linkKeys.has(`${finalLink.source}|${finalLink.target}|${finalLink.layer || ''}`)) {
+                    applyGraphEvent({ type: 'link-added', link: finalLink });
+                }
+            }
+            
+            renderGraph();
+        }
+        
+        return { applyGraphEvent, syncGraph };
     }
 }
 
@@ -2038,6 +3290,7 @@ function initializeAppWithMockData() {
     const riskScore = document.getElementById('risk-score');
     const connectedWallets = document.getElementById('connected-wallets');
     const connectedTokens = document.getElementById('connected-tokens');
+    const communities = document.getElementById('communities');
 
     // Add forest pattern to the analyzer section
     const analyzerSection = document.getElementById('analyzer');
@@ -0,0 +1,329 @@
+/**
+ * Sybil Detector
+ * Scores pairs of wallets on signs that one operator runs both:
+ *   - activated by the same funder (not an exchange or other known entity)
+ *   - activated with near-identical XRP amounts, in nearby ledgers
+ *   - holding the same set of trust lines
+ *   - trading the same token the same way within seconds of each other
+ *   - sending funds on to the same address
+ *
+ * Each pair is scored by the risk engine's 'sybil' rules. Pairs at or above the
+ * pair threshold join their wallets into one cluster; a cluster's confidence is the
+ * average score of the pairs that hold it together.
+ */
+
+import { SYBIL_SETTINGS } from './config.js';
+import { RiskEngine } from './risk-engine.js';
+import { extractFills } from './dex-analyzer.js';
+import { knownEntity, baseAddress, addressTag, paymentDestination } from './entity-registry.js';
+import { txTime, succeeded } from './ledger-utils.js';
+
+export class SybilDetector {
+    /**
+     * @param {object} settings - Overrides for SYBIL_SETTINGS
+     * @param {RiskEngine} riskEngine - Engine whose 'sybil' rules score each pair
+     */
+    constructor(settings = {}, riskEngine = new RiskEngine()) {
+        this.settings = { ...SYBIL_SETTINGS, ...settings };
+        this.riskEngine = riskEngine;
+    }
+
+    /**
+     * Compare every pair of wallets and group the likely Sybils into clusters
+     * @param {XRPLService} service - Service (or a priority/signal view of it) to read the ledger with
+     * @param {Array<string>} accounts - Wallet addresses
+     * @param {Map<string, object>} activations - Activation by address from ActivationTracer (null if none was found)
+     * @param {Map<string, object>} entities - Entity by address recognized during the scan (null for a wallet)
+     * @returns {Promise<object>} - { clusters, pairs, truncated }
+     */
+    async detectClusters(service, accounts, activations = new Map(), entities = new Map()) {
+        const wallets = accounts.slice(0, this.settings.maxWallets);
+
+        const profiles = [];
+        for (const account of wallets) {
+            profiles.push(await this.profileWallet(service, account, activations.get(account) || null, entities));
+        }
+
+        const pairs = [];
+        for (let i = 0; i < profiles.length; i++) {
+            for (let j = i + 1; j < profiles.length; j++) {
+                const { signals, evidence, descriptions } = comparePair(profiles[i], profiles[j], this.settings, entities);
+                const evaluation = this.riskEngine.evaluate('sybil', signals, evidence);
+                pairs.push({
+                    accounts: [profiles[i].account, profiles[j].account],
+                    score: evaluation.score,
+                    evidence: evaluation.contributions
+                        .filter(contribution => contribution.score > 0)
+                        .map(contribution => ({
+                            rule: contribution.rule,
+                            score: contribution.score,
+                            description: descriptions[contribution.rule],
+                            nodes: contribution.evidence.nodes || [],
+                            transactions: contribution.evidence.transactions || []
+                        }))
+                });
+            }
+        }
+
+        return {
+            clusters: findClusters(pairs, this.settings),
+            pairs: pairs.length,
+            truncated: accounts.length > wallets.length
+        };
+    }
+
+    /**
+     * Read what a wallet's pairs are compared on
+     * @param {XRPLService} service - Service view
+     * @param {string} account - Address
+     * @param {object|null} activation - The wallet's activation
+     * @param {Map<string, object>} entities - Entity by address recognized during the scan (null for a wallet)
+     * @returns {Promise<object>} - { account, activation, trustlines, trades, payouts }; parts that could not be read are null
+     */
+    async profileWallet(service, account, activation = null, entities = new Map()) {
+        const profile = { account, activation, trustlines: null, trades: null, payouts: null };
+
+        try {
+            const trustlines = new Set();
+            for await (const line of service.iterateAccountLines(account, {
+                maxLines: this.settings.maxTrustlines
+            })) {
+                trustlines.add(`${line.currency}-${line.account}`);
+            }
+            profile.trustlines = trustlines;
+
+            const transactions = [];
+            for await (const tx of service.iterateAccountTransactions(account, {
+                types: ['OfferCreate', 'Payment'],
+                maxTransactions: this.settings.walletTransactions
+            })) {
+                transactions.push(tx);
+            }
+            profile.trades = readTrades(account, transactions);
+            profile.payouts = readPayouts(account, transactions, entities);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error(`Error reading ${account} for Sybil detection:`, error);
+        }
+
+        return profile;
+    }
+}
+
+/**
+ * Measure the Sybil signals between two wallets
+ * @param {object} a - Wallet profile
+ * @param {object} b - Wallet profile
+ * @param {object} settings - { minTrustlines, syncSeconds }
+ * @param {Map<string, object>} entities - Entity by address recognized during the scan; the registry is used otherwise
+ * @returns {object} - { signals, evidence, descriptions } by 'sybil' rule name; signals that could not be measured are left out
+ */
+export function comparePair(a, b, settings = SYBIL_SETTINGS, entities = new Map()) {
+    const signals = {};
+    const evidence = {};
+    const descriptions = {};
+
+    // Exchanges activate strangers with the same amounts in the same ledgers all day
+    const first = a.activation;
+    const second = b.activation;
+    if (first && second && !entityOf(first.funder, entities) && !entityOf(second.funder, entities)) {
+        const transactions = [first.hash, second.hash];
+
+        signals.sharedFunder = first.funder === second.funder;
+        evidence.sharedFunder = { nodes: [first.funder], transactions };
+        descriptions.sharedFunder = `Both activated by ${first.funder}`;
+
+        const largest = Math.max(first.xrp, second.xrp);
+        if (largest > 0) {
+            signals.activationAmount = (Math.abs(first.xrp - second.xrp) / largest) * 100;
+            evidence.activationAmount = { nodes: [], transactions };
+            descriptions.activationAmount = `Activated with ${first.xrp} and ${second.xrp} XRP`;
+        }
+
+        if (first.ledgerIndex && second.ledgerIndex) {
+            const gap = Math.abs(first.ledgerIndex - second.ledgerIndex);
+            signals.sequentialCreation = gap;
+            evidence.sequentialCreation = { nodes: [], transactions };
+            descriptions.sequentialCreation = `Created ${gap} ledger${gap === 1 ? '' : 's'} apart`;
+        }
+    }
+
+    if (a.trustlines && b.trustlines &&
+        a.trustlines.size >= settings.minTrustlines && b.trustlines.size >= settings.minTrustlines) {
+        const shared = [...a.trustlines].filter(line => b.trustlines.has(line));
+        const union = a.trustlines.size + b.trustlines.size - shared.length;
+        signals.trustlineSet = shared.length / union;
+        evidence.trustlineSet = { nodes: shared, transactions: [] };
+        descriptions.trustlineSet = `${shared.length} of ${union} trust lines in common`;
+    }
+
+    if (a.trades && b.trades) {
+        const matches = matchTrades(a.trades, b.trades, settings.syncSeconds);
+        signals.synchronizedTrades = matches.length;
+        evidence.synchronizedTrades = {
+            nodes: [...new Set(matches.map(match => match.token))],
+            transactions: matches.flatMap(match => match.transactions)
+        };
+        descriptions.synchronizedTrades = `${matches.length} trade${matches.length === 1 ? '' : 's'} of the same token and side within ${settings.syncSeconds}s of each other`;
+    }
+
+    if (a.payouts && b.payouts) {
+        const destinations = [...a.payouts.keys()]
+            .filter(destination => b.payouts.has(destination))
+            // Deposits to the same exchange count only if they went to the same customer tag
+            .filter(destination => destination !== a.account && destination !== b.account)
+            .filter(destination => !entityOf(destination, entities) || addressTag(destination) !== null);
+        signals.consolidation = destinations.length > 0;
+        evidence.consolidation = {
+            nodes: destinations,
+            transactions: destinations.flatMap(destination => [...a.payouts.get(destination), ...b.payouts.get(destination)])
+        };
+        descriptions.consolidation = `Both sent funds to ${destinations.join(', ')}`;
+    }
+
+    return { signals, evidence, descriptions };
+}
+
+/**
+ * Join wallets linked by high-scoring pairs into clusters (connected components)
+ * @param {Array<object>} pairs - [{ accounts: [a, b], score, evidence }]
+ * @param {object} settings - { pairThreshold, minClusterSize }
+ * @returns {Array<object>} - [{ id, name, confidence, wallets, pairs, evidence }], most confident first
+ */
+export function findClusters(pairs, settings = SYBIL_SETTINGS) {
+    const links = pairs.filter(pair => pair.score >= settings.pairThreshold);
+
+    // Union-find over the linked wallets
+    const parent = new Map();
+    const root = account => {
+        while (parent.get(account) !== account) {
+            parent.set(account, parent.get(parent.get(account)));
+            account = parent.get(account);
+        }
+        return account;
+    };
+    for (const { accounts: [a, b] } of links) {
+        if (!parent.has(a)) parent.set(a, a);
+        if (!parent.has(b)) parent.set(b, b);
+        parent.set(root(a), root(b));
+    }
+
+    const components = new Map();
+    for (const pair of links) {
+        const key = root(pair.accounts[0]);
+        const component = components.get(key) || [];
+        component.push(pair);
+        components.set(key, component);
+    }
+
+    return [...components.values()]
+        .map(component => {
+            // Wallets in the most pairs first
+            const degree = new Map();
+            for (const account of component.flatMap(pair => pair.accounts)) {
+                degree.set(account, (degree.get(account) || 0) + 1);
+            }
+            return {
+                confidence: component.reduce((total, pair) => total + pair.score, 0) / component.length,
+                wallets: [...degree.keys()].sort((a, b) => degree.get(b) - degree.get(a) || a.localeCompare(b)),
+                pairs: component.map(pair => ({ accounts: pair.accounts, score: pair.score })),
+                evidence: component
+                    .flatMap(pair => pair.evidence.map(item => ({ ...item, accounts: pair.accounts })))
+                    .sort((a, b) => b.score - a.score)
+            };
+        })
+        .filter(cluster => cluster.wallets.length >= settings.minClusterSize)
+        .sort((a, b) => b.confidence - a.confidence || b.wallets.length - a.wallets.length)
+        .map((cluster, index) => ({
+            id: `sybil-${index + 1}`,
+            name: `Cluster ${index < 26 ? String.fromCharCode(65 + index) : index + 1}`,
+            ...cluster
+        }));
+}
+
+/**
+ * Token trades a wallet made, from its OfferCreates that filled and its cross-currency payments to itself
+ * @param {string} account - Wallet address
+ * @param {Array<object>} transactions - The wallet's transactions with `meta`
+ * @returns {Array<object>} - [{ token, side, time, hash }]; token is the token node id
+ */
+export function readTrades(account, transactions) {
+    const trades = [];
+    for (const tx of transactions) {
+        if (tx.Account !== account || !succeeded(tx) || tx.date === undefined) continue;
+
+        let bought = null;
+        let sold = null;
+        if (tx.TransactionType === 'OfferCreate' && extractFills(tx).length > 0) {
+            bought = tx.TakerPays;
+            sold = tx.TakerGets;
+        } else if (tx.TransactionType === 'Payment' && tx.Destination === account && tx.SendMax) {
+            bought = tx.Amount;
+            sold = tx.SendMax;
+        } else {
+            continue;
+        }
+
+        const token = isIssued(bought) ? bought : isIssued(sold) ? sold : null;
+        if (!token) continue;
+        trades.push({
+            token: `${token.currency}-${token.issuer}`,
+            side: token === bought ? 'buy' : 'sell',
+            time: txTime(tx),
+            hash: tx.hash
+        });
+    }
+    return trades;
+}
+
+/**
+ * Where a wallet sent funds, leaving out tokens paid back to their own issuer
+ * @param {string} account - Wallet address
+ * @param {Array<object>} transactions - The wallet's transactions with `meta`
+ * @param {Map<string, object>} entities - Entity by address recognized during the scan; the registry is used otherwise
+ * @returns {Map<string, Array<string>>} - Transaction hashes by destination
+ */
+export function readPayouts(account, transactions, entities = new Map()) {
+    const payouts = new Map();
+    for (const tx of transactions) {
+        if (tx.TransactionType !== 'Payment' || tx.Account !== account || !succeeded(tx)) continue;
+        if (!tx.Destination || tx.Destination === account) continue;
+        if (isIssued(tx.Amount) && tx.Amount.issuer === tx.Destination) continue;
+
+        const destination = paymentDestination(tx, entityOf(tx.Destination, entities));
+        const hashes = payouts.get(destination) || [];
+        hashes.push(tx.hash);
+        payouts.set(destination, hashes);
+    }
+    return payouts;
+}
+
+// Pair each trade of one wallet with at most one trade of the other on the same token and side
+function matchTrades(first, second, syncSeconds) {
+    const byKey = new Map();
+    for (const trade of second) {
+        const key = `${trade.token}|${trade.side}`;
+        byKey.set(key, [...(byKey.get(key) || []), trade]);
+    }
+
+    const used = new Set();
+    const matches = [];
+    for (const trade of first) {
+        const match = (byKey.get(`${trade.token}|${trade.side}`) || [])
+            .find(other => !used.has(other) && Math.abs(other.time - trade.time) <= syncSeconds * 1000);
+        if (match) {
+            used.add(match);
+            matches.push({ token: trade.token, transactions: [trade.hash, match.hash] });
+        }
+    }
+    return matches;
+}
+
+// Entity behind an address, recognized during the scan or from the registry
+function entityOf(address, entities) {
+    return entities.get(baseAddress(address)) || knownEntity(address);
+}
+
+function isIssued(amount) {
+    return !!amount && typeof amount === 'object' && !!amount.currency && amount.currency !== 'XRP';
+}
@@ -0,0 +1,436 @@
+/**
+ * Taint Tracer
+ * Follows the money out of a source wallet (a drain or rug wallet): every account its
+ * funds reach is replayed in ledger order, and each payment, path payment or DEX
+ * conversion moves the tainted part of what it spends along. Amounts come from the
+ * balance changes in transaction metadata, so a path payment counts what it delivered
+ * and an offer crossing counts what it swapped.
+ *
+ * Taint is measured as a share of the source's value in the traced asset, which carries
+ * through conversions into other assets. Two models split a mixed balance:
+ *   haircut - every payment carries the balance's tainted fraction
+ *   fifo    - payments spend the oldest funds first
+ * Tracing stops at exchanges and other entities (from the registry, or recognized from
+ * the receiver's AccountRoot), after maxHops, and at accounts that received too small a
+ * share to follow. Deposits to an exchange are reported per destination tag, so each
+ * customer account shows up as its own recipient.
+ */
+
+import { TAINT_SETTINGS } from './config.js';
+import { knownEntity, recognizeAccount, paymentDestination } from './entity-registry.js';
+import { txTime, succeeded } from './ledger-utils.js';
+
+// Amounts below this are rounding left over from splitting lots
+const EPSILON = 1e-12;
+
+export const TAINT_MODELS = ['haircut', 'fifo'];
+
+export class TaintTracer {
+    /**
+     * @param {object} settings - Overrides for TAINT_SETTINGS
+     */
+    constructor(settings = {}) {
+        this.settings = { ...TAINT_SETTINGS, ...settings };
+    }
+
+    /**
+     * Trace the value that left a source wallet
+     * @param {XRPLService} service - Service (or a signal view of it) to read the ledger with
+     * @param {string} source - Source address
+     * @param {object} options - Overrides for this trace (asset, model, maxHops, maxAccounts, minShare, startTime)
+     * @param {Map<string, object>} entities - Entity by address already recognized (null for a wallet); filled in
+     * @returns {Promise<object>} - { source, asset, model, taintedValue, recipients, held, untraced, transfers, conversions, truncated }
+     */
+    async trace(service, source, options = {}, entities = new Map()) {
+        const settings = { ...this.settings, ...options };
+        if (!TAINT_MODELS.includes(settings.model)) {
+            throw new Error(`Unknown taint model: ${settings.model}`);
+        }
+
+        const result = {
+            source,
+            asset: settings.asset,
+            model: settings.model,
+            startTime: settings.startTime || null,
+            taintedValue: 0,
+            recipients: [],
+            held: 0,
+            untraced: 0,
+            transfers: [],
+            conversions: [],
+            truncated: false
+        };
+
+        const history = await this._readHistory(service, source, { startTime: settings.startTime || null });
+        result.truncated = history.truncated;
+        result.taintedValue = taintedValue(source, history.transactions, settings.asset);
+        if (result.taintedValue <= 0) return result;
+
+        const accounts = new Map([[source, { account: source, hop: 0, status: 'source', entity: null, pools: new Map(), received: 0, amounts: new Map(), truncated: history.truncated }]]);
+        const incoming = new Map();
+        const queue = [];
+        for (const tx of history.transactions) {
+            enqueue(queue, source, tx);
+        }
+
+        while (queue.length > 0) {
+            const event = queue.shift();
+            const state = accounts.get(event.account);
+            const { tx } = event;
+            const receiver = tx.TransactionType === 'Payment' && tx.Account === state.account && tx.Destination !== state.account
+                ? await this._recognizeReceiver(service, tx.Destination, entities)
+                : null;
+            const sent = this._replay(state, tx, incoming, result, settings, receiver);
+            if (!sent) continue;
+
+            // A payment that carried taint on to another account
+            let target = accounts.get(sent.to);
+            if (!target) {
+                target = this._admitAccount(sent.to, state.hop + 1, settings, receiver, event.key);
+                accounts.set(sent.to, target);
+            }
+            target.received += sent.share;
+            target.amounts.set(sent.asset, (target.amounts.get(sent.asset) || 0) + sent.tainted);
+
+            if (target.status === 'dust' && target.received >= settings.minShare) {
+                const followed = [...accounts.values()].filter(other => other.status === 'followed').length;
+                if (followed >= settings.maxAccounts) {
+                    target.status = 'limit';
+                    result.truncated = true;
+                    continue;
+                }
+
+                // Enough taint to follow: replay the account from the first tainted payment it received,
+                // so what arrived while it was too little to follow is carried along
+                target.status = 'followed';
+                const next = await this._readHistory(service, sent.to, { ledgerIndexMin: target.since[0] || -1 });
+                target.truncated = next.truncated;
+                result.truncated = result.truncated || next.truncated;
+                for (const later of next.transactions) {
+                    if (compareKeys(eventKey(sent.to, later), target.since) > 0) {
+                        enqueue(queue, sent.to, later);
+                    }
+                }
+            }
+        }
+
+        for (const state of accounts.values()) {
+            const held = [...state.pools.values()].flat().reduce((total, lot) => total + lot.share, 0);
+            if (state.status === 'source') {
+                result.held = held;
+                continue;
+            }
+            result.recipients.push({
+                account: state.account,
+                hop: state.hop,
+                status: state.status,
+                entity: state.entity,
+                share: state.received,
+                held,
+                amounts: [...state.amounts].map(([asset, amount]) => ({ asset, amount })),
+                truncated: state.truncated
+            });
+        }
+        result.recipients.sort((a, b) => b.share - a.share);
+
+        return result;
+    }
+
+    /**
+     * Apply one transaction to an account's pools
+     * @param {object} state - Traced account
+     * @param {object} tx - Transaction with `meta`
+     * @param {Map<string, object>} incoming - Taint of payments in flight, by `${hash}:${destination}`; filled in
+     * @param {object} result - Trace result; transfers, conversions and untraced are filled in
+     * @param {object} settings - Trace settings
+     * @param {object|null} receiver - Entity of the payment's destination, or null for a wallet
+     * @returns {object|null} - { to, asset, tainted, share } when a payment carried taint to another account
+     * @private
+     */
+    _replay(state, tx, incoming, result, settings, receiver = null) {
+        const changes = balanceChanges(tx, state.account);
+        const source = state.status === 'source';
+
+        // What the account spent, with the taint and share it took along
+        let fraction = 0;
+        let share = 0;
+        for (const [asset, change] of changes) {
+            if (change.delta >= 0) continue;
+            const spent = withdraw(this._pool(state, asset, change, result, settings), -change.delta);
+            fraction = Math.max(fraction, spent.tainted / -change.delta);
+            share += spent.share;
+        }
+        const credits = [...changes].filter(([, change]) => change.delta > 0);
+
+        if (tx.TransactionType === 'Payment' && tx.Account === state.account && tx.Destination !== state.account) {
+            if (share <= EPSILON) return null;
+
+            // Partial and path payments deliver something other than Amount; old metadata may not say what
+            const delivered = parseAmount([tx.meta.delivered_amount, tx.meta.DeliveredAmount, tx.Amount]
+                .find(amount => amount !== undefined && amount !== 'unavailable'));
+            const sent = { to: paymentDestination(tx, receiver), asset: delivered.asset, tainted: delivered.value * fraction, share };
+            incoming.set(`${tx.hash}:${tx.Destination}`, sent);
+            result.transfers.push({
+                hash: tx.hash,
+                from: state.account,
+                to: sent.to,
+                hop: state.hop + 1,
+                asset: delivered.asset,
+                amount: delivered.value,
+                tainted: sent.tainted,
+                share,
+                time: txTime(tx)
+            });
+            return sent;
+        }
+
+        if (tx.TransactionType === 'Payment' && tx.Destination === state.account && tx.Account !== state.account) {
+            const received = incoming.get(`${tx.hash}:${state.account}`);
+            for (const [asset, change] of credits) {
+                const pool = this._pool(state, asset, change, result, settings);
+                if (source && asset === settings.asset) {
+                    deposit(pool, { amount: change.delta, tainted: change.delta, share: change.delta / result.taintedValue }, settings.model);
+                } else if (received && received.asset === asset) {
+                    deposit(pool, { amount: change.delta, tainted: Math.min(received.tainted, change.delta), share: received.share }, settings.model);
+                } else {
+                    deposit(pool, { amount: change.delta, tainted: 0, share: 0 }, settings.model);
+                }
+            }
+            return null;
+        }
+
+        // Offers crossed, a path payment to itself, rippling or an AMM: taint moves into what came back
+        for (const [asset, change] of credits) {
+            const pool = this._pool(state, asset, change, result, settings);
+            if (source && asset === settings.asset) {
+                deposit(pool, { amount: change.delta, tainted: change.delta, share: change.delta / result.taintedValue }, settings.model);
+            } else {
+                deposit(pool, { amount: change.delta, tainted: change.delta * fraction, share: share / credits.length }, settings.model);
+            }
+        }
+        if (share > EPSILON) {
+            if (credits.length === 0) {
+                result.untraced += share;
+            } else {
+                result.conversions.push({
+                    hash: tx.hash,
+                    account: state.account,
+                    spent: [...changes].filter(([, change]) => change.delta < 0).map(([asset, change]) => ({ asset, amount: -change.delta })),
+                    received: credits.map(([asset, change]) => ({ asset, amount: change.delta })),
+                    share,
+                    time: txTime(tx)
+                });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * An account's pool of one asset, opened with the balance it held before this transaction
+     * @private
+     */
+    _pool(state, asset, change, result, settings) {
+        if (!state.pools.has(asset)) {
+            const before = Math.max(0, change.balance - change.delta);
+            const pool = [];
+            // The source's own holdings of the traced asset are tainted from the start
+            const tainted = state.status === 'source' && asset === settings.asset;
+            deposit(pool, { amount: before, tainted: tainted ? before : 0, share: tainted ? before / result.taintedValue : 0 }, settings.model);
+            state.pools.set(asset, pool);
+        }
+        return state.pools.get(asset);
+    }
+
+    /**
+     * Start tracking a newly reached account
+     * @param {string} account - Address
+     * @param {number} hop - Payments away from the source
+     * @param {object} settings - Trace settings
+     * @param {object|null} entity - Entity of the account, or null for a wallet
+     * @param {Array<number>} since - Event key of the first tainted payment to the account
+     * @returns {object} - Traced account; status 'dust' until it has received enough to follow
+     * @private
+     */
+    _admitAccount(account, hop, settings, entity, since) {
+        let status = 'dust';
+        if (entity) {
+            status = entity.type === 'exchange' ? 'exchange' : 'entity';
+        } else if (hop > settings.maxHops) {
+            status = 'maxHops';
+        }
+        return { account, hop, status, entity, since, pools: new Map(), received: 0, amounts: new Map(), truncated: false };
+    }
+
+    /**
+     * Entity behind a payment's destination: the registry, or its AccountRoot, read once per address
+     * @param {XRPLService} service - Service view
+     * @param {string} account - Address
+     * @param {Map<string, object>} entities - Entity by address already recognized; filled in
+     * @returns {Promise<object|null>} - { name, type } or null for an ordinary wallet
+     * @private
+     */
+    async _recognizeReceiver(service, account, entities) {
+        const entity = knownEntity(account);
+        if (entity) {
+            return entity;
+        }
+        if (!entities.has(account)) {
+            let accountInfo = null;
+            try {
+                accountInfo = await service.getAccountInfo(account);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                // A deleted account has no AccountRoot and is followed as a wallet
+            }
+            entities.set(account, recognizeAccount(account, accountInfo));
+        }
+        return entities.get(account);
+    }
+
+    /**
+     * Read an account's transactions, oldest first
+     * @param {XRPLService} service - Service view
+     * @param {string} account - Address
+     * @param {object} options - { startTime, ledgerIndexMin }
+     * @returns {Promise<object>} - { transactions, truncated }
+     * @private
+     */
+    async _readHistory(service, account, options) {
+        const transactions = [];
+        for await (const tx of service.iterateAccountTransactions(account, {
+            ...options,
+            forward: true,
+            maxTransactions: this.settings.transactionsPerAccount
+        })) {
+            if (succeeded(tx)) transactions.push(tx);
+        }
+        return { transactions, truncated: transactions.length >= this.settings.transactionsPerAccount };
+    }
+}
+
+/**
+ * Balance changes of one account in a transaction, from its metadata
+ * The fee the account paid is left out, so only value it moved counts
+ * @param {object} tx - Transaction with `meta`
+ * @param {string} account - Address
+ * @returns {Map<string, object>} - { delta, balance } by asset ('XRP' or 'CURRENCY-issuer')
+ */
+export function balanceChanges(tx, account) {
+    const changes = new Map();
+    for (const node of (tx.meta && tx.meta.AffectedNodes) || []) {
+        const entry = node.ModifiedNode || node.CreatedNode || node.DeletedNode;
+        const final = entry.FinalFields || entry.NewFields;
+        const previous = entry.PreviousFields || {};
+        if (!final || (!node.CreatedNode && previous.Balance === undefined)) continue;
+
+        if (entry.LedgerEntryType === 'AccountRoot' && final.Account === account) {
+            const balance = Number(final.Balance || 0) / 1000000;
+            const before = node.CreatedNode ? 0 : Number(previous.Balance) / 1000000;
+            const fee = tx.Account === account ? Number(tx.Fee || 0) / 1000000 : 0;
+            changes.set('XRP', { delta: balance - before + fee, balance: balance + fee });
+        } else if (entry.LedgerEntryType === 'RippleState') {
+            const low = final.LowLimit && final.LowLimit.issuer;
+            const high = final.HighLimit && final.HighLimit.issuer;
+            if (account !== low && account !== high) continue;
+
+            // Balances are stored from the low account's side
+            const sign = account === low ? 1 : -1;
+            const balance = sign * parseFloat(final.Balance.value);
+            const before = node.CreatedNode ? 0 : sign * parseFloat(previous.Balance.value);
+            // The side that holds nothing is the issuer
+            const issuer = balance <= 0 && before <= 0 ? account : (account === low ? high : low);
+            changes.set(assetId(final.Balance.currency, issuer), { delta: balance - before, balance });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Asset id used by the tracer
+ * @param {string} currency - Currency code, or 'XRP'
+ * @param {string} issuer - Issuer address (tokens only)
+ * @returns {string} - 'XRP' or 'CURRENCY-issuer', the token node id format
+ */
+export function assetId(currency, issuer) {
+    return currency === 'XRP' && !issuer ? 'XRP' : `${currency}-${issuer}`;
+}
+
+// Value of the traced asset that passed through the source: its balance at the start plus everything it received
+function taintedValue(source, transactions, asset) {
+    let value = null;
+    for (const tx of transactions) {
+        const change = balanceChanges(tx, source).get(asset);
+        if (!change) continue;
+        if (value === null) value = Math.max(0, change.balance - change.delta);
+        if (change.delta > 0) value += change.delta;
+    }
+    return value || 0;
+}
+
+// Add a lot to a pool; the haircut model keeps one mixed lot
+function deposit(pool, lot, model) {
+    if (lot.amount <= EPSILON) return;
+    if (model === 'fifo' || pool.length === 0) {
+        pool.push({ ...lot });
+        return;
+    }
+    pool[0].amount += lot.amount;
+    pool[0].tainted += lot.tainted;
+    pool[0].share += lot.share;
+}
+
+// Take an amount from a pool, oldest lot first, with its part of each lot's taint and share
+function withdraw(pool, amount) {
+    const taken = { amount: 0, tainted: 0, share: 0 };
+    while (amount > EPSILON && pool.length > 0) {
+        const lot = pool[0];
+        const ratio = Math.min(1, amount / lot.amount);
+        const part = { amount: lot.amount * ratio, tainted: lot.tainted * ratio, share: lot.share * ratio };
+
+        taken.amount += part.amount;
+        taken.tainted += part.tainted;
+        taken.share += part.share;
+        lot.amount -= part.amount;
+        lot.tainted -= part.tainted;
+        lot.share -= part.share;
+        amount -= part.amount;
+        if (lot.amount <= EPSILON) pool.shift();
+    }
+    return taken;
+}
+
+function enqueue(queue, account, tx) {
+    const event = { account, tx, key: eventKey(account, tx) };
+    let low = 0;
+    let high = queue.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (compareKeys(queue[middle].key, event.key) <= 0) low = middle + 1;
+        else high = middle;
+    }
+    queue.splice(low, 0, event);
+}
+
+// Ledger order; within one transaction the sender's side comes first so the taint it sends is known
+function eventKey(account, tx) {
+    return [
+        tx.ledger_index || 0,
+        tx.date || 0,
+        (tx.meta && tx.meta.TransactionIndex) || 0,
+        tx.Account === account ? 0 : 1
+    ];
+}
+
+function compareKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+function parseAmount(amount) {
+    if (typeof amount === 'string') {
+        return { asset: 'XRP', value: Number(amount) / 1000000 };
+    }
+    return { asset: assetId(amount.currency, amount.issuer), value: parseFloat(amount.value) };
+}
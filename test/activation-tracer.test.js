@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ActivationTracer, findActivation, groupBySharedFunder } from '../activation-tracer.js';
+
+function payment(from, to, drops, { created = false, result = 'tesSUCCESS', date = 700000000 } = {}) {
+    const nodes = created
+        ? [{ CreatedNode: { LedgerEntryType: 'AccountRoot', NewFields: { Account: to, Balance: drops } } }]
+        : [];
+    return {
+        TransactionType: 'Payment',
+        Account: from,
+        Destination: to,
+        Amount: drops,
+        hash: `${from}-${to}-${date}`,
+        date,
+        ledger_index: 80000000,
+        meta: { TransactionResult: result, AffectedNodes: nodes }
+    };
+}
+
+describe('findActivation', () => {
+    it('takes the payment that created the AccountRoot', () => {
+        const transactions = [
+            payment('rOther', 'rWallet', '5000000', { date: 700000000 }),
+            payment('rFunder', 'rWallet', '20000000', { created: true, date: 700000010 })
+        ];
+        const activation = findActivation('rWallet', transactions);
+
+        assert.equal(activation.funder, 'rFunder');
+        assert.equal(activation.xrp, 20);
+        assert.equal(activation.confirmed, true);
+        assert.equal(activation.time, (700000010 + 946684800) * 1000);
+    });
+
+    it('falls back to the first incoming XRP payment', () => {
+        const transactions = [
+            payment('rWallet', 'rElsewhere', '1000000'),
+            payment('rFirst', 'rWallet', '30000000'),
+            payment('rSecond', 'rWallet', '40000000')
+        ];
+        const activation = findActivation('rWallet', transactions);
+
+        assert.equal(activation.funder, 'rFirst');
+        assert.equal(activation.xrp, 30);
+        assert.equal(activation.confirmed, false);
+    });
+
+    it('ignores failed transactions', () => {
+        const transactions = [payment('rFunder', 'rWallet', '20000000', { created: true, result: 'tecUNFUNDED_PAYMENT' })];
+        assert.equal(findActivation('rWallet', transactions), null);
+    });
+});
+
+const BINANCE = 'rEb8TK3gBgk5auZkwc6sHnwrGVJH8DuaLh';
+
+describe('ActivationTracer', () => {
+    // An operator withdrawn from an exchange, the wallets it activated and one more hop down
+    const histories = {
+        rOperator: [payment(BINANCE, 'rOperator', '50000000', { created: true })],
+        rW1: [payment('rOperator', 'rW1', '20000000', { created: true })],
+        rW2: [payment('rOperator', 'rW2', '20000000', { created: true })],
+        rW3: [payment('rW2', 'rW3', '20000000', { created: true })],
+        rW4: [payment(BINANCE, 'rW4', '20000000', { created: true })],
+        // A service that activated many accounts, and an operator among its customers
+        rCustomer: [payment('rService', 'rCustomer', '20000000', { created: true })],
+        rOwn: [payment('rService', 'rOwn', '50000000', { created: true })],
+        rW5: [payment('rOwn', 'rW5', '20000000', { created: true })],
+        rW6: [payment('rOwn', 'rW6', '20000000', { created: true })],
+        rService: Array.from({ length: 25 }, (_, i) => payment('rService', `rCustomer${i}`, '20000000', { created: true }))
+    };
+    const service = {
+        async getAccountInfo() {
+            return { Flags: 0 };
+        },
+        async * iterateAccountTransactions(account, { maxTransactions }) {
+            yield * (histories[account] || []).slice(0, maxTransactions);
+        }
+    };
+
+    it('follows the chain up to a known entity', async () => {
+        const tracer = new ActivationTracer();
+        const trace = await tracer.traceAccount(service, 'rW3');
+
+        assert.deepEqual(trace.chain.map(hop => hop.funder), ['rW2', 'rOperator', BINANCE]);
+        assert.equal(trace.terminus.type, 'entity');
+        assert.equal(trace.terminus.entity.name, 'Binance');
+    });
+
+    it('stops at the hop limit', async () => {
+        const tracer = new ActivationTracer({ maxHops: 1 });
+        const trace = await tracer.traceAccount(service, 'rW3');
+
+        assert.equal(trace.chain.length, 1);
+        assert.equal(trace.terminus.type, 'maxHops');
+        assert.equal(trace.terminus.account, 'rW2');
+    });
+
+    it('groups wallets by a shared funder but not by an exchange', async () => {
+        const tracer = new ActivationTracer();
+        const activations = new Map();
+        const traces = [];
+        for (const account of ['rW1', 'rW2', 'rW3', 'rW4']) {
+            traces.push(await tracer.traceAccount(service, account, activations));
+        }
+        const groups = groupBySharedFunder(traces);
+
+        assert.deepEqual(groups.map(group => group.funder), ['rOperator']);
+        assert.deepEqual(groups[0].wallets.map(wallet => [wallet.account, wallet.hops]), [['rW1', 1], ['rW2', 1], ['rW3', 2]]);
+    });
+
+    it('ends chains at a funder that activated many accounts', async () => {
+        const tracer = new ActivationTracer();
+        const trace = await tracer.traceAccount(service, 'rW5');
+
+        assert.deepEqual(trace.chain.map(hop => hop.funder), ['rOwn', 'rService']);
+        assert.equal(trace.terminus.type, 'entity');
+        assert.equal(trace.terminus.account, 'rService');
+        assert.equal(trace.terminus.entity.type, 'custodial');
+    });
+
+    it('does not group customers of a custodial funder', async () => {
+        const tracer = new ActivationTracer();
+        const activations = new Map();
+        const entities = new Map();
+        const traces = [];
+        for (const account of ['rCustomer', 'rOwn', 'rW5', 'rW6']) {
+            traces.push(await tracer.traceAccount(service, account, activations, entities));
+        }
+        const groups = groupBySharedFunder(traces);
+
+        assert.deepEqual(groups.map(group => group.funder), ['rOwn']);
+        assert.deepEqual(groups[0].wallets.map(wallet => wallet.account), ['rW5', 'rW6']);
+    });
+});
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AmmAnalyzer, summarizePool } from '../amm-analyzer.js';
+
+const POOL = 'rPooLxxxxxxxxxxxxxxxxxxxxxxxxxxxxx';
+const ISSUER = 'rIssuerxxxxxxxxxxxxxxxxxxxxxxxxxx';
+const EARLY = 'rEarlyxxxxxxxxxxxxxxxxxxxxxxxxxxx';
+const TRADER = 'rTraderxxxxxxxxxxxxxxxxxxxxxxxxxx';
+const SETTINGS = { topHolders: 10, pullShare: 50 };
+
+const amm = (xrp, lpSupply) => ({
+    account: POOL,
+    amount: String(xrp * 1000000),
+    amount2: { currency: 'TST', issuer: ISSUER, value: '1000000' },
+    lp_token: { currency: '03ABCDEF', issuer: POOL, value: String(lpSupply) },
+    trading_fee: 500
+});
+
+// An AMM transaction that moved the pool's XRP from `before` to `after`
+function poolTx(type, account, before, after, hash) {
+    const node = before === null
+        ? { CreatedNode: { LedgerEntryType: 'AccountRoot', NewFields: { Account: POOL, Balance: String(after * 1000000) } } }
+        : {
+            ModifiedNode: {
+                LedgerEntryType: 'AccountRoot',
+                FinalFields: { Account: POOL, Balance: String(after * 1000000) },
+                PreviousFields: { Balance: String(before * 1000000) }
+            }
+        };
+    return { TransactionType: type, Account: account, date: 700000000, hash, meta: { TransactionResult: 'tesSUCCESS', AffectedNodes: [node] } };
+}
+
+const lpLine = (account, balance) => ({ account, currency: '03ABCDEF', balance: String(-balance) });
+
+describe('summarizePool', () => {
+    it('follows the pool XRP through its transactions', () => {
+        const transactions = [
+            poolTx('AMMCreate', ISSUER, null, 1000, 'A'),
+            poolTx('AMMDeposit', TRADER, 1000, 1500, 'B'),
+            poolTx('AMMWithdraw', TRADER, 1500, 1200, 'C')
+        ];
+        const pool = summarizePool(amm(1200, 100), transactions, [], new Map(), SETTINGS);
+
+        assert.equal(pool.xrp, 1200);
+        assert.equal(pool.peakXrp, 1500);
+        assert.equal(pool.tradingFee, 0.5);
+        assert.deepEqual(pool.events.map(event => event.xrpChange), [1000, 500, -300]);
+        assert.equal(pool.events[0].role, 'poolCreator');
+        assert.equal(pool.events[1].role, null);
+    });
+
+    it('flags insiders withdrawing most of the peak XRP', () => {
+        const transactions = [
+            poolTx('AMMCreate', ISSUER, null, 1000, 'A'),
+            poolTx('AMMWithdraw', EARLY, 1000, 700, 'B'),
+            poolTx('AMMWithdraw', ISSUER, 700, 100, 'C')
+        ];
+        const pool = summarizePool(amm(100, 10), transactions, [], new Map([[ISSUER, 'issuer'], [EARLY, 'early']]), SETTINGS);
+
+        assert.equal(pool.pull.detected, true);
+        assert.equal(pool.pull.share, 90);
+        assert.deepEqual(pool.pull.withdrawals.map(w => [w.account, w.role, w.xrp]), [[ISSUER, 'issuer', 600], [EARLY, 'early', 300]]);
+    });
+
+    it('ignores withdrawals by accounts that are not insiders', () => {
+        const transactions = [
+            poolTx('AMMCreate', ISSUER, null, 1000, 'A'),
+            poolTx('AMMWithdraw', TRADER, 1000, 100, 'B')
+        ];
+        const pool = summarizePool(amm(100, 10), transactions, [], new Map([[ISSUER, 'issuer']]), SETTINGS);
+
+        assert.equal(pool.pull.detected, false);
+        assert.equal(pool.pull.withdrawnXrp, 0);
+    });
+
+    it('skips failed transactions', () => {
+        const failed = poolTx('AMMWithdraw', ISSUER, 1000, 0, 'B');
+        failed.meta.TransactionResult = 'tecAMM_BALANCE';
+        const pool = summarizePool(amm(1000, 10), [poolTx('AMMCreate', ISSUER, null, 1000, 'A'), failed], [], new Map(), SETTINGS);
+
+        assert.equal(pool.events.length, 1);
+        assert.equal(pool.pull.detected, false);
+    });
+
+    it('ranks LP holders and adds up the insiders\' share', () => {
+        const lines = [lpLine(TRADER, 20), lpLine(ISSUER, 60), lpLine(EARLY, 20), lpLine('rEmptyxxxxxxxxxxxxxxxxxxxxxxxxxxx', 0)];
+        const pool = summarizePool(amm(1000, 100), [], lines, new Map([[ISSUER, 'issuer'], [EARLY, 'early']]), SETTINGS);
+
+        assert.equal(pool.lpHolders.count, 3);
+        assert.equal(pool.lpHolders.top[0].account, ISSUER);
+        assert.equal(pool.lpHolders.top[0].share, 60);
+        assert.equal(pool.lpHolders.insiderShare, 80);
+    });
+});
+
+describe('AmmAnalyzer', () => {
+    const lpToken = { currency: '03ABCDEF', issuer: POOL, value: '100' };
+    const created = {
+        ...poolTx('AMMCreate', ISSUER, null, 1000, 'A'),
+        Amount: '1000000000',
+        Amount2: { currency: 'TST', issuer: ISSUER, value: '1000000' },
+        TradingFee: 500
+    };
+    created.meta.AffectedNodes.push({ CreatedNode: { LedgerEntryType: 'AMM', NewFields: { Account: POOL, LPTokenBalance: lpToken } } });
+    const emptied = {
+        TransactionType: 'AMMWithdraw',
+        Account: ISSUER,
+        Asset: { currency: 'XRP' },
+        Asset2: { currency: 'TST', issuer: ISSUER },
+        date: 700000100,
+        hash: 'B',
+        meta: {
+            TransactionResult: 'tesSUCCESS',
+            AffectedNodes: [
+                { DeletedNode: { LedgerEntryType: 'AccountRoot', FinalFields: { Account: POOL, Balance: '0' }, PreviousFields: { Balance: '1000000000' } } },
+                { DeletedNode: { LedgerEntryType: 'AMM', FinalFields: { Account: POOL, LPTokenBalance: { ...lpToken, value: '0' } } } }
+            ]
+        }
+    };
+    const service = {
+        async getAmmInfo() {
+            return null;
+        },
+        async * iterateAccountTransactions(account) {
+            if (account === ISSUER) yield * [emptied, created];
+        },
+        async * iterateAmmTransactions(account) {
+            if (account === POOL) yield * [created, emptied];
+        }
+    };
+
+    it('rebuilds a deleted pool from the issuer\'s AMM transactions and reports it as pulled', async () => {
+        const pool = await new AmmAnalyzer().analyzeToken(service, 'TST', ISSUER, new Map([[ISSUER, 'issuer']]));
+
+        assert.equal(pool.account, POOL);
+        assert.equal(pool.deleted, true);
+        assert.equal(pool.xrp, 0);
+        assert.equal(pool.peakXrp, 1000);
+        assert.equal(pool.lpToken.currency, '03ABCDEF');
+        assert.equal(pool.tradingFee, 0.5);
+        assert.equal(pool.pull.detected, true);
+        assert.equal(pool.pull.withdrawnXrp, 1000);
+    });
+
+    it('finds no pool for a token that never had one', async () => {
+        assert.equal(await new AmmAnalyzer().analyzeToken(service, 'OTHER', ISSUER), null);
+    });
+});
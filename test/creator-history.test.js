@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CreatorHistoryAnalyzer, judgeToken } from '../creator-history.js';
+import { RIPPLE_EPOCH } from '../ledger-utils.js';
+
+const ISSUER = 'rIssuerXXXXXXXXXXXXXXXXXXXXXXXXX';
+const AAA = { currency: 'AAA', issuer: ISSUER };
+const DAY = 86400;
+
+// The issuer's offer selling AAA filled by a buyer at the given ledger time
+function sale(date, xrp, tokens) {
+    return {
+        TransactionType: 'OfferCreate',
+        Account: 'rBuyerXXXXXXXXXXXXXXXXXXXXXXXXXX',
+        hash: `SALE-${date}`,
+        date,
+        meta: {
+            TransactionResult: 'tesSUCCESS',
+            AffectedNodes: [{
+                DeletedNode: {
+                    LedgerEntryType: 'Offer',
+                    FinalFields: { Account: ISSUER, Sequence: 1, TakerGets: { ...AAA, value: '0' }, TakerPays: '0' },
+                    PreviousFields: { TakerGets: { ...AAA, value: String(tokens) }, TakerPays: String(xrp * 1e6) }
+                }
+            }]
+        }
+    };
+}
+
+// Daily candles: the price peaks on day 3 and falls 99%
+function candles(volume) {
+    return [1, 2, 3, 4, 5, 6, 7].map(day => ({
+        timestamp: new Date((RIPPLE_EPOCH + day * DAY) * 1000).toISOString(),
+        close: day === 3 ? 10 : day < 3 ? 1 : 0.1,
+        exchanges: 1,
+        counter_volume: volume
+    }));
+}
+
+function judge(transactions, { volume = 10, outstanding = 1000000 } = {}) {
+    const token = { id: `AAA-${ISSUER}`, ...AAA, issuedAt: 0, hash: 'ISSUE', outstanding };
+    return judgeToken(token, {
+        histories: new Map([[ISSUER, { transactions }]]),
+        candles: candles(volume),
+        issuer: null,
+        now: (RIPPLE_EPOCH + 8 * DAY) * 1000
+    });
+}
+
+describe('judgeToken', () => {
+    it('does not count a sale that is small for the token as a dump', () => {
+        const token = judge([sale(20 * DAY, 2000, 1000)]);
+        assert.equal(token.checks.dumpedByIssuer, false);
+    });
+
+    it('counts a sale of a large share of the supply as a dump', () => {
+        const token = judge([sale(20 * DAY, 2000, 200000)]);
+        assert.equal(token.outcome, 'dumpedByIssuer');
+        assert.equal(token.dump.supplyShare, 20);
+    });
+
+    it('counts a sale right after the price peaked as a dump', () => {
+        const token = judge([sale(3 * DAY + 100, 2000, 1000)]);
+        assert.equal(token.outcome, 'dumpedByIssuer');
+        assert.equal(token.dump.afterPump, true);
+    });
+
+    it('needs real volume before a price drop counts as a collapse', () => {
+        assert.equal(judge([], { volume: 10 }).checks.priceCollapse, false);
+        assert.equal(judge([], { volume: 500 }).outcome, 'priceCollapse');
+    });
+});
+
+describe('CreatorHistoryAnalyzer', () => {
+    // An issuer that sent out five tokens of its own
+    const issuances = ['AAA', 'BBB', 'CCC', 'DDD', 'EEE'].map((currency, i) => ({
+        TransactionType: 'Payment',
+        Account: ISSUER,
+        Destination: 'rHolderXXXXXXXXXXXXXXXXXXXXXXXXXX',
+        Amount: { currency, issuer: ISSUER, value: '1000' },
+        hash: `ISSUE-${currency}`,
+        date: i * DAY,
+        meta: { TransactionResult: 'tesSUCCESS', AffectedNodes: [] }
+    }));
+    const service = {
+        signal: null,
+        withSignal(signal) {
+            const view = Object.create(this);
+            view.signal = signal;
+            return view;
+        },
+        now: () => (RIPPLE_EPOCH + 400 * DAY) * 1000,
+        async * iterateAccountTransactions(account, { forward, maxTransactions }) {
+            yield * (forward ? issuances : [...issuances].reverse()).slice(0, maxTransactions);
+        },
+        async getIssuedTokens() {
+            return [];
+        }
+    };
+
+    it('judges every token the creator issued', async () => {
+        const record = await new CreatorHistoryAnalyzer().analyzeCreator(service, ISSUER);
+
+        assert.equal(record.tokens.length, 5);
+        assert.equal(record.truncated, false);
+    });
+
+    it('keeps the tokens judged before the time budget ran out', async () => {
+        // Price histories arrive for two tokens, then are too slow and get cut off by the budget
+        let reads = 0;
+        const priceHistory = (currency, issuer, start, view) => ++reads <= 2
+            ? Promise.resolve([])
+            : new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, 5000, []);
+                view.signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(view.signal.reason);
+                });
+            });
+        const record = await new CreatorHistoryAnalyzer({ timeBudget: 50 }).analyzeCreator(service, ISSUER, priceHistory);
+
+        assert.deepEqual(record.tokens.map(token => token.currency), ['AAA', 'BBB']);
+        assert.equal(record.truncated, true);
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFills } from '../dex-analyzer.js';
+
+const MOON = { currency: 'MOON', issuer: 'rIssuer' };
+const moon = value => ({ ...MOON, value: String(value) });
+
+function offerCreate(nodes, result = 'tesSUCCESS') {
+    return {
+        TransactionType: 'OfferCreate',
+        Account: 'rTaker',
+        hash: 'H1',
+        meta: { TransactionResult: result, AffectedNodes: nodes }
+    };
+}
+
+describe('extractFills', () => {
+    it('reads a partly filled offer from the maker side', () => {
+        const tx = offerCreate([{
+            ModifiedNode: {
+                LedgerEntryType: 'Offer',
+                FinalFields: { Account: 'rMaker', Sequence: 7, TakerGets: '1000000000', TakerPays: moon(50) },
+                PreviousFields: { TakerGets: '3000000000', TakerPays: moon(150) }
+            }
+        }]);
+
+        assert.deepEqual(extractFills(tx), [{
+            maker: 'rMaker',
+            sequence: 7,
+            taker: 'rTaker',
+            gave: '2000000000',
+            got: moon(100),
+            hash: 'H1'
+        }]);
+    });
+
+    it('reads a fully consumed offer', () => {
+        const tx = offerCreate([{
+            DeletedNode: {
+                LedgerEntryType: 'Offer',
+                FinalFields: { Account: 'rMaker', Sequence: 8, TakerGets: moon(0), TakerPays: '0' },
+                PreviousFields: { TakerGets: moon(20), TakerPays: '5000000' }
+            }
+        }]);
+
+        const [fill] = extractFills(tx);
+        assert.deepEqual(fill.gave, moon(20));
+        assert.equal(fill.got, '5000000');
+    });
+
+    it('skips offers that were cancelled or removed unfunded', () => {
+        const tx = offerCreate([
+            { DeletedNode: { LedgerEntryType: 'Offer', FinalFields: { Account: 'rMaker', Sequence: 9, TakerGets: moon(5), TakerPays: '1' } } },
+            { ModifiedNode: { LedgerEntryType: 'AccountRoot', FinalFields: { Account: 'rTaker' }, PreviousFields: { Balance: '1' } } }
+        ]);
+        assert.deepEqual(extractFills(tx), []);
+    });
+
+    it('returns nothing for a transaction without metadata', () => {
+        assert.deepEqual(extractFills({ TransactionType: 'OfferCreate', Account: 'rTaker' }), []);
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ENTITY_TYPES, knownEntity, registerEntities, recognizeAccount, isCustodial, paymentDestination, paymentSource
+} from '../entity-registry.js';
+import { KNOWN_ENTITIES } from '../config.js';
+
+const BINANCE = 'rEb8TK3gBgk5auZkwc6sHnwrGVJH8DuaLh';
+const WALLET = 'rDsbeomae4FXwgQTJp9Rs64Qg9vDiTCdBv';
+
+// One listed entity of every type
+const LIST = {
+    rBridgeDoorXXXXXXXXXXXXXXXXXXXXXX: { name: 'Test bridge', type: 'bridge' },
+    rAmmPoolXXXXXXXXXXXXXXXXXXXXXXXXX: { name: 'Test pool', type: 'amm' },
+    rProjectXXXXXXXXXXXXXXXXXXXXXXXXX: { name: 'Test project', type: 'project' },
+    rCustodyXXXXXXXXXXXXXXXXXXXXXXXXX: { name: 'Test custodian', type: 'custodial' },
+    rExchangeXXXXXXXXXXXXXXXXXXXXXXXX: { name: 'Test exchange', type: 'exchange' },
+    rGenesisXXXXXXXXXXXXXXXXXXXXXXXXX: { name: 'Test genesis', type: 'genesis' }
+};
+
+describe('entity registry', () => {
+    it('only lists entities of known types', () => {
+        for (const [address, entity] of Object.entries(KNOWN_ENTITIES)) {
+            assert.ok(ENTITY_TYPES[entity.type], `${address} has type ${entity.type}`);
+        }
+    });
+
+    it('registers an external list of every type', () => {
+        assert.equal(registerEntities(LIST), Object.keys(ENTITY_TYPES).length);
+        for (const [address, entity] of Object.entries(LIST)) {
+            assert.deepEqual(knownEntity(address), entity);
+        }
+        assert.deepEqual(Object.values(LIST).map(entity => entity.type).sort(), Object.keys(ENTITY_TYPES).sort());
+    });
+
+    it('skips list entries with a bad address, no name or an unknown type', () => {
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            assert.equal(registerEntities({
+                notAnAddress: { name: 'Bad', type: 'exchange' },
+                rNoNameXXXXXXXXXXXXXXXXXXXXXXXXXX: { type: 'exchange' },
+                rCasinoXXXXXXXXXXXXXXXXXXXXXXXXXX: { name: 'Casino', type: 'casino' }
+            }), 0);
+        } finally {
+            console.warn = warn;
+        }
+        assert.equal(knownEntity('rCasinoXXXXXXXXXXXXXXXXXXXXXXXXXX'), null);
+    });
+
+    it('treats exchanges, bridges and custodians as custodial', () => {
+        const custodial = Object.entries(LIST)
+            .filter(([address]) => isCustodial(knownEntity(address)))
+            .map(([, entity]) => entity.type);
+        assert.deepEqual(custodial.sort(), ['bridge', 'custodial', 'exchange']);
+    });
+
+    it('recognizes AMM and tag-only accounts from their AccountRoot', () => {
+        assert.equal(recognizeAccount(WALLET, { AMMID: 'ABC' }).type, 'amm');
+        assert.equal(recognizeAccount(WALLET, { Flags: 0x00020000 }).type, 'custodial');
+        assert.equal(recognizeAccount(WALLET, { Flags: 0 }), null);
+        assert.equal(recognizeAccount(WALLET), null);
+    });
+});
+
+describe('paymentDestination', () => {
+    const payment = (destination, tag) => ({ Account: WALLET, Destination: destination, DestinationTag: tag, SourceTag: tag });
+
+    it('keys deposits to a registered exchange by tag', () => {
+        assert.equal(paymentDestination(payment(BINANCE, 7)), `${BINANCE}:7`);
+        assert.equal(paymentDestination(payment(BINANCE)), BINANCE);
+    });
+
+    it('ignores the tag of an ordinary wallet', () => {
+        assert.equal(paymentDestination(payment(WALLET, 7)), WALLET);
+    });
+
+    it('keys deposits by tag for an entity recognized from its AccountRoot', () => {
+        const entity = recognizeAccount(WALLET, { Flags: 0x00020000 });
+        assert.equal(paymentDestination(payment(WALLET, 7), entity), `${WALLET}:7`);
+        assert.equal(paymentSource({ Account: WALLET, SourceTag: 3 }, entity), `${WALLET}:3`);
+    });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGraph, detectCommunities, betweennessCentrality } from '../graph-analytics.js';
+
+// Two triangles joined through h: a-b-c, c-h, h-d, d-e-f
+function twoTriangles() {
+    const ids = ['a', 'b', 'c', 'h', 'd', 'e', 'f'];
+    const link = (source, target) => ({ source, target, value: 1, transactionType: 'Payment' });
+    return buildGraph({
+        nodes: ids.map(id => ({ id, type: 'wallet' })),
+        links: [
+            link('a', 'b'), link('b', 'c'), link('c', 'a'),
+            link('c', 'h'), link('h', 'd'),
+            link('d', 'e'), link('e', 'f'), link('f', 'd')
+        ]
+    });
+}
+
+describe('detectCommunities', () => {
+    it('splits the graph at the bridge between the triangles', () => {
+        const { communities, modularity } = detectCommunities(twoTriangles());
+        const members = communities.map(community => [...community.members].sort().join(','));
+
+        assert.deepEqual(members.sort(), ['a,b,c,h', 'd,e,f']);
+        assert.ok(modularity > 0.3, `modularity ${modularity}`);
+    });
+
+    it('keeps every node in one community', () => {
+        const { communities } = detectCommunities(twoTriangles());
+        const members = communities.flatMap(community => community.members);
+        assert.equal(members.length, new Set(members).size);
+        assert.equal(members.length, 7);
+    });
+});
+
+describe('betweennessCentrality', () => {
+    it('scores nodes by the share of shortest paths through them', () => {
+        const centrality = betweennessCentrality(twoTriangles());
+        const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+        // h lies on all 9 paths between {a, b, c} and {d, e, f}, out of 15 pairs among the other nodes
+        close(centrality.get('h'), 9 / 15);
+        // c lies on the 8 paths between {a, b} and {h, d, e, f}
+        close(centrality.get('c'), 8 / 15);
+        close(centrality.get('d'), 8 / 15);
+        close(centrality.get('a'), 0);
+        close(centrality.get('f'), 0);
+    });
+});
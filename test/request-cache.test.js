@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestCache, MemoryCacheBackend } from '../request-cache.js';
+
+const REQUEST = { command: 'account_info', account: 'rDsbeomae4FXwgQTJp9Rs64Qg9vDiTCdBv', ledger_index: 90000000 };
+
+/**
+ * Fetcher that answers only once released, remembering the signal it was given
+ */
+function heldFetcher() {
+    const held = { calls: 0, signal: null };
+    held.fetch = (request, signal) => {
+        held.calls++;
+        held.signal = signal;
+        return new Promise((resolve, reject) => {
+            held.release = () => resolve({ result: { account_data: { Balance: '1000000' }, validated: true } });
+            signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+        });
+    };
+    return held;
+}
+
+describe('RequestCache', () => {
+    it('hands every caller its own copy of a cached response', async () => {
+        const cache = new RequestCache(new MemoryCacheBackend());
+        const fetcher = async () => ({ result: { account_data: { Balance: '1000000' }, validated: true } });
+
+        const first = await cache.fetch(REQUEST, fetcher);
+        first.result.account_data.Balance = '0';
+        const second = await cache.fetch(REQUEST, fetcher);
+
+        assert.equal(second.result.account_data.Balance, '1000000');
+        assert.equal(cache.stats.hits, 1);
+    });
+
+    it('keeps a shared request going for the callers that were not cancelled', async () => {
+        const cache = new RequestCache(new MemoryCacheBackend());
+        const held = heldFetcher();
+        const cancelled = new AbortController();
+
+        const abandoned = cache.fetch(REQUEST, held.fetch, cancelled.signal);
+        const kept = cache.fetch(REQUEST, held.fetch, new AbortController().signal);
+        await new Promise(resolve => setImmediate(resolve));
+
+        cancelled.abort(new Error('scan cancelled'));
+        await assert.rejects(abandoned, /scan cancelled/);
+        assert.equal(held.signal.aborted, false);
+
+        held.release();
+        const response = await kept;
+        assert.equal(response.result.account_data.Balance, '1000000');
+        assert.equal(held.calls, 1);
+    });
+
+    it('aborts a shared request once every caller has been cancelled', async () => {
+        const cache = new RequestCache(new MemoryCacheBackend());
+        const held = heldFetcher();
+        const first = new AbortController();
+        const second = new AbortController();
+
+        const requests = [
+            cache.fetch(REQUEST, held.fetch, first.signal),
+            cache.fetch(REQUEST, held.fetch, second.signal)
+        ];
+        await new Promise(resolve => setImmediate(resolve));
+
+        first.abort(new Error('first cancelled'));
+        second.abort(new Error('second cancelled'));
+        await assert.rejects(requests[0], /first cancelled/);
+        await assert.rejects(requests[1], /second cancelled/);
+        assert.equal(held.signal.aborted, true);
+        assert.equal(cache.pending.size, 0);
+    });
+});
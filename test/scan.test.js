@@ -0,0 +1,141 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import xrplService from '../xrpl-service.js';
+import networkAnalyzer from '../network-analyzer.js';
+import { MockLedgerProvider } from '../ledger-provider.js';
+
+const MAIN = 'rJb5KsHsDHF1YS5B5DU6QCkH5NsPaKQTcy';
+const FUNDER = 'rUn84CUYbNjRoTQ6mSW7BVJPSVJNLb1QLo';
+const WALLET_1 = 'rDsbeomae4FXwgQTJp9Rs64Qg9vDiTCdBv';
+const WALLET_2 = 'rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf';
+const BINANCE = 'rEb8TK3gBgk5auZkwc6sHnwrGVJH8DuaLh';
+const T0 = 700000000;
+
+function activation(from, to, date) {
+    return {
+        tx: { TransactionType: 'Payment', Account: from, Destination: to, Amount: '20000000', date, hash: `ACT-${to}` },
+        meta: {
+            TransactionResult: 'tesSUCCESS',
+            AffectedNodes: [{ CreatedNode: { LedgerEntryType: 'AccountRoot', NewFields: { Account: to, Balance: '20000000' } } }]
+        }
+    };
+}
+
+function payment(from, to, date, tag) {
+    return {
+        tx: {
+            TransactionType: 'Payment',
+            Account: from,
+            Destination: to,
+            ...(tag !== undefined ? { DestinationTag: tag } : {}),
+            Amount: '5000000',
+            date,
+            hash: `PAY-${from}-${to}-${date}`
+        },
+        meta: { TransactionResult: 'tesSUCCESS', AffectedNodes: [] }
+    };
+}
+
+// One funder, withdrawn from Binance, activated the scanned wallet and two more that it pays
+function mockLedger() {
+    return new MockLedgerProvider({
+        now: Date.UTC(2025, 0, 1),
+        accounts: {
+            [FUNDER]: {
+                info: { Sequence: 10 },
+                transactions: [
+                    activation(BINANCE, FUNDER, T0),
+                    activation(FUNDER, MAIN, T0 + 10),
+                    activation(FUNDER, WALLET_1, T0 + 20),
+                    activation(FUNDER, WALLET_2, T0 + 30)
+                ]
+            },
+            [MAIN]: {
+                info: { Sequence: 11 },
+                transactions: [
+                    activation(FUNDER, MAIN, T0 + 10),
+                    payment(MAIN, WALLET_1, T0 + 40),
+                    payment(MAIN, WALLET_2, T0 + 50),
+                    payment(MAIN, FUNDER, T0 + 60)
+                ]
+            },
+            [WALLET_1]: {
+                info: { Sequence: 12 },
+                transactions: [activation(FUNDER, WALLET_1, T0 + 20), payment(MAIN, WALLET_1, T0 + 40), payment(WALLET_1, BINANCE, T0 + 70, 7)]
+            },
+            [WALLET_2]: {
+                info: { Sequence: 13 },
+                transactions: [activation(FUNDER, WALLET_2, T0 + 30), payment(MAIN, WALLET_2, T0 + 50), payment(WALLET_2, BINANCE, T0 + 80, 8)]
+            },
+            [BINANCE]: { info: {}, transactions: [] }
+        }
+    });
+}
+
+async function scan() {
+    const provider = mockLedger();
+    await xrplService.setProvider(provider);
+    const network = await networkAnalyzer.analyzeNetwork(MAIN, 3);
+    return { network, provider, findings: networkAnalyzer.getFindings(), metrics: { ...networkAnalyzer.metrics } };
+}
+
+describe('scan against a mock ledger', () => {
+    let first;
+    const logs = { log: console.log, warn: console.warn };
+
+    before(async () => {
+        console.log = () => {};
+        console.warn = () => {};
+        first = await scan();
+    });
+
+    after(async () => {
+        Object.assign(console, logs);
+        await xrplService.setProvider(null);
+    });
+
+    it('crawls the wallets the scanned account paid', () => {
+        const ids = first.network.nodes.filter(node => !node.layer).map(node => node.id);
+        for (const id of [MAIN, WALLET_1, WALLET_2, FUNDER]) {
+            assert.ok(ids.includes(id), `${id} missing from ${ids}`);
+        }
+    });
+
+    it('keys exchange deposits by destination tag', () => {
+        const ids = first.network.nodes.map(node => node.id);
+        assert.ok(ids.includes(`${BINANCE}:7`));
+        assert.ok(ids.includes(`${BINANCE}:8`));
+        assert.ok(!ids.includes(BINANCE) || first.network.nodes.find(node => node.id === BINANCE).layer);
+
+        const deposit = first.network.nodes.find(node => node.id === `${BINANCE}:7`);
+        assert.equal(deposit.entity.name, 'Binance');
+    });
+
+    it('flags the wallets one funder activated', () => {
+        const finding = first.findings.find(item => item.type === 'shared_funder');
+        assert.ok(finding, 'no shared_funder finding');
+
+        const wallet = first.network.nodes.find(node => node.id === WALLET_1);
+        assert.equal(wallet.activation.funder, FUNDER);
+        assert.equal(wallet.activation.terminus.account, BINANCE);
+        assert.equal(wallet.sharedFunder.funder, FUNDER);
+    });
+
+    it('scores the funder for creating the scanned account', () => {
+        const funder = first.network.nodes.find(node => node.id === FUNDER);
+        assert.equal(funder.isCreatorWallet, true);
+    });
+
+    it('gives the same result and requests on a second run', async () => {
+        const second = await scan();
+        const summary = ({ network, metrics, findings }) => ({
+            nodes: network.nodes.map(node => [node.id, node.riskLevel, node.layer || null]).sort(),
+            links: network.links.map(link => `${link.source}>${link.target}:${link.layer || link.transactionType}`).sort(),
+            metrics,
+            findings: findings.map(finding => [finding.type, finding.severity, finding.description])
+        });
+
+        assert.deepEqual(summary(second), summary(first));
+        assert.deepEqual(second.provider.requests, first.provider.requests);
+    });
+});
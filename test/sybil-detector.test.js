@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SybilDetector, comparePair, findClusters, readTrades, readPayouts } from '../sybil-detector.js';
+
+const BINANCE = 'rEb8TK3gBgk5auZkwc6sHnwrGVJH8DuaLh';
+const TOKEN = { currency: 'TST', issuer: 'rIssuer' };
+
+const activation = (account, funder, xrp, ledgerIndex) => ({ account, funder, xrp, ledgerIndex, hash: `ACT-${account}` });
+const profile = (account, fields = {}) => ({ account, activation: null, trustlines: null, trades: null, payouts: null, ...fields });
+
+function offer(account, side, date, hash) {
+    const token = { ...TOKEN, value: '100' };
+    return {
+        TransactionType: 'OfferCreate',
+        Account: account,
+        TakerPays: side === 'buy' ? token : '1000000',
+        TakerGets: side === 'buy' ? '1000000' : token,
+        date,
+        hash,
+        meta: {
+            TransactionResult: 'tesSUCCESS',
+            AffectedNodes: [{
+                ModifiedNode: {
+                    LedgerEntryType: 'Offer',
+                    FinalFields: { Account: 'rMaker', TakerPays: '0', TakerGets: { ...TOKEN, value: '0' } },
+                    PreviousFields: { TakerPays: '1000000', TakerGets: token }
+                }
+            }]
+        }
+    };
+}
+
+function payment(from, to, amount, hash) {
+    return { TransactionType: 'Payment', Account: from, Destination: to, Amount: amount, hash, meta: { TransactionResult: 'tesSUCCESS' } };
+}
+
+describe('comparePair', () => {
+    it('measures funder, amount and creation gap for wallets a private funder activated', () => {
+        const { signals, evidence } = comparePair(
+            profile('rA', { activation: activation('rA', 'rFunder', 20, 1000) }),
+            profile('rB', { activation: activation('rB', 'rFunder', 25, 1003) })
+        );
+
+        assert.equal(signals.sharedFunder, true);
+        assert.equal(signals.activationAmount, 20);
+        assert.equal(signals.sequentialCreation, 3);
+        assert.deepEqual(evidence.sharedFunder.transactions, ['ACT-rA', 'ACT-rB']);
+    });
+
+    it('leaves out activation signals when an exchange activated a wallet', () => {
+        const { signals } = comparePair(
+            profile('rA', { activation: activation('rA', BINANCE, 20, 1000) }),
+            profile('rB', { activation: activation('rB', BINANCE, 20, 1001) })
+        );
+
+        assert.deepEqual(signals, {});
+    });
+
+    it('treats a funder recognized during the scan like a registered exchange', () => {
+        const entities = new Map([['rService', { name: 'Custodial service', type: 'custodial', inferred: true }]]);
+        const a = profile('rA', { activation: activation('rA', 'rService', 20, 1000), payouts: new Map([['rService', ['P1']]]) });
+        const b = profile('rB', { activation: activation('rB', 'rService', 20, 1001), payouts: new Map([['rService', ['P2']]]) });
+        const { signals } = comparePair(a, b, undefined, entities);
+
+        assert.equal(signals.sharedFunder, undefined);
+        assert.equal(signals.consolidation, false);
+    });
+
+    it('compares trust line sets once both wallets hold enough', () => {
+        const a = profile('rA', { trustlines: new Set(['X-rI', 'Y-rI', 'Z-rI']) });
+        const b = profile('rB', { trustlines: new Set(['X-rI', 'Y-rI']) });
+        const few = profile('rC', { trustlines: new Set(['X-rI']) });
+
+        assert.equal(comparePair(a, b).signals.trustlineSet, 2 / 3);
+        assert.equal(comparePair(a, few).signals.trustlineSet, undefined);
+    });
+
+    it('finds a shared payout address other than an exchange or each other', () => {
+        const a = profile('rA', { payouts: new Map([['rSink', ['P1']], [BINANCE, ['P2']], ['rB', ['P3']]]) });
+        const b = profile('rB', { payouts: new Map([['rSink', ['P4']], [BINANCE, ['P5']]]) });
+        const { signals, evidence } = comparePair(a, b);
+
+        assert.equal(signals.consolidation, true);
+        assert.deepEqual(evidence.consolidation.nodes, ['rSink']);
+        assert.deepEqual(evidence.consolidation.transactions, ['P1', 'P4']);
+    });
+});
+
+describe('readTrades and readPayouts', () => {
+    it('reads filled offers as trades of the token', () => {
+        const trades = readTrades('rA', [offer('rA', 'buy', 700000000, 'O1'), offer('rB', 'sell', 700000000, 'O2')]);
+
+        assert.deepEqual(trades, [{ token: 'TST-rIssuer', side: 'buy', time: (700000000 + 946684800) * 1000, hash: 'O1' }]);
+    });
+
+    it('leaves out tokens paid back to their issuer', () => {
+        const payouts = readPayouts('rA', [
+            payment('rA', 'rSink', '1000000', 'P1'),
+            payment('rA', 'rIssuer', { ...TOKEN, value: '5' }, 'P2'),
+            payment('rB', 'rA', '1000000', 'P3')
+        ]);
+
+        assert.deepEqual([...payouts.entries()], [['rSink', ['P1']]]);
+    });
+});
+
+describe('findClusters', () => {
+    it('joins wallets linked by pairs above the threshold', () => {
+        const pairs = [
+            { accounts: ['rA', 'rB'], score: 0.8, evidence: [] },
+            { accounts: ['rB', 'rC'], score: 0.6, evidence: [] },
+            { accounts: ['rC', 'rD'], score: 0.2, evidence: [] },
+            { accounts: ['rE', 'rF'], score: 0.9, evidence: [] }
+        ];
+        const clusters = findClusters(pairs, { pairThreshold: 0.5, minClusterSize: 2 });
+
+        assert.deepEqual(clusters.map(cluster => cluster.wallets), [['rE', 'rF'], ['rB', 'rA', 'rC']]);
+        assert.equal(clusters[1].confidence, 0.7);
+        assert.equal(clusters[0].name, 'Cluster A');
+    });
+});
+
+describe('SybilDetector', () => {
+    it('clusters wallets that one operator funded and trades with', async () => {
+        const histories = {
+            rA: [offer('rA', 'buy', 700000000, 'A1'), payment('rA', 'rSink', '1000000', 'A2')],
+            rB: [offer('rB', 'buy', 700000030, 'B1'), payment('rB', 'rSink', '1000000', 'B2')],
+            rC: [offer('rC', 'sell', 700090000, 'C1')]
+        };
+        const service = {
+            async * iterateAccountLines() {},
+            async * iterateAccountTransactions(account) {
+                yield * histories[account];
+            }
+        };
+        const activations = new Map([
+            ['rA', activation('rA', 'rFunder', 20, 1000)],
+            ['rB', activation('rB', 'rFunder', 20, 1001)],
+            ['rC', activation('rC', BINANCE, 50, 5000)]
+        ]);
+
+        const result = await new SybilDetector().detectClusters(service, ['rA', 'rB', 'rC'], activations);
+
+        assert.equal(result.pairs, 3);
+        assert.equal(result.clusters.length, 1);
+        assert.deepEqual(result.clusters[0].wallets.sort(), ['rA', 'rB']);
+        assert.ok(result.clusters[0].evidence.some(item => item.rule === 'sharedFunder'));
+    });
+
+    it('does not cluster customers of an unregistered exchange', async () => {
+        const service = {
+            async * iterateAccountLines() {},
+            async * iterateAccountTransactions() {}
+        };
+        const activations = new Map([
+            ['rA', activation('rA', 'rService', 20, 1000)],
+            ['rB', activation('rB', 'rService', 20, 1001)]
+        ]);
+        const entities = new Map([['rService', { name: 'Custodial service', type: 'custodial', inferred: true }]]);
+
+        const result = await new SybilDetector().detectClusters(service, ['rA', 'rB'], activations, entities);
+
+        assert.equal(result.clusters.length, 0);
+    });
+});
@@ -0,0 +1,192 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import xrplService from '../xrpl-service.js';
+import networkAnalyzer from '../network-analyzer.js';
+import { MockLedgerProvider } from '../ledger-provider.js';
+
+const ROOT = 'rJb5KsHsDHF1YS5B5DU6QCkH5NsPaKQTcy';
+const SOURCE = 'rUn84CUYbNjRoTQ6mSW7BVJPSVJNLb1QLo';
+const WALLET_A = 'rDsbeomae4FXwgQTJp9Rs64Qg9vDiTCdBv';
+const WALLET_B = 'rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf';
+const WALLET_C = 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe';
+const ISSUER = 'rHYTJDFrbCU1i2yCENTSEgVFJUMWuFqeQj';
+const BINANCE = 'rEb8TK3gBgk5auZkwc6sHnwrGVJH8DuaLh';
+const MARKET_MAKER = 'rLHzPsX6oXkzU2qL12kHCH8G8cnZv1rBJh';
+const FEE = 0.00001;
+
+const drops = xrp => String(Math.round(xrp * 1e6));
+const accountRoot = (account, before, after) => ({
+    ModifiedNode: {
+        LedgerEntryType: 'AccountRoot',
+        FinalFields: { Account: account, Balance: drops(after) },
+        PreviousFields: { Balance: drops(before) }
+    }
+});
+const usdLine = (holder, before, after) => {
+    const balance = value => ({ currency: 'USD', issuer: 'rrrrrrrrrrrrrrrrrrrrBZbvji', value: String(value) });
+    return {
+        ModifiedNode: {
+            LedgerEntryType: 'RippleState',
+            FinalFields: {
+                LowLimit: { issuer: holder, currency: 'USD', value: '1e9' },
+                HighLimit: { issuer: ISSUER, currency: 'USD', value: '0' },
+                Balance: balance(after)
+            },
+            PreviousFields: { Balance: balance(before) }
+        }
+    };
+};
+
+let ledgerIndex = 100;
+function transaction(fields, nodes) {
+    ledgerIndex++;
+    return {
+        ...fields,
+        Fee: '10',
+        ledger_index: ledgerIndex,
+        date: 700000000 + ledgerIndex * 4,
+        hash: `H${ledgerIndex}`,
+        meta: { TransactionResult: 'tesSUCCESS', AffectedNodes: nodes }
+    };
+}
+
+// SOURCE receives 1000 XRP and splits it 600/400 between A and B. A already held 100 XRP, deposits 350
+// to Binance, converts 200 XRP to 100 USD and pays 60 USD to C.
+const received = transaction({ TransactionType: 'Payment', Account: ROOT, Destination: SOURCE, Amount: drops(1000) },
+    [accountRoot(ROOT, 5000, 4000 - FEE), accountRoot(SOURCE, 0, 1000)]);
+const toA = transaction({ TransactionType: 'Payment', Account: SOURCE, Destination: WALLET_A, Amount: drops(600) },
+    [accountRoot(SOURCE, 1000, 400 - FEE), accountRoot(WALLET_A, 100, 700)]);
+const toB = transaction({ TransactionType: 'Payment', Account: SOURCE, Destination: WALLET_B, Amount: drops(400) },
+    [accountRoot(SOURCE, 400 - FEE, -2 * FEE), accountRoot(WALLET_B, 20, 420)]);
+const deposit = transaction({ TransactionType: 'Payment', Account: WALLET_A, Destination: BINANCE, Amount: drops(350), DestinationTag: 12345 },
+    [accountRoot(WALLET_A, 700, 350 - FEE), accountRoot(BINANCE, 1e6, 1e6 + 350)]);
+const conversion = transaction({ TransactionType: 'OfferCreate', Account: WALLET_A, TakerGets: drops(200), TakerPays: { currency: 'USD', issuer: ISSUER, value: '100' } },
+    [accountRoot(WALLET_A, 350 - FEE, 150 - 2 * FEE), usdLine(WALLET_A, 0, 100), accountRoot(MARKET_MAKER, 5000, 5200), usdLine(MARKET_MAKER, 500, 400)]);
+const toC = transaction({ TransactionType: 'Payment', Account: WALLET_A, Destination: WALLET_C, Amount: { currency: 'USD', issuer: ISSUER, value: '60' } },
+    [accountRoot(WALLET_A, 150 - 2 * FEE, 150 - 3 * FEE), usdLine(WALLET_A, 100, 40), usdLine(WALLET_C, 0, 60)]);
+toC.meta.delivered_amount = { currency: 'USD', issuer: ISSUER, value: '60' };
+
+const entry = tx => {
+    const { meta, ...fields } = tx;
+    return { tx: fields, meta };
+};
+const history = (...transactions) => ({ info: {}, transactions: transactions.map(entry) });
+
+function recipient(trace, account) {
+    return trace.recipients.find(item => item.account === account || item.account.startsWith(`${account}:`));
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-3, `${message}: ${actual} != ${expected}`);
+}
+
+describe('traceFunds', () => {
+    const logs = { log: console.log, warn: console.warn };
+
+    before(async () => {
+        console.log = () => {};
+        console.warn = () => {};
+        await xrplService.setProvider(new MockLedgerProvider({
+            now: Date.UTC(2025, 0, 1),
+            accounts: {
+                [SOURCE]: history(received, toA, toB),
+                [WALLET_A]: history(toA, deposit, conversion, toC),
+                [WALLET_B]: history(toB),
+                [WALLET_C]: history(toC),
+                [ROOT]: history(received),
+                [BINANCE]: history(),
+                [MARKET_MAKER]: history(conversion)
+            }
+        }));
+    });
+
+    after(async () => {
+        Object.assign(console, logs);
+        await xrplService.setProvider(null);
+    });
+
+    it('spreads the taint of a mixed balance proportionally with the haircut model', async () => {
+        const trace = await networkAnalyzer.traceFunds(SOURCE, { model: 'haircut' });
+
+        assert.equal(trace.taintedValue, 1000);
+        assertClose(recipient(trace, WALLET_A).share, 0.6, 'A');
+        assertClose(recipient(trace, WALLET_B).share, 0.4, 'B');
+        // A held 700 XRP of which 600 tainted when it deposited 350
+        assertClose(recipient(trace, BINANCE).share, 0.3, 'Binance');
+        assert.equal(recipient(trace, BINANCE).status, 'exchange');
+        // The 200 XRP converted carried the same 6/7; the taint follows into USD
+        assertClose(recipient(trace, WALLET_C).share, 0.6 * (200 / 350) * 0.3, 'C');
+    });
+
+    it('spends the oldest funds first with the FIFO model', async () => {
+        const trace = await networkAnalyzer.traceFunds(SOURCE, { model: 'fifo' });
+
+        // A's own 100 XRP leave first, so 250 of the deposit and all of the conversion are tainted
+        assertClose(recipient(trace, BINANCE).share, 0.25, 'Binance');
+        assertClose(recipient(trace, WALLET_C).share, 0.12, 'C');
+        assert.deepEqual(trace.conversions.map(conversion => conversion.received.map(amount => amount.asset)), [[`USD-${ISSUER}`]]);
+    });
+
+    it('stops after the given number of hops', async () => {
+        const trace = await networkAnalyzer.traceFunds(SOURCE, { maxHops: 1 });
+        assert.equal(recipient(trace, WALLET_C).status, 'maxHops');
+    });
+});
+
+describe('traceFunds past small payments and unlisted exchanges', () => {
+    const logs = { log: console.log, warn: console.warn };
+    const EXCHANGE = 'rG31cLyErnqeVj2eomEjBZtq7PYaupGYzL';
+
+    // SOURCE pays B 50 XRP, too little to follow, then 100 more; B passes all 150 on to C.
+    // SOURCE also deposits 200 XRP under a tag at an exchange missing from the registry.
+    const funded = transaction({ TransactionType: 'Payment', Account: ROOT, Destination: SOURCE, Amount: drops(1000) },
+        [accountRoot(ROOT, 5000, 4000 - FEE), accountRoot(SOURCE, 0, 1000)]);
+    const first = transaction({ TransactionType: 'Payment', Account: SOURCE, Destination: WALLET_B, Amount: drops(50) },
+        [accountRoot(SOURCE, 1000, 950 - FEE), accountRoot(WALLET_B, 0, 50)]);
+    const second = transaction({ TransactionType: 'Payment', Account: SOURCE, Destination: WALLET_B, Amount: drops(100) },
+        [accountRoot(SOURCE, 950 - FEE, 850 - 2 * FEE), accountRoot(WALLET_B, 50, 150)]);
+    const onward = transaction({ TransactionType: 'Payment', Account: WALLET_B, Destination: WALLET_C, Amount: drops(150) },
+        [accountRoot(WALLET_B, 150, -FEE), accountRoot(WALLET_C, 0, 150)]);
+    const tagged = transaction({ TransactionType: 'Payment', Account: SOURCE, Destination: EXCHANGE, Amount: drops(200), DestinationTag: 77 },
+        [accountRoot(SOURCE, 850 - 2 * FEE, 650 - 3 * FEE), accountRoot(EXCHANGE, 1e6, 1e6 + 200)]);
+    const payout = transaction({ TransactionType: 'Payment', Account: EXCHANGE, Destination: WALLET_A, Amount: drops(200) },
+        [accountRoot(EXCHANGE, 1e6 + 200, 1e6 - FEE), accountRoot(WALLET_A, 0, 200)]);
+
+    before(async () => {
+        console.log = () => {};
+        console.warn = () => {};
+        await xrplService.setProvider(new MockLedgerProvider({
+            now: Date.UTC(2025, 0, 1),
+            accounts: {
+                [SOURCE]: history(funded, first, second, tagged),
+                [WALLET_B]: history(first, second, onward),
+                [WALLET_C]: history(onward),
+                [ROOT]: history(funded),
+                [EXCHANGE]: { info: { Flags: 0x00020000 }, transactions: [tagged, payout].map(entry) },
+                [WALLET_A]: history(payout)
+            }
+        }));
+    });
+
+    after(async () => {
+        Object.assign(console, logs);
+        await xrplService.setProvider(null);
+    });
+
+    it('replays an account from the first tainted payment it received', async () => {
+        const trace = await networkAnalyzer.traceFunds(SOURCE, { minShare: 0.1 });
+
+        assertClose(recipient(trace, WALLET_B).share, 0.15, 'B');
+        assertClose(recipient(trace, WALLET_C).share, 0.15, 'C');
+    });
+
+    it('stops at an exchange recognized from its AccountRoot, keyed by the tag', async () => {
+        const trace = await networkAnalyzer.traceFunds(SOURCE);
+        const deposit = recipient(trace, EXCHANGE);
+
+        assert.equal(deposit.account, `${EXCHANGE}:77`);
+        assert.equal(deposit.entity.type, 'custodial');
+        assert.notEqual(deposit.status, 'followed');
+        assert.equal(recipient(trace, WALLET_A), undefined);
+    });
+});
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { giniCoefficient, nakamotoCoefficient, summarizeDistribution } from '../token-analyzer.js';
+
+describe('giniCoefficient', () => {
+    it('is 0 when every holder has the same balance', () => {
+        assert.equal(giniCoefficient([5, 5, 5, 5]), 0);
+    });
+
+    it('is (n - 1) / n when one holder has everything', () => {
+        assert.equal(giniCoefficient([0, 0, 0, 100]), 0.75);
+    });
+
+    it('does not depend on the order of the balances', () => {
+        assert.equal(giniCoefficient([4, 1, 3, 2]), 0.25);
+        assert.equal(giniCoefficient([1, 2, 3, 4]), 0.25);
+    });
+
+    it('is null without holders', () => {
+        assert.equal(giniCoefficient([]), null);
+    });
+});
+
+describe('nakamotoCoefficient', () => {
+    it('counts the fewest holders that own more than half', () => {
+        assert.equal(nakamotoCoefficient([60, 20, 20]), 1);
+        // Exactly half is not a majority
+        assert.equal(nakamotoCoefficient([20, 50, 30]), 2);
+    });
+
+    it('uses the given share', () => {
+        assert.equal(nakamotoCoefficient([60, 20, 20], 0.9), 3);
+    });
+
+    it('is null without holders', () => {
+        assert.equal(nakamotoCoefficient([]), null);
+    });
+});
+
+describe('summarizeDistribution', () => {
+    it('reads holder balances from the issuer side of the trust lines', () => {
+        const lines = [
+            { account: 'rA', balance: '-90' },
+            { account: 'rB', balance: '-10' },
+            { account: 'rC', balance: '0' }
+        ];
+        const distribution = summarizeDistribution('MOON', lines);
+
+        assert.equal(distribution.trustlines, 3);
+        assert.equal(distribution.holders, 2);
+        assert.equal(distribution.supply, 100);
+        assert.equal(distribution.concentration.top1, 90);
+        assert.equal(distribution.nakamoto, 1);
+        assert.ok(Math.abs(distribution.gini - 0.4) < 1e-9);
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import xrplService from '../xrpl-service.js';
+import { MockLedgerProvider } from '../ledger-provider.js';
+
+const WALLET = 'rDsbeomae4FXwgQTJp9Rs64Qg9vDiTCdBv';
+const OTHER = 'rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf';
+
+// Thirty payments, then one offer
+const transactions = [
+    ...Array.from({ length: 30 }, (_, i) => ({ TransactionType: 'Payment', Account: WALLET, Destination: OTHER, Amount: '1000000', date: 700000000 + i, hash: `PAY-${i}` })),
+    { TransactionType: 'OfferCreate', Account: WALLET, TakerGets: '1000000', TakerPays: '1000000', date: 700000100, hash: 'OFFER' }
+].map(tx => ({ tx, meta: { TransactionResult: 'tesSUCCESS', AffectedNodes: [] } }));
+
+describe('getTransactionHistory', () => {
+    const logs = { log: console.log };
+
+    before(async () => {
+        console.log = () => {};
+        await xrplService.setProvider(new MockLedgerProvider({
+            now: Date.UTC(2025, 0, 1),
+            accounts: { [WALLET]: { info: {}, transactions } }
+        }));
+    });
+
+    after(async () => {
+        Object.assign(console, logs);
+        await xrplService.setProvider(null);
+    });
+
+    it('reads a whole history without marking it truncated', async () => {
+        const history = await xrplService.getTransactionHistory(WALLET, { forward: true, pageSize: 10 });
+
+        assert.equal(history.transactions.length, 31);
+        assert.equal(history.truncated, false);
+    });
+
+    it('marks a walk that stopped at maxTransactions', async () => {
+        const history = await xrplService.getTransactionHistory(WALLET, { forward: true, maxTransactions: 5 });
+
+        assert.equal(history.transactions.length, 5);
+        assert.equal(history.truncated, true);
+    });
+
+    it('marks a filtered walk that stopped at maxScanned with fewer matches', async () => {
+        const history = await xrplService.getTransactionHistory(WALLET, { forward: true, types: ['OfferCreate'], maxTransactions: 2 });
+
+        assert.equal(history.transactions.length, 0);
+        assert.equal(history.truncated, true);
+    });
+});
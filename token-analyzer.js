@@ -0,0 +1,211 @@
+/**
+ * Token Analyzer
+ * Builds a token's real holder list from its issuer's trust lines and measures
+ * how the supply is spread: holder count, top-N share, Gini and Nakamoto
+ * coefficients, holdings of issuer-affiliated wallets and a supply histogram.
+ *
+ * On the issuer's side of a trust line the balance is negative when the holder
+ * owns tokens, so a holder's balance is the negated line balance.
+ */
+
+import { TOKEN_ANALYSIS_SETTINGS } from './config.js';
+
+export class TokenAnalyzer {
+    /**
+     * @param {object} settings - Overrides for TOKEN_ANALYSIS_SETTINGS
+     */
+    constructor(settings = {}) {
+        this.settings = { ...TOKEN_ANALYSIS_SETTINGS, ...settings };
+    }
+
+    /**
+     * Holder distribution of every token an issuer has trust lines for
+     * One pass over the issuer's trust lines covers all of its tokens
+     * @param {XRPLService} service - Service (or a priority/signal view of it) to read the ledger with
+     * @param {string} issuer - Issuer address
+     * @returns {Promise<Map<string, object>>} - Distribution by currency code
+     */
+    async analyzeIssuer(service, issuer) {
+        const linesByCurrency = new Map();
+        let lineCount = 0;
+
+        for await (const line of service.iterateAccountLines(issuer, {
+            maxLines: this.settings.maxTrustlines,
+            pageSize: this.settings.pageSize
+        })) {
+            if (!linesByCurrency.has(line.currency)) {
+                linesByCurrency.set(line.currency, []);
+            }
+            linesByCurrency.get(line.currency).push(line);
+            lineCount++;
+        }
+
+        const truncated = lineCount >= this.settings.maxTrustlines;
+        const affiliates = await this._findAffiliates(service, issuer);
+
+        const distributions = new Map();
+        for (const [currency, lines] of linesByCurrency) {
+            distributions.set(currency, summarizeDistribution(currency, lines, {
+                affiliates,
+                topHolders: this.settings.topHolders,
+                truncated
+            }));
+        }
+        return distributions;
+    }
+
+    /**
+     * Wallets the issuer sent XRP to or received XRP from, which covers the wallet
+     * that activated it and the wallets it funded
+     * @param {XRPLService} service - Service to read the ledger with
+     * @param {string} issuer - Issuer address
+     * @returns {Promise<Set<string>|null>} - Affiliated addresses, or null if they could not be read
+     * @private
+     */
+    async _findAffiliates(service, issuer) {
+        const affiliates = new Set();
+        try {
+            for await (const tx of service.iterateAccountTransactions(issuer, {
+                forward: true,
+                types: ['Payment'],
+                maxTransactions: this.settings.affiliateTransactions
+            })) {
+                if (typeof tx.Amount !== 'string') continue;
+
+                const counterparty = tx.Account === issuer ? tx.Destination : tx.Account;
+                if (counterparty && counterparty !== issuer) {
+                    affiliates.add(counterparty);
+                }
+            }
+            return affiliates;
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`Could not read issuer payments for ${issuer}:`, error);
+            return null;
+        }
+    }
+}
+
+/**
+ * Summarize the holders of one token
+ * @param {string} currency - Currency code
+ * @param {Array<object>} lines - The issuer's trust lines for the currency
+ * @param {object} options - { affiliates: Set|null, topHolders: number, truncated: boolean }
+ * @returns {object} - Distribution
+ */
+export function summarizeDistribution(currency, lines, options = {}) {
+    const { affiliates = null, topHolders = TOKEN_ANALYSIS_SETTINGS.topHolders, truncated = false } = options;
+
+    const holders = lines
+        .map(line => ({ account: line.account, balance: -parseFloat(line.balance) }))
+        .filter(holder => holder.balance > 0)
+        .sort((a, b) => b.balance - a.balance);
+    const balances = holders.map(holder => holder.balance);
+    const supply = balances.reduce((total, balance) => total + balance, 0);
+    const share = balance => (supply > 0 ? (balance / supply) * 100 : 0);
+    const topShare = count => share(balances.slice(0, count).reduce((total, balance) => total + balance, 0));
+
+    let affiliated = null;
+    if (affiliates) {
+        const affiliatedHolders = holders.filter(holder => affiliates.has(holder.account));
+        const balance = affiliatedHolders.reduce((total, holder) => total + holder.balance, 0);
+        affiliated = {
+            holders: affiliatedHolders.length,
+            accounts: affiliatedHolders.slice(0, topHolders).map(holder => holder.account),
+            balance,
+            share: share(balance)
+        };
+    }
+
+    return {
+        currency,
+        trustlines: lines.length,
+        holders: holders.length,
+        supply,
+        concentration: {
+            top1: topShare(1),
+            top3: topShare(3),
+            top10: topShare(10)
+        },
+        gini: giniCoefficient(balances),
+        nakamoto: nakamotoCoefficient(balances),
+        topHolders: holders.slice(0, topHolders).map(holder => ({
+            account: holder.account,
+            balance: holder.balance,
+            share: share(holder.balance),
+            affiliated: !!(affiliates && affiliates.has(holder.account))
+        })),
+        affiliated,
+        histogram: supplyHistogram(balances),
+        truncated
+    };
+}
+
+/**
+ * Gini coefficient of a set of balances: 0 when everyone holds the same, close to 1 when one holder has everything
+ * @param {Array<number>} balances - Positive balances
+ * @returns {number|null} - Coefficient, or null without holders
+ */
+export function giniCoefficient(balances) {
+    if (balances.length === 0) return null;
+
+    const sorted = [...balances].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, balance) => sum + balance, 0);
+    if (total === 0) return 0;
+
+    const weighted = sorted.reduce((sum, balance, index) => sum + (index + 1) * balance, 0);
+    const n = sorted.length;
+    return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+/**
+ * Nakamoto coefficient: the fewest holders that together own more than the given share
+ * @param {Array<number>} balances - Positive balances
+ * @param {number} share - Share of the supply (0-1)
+ * @returns {number|null} - Holder count, or null without holders
+ */
+export function nakamotoCoefficient(balances, share = 0.5) {
+    if (balances.length === 0) return null;
+
+    const sorted = [...balances].sort((a, b) => b - a);
+    const total = sorted.reduce((sum, balance) => sum + balance, 0);
+    let held = 0;
+    for (let i = 0; i < sorted.length; i++) {
+        held += sorted[i];
+        if (held > total * share) return i + 1;
+    }
+    return sorted.length;
+}
+
+/**
+ * Holders and supply per order of magnitude of balance, from the smallest to the largest holding
+ * @param {Array<number>} balances - Positive balances
+ * @returns {Array<object>} - [{ min, max, holders, balance, share }]
+ */
+export function supplyHistogram(balances) {
+    if (balances.length === 0) return [];
+
+    const total = balances.reduce((sum, balance) => sum + balance, 0);
+    const buckets = new Map();
+    for (const balance of balances) {
+        const exponent = Math.floor(Math.log10(balance));
+        const bucket = buckets.get(exponent) || { holders: 0, balance: 0 };
+        bucket.holders++;
+        bucket.balance += balance;
+        buckets.set(exponent, bucket);
+    }
+
+    const exponents = [...buckets.keys()];
+    const histogram = [];
+    for (let exponent = Math.min(...exponents); exponent <= Math.max(...exponents); exponent++) {
+        const bucket = buckets.get(exponent) || { holders: 0, balance: 0 };
+        histogram.push({
+            min: 10 ** exponent,
+            max: 10 ** (exponent + 1),
+            holders: bucket.holders,
+            balance: bucket.balance,
+            share: total > 0 ? (bucket.balance / total) * 100 : 0
+        });
+    }
+    return histogram;
+}
@@ -3,7 +3,18 @@
  * Handles connection and interaction with the XRP Ledger
  */
 
-import { XRPL_CONFIG, API_ENDPOINTS, VALIDATORS } from './config.js';
+import { XRPL_CONFIG, API_ENDPOINTS, CACHE_SETTINGS, SCHEDULER_SETTINGS } from './config.js';
+import XRPLConnectionPool from './connection-pool.js';
+import { RequestCache, MemoryCacheBackend, IndexedDBCacheBackend } from './request-cache.js';
+import { RequestScheduler, PRIORITY } from './request-scheduler.js';
+import { DataApiClient, assetId } from './data-api-client.js';
+import { rippleTimeToUnixMs } from './ledger-utils.js';
+
+// Transactions that create, fund, drain or bid on an AMM pool
+export const AMM_TRANSACTION_TYPES = ['AMMCreate', 'AMMDeposit', 'AMMWithdraw', 'AMMBid', 'AMMVote', 'AMMDelete'];
+
+// Transactions read per transaction yielded before a filtered history walk gives up
+const SCAN_FACTOR = 10;
 
 // We'll use the Bithomp xrpl-api library for direct connections
 // For this demo, we'll simulate the API calls
@@ -15,22 +26,169 @@ class XRPLService {
         this.isConnected = false;
         this.connectionStatus = 'disconnected';
         this.networkType = 'mainnet'; // 'testnet' or 'devnet' or 'mainnet'
-        this.servers = {
-            mainnet: 'wss://xrplcluster.com',
-            testnet: 'wss://s.altnet.rippletest.net:51233',
-            devnet: 'wss://s.devnet.rippletest.net:51233'
-        };
+        this.servers = XRPL_CONFIG.nodes;
+        this.cache = new RequestCache(this._createCacheBackend(CACHE_SETTINGS.backend), CACHE_SETTINGS);
+        this.scheduler = new RequestScheduler(SCHEDULER_SETTINGS);
+        this.requestPriority = PRIORITY.NORMAL;
+        this.signal = null;
+        this.provider = null;
+        // Data API client, created on first use and shared with every view
+        this.dataApiClient = { instance: null };
+    }
+
+    /**
+     * Get a view of this service whose requests are queued at the given priority
+     * The view shares the connection, cache and scheduler with the service
+     * @param {number} priority - Lower runs first (e.g. crawl depth, 0 for the main wallet)
+     * @returns {XRPLService} - Priority-bound view
+     */
+    atPriority(priority) {
+        const view = this._createView();
+        view.requestPriority = priority;
+        return view;
+    }
+
+    /**
+     * Get a view of the service whose requests are cancelled by an AbortSignal
+     * Queued requests are dropped and new ones rejected once the signal aborts
+     * @param {AbortSignal} signal - Cancellation signal
+     * @returns {XRPLService} - Signal-bound view
+     */
+    withSignal(signal) {
+        const view = this._createView();
+        view.signal = signal;
+        return view;
+    }
+
+    /**
+     * Create a view that shares this instance's connection, cache and scheduler
+     * @returns {XRPLService} - Service view
+     * @private
+     */
+    _createView() {
+        const view = Object.create(this);
+        // Connection state must stay on the shared instance
+        view.connect = (...args) => this.connect(...args);
+        view.disconnect = (...args) => this.disconnect(...args);
+        return view;
+    }
+
+    /**
+     * Create a cache storage backend by name
+     * @param {string} type - 'auto', 'indexeddb' or 'memory'
+     * @returns {object} - Cache backend
+     * @private
+     */
+    _createCacheBackend(type) {
+        const useIndexedDB = type === 'indexeddb' || (type === 'auto' && IndexedDBCacheBackend.isAvailable());
+        if (useIndexedDB && IndexedDBCacheBackend.isAvailable()) {
+            return new IndexedDBCacheBackend(`rugcheckerx-cache-${this.networkType}`);
+        }
+        return new MemoryCacheBackend(CACHE_SETTINGS.maxMemoryEntries);
+    }
+
+    /**
+     * Replace the cache storage backend
+     * @param {string|object} backend - Backend name or a backend instance
+     */
+    setCacheBackend(backend) {
+        this.cache.setBackend(typeof backend === 'string' ? this._createCacheBackend(backend) : backend);
+    }
+
+    /**
+     * Route requests through a ledger provider (record, replay or mock), or back to the live network
+     * Replay and mock providers answer without opening a connection
+     * @param {object|null} provider - Provider from ledger-provider.js, or null for live
+     * @returns {Promise<void>}
+     */
+    async setProvider(provider) {
+        await this.disconnect();
+        this.provider = provider;
+        // Responses must come from the provider, not from an earlier session's cache
+        this.setCacheBackend(provider ? 'memory' : CACHE_SETTINGS.backend);
+    }
+
+    /**
+     * Current time for time-based risk rules
+     * Recorded and mocked ledgers use their own clock so results are reproducible
+     * @returns {number} - Unix milliseconds
+     */
+    now() {
+        return this.provider ? this.provider.now() : Date.now();
+    }
+
+    /**
+     * Drop every cached response
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+        await this.cache.clear();
+    }
+
+    /**
+     * Send a request through the cache to the connection pool
+     * @param {object} request - XRPL WebSocket API request
+     * @returns {Promise<object>} - XRPL response
+     * @private
+     */
+    async _request(request) {
+        if (this.signal) this.signal.throwIfAborted();
+
+        const live = req => this.client.request(req);
+        if (this.provider && !this.provider.needsNetwork) {
+            // Nothing to rate limit when no server is involved
+            return this.cache.fetch(request, req => this.provider.request(req, live), this.signal);
+        }
+
+        // The cache hands the scheduler a signal of its own, so a shared request
+        // is only dropped once every caller waiting on it has been cancelled
+        return this.cache.fetch(request, (req, signal) => this.scheduler.schedule(
+            'xrpl',
+            () => (this.provider ? this.provider.request(req, live) : live(req)),
+            { priority: this.requestPriority, signal }
+        ), this.signal);
+    }
+
+    /**
+     * Fetch an HTTP resource through the scheduler, respecting the host's rate limits
+     * @param {string} url - Resource URL
+     * @param {object} options - fetch options
+     * @returns {Promise<Response>} - HTTP response
+     * @private
+     */
+    async _fetch(url, options = {}) {
+        const host = new URL(url).host;
+        const signal = options.signal || this.signal;
+        const live = (liveUrl, liveOptions) => fetch(liveUrl, liveOptions);
+        if (this.provider && !this.provider.needsNetwork) {
+            if (signal) signal.throwIfAborted();
+            return this.provider.fetch(url, { ...options, signal }, live);
+        }
+
+        return this.scheduler.schedule(host, () => (this.provider
+            ? this.provider.fetch(url, { ...options, signal }, live)
+            : live(url, { ...options, signal })), {
+            priority: this.requestPriority,
+            signal
+        });
     }
 
     /**
      * Connect to the XRP Ledger
+     * Opens a pool of connections to every configured node for the network,
+     * so requests fail over when a node drops or falls behind
      * @param {string} networkType - 'mainnet', 'testnet', or 'devnet'
      * @returns {Promise<boolean>} - Connection result
      */
     async connect(networkType = null) {
         try {
-            if (networkType) {
+            if (networkType && networkType !== this.networkType && this.client) {
+                await this.disconnect();
+            }
+            if (networkType && networkType !== this.networkType) {
                 this.networkType = networkType;
+                // Cached ledger data belongs to the previous network
+                this.setCacheBackend(this.provider ? 'memory' : CACHE_SETTINGS.backend);
             }
 
             // If xrpl.js library is not loaded, load it
@@ -38,14 +196,32 @@ class XRPLService {
                 await this._loadXrplLibrary();
             }
 
-            const server = this.servers[this.networkType];
-            this.client = new xrpl.Client(server);
+            if (this.provider && !this.provider.needsNetwork) {
+                this.isConnected = true;
+                this.connectionStatus = `using ${this.provider.name} provider`;
+                console.log(`Using ${this.provider.name} ledger provider`);
+                return true;
+            }
+
+            // A pool left from a dropped connection would keep retrying its nodes in the background
+            if (this.client) {
+                await this.client.disconnect();
+            }
+
+            const servers = [].concat(this.servers[this.networkType]);
+            this.client = new XRPLConnectionPool(servers, {
+                ...XRPL_CONFIG.options,
+                createClient: (url, options) => new xrpl.Client(url, options),
+                onStatusChange: status => {
+                    this.connectionStatus = `connected to ${this.networkType}: ${status}`;
+                }
+            });
             
             await this.client.connect();
             this.isConnected = true;
             this.connectionStatus = `connected to ${this.networkType}`;
             
-            console.log(`Connected to XRPL ${this.networkType} at ${server}`);
+            console.log(`Connected to XRPL ${this.networkType} (${servers.length} node pool)`);
             return true;
         } catch (error) {
             console.error('Error connecting to XRPL:', error);
@@ -59,11 +235,16 @@ class XRPLService {
      * Disconnect from the XRP Ledger
      */
     async disconnect() {
-        if (this.client && this.isConnected) {
+        if (this.client) {
             await this.client.disconnect();
+            this.client = null;
             this.isConnected = false;
             this.connectionStatus = 'disconnected';
             console.log('Disconnected from XRPL');
+        } else if (this.isConnected) {
+            // Offline provider: there is no socket to close
+            this.isConnected = false;
+            this.connectionStatus = 'disconnected';
         }
     }
 
@@ -72,9 +253,23 @@ class XRPLService {
      * @private
      */
     async _loadXrplLibrary() {
+        // Under Node (the CLI) use the installed xrpl package
+        if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+            const module = await import('xrpl');
+            globalThis.xrpl = module.default || module;
+            return;
+        }
+
+        // Inside the analysis worker there is no document to add a script tag to
+        if (typeof document === 'undefined' && typeof importScripts === 'function') {
+            importScripts(XRPL_CONFIG.libraryUrl);
+            console.log('XRPL library loaded successfully');
+            return;
+        }
+
         return new Promise((resolve, reject) => {
             const script = document.createElement('script');
-            script.src = 'https://unpkg.com/xrpl@2.7.0/build/xrpl-latest-min.js';
+            script.src = XRPL_CONFIG.libraryUrl;
             script.onload = () => {
                 console.log('XRPL library loaded successfully');
                 resolve();
@@ -113,7 +308,7 @@ class XRPLService {
         }
 
         try {
-            const response = await this.client.request({
+            const response = await this._request({
                 command: 'account_info',
                 account: address,
                 ledger_index: 'validated'
@@ -138,7 +333,7 @@ class XRPLService {
         }
 
         try {
-            const response = await this.client.request({
+            const response = await this._request({
                 command: 'account_tx',
                 account: address,
                 limit: limit
@@ -164,7 +359,7 @@ class XRPLService {
 
         try {
             // Use forward=true to get oldest transactions first
-            const response = await this.client.request({
+            const response = await this._request({
                 command: 'account_tx',
                 account: address,
                 limit: limit,
@@ -210,7 +405,7 @@ class XRPLService {
                 request.marker = marker;
             }
             
-            const response = await this.client.request(request);
+            const response = await this._request(request);
             
             return {
                 transactions: response.result.transactions.map(tx => tx.tx),
@@ -223,6 +418,147 @@ class XRPLService {
         }
     }
 
+    /**
+     * Walk an account's complete transaction history, following account_tx markers
+     * @param {string} address - XRPL address
+     * @param {object} options - Iteration options
+     * @param {boolean} options.forward - true to walk oldest first, false for newest first
+     * @param {number} options.ledgerIndexMin - Lowest ledger index to include (-1 for earliest available)
+     * @param {number} options.ledgerIndexMax - Highest ledger index to include (-1 for latest validated)
+     * @param {Date|number} options.startTime - Skip transactions closed before this time
+     * @param {Date|number} options.endTime - Skip transactions closed after this time
+     * @param {Array<string>} options.types - Only yield these TransactionTypes
+     * @param {number} options.maxTransactions - Hard cap on the number of transactions yielded
+     * @param {number} options.maxScanned - Hard cap on the number of transactions read, filtered out or not
+     *                                      (default: SCAN_FACTOR times maxTransactions)
+     * @param {number} options.pageSize - Transactions requested per account_tx page
+     * @returns {AsyncGenerator<object, object>} - Transactions with their metadata attached as `meta`; the walk
+     *          returns { truncated }, true if it stopped at maxTransactions or maxScanned before the history ended
+     */
+    async *iterateAccountTransactions(address, options = {}) {
+        const {
+            forward = false,
+            ledgerIndexMin = -1,
+            ledgerIndexMax = -1,
+            startTime = null,
+            endTime = null,
+            types = null,
+            maxTransactions = Infinity,
+            maxScanned = maxTransactions * SCAN_FACTOR,
+            pageSize = 200
+        } = options;
+
+        if (!this.isConnected) {
+            await this.connect();
+        }
+
+        const startMs = startTime !== null ? new Date(startTime).getTime() : null;
+        const endMs = endTime !== null ? new Date(endTime).getTime() : null;
+        const typeFilter = types ? new Set(types) : null;
+
+        let marker = null;
+        let yielded = 0;
+        let scanned = 0;
+
+        do {
+            const request = {
+                command: 'account_tx',
+                account: address,
+                limit: pageSize,
+                forward: forward,
+                ledger_index_min: ledgerIndexMin,
+                ledger_index_max: ledgerIndexMax
+            };
+
+            if (marker) {
+                request.marker = marker;
+            }
+
+            let response;
+            try {
+                response = await this._request(request);
+            } catch (error) {
+                console.error('Error fetching transaction history page:', error);
+                throw error;
+            }
+
+            for (const entry of response.result.transactions) {
+                // A filtered walk must not page through a busy account's whole history
+                if (scanned >= maxScanned) return { truncated: true };
+                scanned++;
+
+                const tx = this._normalizeTransactionEntry(entry);
+                if (!tx) continue;
+
+                // Time bounds are checked client side; account_tx only filters by ledger
+                const closeTime = tx.date !== undefined ? this.rippleTimeToUnixMs(tx.date) : null;
+                if (closeTime !== null) {
+                    if (startMs !== null && closeTime < startMs) {
+                        // Walking backwards we have passed the start of the window
+                        if (!forward) return { truncated: false };
+                        continue;
+                    }
+                    if (endMs !== null && closeTime > endMs) {
+                        // Walking forwards we have passed the end of the window
+                        if (forward) return { truncated: false };
+                        continue;
+                    }
+                }
+
+                if (typeFilter && !typeFilter.has(tx.TransactionType)) continue;
+
+                yield tx;
+                yielded++;
+
+                if (yielded >= maxTransactions) return { truncated: true };
+            }
+
+            marker = response.result.marker;
+        } while (marker);
+
+        return { truncated: false };
+    }
+
+    /**
+     * Collect an account's transaction history into an array
+     * @param {string} address - XRPL address
+     * @param {object} options - Same options as iterateAccountTransactions
+     * @returns {Promise<object>} - { transactions, truncated }; truncated if the walk stopped at a cap
+     */
+    async getTransactionHistory(address, options = {}) {
+        const transactions = [];
+        const walk = this.iterateAccountTransactions(address, options);
+        for (let step = await walk.next(); ; step = await walk.next()) {
+            if (step.done) {
+                return { transactions, truncated: step.value.truncated };
+            }
+            transactions.push(step.value);
+        }
+    }
+
+    /**
+     * Convert a Ripple epoch timestamp (seconds since 2000-01-01) to Unix milliseconds
+     * @param {number} rippleTime - Ripple epoch seconds
+     * @returns {number} - Unix timestamp in milliseconds
+     */
+    rippleTimeToUnixMs(rippleTime) {
+        return rippleTimeToUnixMs(rippleTime);
+    }
+
+    /**
+     * Flatten an account_tx entry into the transaction with its metadata attached
+     * @param {object} entry - account_tx result entry ({ tx, meta, validated })
+     * @returns {object|null} - Transaction object
+     * @private
+     */
+    _normalizeTransactionEntry(entry) {
+        if (!entry || !entry.tx) return null;
+        return {
+            ...entry.tx,
+            meta: entry.meta
+        };
+    }
+
     /**
      * Get account balances including tokens
      * @param {string} address - XRPL address
@@ -239,7 +575,7 @@ class XRPLService {
             const xrpBalance = xrpl.dropsToXrp(accountInfo.Balance);
             
             // Get token balances (trustlines)
-            const lines = await this.client.request({
+            const lines = await this._request({
                 command: 'account_lines',
                 account: address
             });
@@ -264,18 +600,23 @@ class XRPLService {
     /**
      * Get account objects (trustlines, offers, etc.)
      * @param {string} address - XRPL address
+     * @param {string} type - Only objects of this type, e.g. 'signer_list' (all types by default)
      * @returns {Promise<Array>} - Account objects
      */
-    async getAccountObjects(address) {
+    async getAccountObjects(address, type = null) {
         if (!this.isConnected) {
             await this.connect();
         }
 
         try {
-            const response = await this.client.request({
+            const request = {
                 command: 'account_objects',
                 account: address
-            });
+            };
+            if (type) {
+                request.type = type;
+            }
+            const response = await this._request(request);
             
             return response.result.account_objects;
         } catch (error) {
@@ -295,7 +636,7 @@ class XRPLService {
         }
 
         try {
-            const response = await this.client.request({
+            const response = await this._request({
                 command: 'account_lines',
                 account: address
             });
@@ -307,6 +648,123 @@ class XRPLService {
         }
     }
 
+    /**
+     * Walk all of an account's trust lines, following account_lines markers
+     * On an issuer this lists every holder's trust line for its tokens
+     * @param {string} address - XRPL address
+     * @param {object} options - Iteration options
+     * @param {number} options.maxLines - Hard cap on the number of trust lines yielded
+     * @param {number} options.pageSize - Trust lines requested per account_lines page
+     * @returns {AsyncGenerator<object>} - Trust lines as returned by account_lines
+     */
+    async *iterateAccountLines(address, options = {}) {
+        const { maxLines = Infinity, pageSize = 400 } = options;
+
+        if (!this.isConnected) {
+            await this.connect();
+        }
+
+        let marker = null;
+        let yielded = 0;
+
+        do {
+            const request = {
+                command: 'account_lines',
+                account: address,
+                limit: pageSize
+            };
+
+            if (marker) {
+                request.marker = marker;
+            }
+
+            let response;
+            try {
+                response = await this._request(request);
+            } catch (error) {
+                console.error('Error fetching trustlines page:', error);
+                throw error;
+            }
+
+            for (const line of response.result.lines) {
+                yield line;
+                yielded++;
+
+                if (yielded >= maxLines) return;
+            }
+
+            marker = response.result.marker;
+        } while (marker);
+    }
+
+    /**
+     * Get the AMM pool for a pair of assets
+     * @param {object} asset - { currency: 'XRP' } or { currency, issuer }
+     * @param {object} asset2 - The other asset, in the same form
+     * @returns {Promise<object|null>} - amm object from amm_info, or null if the pair has no pool
+     */
+    async getAmmInfo(asset, asset2) {
+        if (!this.isConnected) {
+            await this.connect();
+        }
+
+        try {
+            const response = await this._request({
+                command: 'amm_info',
+                asset,
+                asset2,
+                ledger_index: 'validated'
+            });
+            
+            return response.result.amm;
+        } catch (error) {
+            // rippled answers actNotFound when no pool exists for the pair
+            if (error.data && error.data.error === 'actNotFound') {
+                return null;
+            }
+            console.error('Error fetching AMM info:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the standing offers of one side of an order book, best priced first
+     * @param {object} takerGets - What the offers sell: { currency: 'XRP' } or { currency, issuer }
+     * @param {object} takerPays - What the offers ask for, in the same form
+     * @param {number} limit - Maximum number of offers to return
+     * @returns {Promise<Array>} - Offers from book_offers
+     */
+    async getBookOffers(takerGets, takerPays, limit = 200) {
+        if (!this.isConnected) {
+            await this.connect();
+        }
+
+        try {
+            const response = await this._request({
+                command: 'book_offers',
+                taker_gets: takerGets,
+                taker_pays: takerPays,
+                limit,
+                ledger_index: 'validated'
+            });
+            
+            return response.result.offers || [];
+        } catch (error) {
+            console.error('Error fetching book offers:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Walk the AMM transactions (create, deposit, withdraw, bid, vote, delete) of a pool
+     * @param {string} ammAccount - The pool's AMM account
+     * @param {object} options - Same options as iterateAccountTransactions, except types
+     * @returns {AsyncGenerator<object>} - Transactions with their metadata attached as `meta`
+     */
+    async *iterateAmmTransactions(ammAccount, options = {}) {
+        yield* this.iterateAccountTransactions(ammAccount, { ...options, types: AMM_TRANSACTION_TYPES });
+    }
+
     /**
      * Get tokens connected to an account
      * @param {string} address - XRPL address
@@ -320,7 +778,7 @@ class XRPLService {
         try {
             // This is more complex as we need to search for trustlines
             // where this account is the issuer
-            const response = await this.client.request({
+            const response = await this._request({
                 command: 'account_currencies',
                 account: address,
                 strict: true
@@ -329,10 +787,9 @@ class XRPLService {
             const issuedCurrencies = response.result.send_currencies || [];
             const tokens = [];
             
-            // For each currency, get more details
-            for (const currency of issuedCurrencies) {
-                // Get all trustlines for this currency and issuer
-                const trustlineResponse = await this.client.request({
+            // One gateway_balances call lists the obligations of every issued currency
+            if (issuedCurrencies.length > 0) {
+                const trustlineResponse = await this._request({
                     command: 'gateway_balances',
                     account: address,
                     hotwallet: [address],
@@ -407,7 +864,7 @@ class XRPLService {
         }
 
         try {
-            const response = await this.client.request({
+            const response = await this._request({
                 command: 'tx',
                 transaction: txHash
             });
@@ -426,7 +883,7 @@ class XRPLService {
         }
 
         try {
-            const response = await fetch(`${API_ENDPOINTS.xrpScan}/account/${address}/nfts`);
+            const response = await this._fetch(`${API_ENDPOINTS.xrpScan}/account/${address}/nfts`);
             if (!response.ok) {
                 throw new Error('Failed to fetch account NFTs');
             }
@@ -437,11 +894,24 @@ class XRPLService {
         }
     }
 
+    /**
+     * Read an external entity list
+     * @param {string} url - URL of a JSON object of { name, type } by address
+     * @returns {Promise<object>} - The list
+     */
+    async getEntityList(url) {
+        const response = await this._fetch(url);
+        if (!response.ok) {
+            throw new Error(`Entity list request failed with ${response.status}`);
+        }
+        return await response.json();
+    }
+
     // Get token info from OnTheDEX API
     async getTokenInfo(currency, issuer) {
         try {
             // Use the xrpl.to API instead of OnTheDEX
-            const response = await fetch(`https://api.xrpl.to/api/token/${issuer}_${currency}`);
+            const response = await this._fetch(`https://api.xrpl.to/api/token/${issuer}_${currency}`);
             if (!response.ok) {
                 throw new Error('Failed to fetch token info');
             }
@@ -527,7 +997,7 @@ class XRPLService {
             
             // Convert transactions to a simpler format with dates
             return tokenTxs.slice(0, limit).map(tx => ({
-                date: new Date(tx.date * 1000 + 946684800000), // Convert Ripple epoch to JS Date
+                date: new Date(rippleTimeToUnixMs(tx.date)),
                 type: tx.TransactionType,
                 tx_hash: tx.hash
             }));
@@ -537,22 +1007,93 @@ class XRPLService {
         }
     }
 
-    // Get token price data from OnTheDEX API
+    /**
+     * Get a token's daily ticker against XRP (or another quote) from the InFTF Data API
+     * @param {string} currency - Token currency code
+     * @param {string} issuer - Token issuer address
+     * @param {string} quote - Quote asset: 'XRP' or '<issuer>_<currency>'
+     * @returns {Promise<object|null>} - Ticker (first, high, low, last, volumes), or null if the pair has not traded
+     */
     async getTokenPriceData(currency, issuer, quote = 'XRP') {
         try {
-            const response = await fetch(`${API_ENDPOINTS.onTheDex}/ticker/${currency}.${issuer}:${quote}`);
-            if (!response.ok) {
-                throw new Error('Failed to fetch token price data');
-            }
-            return await response.json();
+            return await this._dataApi().getTickerData(assetId(currency, issuer), quote);
         } catch (error) {
             console.error('Error fetching token price data:', error);
             throw error;
         }
     }
 
+    /**
+     * Get a token's OHLC candles against XRP from the InFTF Data API, oldest first
+     * @param {string} currency - Token currency code
+     * @param {string} issuer - Token issuer address
+     * @param {object} options - interval (default DATA_API_SETTINGS.interval), start, end (Date or ISO string)
+     * @returns {Promise<Array<object>>} - Candles: open, high, low, close, volumes, exchanges, timestamp
+     */
+    async getTokenMarketData(currency, issuer, options = {}) {
+        try {
+            return await this._dataApi().getMarketData(assetId(currency, issuer), 'XRP', options);
+        } catch (error) {
+            console.error('Error fetching token market data:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a token's traded volume across all of its pairs from the InFTF Data API, oldest first
+     * @param {string} currency - Token currency code
+     * @param {string} issuer - Token issuer address
+     * @param {object} options - interval, start, end
+     * @returns {Promise<Array<object>>} - Volume per interval
+     */
+    async getTokenVolumeData(currency, issuer, options = {}) {
+        try {
+            return await this._dataApi().getVolumeData(assetId(currency, issuer), options);
+        } catch (error) {
+            console.error('Error fetching token volume data:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a token's raw trades against XRP from the InFTF Data API
+     * @param {string} currency - Token currency code
+     * @param {string} issuer - Token issuer address
+     * @param {object} options - account, start, end, descending, ...
+     * @returns {Promise<Array<object>>} - Trades
+     */
+    async getTokenExchanges(currency, issuer, options = {}) {
+        try {
+            return await this._dataApi().getExchanges(assetId(currency, issuer), 'XRP', options);
+        } catch (error) {
+            console.error('Error fetching token exchanges:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rate-limit headers of the latest Data API response
+     * @returns {object|null} - { limit, remaining, reset }, or null before the first request
+     */
+    getDataApiRateLimit() {
+        return this.dataApiClient.instance ? this.dataApiClient.instance.rateLimit : null;
+    }
+
+    /**
+     * Data API client whose requests go through this service (or view), so they are
+     * scheduled, rate limited, cancelled and recorded like every other HTTP call
+     * @returns {DataApiClient}
+     * @private
+     */
+    _dataApi() {
+        if (!this.dataApiClient.instance) {
+            this.dataApiClient.instance = new DataApiClient((url, options) => this._fetch(url, options));
+        }
+        return this.dataApiClient.instance.withFetcher((url, options) => this._fetch(url, options));
+    }
+
     // Check for connections between accounts (flow of funds)
-    async getAccountConnections(address, depth = 1) {
+    async getAccountConnections(address) {
         if (!this.isValidAddress(address)) {
             throw new Error('Invalid XRPL address');
         }